@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "comments" ADD COLUMN "targetType" TEXT;
+ALTER TABLE "comments" ADD COLUMN "targetId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "comments_targetType_targetId_createdAt_idx" ON "comments"("targetType", "targetId", "createdAt");
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "comments" ADD COLUMN "edited" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "comments" ADD COLUMN "editedAt" DATETIME;
+
+-- CreateTable
+CREATE TABLE "comment_revisions" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "commentId" TEXT NOT NULL,
+    "revision" INTEGER NOT NULL,
+    "text" TEXT NOT NULL,
+    "editedBy" TEXT NOT NULL,
+    "restoredFrom" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "comment_revisions_commentId_fkey" FOREIGN KEY ("commentId") REFERENCES "comments" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "comment_revisions_commentId_revision_key" ON "comment_revisions"("commentId", "revision");
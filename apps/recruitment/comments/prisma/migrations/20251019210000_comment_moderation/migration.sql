@@ -0,0 +1,43 @@
+-- AlterTable
+ALTER TABLE "comments" ADD COLUMN "isHidden" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "comments" ADD COLUMN "hiddenAt" DATETIME;
+ALTER TABLE "comments" ADD COLUMN "moderationStatus" TEXT;
+ALTER TABLE "comments" ADD COLUMN "reportCount" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "comment_reports" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "commentId" TEXT NOT NULL,
+    "reporterId" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "details" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "resolvedBy" TEXT,
+    "resolvedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "comment_reports_commentId_fkey" FOREIGN KEY ("commentId") REFERENCES "comments" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "moderation_decisions" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "commentId" TEXT NOT NULL,
+    "moderatorId" TEXT,
+    "action" TEXT NOT NULL,
+    "note" TEXT,
+    "reportCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "moderation_decisions_commentId_fkey" FOREIGN KEY ("commentId") REFERENCES "comments" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "comments_moderationStatus_reportCount_idx" ON "comments"("moderationStatus", "reportCount");
+
+-- CreateIndex
+CREATE INDEX "comment_reports_commentId_status_idx" ON "comment_reports"("commentId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "comment_reports_commentId_reporterId_key" ON "comment_reports"("commentId", "reporterId");
+
+-- CreateIndex
+CREATE INDEX "moderation_decisions_commentId_createdAt_idx" ON "moderation_decisions"("commentId", "createdAt");
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "comments" ADD COLUMN "deletedAt" DATETIME;
+ALTER TABLE "comments" ADD COLUMN "deletedBy" TEXT;
+
+-- Comments deleted before this migration start their retention period at
+-- their last update
+UPDATE "comments" SET "deletedAt" = "updatedAt" WHERE "isDeleted" = true;
+
+-- CreateIndex
+CREATE INDEX "comments_isDeleted_deletedAt_idx" ON "comments"("isDeleted", "deletedAt");
@@ -0,0 +1,36 @@
+-- AlterTable
+ALTER TABLE "comments" ADD COLUMN "hotScore" REAL NOT NULL DEFAULT 0;
+ALTER TABLE "comments" ADD COLUMN "controversyScore" REAL NOT NULL DEFAULT 0;
+
+-- Backfill the scores (see src/utils/rankingUtils.js). SQLite may be built
+-- without log10, so the hot score's vote part is rounded down to whole
+-- orders of magnitude here; it is recomputed on the comment's next reaction.
+UPDATE "comments" SET
+  "controversyScore" = CASE
+    WHEN "likes" <= 0 OR "dislikes" <= 0 THEN 0
+    ELSE ("likes" + "dislikes") * MIN("likes", "dislikes") * 1.0 / MAX("likes", "dislikes")
+  END,
+  "hotScore" = (
+    CASE
+      WHEN ABS("likes" - "dislikes") >= 100000 THEN 5
+      WHEN ABS("likes" - "dislikes") >= 10000 THEN 4
+      WHEN ABS("likes" - "dislikes") >= 1000 THEN 3
+      WHEN ABS("likes" - "dislikes") >= 100 THEN 2
+      WHEN ABS("likes" - "dislikes") >= 10 THEN 1
+      ELSE 0
+    END * (CASE WHEN "likes" < "dislikes" THEN -1 ELSE 1 END)
+  ) + (
+    CASE
+      WHEN typeof("createdAt") = 'integer' THEN "createdAt" / 1000.0
+      ELSE CAST(strftime('%s', "createdAt") AS REAL)
+    END - 1704067200
+  ) / 45000.0;
+
+-- CreateIndex
+CREATE INDEX "comments_likes_id_idx" ON "comments"("likes", "id");
+
+-- CreateIndex
+CREATE INDEX "comments_hotScore_id_idx" ON "comments"("hotScore", "id");
+
+-- CreateIndex
+CREATE INDEX "comments_controversyScore_id_idx" ON "comments"("controversyScore", "id");
@@ -1,4 +1,5 @@
 import { PrismaClient } from '@prisma/client';
+import { rankingScores } from '../src/utils/rankingUtils.js';
 
 const prisma = new PrismaClient();
 
@@ -65,6 +66,14 @@ async function main() {
     }
   });
 
+  // Seeded counters bypass reactions, so set the sort scores here
+  for (const comment of [comment1, comment2, comment3, comment4, comment5]) {
+    await prisma.comment.update({
+      where: { id: comment.id },
+      data: rankingScores(comment)
+    });
+  }
+
   console.log('✅ Comments created:');
   console.log(`   - ${comment1.text.substring(0, 50)}...`);
   console.log(`   - ${comment2.text.substring(0, 50)}...`);
@@ -14,6 +14,8 @@ export default {
   name: getEnv(currentDir, 'SERVICE_NAME', 'comments-api'),
   baseUrl: getEnv(currentDir, 'SERVICE_BASE_URL', 'http://localhost:3001'),
   basePath: getEnv(currentDir, 'SERVICE_BASE_PATH', '/part/recruitment/comments'),
+  // Path the service itself serves; the gateway rewrites basePath onto it
+  rewritePrefix: getEnv(currentDir, 'SERVICE_REWRITE_PREFIX', '/api/comments'),
   
   // Health Check Configuration
   healthCheckPath: '/health',
@@ -32,6 +34,8 @@ export default {
   authentication: {
     requireAuth: false,
     requireRoles: [],
+    // Machine clients may identify themselves with an API key instead of a JWT
+    authMethods: ['jwt', 'apiKey'],
   },
 
   // Route Definitions
@@ -96,6 +100,44 @@ export default {
     },
   ],
 
+  // Resources comments can be attached to (targetType values). A type may
+  // declare `read`/`write` rules with requireRoles and/or requirePermissions;
+  // each list passes when the user has any entry, and both must pass when
+  // both are given. Admins pass every rule; types without a rule are open.
+  commentTargets: {
+    candidate: {
+      description: 'Candidate profile',
+      read: { requirePermissions: [PERMISSIONS.READ_CANDIDATES] },
+      write: { requirePermissions: [PERMISSIONS.WRITE_CANDIDATES] },
+    },
+    job_posting: {
+      description: 'Job posting',
+    },
+    interview: {
+      description: 'Interview',
+      read: { requirePermissions: [PERMISSIONS.READ_INTERVIEWS] },
+      write: { requirePermissions: [PERMISSIONS.WRITE_INTERVIEWS] },
+    },
+  },
+
+  // Content reporting
+  moderation: {
+    // Distinct open reports after which a comment is hidden until a
+    // moderator decides
+    autoHideThreshold: getEnv(currentDir, 'MODERATION_AUTO_HIDE_THRESHOLD', 3, 'number'),
+  },
+
+  // Soft-deleted comments
+  retention: {
+    // Owners can restore a comment they deleted for this long; admins can
+    // restore until it is purged
+    restoreGraceMs: getEnv(currentDir, 'COMMENT_RESTORE_GRACE_MS', 86400000, 'number'),
+    // Deleted comments are permanently removed this long after deletion
+    retentionMs: getEnv(currentDir, 'COMMENT_RETENTION_MS', 2592000000, 'number'),
+    purgeEnabled: getEnv(currentDir, 'COMMENT_PURGE_ENABLED', true, 'boolean'),
+    purgeIntervalMs: getEnv(currentDir, 'COMMENT_PURGE_INTERVAL_MS', 3600000, 'number'),
+  },
+
   // Rate Limiting Configuration
   rateLimiting: {
     enabled: getEnv(currentDir, 'RATE_LIMIT_ENABLED', true, 'boolean'),
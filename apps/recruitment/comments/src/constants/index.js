@@ -4,6 +4,8 @@
 
 export {
   HTTP_STATUS,
+  USER_ROLES,
+  PERMISSIONS,
 } from '../../../../../packages/shared/constants/index.js';
 
 // Local Prisma error codes
@@ -24,6 +26,118 @@ export const DB_CONFIG = {
   DEFAULT_USER_ID: 'default-user-id',
 };
 
+export const REACTION_TYPES = {
+  LIKE: 'like',
+  DISLIKE: 'dislike',
+};
+
+// Counter column on Comment that mirrors each reaction type
+export const REACTION_COUNTER_FIELDS = {
+  [REACTION_TYPES.LIKE]: 'likes',
+  [REACTION_TYPES.DISLIKE]: 'dislikes',
+};
+
+export const THREAD_CONFIG = {
+  DEFAULT_MAX_DEPTH: 3,
+  MAX_DEPTH: 10,
+  DEFAULT_REPLY_LIMIT: 10,
+  MAX_REPLY_LIMIT: 50,
+  // Stable reply order so "load more" cursors never skip or repeat replies
+  REPLY_ORDER: [{ createdAt: 'asc' }, { id: 'asc' }],
+};
+
+// Sort modes of comment listings
+export const COMMENT_SORTS = {
+  NEWEST: 'newest',
+  OLDEST: 'oldest',
+  TOP: 'top',
+  CONTROVERSIAL: 'controversial',
+  HOT: 'hot',
+};
+
+// Column each sort mode orders by; ties are broken by id in the same
+// direction, so every listing has a total order for its cursors
+export const COMMENT_SORT_KEYS = {
+  [COMMENT_SORTS.NEWEST]: { field: 'createdAt', order: 'desc' },
+  [COMMENT_SORTS.OLDEST]: { field: 'createdAt', order: 'asc' },
+  [COMMENT_SORTS.TOP]: { field: 'likes', order: 'desc' },
+  [COMMENT_SORTS.CONTROVERSIAL]: { field: 'controversyScore', order: 'desc' },
+  [COMMENT_SORTS.HOT]: { field: 'hotScore', order: 'desc' },
+};
+
+export const LIST_CONFIG = {
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100,
+  DEFAULT_SORT: COMMENT_SORTS.OLDEST,
+};
+
+export const RANKING_CONFIG = {
+  // Start of the hot score's time scale (2024-01-01T00:00:00Z)
+  HOT_EPOCH_SECONDS: 1704067200,
+  // Age difference worth a tenfold difference in net votes (12.5 hours)
+  HOT_DECAY_SECONDS: 45000,
+};
+
+// Segment types of a word-level revision diff
+export const DIFF_CHANGE_TYPES = {
+  EQUAL: 'equal',
+  ADDED: 'added',
+  REMOVED: 'removed',
+};
+
+export const REPORT_REASONS = {
+  SPAM: 'spam',
+  HARASSMENT: 'harassment',
+  HATE_SPEECH: 'hate_speech',
+  PERSONAL_DATA: 'personal_data',
+  OFF_TOPIC: 'off_topic',
+  OTHER: 'other',
+};
+
+export const REPORT_STATUSES = {
+  OPEN: 'open',
+  DISMISSED: 'dismissed',
+  UPHELD: 'upheld',
+};
+
+// Decisions a moderator can take; AUTO_HIDE is recorded by the service
+export const MODERATION_ACTIONS = {
+  APPROVE: 'approve',
+  REJECT: 'reject',
+  HIDE: 'hide',
+  RESTORE: 'restore',
+  AUTO_HIDE: 'auto_hide',
+};
+
+export const MODERATION_STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  HIDDEN: 'hidden',
+  REJECTED: 'rejected',
+};
+
+export const MODERATION_CONFIG = {
+  // Distinct open reports after which a comment is hidden pending review
+  DEFAULT_AUTO_HIDE_THRESHOLD: 3,
+  REPORT_DETAILS_MAX_LENGTH: 500,
+  NOTE_MAX_LENGTH: 500,
+};
+
+export const RETENTION_CONFIG = {
+  // How long owners can restore a comment they deleted themselves
+  DEFAULT_RESTORE_GRACE_MS: 24 * 60 * 60 * 1000,
+  // How long deleted comments are kept before the purge job removes them
+  DEFAULT_RETENTION_MS: 30 * 24 * 60 * 60 * 1000,
+  DEFAULT_PURGE_INTERVAL_MS: 60 * 60 * 1000,
+  PURGE_BATCH_SIZE: 500,
+};
+
+// Access rules a comment target type can declare in service.config.js
+export const TARGET_ACTIONS = {
+  READ: 'read',
+  WRITE: 'write',
+};
+
 export const API_MESSAGES = {
   SUCCESS: {
     COMMENTS_RETRIEVED: 'Comments retrieved successfully',
@@ -32,9 +146,44 @@ export const API_MESSAGES = {
     COMMENT_DELETED: 'Comment deleted successfully',
     COMMENT_LIKED: 'Comment liked successfully',
     COMMENT_DISLIKED: 'Comment disliked successfully',
+    REACTION_REMOVED: 'Reaction removed successfully',
+    THREAD_RETRIEVED: 'Comment thread retrieved successfully',
+    COMMENT_COUNT_RETRIEVED: 'Comment count retrieved successfully',
+    REVISIONS_RETRIEVED: 'Comment revisions retrieved successfully',
+    REVISION_DIFF_RETRIEVED: 'Revision diff retrieved successfully',
+    REVISION_RESTORED: 'Comment revision restored successfully',
+    COMMENT_REPORTED: 'Comment reported successfully',
+    MODERATION_QUEUE_RETRIEVED: 'Moderation queue retrieved successfully',
+    COMMENT_MODERATED: 'Moderation decision recorded successfully',
+    MODERATION_HISTORY_RETRIEVED: 'Moderation history retrieved successfully',
+    COMMENT_RESTORED: 'Comment restored successfully',
+    COMMENT_PURGED: 'Comment permanently deleted',
   },
   ERROR: {
     COMMENT_NOT_FOUND: 'Comment not found',
+    INVALID_CURSOR: 'Invalid pagination cursor',
+    CURSOR_CONFLICT: 'Use either after or before, not both',
+    INVALID_SORT: 'Unknown sort mode',
+    REVISION_NOT_FOUND: 'Comment revision not found',
+    COMMENT_EDITED_CONCURRENTLY: 'Comment was edited concurrently, retry',
+    ALREADY_REPORTED: 'You have already reported this comment',
+    CANNOT_REPORT_OWN_COMMENT: 'You cannot report your own comment',
+    CANNOT_REPORT_DELETED: 'Cannot report deleted comment',
+    REPORT_DETAILS_REQUIRED: 'details are required when the reason is other',
+    CANNOT_MODERATE_DELETED: 'Cannot moderate deleted comment',
+    COMMENT_NOT_HIDDEN: 'Only hidden comments can be restored',
+    COMMENT_ALREADY_DELETED: 'Comment is already deleted',
+    COMMENT_NOT_DELETED: 'Only deleted comments can be restored',
+    RESTORE_NOT_ALLOWED: 'Not authorized to restore this comment',
+    RESTORE_WINDOW_EXPIRED: 'The restore window for this comment has passed',
+    CANNOT_REPLY_TO_DELETED: 'Cannot reply to deleted comment',
+    UNKNOWN_TARGET_TYPE: 'Unknown comment target type',
+    TARGET_TYPE_REQUIRED: 'targetType is required',
+    TARGET_ID_REQUIRED: 'targetId is required',
+    PARENT_NOT_FOUND: 'Parent comment not found',
+    REPLY_TARGET_MISMATCH: "A reply belongs to its parent comment's target",
+    TARGET_AUTH_REQUIRED: 'Authentication required for comments on this target type',
+    TARGET_ACCESS_DENIED: 'Insufficient permissions for comments on this target type',
   },
 };
 
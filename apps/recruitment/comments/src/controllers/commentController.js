@@ -50,21 +50,375 @@ export class CommentController extends BaseController {
    * Update a comment
    */
   async updateComment(req, res) {
-    return this.updateRecord(req, res, 'updateComment');
+    return this.updateRecord(req, res, 'updateComment', req.user || null);
   }
 
   /**
    * Delete a comment (soft delete)
    */
   async deleteComment(req, res) {
-    return this.deleteRecord(req, res, 'deleteComment');
+    return this.deleteRecord(req, res, 'deleteComment', req.user || null);
   }
 
   /**
    * Get comment by ID
    */
   async getCommentById(req, res) {
-    return this.getRecordById(req, res, 'getCommentById');
+    return this.getRecordById(req, res, 'getCommentForViewer', {
+      viewerId: req.user?.id || null,
+      userContext: req.user || null,
+    });
+  }
+
+  /**
+   * Get a comment with its nested replies
+   */
+  async getCommentThread(req, res) {
+    try {
+      const { id } = req.params;
+      const thread = await this.service.getCommentThread(id, {
+        ...req.query,
+        viewerId: req.user?.id || null,
+        userContext: req.user || null,
+      });
+
+      this.logger.info(API_MESSAGES.SUCCESS.THREAD_RETRIEVED, {
+        commentId: id,
+        replyCount: thread.replyCount,
+      });
+
+      return res
+        .status(HTTP_STATUS.OK)
+        .json(
+          successResponse(
+            thread,
+            API_MESSAGES.SUCCESS.THREAD_RETRIEVED,
+            HTTP_STATUS.OK
+          )
+        );
+    } catch (error) {
+      this.logger.error(
+        'Failed to retrieve comment thread',
+        { commentId: req.params.id },
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * List the revisions of a comment's text
+   */
+  async getCommentRevisions(req, res) {
+    try {
+      const { id } = req.params;
+      const result = await this.service.getCommentRevisions(
+        id,
+        req.user || null
+      );
+
+      this.logger.info(API_MESSAGES.SUCCESS.REVISIONS_RETRIEVED, {
+        commentId: id,
+        revisionCount: result.revisions.length,
+      });
+
+      return res
+        .status(HTTP_STATUS.OK)
+        .json(
+          successResponse(
+            result,
+            API_MESSAGES.SUCCESS.REVISIONS_RETRIEVED,
+            HTTP_STATUS.OK
+          )
+        );
+    } catch (error) {
+      this.logger.error(
+        'Failed to retrieve comment revisions',
+        { commentId: req.params.id },
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Word-level diff between two revisions of a comment
+   */
+  async getRevisionDiff(req, res) {
+    try {
+      const { id } = req.params;
+      const { from, to } = req.query;
+      const diff = await this.service.getRevisionDiff(
+        id,
+        { from, to },
+        req.user || null
+      );
+
+      this.logger.info(API_MESSAGES.SUCCESS.REVISION_DIFF_RETRIEVED, {
+        commentId: id,
+        from: diff.from,
+        to: diff.to,
+      });
+
+      return res
+        .status(HTTP_STATUS.OK)
+        .json(
+          successResponse(
+            diff,
+            API_MESSAGES.SUCCESS.REVISION_DIFF_RETRIEVED,
+            HTTP_STATUS.OK
+          )
+        );
+    } catch (error) {
+      this.logger.error(
+        'Failed to diff comment revisions',
+        { commentId: req.params.id, query: req.query },
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Restore an earlier revision of a comment (admin)
+   */
+  async restoreRevision(req, res) {
+    try {
+      const { id, revision } = req.params;
+      const comment = await this.service.restoreRevision(
+        id,
+        revision,
+        req.user
+      );
+
+      this.logger.info(API_MESSAGES.SUCCESS.REVISION_RESTORED, {
+        commentId: id,
+        revision,
+        userId: req.user?.id,
+      });
+
+      return res
+        .status(HTTP_STATUS.OK)
+        .json(
+          successResponse(
+            comment,
+            API_MESSAGES.SUCCESS.REVISION_RESTORED,
+            HTTP_STATUS.OK
+          )
+        );
+    } catch (error) {
+      this.logger.error(
+        'Failed to restore comment revision',
+        { commentId: req.params.id, revision: req.params.revision },
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a soft-deleted comment
+   */
+  async restoreComment(req, res) {
+    try {
+      const { id } = req.params;
+      const comment = await this.service.restoreComment(id, req.user);
+
+      this.logger.info(API_MESSAGES.SUCCESS.COMMENT_RESTORED, {
+        commentId: id,
+        userId: req.user?.id,
+      });
+
+      return res
+        .status(HTTP_STATUS.OK)
+        .json(
+          successResponse(
+            comment,
+            API_MESSAGES.SUCCESS.COMMENT_RESTORED,
+            HTTP_STATUS.OK
+          )
+        );
+    } catch (error) {
+      this.logger.error(
+        'Failed to restore comment',
+        { commentId: req.params.id },
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete a comment and its replies
+   */
+  async hardDeleteComment(req, res) {
+    try {
+      const { id } = req.params;
+      const result = await this.service.hardDeleteComment(id);
+
+      this.logger.info(API_MESSAGES.SUCCESS.COMMENT_PURGED, {
+        commentId: id,
+        deletedCount: result.deletedCount,
+        userId: req.user?.id,
+      });
+
+      return res
+        .status(HTTP_STATUS.OK)
+        .json(
+          successResponse(
+            result,
+            API_MESSAGES.SUCCESS.COMMENT_PURGED,
+            HTTP_STATUS.OK
+          )
+        );
+    } catch (error) {
+      this.logger.error(
+        'Failed to permanently delete comment',
+        { commentId: req.params.id },
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Report a comment for moderation
+   */
+  async reportComment(req, res) {
+    try {
+      const { id } = req.params;
+      const result = await this.service.reportComment(id, req.body, req.user);
+
+      this.logger.info(API_MESSAGES.SUCCESS.COMMENT_REPORTED, {
+        commentId: id,
+        userId: req.user?.id,
+        reason: result.report.reason,
+        reportCount: result.comment.reportCount,
+        isHidden: result.comment.isHidden,
+      });
+
+      return res
+        .status(HTTP_STATUS.CREATED)
+        .json(
+          successResponse(
+            result,
+            API_MESSAGES.SUCCESS.COMMENT_REPORTED,
+            HTTP_STATUS.CREATED
+          )
+        );
+    } catch (error) {
+      this.logger.error(
+        'Failed to report comment',
+        { commentId: req.params.id, userId: req.user?.id },
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Reported comments waiting for a moderator
+   */
+  async getModerationQueue(req, res) {
+    try {
+      const queue = await this.service.getModerationQueue(req.query);
+
+      this.logger.info(API_MESSAGES.SUCCESS.MODERATION_QUEUE_RETRIEVED, {
+        userId: req.user?.id,
+        total: queue.pagination.total,
+      });
+
+      return res
+        .status(HTTP_STATUS.OK)
+        .json(
+          successResponse(
+            queue,
+            API_MESSAGES.SUCCESS.MODERATION_QUEUE_RETRIEVED,
+            HTTP_STATUS.OK
+          )
+        );
+    } catch (error) {
+      this.logger.error(
+        'Failed to retrieve moderation queue',
+        { query: req.query, userId: req.user?.id },
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Approve, reject, hide or restore a comment
+   */
+  async moderateComment(req, res) {
+    try {
+      const { id, action } = req.params;
+      const comment = await this.service.moderateComment(
+        id,
+        action,
+        req.body || {},
+        req.user
+      );
+
+      this.logger.info(API_MESSAGES.SUCCESS.COMMENT_MODERATED, {
+        commentId: id,
+        action,
+        moderatorId: req.user?.id,
+      });
+
+      return res
+        .status(HTTP_STATUS.OK)
+        .json(
+          successResponse(
+            comment,
+            API_MESSAGES.SUCCESS.COMMENT_MODERATED,
+            HTTP_STATUS.OK
+          )
+        );
+    } catch (error) {
+      this.logger.error(
+        'Failed to moderate comment',
+        {
+          commentId: req.params.id,
+          action: req.params.action,
+          moderatorId: req.user?.id,
+        },
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Reports and moderation decisions of a comment
+   */
+  async getModerationHistory(req, res) {
+    try {
+      const { id } = req.params;
+      const history = await this.service.getModerationHistory(id);
+
+      this.logger.info(API_MESSAGES.SUCCESS.MODERATION_HISTORY_RETRIEVED, {
+        commentId: id,
+        decisions: history.moderationDecisions.length,
+      });
+
+      return res
+        .status(HTTP_STATUS.OK)
+        .json(
+          successResponse(
+            history,
+            API_MESSAGES.SUCCESS.MODERATION_HISTORY_RETRIEVED,
+            HTTP_STATUS.OK
+          )
+        );
+    } catch (error) {
+      this.logger.error(
+        'Failed to retrieve moderation history',
+        { commentId: req.params.id },
+        error
+      );
+      throw error;
+    }
   }
 
   /**
@@ -78,36 +432,40 @@ export class CommentController extends BaseController {
    * Get comment statistics
    */
   async getCommentStats(req, res) {
-    return this.getStats(req, res, 'getCommentStats');
+    const { targetType, targetId } = req.query;
+    return this.getStats(req, res, 'getCommentStats', {
+      targetType,
+      targetId,
+      userContext: req.user || null,
+    });
   }
 
   /**
-   * Like a comment
+   * Count the comments on a target type or resource
    */
-  async likeComment(req, res) {
+  async countComments(req, res) {
     try {
-      const { id } = req.params;
-      const { likes, dislikes } = await this.service.likeComment(id);
+      const { targetType, targetId } = req.query;
+      const result = await this.service.countComments(
+        { targetType, targetId },
+        req.user || null
+      );
 
-      this.logger.info(API_MESSAGES.SUCCESS.COMMENT_LIKED, {
-        commentId: id,
-        likes,
-        dislikes,
-      });
+      this.logger.info(API_MESSAGES.SUCCESS.COMMENT_COUNT_RETRIEVED, result);
 
       return res
         .status(HTTP_STATUS.OK)
         .json(
           successResponse(
-            { id, likes, dislikes },
-            API_MESSAGES.SUCCESS.COMMENT_LIKED,
+            result,
+            API_MESSAGES.SUCCESS.COMMENT_COUNT_RETRIEVED,
             HTTP_STATUS.OK
           )
         );
     } catch (error) {
       this.logger.error(
-        'Failed to like comment',
-        { commentId: req.params.id },
+        'Failed to count comments',
+        { query: req.query, userId: req.user?.id },
         error
       );
       throw error;
@@ -115,35 +473,86 @@ export class CommentController extends BaseController {
   }
 
   /**
-   * Dislike a comment
+   * Like a comment (toggles off when already liked)
+   */
+  async likeComment(req, res) {
+    return this.handleReaction(
+      req,
+      res,
+      'likeComment',
+      API_MESSAGES.SUCCESS.COMMENT_LIKED
+    );
+  }
+
+  /**
+   * Dislike a comment (toggles off when already disliked)
    */
   async dislikeComment(req, res) {
+    return this.handleReaction(
+      req,
+      res,
+      'dislikeComment',
+      API_MESSAGES.SUCCESS.COMMENT_DISLIKED
+    );
+  }
+
+  /**
+   * Remove the caller's reaction from a comment
+   */
+  async removeReaction(req, res) {
+    return this.handleReaction(
+      req,
+      res,
+      'removeReaction',
+      API_MESSAGES.SUCCESS.REACTION_REMOVED
+    );
+  }
+
+  /**
+   * Run a reaction service method and respond with the updated counters
+   */
+  async handleReaction(req, res, methodName, message) {
     try {
       const { id } = req.params;
-      const { likes, dislikes } = await this.service.dislikeComment(id);
+      const { likes, dislikes, userReaction } = await this.service[methodName](
+        id,
+        req.user
+      );
 
-      this.logger.info(API_MESSAGES.SUCCESS.COMMENT_DISLIKED, {
+      this.logger.info(message, {
         commentId: id,
+        userId: req.user?.id,
         likes,
         dislikes,
+        userReaction,
       });
 
       return res
         .status(HTTP_STATUS.OK)
         .json(
           successResponse(
-            { id, likes, dislikes },
-            API_MESSAGES.SUCCESS.COMMENT_DISLIKED,
+            { id, likes, dislikes, userReaction },
+            message,
             HTTP_STATUS.OK
           )
         );
     } catch (error) {
       this.logger.error(
-        'Failed to dislike comment',
-        { commentId: req.params.id },
+        `Failed to run ${methodName}`,
+        { commentId: req.params.id, userId: req.user?.id },
         error
       );
       throw error;
     }
   }
+
+  /**
+   * Attach the caller as the viewer so list responses carry their reactions
+   */
+  extractQueryParams(req) {
+    return {
+      ...super.extractQueryParams(req),
+      viewerId: req.user?.id || null,
+    };
+  }
 }
@@ -9,6 +9,8 @@ export default async function commentsAuthPlugin(fastify, options) {
   // Register the shared auth plugin
   await fastify.register(sharedAuthPlugin, {
     jwtSecret: process.env.JWT_SECRET,
+    // Set to the gateway's /.well-known/jwks.json when it signs with RS256/ES256
+    jwksUrl: process.env.JWT_JWKS_URL,
     skipRoutes: ['/health', '/'],
   });
 }
\ No newline at end of file
@@ -6,11 +6,43 @@
 import { BaseRepository } from '../../../../../packages/shared/repositories/index.js';
 import { prisma } from '../clients/index.js';
 import { DatabaseError, NotFoundError } from '../../../../../packages/shared/utils/index.js';
-import { LOG_CONTEXTS, PRISMA_ERROR_CODES, DB_CONFIG } from '../constants/index.js';
+import {
+  LOG_CONTEXTS,
+  PRISMA_ERROR_CODES,
+  DB_CONFIG,
+  COMMENT_SORT_KEYS,
+  LIST_CONFIG,
+  REACTION_TYPES,
+  API_MESSAGES,
+  MODERATION_ACTIONS,
+  MODERATION_STATUSES,
+  REPORT_STATUSES,
+  RETENTION_CONFIG,
+} from '../constants/index.js';
 import {
   BusinessLogicError,
+  ConflictError,
   ValidationError,
 } from '../../../../../packages/shared/utils/errors.js';
+import {
+  resolveReactionChange,
+  viewerReactionSelect,
+  withUserReaction,
+} from '../utils/reactionUtils.js';
+import {
+  afterCursorWhere,
+  encodeSortCursor,
+  sortCursorWhere,
+  sortOrderBy,
+} from '../utils/cursorUtils.js';
+import { rankingScores } from '../utils/rankingUtils.js';
+import { buildThreadSelect, toThreadNode } from '../utils/threadUtils.js';
+import { targetVisibilityWhere, targetWhere } from '../utils/targetUtils.js';
+import { originalRevision } from '../utils/revisionUtils.js';
+import {
+  resolveModerationAction,
+  shouldAutoHide,
+} from '../utils/moderationUtils.js';
 
 export class CommentRepository extends BaseRepository {
   constructor() {
@@ -26,32 +58,43 @@ export class CommentRepository extends BaseRepository {
   async getComments(options = {}) {
     try {
       const {
-        page = 1,
-        limit = 20,
+        limit = LIST_CONFIG.DEFAULT_LIMIT,
+        sort = LIST_CONFIG.DEFAULT_SORT,
+        after = null, // Decoded cursor: the page following this comment
+        before = null, // Decoded cursor: the page preceding this comment
         parentId = null,
         includeDeleted = false,
         userId = null, // Filter by user for private data
         isPublic = false, // Flag for public vs private access
+        viewerId = null, // Caller whose own reaction is attached to each comment
+        tree = false, // Return root comments with nested reply trees
+        maxDepth,
+        replyLimit,
+        targetType, // Only comments attached to this target type
+        targetId, // ...and, with targetType, to this resource
+        hiddenTargetTypes = [], // Target types the caller may not read
       } = options;
       
-      const where = {};
-      if (parentId !== null) where.parentId = parentId;
+      const where = this.buildTargetWhere({
+        targetType,
+        targetId,
+        hiddenTargetTypes,
+      });
+      if (tree) where.parentId = parentId ?? null;
+      else if (parentId !== null) where.parentId = parentId;
       if (!includeDeleted) where[DB_CONFIG.SOFT_DELETE_FIELD] = false;
+      // Hidden by moderation until a moderator decides
+      where.isHidden = false;
       
       // User data isolation: only show user's own comments for private access
       if (!isPublic && userId) {
         where.userId = userId;
       }
 
-      const skip = (page - 1) * limit;
-      const [comments, total] = await Promise.all([
-        this.prisma.comment.findMany({
-          where,
-          skip,
-          take: limit,
-          orderBy: { createdAt: 'asc' },
-          // Include user info for public comments but hide sensitive data
-          select: {
+      // Include user info for public comments but hide sensitive data
+      const select = tree
+        ? buildThreadSelect(maxDepth, { replyLimit, viewerId, isPublic })
+        : {
             id: true,
             text: true,
             likes: true,
@@ -59,24 +102,62 @@ export class CommentRepository extends BaseRepository {
             createdAt: true,
             updatedAt: true,
             parentId: true,
+            targetType: true,
+            targetId: true,
+            edited: true,
+            editedAt: true,
             userId: isPublic ? false : true, // Hide userId in public access
             deletedAt: true,
-          }
+            reactions: viewerReactionSelect(viewerId),
+          };
+      // Cursors are built from the sort key
+      select[COMMENT_SORT_KEYS[sort].field] = true;
+
+      // Keyset pagination: a `before` page walks the order backwards from
+      // the cursor and is flipped back afterwards. One extra row tells
+      // whether there is more in that direction.
+      const position = before ?? after;
+      const [rows, total] = await Promise.all([
+        this.prisma.comment.findMany({
+          where: position
+            ? { AND: [where, sortCursorWhere(sort, position, !!before)] }
+            : where,
+          take: limit + 1,
+          orderBy: sortOrderBy(sort, !!before),
+          select,
         }),
         this.prisma.comment.count({ where }),
       ]);
+      const hasMore = rows.length > limit;
+      const comments = rows.slice(0, limit);
+      if (before) comments.reverse();
+      const hasNext = before ? true : hasMore;
+      const hasPrev = before ? hasMore : !!after;
 
       return {
-        comments,
+        comments: tree
+          ? comments.map(comment => toThreadNode(comment, replyLimit))
+          : comments.map(withUserReaction),
         pagination: {
-          page,
           limit,
           total,
-          totalPages: Math.ceil(total / limit),
+          hasNext,
+          hasPrev,
+          nextCursor:
+            hasNext && comments.length > 0
+              ? encodeSortCursor(sort, comments[comments.length - 1])
+              : null,
+          prevCursor:
+            hasPrev && comments.length > 0
+              ? encodeSortCursor(sort, comments[0])
+              : null,
         },
         meta: {
+          sort,
           isPublic,
-          filteredByUser: !isPublic && !!userId
+          filteredByUser: !isPublic && !!userId,
+          ...(targetType && { targetType, targetId: targetId ?? null }),
+          ...(tree && { tree, maxDepth, replyLimit }),
         }
       };
     } catch (error) {
@@ -89,7 +170,7 @@ export class CommentRepository extends BaseRepository {
 
   async getAllComments(parentId = null, includeDeleted = false, options = {}) {
     try {
-      const { userId = null, isPublic = false } = options;
+      const { userId = null, isPublic = false, viewerId = null } = options;
       
       const where = {};
       if (parentId) where.parentId = parentId;
@@ -100,7 +181,7 @@ export class CommentRepository extends BaseRepository {
         where.userId = userId;
       }
       
-      return await this.prisma.comment.findMany({
+      const comments = await this.prisma.comment.findMany({
         where,
         orderBy: { createdAt: 'desc' },
         select: {
@@ -113,8 +194,10 @@ export class CommentRepository extends BaseRepository {
           parentId: true,
           userId: isPublic ? false : true, // Hide userId in public access
           deletedAt: true,
+          reactions: viewerReactionSelect(viewerId),
         }
       });
+      return comments.map(withUserReaction);
     } catch (error) {
       this.logger.error(
         'Failed to retrieve comments',
@@ -125,9 +208,18 @@ export class CommentRepository extends BaseRepository {
     }
   }
 
-  async getCommentById(id) {
+  async getCommentById(id, options = {}) {
     try {
-      return await this.prisma.comment.findUnique({ where: { id } });
+      const { viewerId = null } = options;
+      if (!viewerId) {
+        return await this.prisma.comment.findUnique({ where: { id } });
+      }
+
+      const comment = await this.prisma.comment.findUnique({
+        where: { id },
+        include: { reactions: viewerReactionSelect(viewerId) },
+      });
+      return withUserReaction(comment);
     } catch (error) {
       this.logger.error(
         'Failed to retrieve comment by ID',
@@ -140,11 +232,57 @@ export class CommentRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Load a comment with its nested replies
+   * @param {string} id - Root comment ID
+   * @param {Object} options - { maxDepth, replyLimit, viewerId, cursor }
+   * @param {Object|null} options.cursor - Decoded cursor; only the root's
+   *   direct replies after it are returned
+   * @returns {Object|null} Thread node, or null when the comment does not exist
+   */
+  async getCommentThread(id, options = {}) {
+    try {
+      const {
+        maxDepth,
+        replyLimit,
+        viewerId = null,
+        cursor = null,
+        isPublic = false, // Hide author ids from anonymous viewers
+      } = options;
+
+      const comment = await this.prisma.comment.findUnique({
+        where: { id },
+        select: buildThreadSelect(maxDepth, {
+          replyLimit,
+          viewerId,
+          isPublic,
+          repliesWhere: cursor ? afterCursorWhere(cursor) : undefined,
+        }),
+      });
+      return comment ? toThreadNode(comment, replyLimit) : null;
+    } catch (error) {
+      this.logger.error(
+        'Failed to retrieve comment thread',
+        { commentId: id, options },
+        error
+      );
+      throw new DatabaseError(
+        `Failed to retrieve comment thread: ${error.message}`,
+        { commentId: id }
+      );
+    }
+  }
+
   async createComment(commentData, userId) {
     let parentId = null;
     let text = '';
     try {
-      const { text: commentText, parentId: commentParentId } = commentData;
+      const {
+        text: commentText,
+        parentId: commentParentId,
+        targetType = null,
+        targetId = null,
+      } = commentData;
       text = commentText;
       parentId = commentParentId;
 
@@ -157,8 +295,17 @@ export class CommentRepository extends BaseRepository {
         throw new ValidationError('Parent ID must be a string');
       }
 
+      const createdAt = new Date();
       return await this.prisma.comment.create({
-        data: { text: text.trim(), userId, parentId: parentId || null },
+        data: {
+          text: text.trim(),
+          userId,
+          parentId: parentId || null,
+          targetType,
+          targetId,
+          createdAt,
+          ...rankingScores({ likes: 0, dislikes: 0, createdAt }),
+        },
       });
     } catch (error) {
       if (error instanceof ValidationError) throw error;
@@ -183,25 +330,29 @@ export class CommentRepository extends BaseRepository {
         );
       }
 
-      const existingComment = await this.prisma.comment.findUnique({
-        where: { id },
-      });
-      if (!existingComment)
-        throw new NotFoundError(`Comment with ID '${id}' not found`, {
-          commentId: id,
-        });
-      if (userId && existingComment.userId !== userId)
-        throw new BusinessLogicError('Not authorized to update this comment', {
-          commentId: id,
-        });
-      if (existingComment[DB_CONFIG.SOFT_DELETE_FIELD])
-        throw new BusinessLogicError('Cannot update deleted comment', {
-          commentId: id,
+      return await this.prisma.$transaction(async tx => {
+        const existingComment = await tx.comment.findUnique({
+          where: { id },
         });
+        if (!existingComment)
+          throw new NotFoundError(`Comment with ID '${id}' not found`, {
+            commentId: id,
+          });
+        if (userId && existingComment.userId !== userId)
+          throw new BusinessLogicError(
+            'Not authorized to update this comment',
+            { commentId: id }
+          );
+        if (existingComment[DB_CONFIG.SOFT_DELETE_FIELD])
+          throw new BusinessLogicError('Cannot update deleted comment', {
+            commentId: id,
+          });
 
-      return await this.prisma.comment.update({
-        where: { id },
-        data: { text: newText.trim(), updatedAt: new Date() },
+        const text = newText.trim();
+        if (text === existingComment.text) return existingComment;
+        return this.reviseComment(tx, existingComment, text, {
+          editedBy: userId || existingComment.userId,
+        });
       });
     } catch (error) {
       if (
@@ -210,6 +361,12 @@ export class CommentRepository extends BaseRepository {
         error instanceof BusinessLogicError
       )
         throw error;
+      if (error.code === PRISMA_ERROR_CODES.UNIQUE_CONSTRAINT) {
+        throw new ConflictError(
+          API_MESSAGES.ERROR.COMMENT_EDITED_CONCURRENTLY,
+          { commentId: id }
+        );
+      }
       this.logger.error('Failed to update comment', { commentId: id }, error);
       throw new DatabaseError(`Failed to update comment: ${error.message}`, {
         commentId: id,
@@ -217,11 +374,139 @@ export class CommentRepository extends BaseRepository {
     }
   }
 
-  async deleteComment(id) {
+  /**
+   * Store a new revision and make its text the comment's current text.
+   * The original text is stored as revision 1 on the first edit.
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} comment - Current comment row
+   * @param {string} text - New text
+   * @param {Object} revision - { editedBy, restoredFrom }
+   * @returns {Object} Updated comment
+   */
+  async reviseComment(tx, comment, text, { editedBy, restoredFrom = null }) {
+    const latest = await tx.commentRevision.findFirst({
+      where: { commentId: comment.id },
+      orderBy: { revision: 'desc' },
+      select: { revision: true },
+    });
+    if (!latest) {
+      await tx.commentRevision.create({ data: originalRevision(comment) });
+    }
+
+    const editedAt = new Date();
+    await tx.commentRevision.create({
+      data: {
+        commentId: comment.id,
+        revision: (latest?.revision ?? 1) + 1,
+        text,
+        editedBy,
+        restoredFrom,
+        createdAt: editedAt,
+      },
+    });
+    return tx.comment.update({
+      where: { id: comment.id },
+      data: { text, edited: true, editedAt },
+    });
+  }
+
+  /**
+   * All revisions of a comment, oldest first
+   * @param {string} id - Comment ID
+   * @returns {Object[]} Empty when the comment was never edited
+   */
+  async getRevisions(id) {
+    try {
+      return await this.prisma.commentRevision.findMany({
+        where: { commentId: id },
+        orderBy: { revision: 'asc' },
+      });
+    } catch (error) {
+      this.logger.error(
+        'Failed to retrieve comment revisions',
+        { commentId: id },
+        error
+      );
+      throw new DatabaseError(
+        `Failed to retrieve comment revisions: ${error.message}`,
+        { commentId: id }
+      );
+    }
+  }
+
+  /**
+   * Make an earlier revision's text current again, as a new revision
+   * @param {string} id - Comment ID
+   * @param {number} revision - Revision to restore
+   * @param {string} userId - Admin restoring it
+   * @returns {Object} Updated comment
+   */
+  async restoreRevision(id, revision, userId) {
+    try {
+      return await this.prisma.$transaction(async tx => {
+        const comment = await tx.comment.findUnique({ where: { id } });
+        if (!comment)
+          throw new NotFoundError(`Comment with ID '${id}' not found`, {
+            commentId: id,
+          });
+        if (comment[DB_CONFIG.SOFT_DELETE_FIELD])
+          throw new BusinessLogicError('Cannot update deleted comment', {
+            commentId: id,
+          });
+
+        const restored = await tx.commentRevision.findUnique({
+          where: { commentId_revision: { commentId: id, revision } },
+        });
+        if (!restored)
+          throw new NotFoundError(API_MESSAGES.ERROR.REVISION_NOT_FOUND, {
+            commentId: id,
+            revision,
+          });
+
+        if (restored.text === comment.text) return comment;
+        return this.reviseComment(tx, comment, restored.text, {
+          editedBy: userId,
+          restoredFrom: revision,
+        });
+      });
+    } catch (error) {
+      if (
+        error instanceof NotFoundError ||
+        error instanceof BusinessLogicError
+      )
+        throw error;
+      if (error.code === PRISMA_ERROR_CODES.UNIQUE_CONSTRAINT) {
+        throw new ConflictError(
+          API_MESSAGES.ERROR.COMMENT_EDITED_CONCURRENTLY,
+          { commentId: id }
+        );
+      }
+      this.logger.error(
+        'Failed to restore comment revision',
+        { commentId: id, revision },
+        error
+      );
+      throw new DatabaseError(
+        `Failed to restore comment revision: ${error.message}`,
+        { commentId: id }
+      );
+    }
+  }
+
+  /**
+   * Soft-delete a comment, recording who deleted it and when
+   * @param {string} id - Comment ID
+   * @param {string|null} deletedBy - Deleting user
+   */
+  async deleteComment(id, deletedBy = null) {
     try {
       return await this.prisma.comment.update({
         where: { id },
-        data: { [DB_CONFIG.SOFT_DELETE_FIELD]: true },
+        data: {
+          [DB_CONFIG.SOFT_DELETE_FIELD]: true,
+          deletedAt: new Date(),
+          deletedBy,
+        },
       });
     } catch (error) {
       if (error.code === PRISMA_ERROR_CODES.RECORD_NOT_FOUND) {
@@ -237,87 +522,535 @@ export class CommentRepository extends BaseRepository {
     }
   }
 
-  async getCommentStats() {
+  /**
+   * Undo a soft delete
+   * @param {string} id - Comment ID
+   * @returns {Object} Restored comment
+   */
+  async restoreComment(id) {
     try {
-      const [totalComments, totalLikes, totalDislikes] = await Promise.all([
-        this.prisma.comment.count({
-          where: { [DB_CONFIG.SOFT_DELETE_FIELD]: false },
-        }),
-        this.prisma.comment.aggregate({
-          where: { [DB_CONFIG.SOFT_DELETE_FIELD]: false },
-          _sum: { likes: true },
-        }),
-        this.prisma.comment.aggregate({
-          where: { [DB_CONFIG.SOFT_DELETE_FIELD]: false },
-          _sum: { dislikes: true },
-        }),
-      ]);
+      return await this.prisma.comment.update({
+        where: { id },
+        data: {
+          [DB_CONFIG.SOFT_DELETE_FIELD]: false,
+          deletedAt: null,
+          deletedBy: null,
+        },
+      });
+    } catch (error) {
+      if (error.code === PRISMA_ERROR_CODES.RECORD_NOT_FOUND) {
+        throw new NotFoundError(`Comment with ID '${id}' not found`, {
+          commentId: id,
+        });
+      }
+      this.logger.error('Failed to restore comment', { commentId: id }, error);
+      throw new DatabaseError(`Failed to restore comment: ${error.message}`, {
+        commentId: id,
+      });
+    }
+  }
+
+  /**
+   * Permanently delete a comment with all its replies. Reactions,
+   * revisions, reports and moderation decisions go with them.
+   * @param {string} id - Comment ID
+   * @returns {{ id: string, deletedCount: number }}
+   */
+  async hardDeleteComment(id) {
+    try {
+      return await this.prisma.$transaction(async tx => {
+        const comment = await tx.comment.findUnique({
+          where: { id },
+          select: { id: true },
+        });
+        if (!comment)
+          throw new NotFoundError(`Comment with ID '${id}' not found`, {
+            commentId: id,
+          });
+
+        // Replies only lose their parent when it is deleted, so collect the
+        // whole subtree level by level
+        const ids = [id];
+        let level = [id];
+        while (level.length > 0) {
+          const replies = await tx.comment.findMany({
+            where: { parentId: { in: level } },
+            select: { id: true },
+          });
+          level = replies.map(reply => reply.id);
+          ids.push(...level);
+        }
+
+        const { count } = await tx.comment.deleteMany({
+          where: { id: { in: ids } },
+        });
+        return { id, deletedCount: count };
+      });
+    } catch (error) {
+      if (error instanceof NotFoundError) throw error;
+      this.logger.error(
+        'Failed to permanently delete comment',
+        { commentId: id },
+        error
+      );
+      throw new DatabaseError(
+        `Failed to permanently delete comment: ${error.message}`,
+        { commentId: id }
+      );
+    }
+  }
+
+  /**
+   * Permanently delete comments soft-deleted before the cutoff. Deleted
+   * comments that still have replies are kept as tombstones; once their
+   * replies are purged they go in a later pass.
+   * @param {Date} cutoff - Deletion time before which comments are purged
+   * @param {number} [batchSize]
+   * @returns {number} Purged comments
+   */
+  async purgeDeletedComments(
+    cutoff,
+    batchSize = RETENTION_CONFIG.PURGE_BATCH_SIZE
+  ) {
+    const purgeable = {
+      [DB_CONFIG.SOFT_DELETE_FIELD]: true,
+      deletedAt: { lt: cutoff },
+      replies: { none: {} },
+    };
+    try {
+      let purged = 0;
+      for (;;) {
+        const batch = await this.prisma.comment.findMany({
+          where: purgeable,
+          select: { id: true },
+          take: batchSize,
+        });
+        if (batch.length === 0) return purged;
+
+        // Re-checked on delete: a reply may have arrived in between
+        const { count } = await this.prisma.comment.deleteMany({
+          where: { ...purgeable, id: { in: batch.map(({ id }) => id) } },
+        });
+        if (count === 0) return purged;
+        purged += count;
+      }
+    } catch (error) {
+      this.logger.error('Failed to purge deleted comments', { cutoff }, error);
+      throw new DatabaseError(
+        `Failed to purge deleted comments: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Count the comments that are not deleted
+   * @param {Object} options - { targetType, targetId, hiddenTargetTypes }
+   * @returns {number}
+   */
+  async countComments(options = {}) {
+    try {
+      return await this.prisma.comment.count({
+        where: {
+          ...this.buildTargetWhere(options),
+          [DB_CONFIG.SOFT_DELETE_FIELD]: false,
+          isHidden: false,
+        },
+      });
+    } catch (error) {
+      this.logger.error('Failed to count comments', { options }, error);
+      throw new DatabaseError(`Failed to count comments: ${error.message}`, {
+        options,
+      });
+    }
+  }
+
+  /**
+   * Statistics over the comments that are not deleted
+   * @param {Object} options - { targetType, targetId, hiddenTargetTypes }
+   * @returns {Object} Totals, plus root/reply split, distinct participants
+   *   and the time of the latest comment
+   */
+  async getCommentStats(options = {}) {
+    try {
+      const where = {
+        ...this.buildTargetWhere(options),
+        [DB_CONFIG.SOFT_DELETE_FIELD]: false,
+        isHidden: false,
+      };
+      const [totalComments, rootComments, totals, participants] =
+        await Promise.all([
+          this.prisma.comment.count({ where }),
+          this.prisma.comment.count({ where: { ...where, parentId: null } }),
+          this.prisma.comment.aggregate({
+            where,
+            _sum: { likes: true, dislikes: true },
+            _max: { createdAt: true },
+          }),
+          this.prisma.comment.groupBy({ by: ['userId'], where }),
+        ]);
       return {
         totalComments,
-        totalLikes: totalLikes._sum.likes || 0,
-        totalDislikes: totalDislikes._sum.dislikes || 0,
+        rootComments,
+        replies: totalComments - rootComments,
+        participants: participants.length,
+        totalLikes: totals._sum.likes || 0,
+        totalDislikes: totals._sum.dislikes || 0,
+        lastCommentAt: totals._max.createdAt,
       };
     } catch (error) {
-      this.logger.error('Failed to retrieve comment statistics', error);
+      this.logger.error(
+        'Failed to retrieve comment statistics',
+        { options },
+        error
+      );
       throw new DatabaseError(
         `Failed to retrieve comment statistics: ${error.message}`
       );
     }
   }
 
-  async likeComment(id, userId) {
+  /**
+   * Prisma `where` for a target filter, hiding target types the caller may
+   * not read
+   * @param {Object} options - { targetType, targetId, hiddenTargetTypes }
+   * @returns {Object} Prisma where clause
+   */
+  buildTargetWhere({ targetType, targetId, hiddenTargetTypes = [] } = {}) {
+    const where = targetWhere({ targetType, targetId });
+    if (hiddenTargetTypes.length > 0) {
+      where.AND = [targetVisibilityWhere(hiddenTargetTypes)];
+    }
+    return where;
+  }
+
+  /**
+   * Report a comment. Once the open reports reach `autoHideThreshold` the
+   * comment is hidden and the automatic decision is recorded.
+   * @param {string} id - Comment ID
+   * @param {string} reporterId - Reporting user
+   * @param {Object} report - { reason, details }
+   * @param {number} autoHideThreshold - Open reports that hide the comment
+   * @returns {Object} { report, comment: { id, reportCount, isHidden } }
+   */
+  async reportComment(
+    id,
+    reporterId,
+    { reason, details = null },
+    autoHideThreshold
+  ) {
     try {
-      const comment = await this.prisma.comment.findUnique({ where: { id } });
-      if (!comment)
-        throw new NotFoundError(`Comment with ID '${id}' not found`, {
-          commentId: id,
+      return await this.prisma.$transaction(async tx => {
+        const comment = await tx.comment.findUnique({ where: { id } });
+        if (!comment)
+          throw new NotFoundError(`Comment with ID '${id}' not found`, {
+            commentId: id,
+          });
+        if (comment[DB_CONFIG.SOFT_DELETE_FIELD])
+          throw new BusinessLogicError(
+            API_MESSAGES.ERROR.CANNOT_REPORT_DELETED,
+            { commentId: id }
+          );
+        if (comment.userId === reporterId)
+          throw new BusinessLogicError(
+            API_MESSAGES.ERROR.CANNOT_REPORT_OWN_COMMENT,
+            { commentId: id }
+          );
+
+        const report = await tx.commentReport.create({
+          data: { commentId: id, reporterId, reason, details },
         });
-      if (comment[DB_CONFIG.SOFT_DELETE_FIELD])
-        throw new BusinessLogicError('Cannot like deleted comment', {
+        let updated = await tx.comment.update({
+          where: { id },
+          data: {
+            reportCount: { increment: 1 },
+            moderationStatus: MODERATION_STATUSES.PENDING,
+          },
+        });
+
+        if (shouldAutoHide(updated, autoHideThreshold)) {
+          updated = await tx.comment.update({
+            where: { id },
+            data: { isHidden: true, hiddenAt: new Date() },
+          });
+          await tx.moderationDecision.create({
+            data: {
+              commentId: id,
+              moderatorId: null,
+              action: MODERATION_ACTIONS.AUTO_HIDE,
+              reportCount: updated.reportCount,
+            },
+          });
+          this.logger.info('Comment hidden after reports', {
+            commentId: id,
+            reportCount: updated.reportCount,
+          });
+        }
+
+        return {
+          report,
+          comment: {
+            id,
+            reportCount: updated.reportCount,
+            isHidden: updated.isHidden,
+          },
+        };
+      });
+    } catch (error) {
+      if (
+        error instanceof NotFoundError ||
+        error instanceof BusinessLogicError
+      )
+        throw error;
+      if (error.code === PRISMA_ERROR_CODES.UNIQUE_CONSTRAINT) {
+        throw new ConflictError(API_MESSAGES.ERROR.ALREADY_REPORTED, {
           commentId: id,
         });
-      return await this.prisma.comment.update({
-        where: { id },
-        data: { likes: { increment: 1 } },
+      }
+      this.logger.error(
+        'Failed to report comment',
+        { commentId: id, reporterId, reason },
+        error
+      );
+      throw new DatabaseError(`Failed to report comment: ${error.message}`, {
+        commentId: id,
+      });
+    }
+  }
+
+  /**
+   * Comments with open reports, most reported first, each with its open
+   * reports
+   * @param {Object} options - { page, limit }
+   */
+  async getModerationQueue({ page = 1, limit = 20 } = {}) {
+    try {
+      const where = {
+        moderationStatus: MODERATION_STATUSES.PENDING,
+        [DB_CONFIG.SOFT_DELETE_FIELD]: false,
+      };
+      const [comments, total] = await Promise.all([
+        this.prisma.comment.findMany({
+          where,
+          skip: (page - 1) * limit,
+          take: limit,
+          orderBy: [{ reportCount: 'desc' }, { id: 'asc' }],
+          include: {
+            reports: {
+              where: { status: REPORT_STATUSES.OPEN },
+              orderBy: { createdAt: 'asc' },
+            },
+          },
+        }),
+        this.prisma.comment.count({ where }),
+      ]);
+
+      return {
+        comments,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      this.logger.error(
+        'Failed to retrieve moderation queue',
+        { page, limit },
+        error
+      );
+      throw new DatabaseError(
+        `Failed to retrieve moderation queue: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Apply a moderator's decision, resolve the open reports and record it
+   * @param {string} id - Comment ID
+   * @param {string} action - A MODERATION_ACTIONS value
+   * @param {string} moderatorId - Deciding moderator
+   * @param {string|null} note - Reason given by the moderator
+   * @returns {Object} Updated comment
+   */
+  async moderateComment(id, action, moderatorId, note = null) {
+    try {
+      return await this.prisma.$transaction(async tx => {
+        const comment = await tx.comment.findUnique({ where: { id } });
+        if (!comment)
+          throw new NotFoundError(`Comment with ID '${id}' not found`, {
+            commentId: id,
+          });
+
+        const now = new Date();
+        const { reportStatus, data } = resolveModerationAction(
+          action,
+          comment,
+          { moderatorId, now }
+        );
+        const { count: resolvedReports } = await tx.commentReport.updateMany({
+          where: { commentId: id, status: REPORT_STATUSES.OPEN },
+          data: {
+            status: reportStatus,
+            resolvedBy: moderatorId,
+            resolvedAt: now,
+          },
+        });
+        await tx.moderationDecision.create({
+          data: {
+            commentId: id,
+            moderatorId,
+            action,
+            note,
+            reportCount: resolvedReports,
+          },
+        });
+
+        return tx.comment.update({ where: { id }, data });
       });
     } catch (error) {
-      if (error instanceof NotFoundError || error instanceof BusinessLogicError)
+      if (
+        error instanceof NotFoundError ||
+        error instanceof BusinessLogicError
+      )
         throw error;
       this.logger.error(
-        'Failed to like comment',
-        { commentId: id, userId },
+        'Failed to moderate comment',
+        { commentId: id, action, moderatorId },
         error
       );
-      throw new DatabaseError(`Failed to like comment: ${error.message}`, {
+      throw new DatabaseError(`Failed to moderate comment: ${error.message}`, {
         commentId: id,
       });
     }
   }
 
+  /**
+   * Reports and moderation decisions of a comment, oldest first
+   * @param {string} id - Comment ID
+   * @returns {Object|null} Null when the comment does not exist
+   */
+  async getModerationHistory(id) {
+    try {
+      return await this.prisma.comment.findUnique({
+        where: { id },
+        select: {
+          id: true,
+          isHidden: true,
+          moderationStatus: true,
+          reportCount: true,
+          [DB_CONFIG.SOFT_DELETE_FIELD]: true,
+          reports: { orderBy: { createdAt: 'asc' } },
+          moderationDecisions: { orderBy: { createdAt: 'asc' } },
+        },
+      });
+    } catch (error) {
+      this.logger.error(
+        'Failed to retrieve moderation history',
+        { commentId: id },
+        error
+      );
+      throw new DatabaseError(
+        `Failed to retrieve moderation history: ${error.message}`,
+        { commentId: id }
+      );
+    }
+  }
+
+  async likeComment(id, userId) {
+    return this.reactToComment(id, userId, REACTION_TYPES.LIKE);
+  }
+
   async dislikeComment(id, userId) {
+    return this.reactToComment(id, userId, REACTION_TYPES.DISLIKE);
+  }
+
+  async removeReaction(id, userId) {
+    return this.reactToComment(id, userId, null);
+  }
+
+  /**
+   * Apply a user's reaction with toggle/switch semantics.
+   * The reaction row and the comment counters change in one transaction.
+   * @param {string} id - Comment ID
+   * @param {string} userId - Reacting user
+   * @param {string|null} type - Reaction type, or null to clear the reaction
+   * @returns {Object} Updated comment with the caller's `userReaction`
+   */
+  async reactToComment(id, userId, type) {
     try {
-      const comment = await this.prisma.comment.findUnique({ where: { id } });
-      if (!comment)
-        throw new NotFoundError(`Comment with ID '${id}' not found`, {
-          commentId: id,
+      if (!userId) {
+        throw new ValidationError('User ID is required to react to comments');
+      }
+
+      return await this.prisma.$transaction(async tx => {
+        const comment = await tx.comment.findUnique({ where: { id } });
+        if (!comment)
+          throw new NotFoundError(`Comment with ID '${id}' not found`, {
+            commentId: id,
+          });
+        if (comment[DB_CONFIG.SOFT_DELETE_FIELD])
+          throw new BusinessLogicError('Cannot react to deleted comment', {
+            commentId: id,
+          });
+
+        const reactionKey = { userId_commentId: { userId, commentId: id } };
+        const existing = await tx.commentReaction.findUnique({
+          where: reactionKey,
         });
-      if (comment[DB_CONFIG.SOFT_DELETE_FIELD])
-        throw new BusinessLogicError('Cannot dislike deleted comment', {
-          commentId: id,
+        const { action, userReaction, counterDelta } = resolveReactionChange(
+          existing?.type ?? null,
+          type
+        );
+
+        if (action === 'none') {
+          return { ...comment, userReaction };
+        }
+
+        if (action === 'create') {
+          await tx.commentReaction.create({
+            data: { userId, commentId: id, type },
+          });
+        } else if (action === 'remove') {
+          await tx.commentReaction.delete({ where: reactionKey });
+        } else {
+          await tx.commentReaction.update({
+            where: reactionKey,
+            data: { type },
+          });
+        }
+
+        const counted = await tx.comment.update({
+          where: { id },
+          data: {
+            likes: { increment: counterDelta.likes },
+            dislikes: { increment: counterDelta.dislikes },
+          },
         });
-      return await this.prisma.comment.update({
-        where: { id },
-        data: { dislikes: { increment: 1 } },
+        const updated = await tx.comment.update({
+          where: { id },
+          data: rankingScores(counted),
+        });
+        return { ...updated, userReaction };
       });
     } catch (error) {
-      if (error instanceof NotFoundError || error instanceof BusinessLogicError)
+      if (
+        error instanceof ValidationError ||
+        error instanceof NotFoundError ||
+        error instanceof BusinessLogicError
+      )
         throw error;
+      if (error.code === PRISMA_ERROR_CODES.UNIQUE_CONSTRAINT) {
+        throw new ConflictError('Reaction was changed concurrently, retry', {
+          commentId: id,
+        });
+      }
       this.logger.error(
-        'Failed to dislike comment',
-        { commentId: id, userId },
+        'Failed to react to comment',
+        { commentId: id, userId, type },
         error
       );
-      throw new DatabaseError(`Failed to dislike comment: ${error.message}`, {
+      throw new DatabaseError(`Failed to react to comment: ${error.message}`, {
         commentId: id,
       });
     }
@@ -445,7 +445,7 @@ export default async function authRoutes(fastify, options) {
     try {
       const { token } = request.body;
 
-      const user = jwtService.validateTokenAndGetUser(token);
+      const user = await jwtService.verifyAndGetUser(token);
       
       if (user) {
         const response = createSuccessResponse(
@@ -8,15 +8,66 @@ import { commentController } from '../controllers/index.js';
 //   SearchQuery,
 //   ListCommentsQuery,
 // } from '../schemas/index.js';
-import { VALIDATION_RULES, LOG_CONTEXTS } from '../constants/index.js';
+import {
+  VALIDATION_RULES,
+  LOG_CONTEXTS,
+  THREAD_CONFIG,
+  USER_ROLES,
+  REPORT_REASONS,
+  MODERATION_ACTIONS,
+  MODERATION_CONFIG,
+  COMMENT_SORTS,
+  LIST_CONFIG,
+  PERMISSIONS,
+} from '../constants/index.js';
 import { 
   extractUserContext, 
   requireAuth, 
   requireRoles, 
+  requirePermissions,
   optionalAuth,
   requireGateway
 } from '../../../../../packages/shared/auth/fastifyAuth.js';
 
+// Page info of the cursor-paged comment listings (CursorPaginationInfo)
+const cursorPaginationSchema = {
+  type: 'object',
+  properties: {
+    limit: { type: 'integer' },
+    total: { type: 'integer' },
+    hasNext: { type: 'boolean' },
+    hasPrev: { type: 'boolean' },
+    nextCursor: { type: ['string', 'null'] },
+    prevCursor: { type: ['string', 'null'] },
+  },
+};
+
+// Sort and filters a comment listing was answered with
+const listMetaSchema = {
+  type: 'object',
+  properties: {
+    sort: { type: 'string' },
+    isPublic: { type: 'boolean' },
+    filteredByUser: { type: 'boolean' },
+    targetType: { type: 'string' },
+    targetId: { type: ['string', 'null'] },
+    tree: { type: 'boolean' },
+    maxDepth: { type: 'integer' },
+    replyLimit: { type: 'integer' },
+  },
+};
+
+// Counters and the caller's own reaction after a like, dislike or removal
+const reactionDataSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    likes: { type: 'integer' },
+    dislikes: { type: 'integer' },
+    userReaction: { type: ['string', 'null'] },
+  },
+};
+
 /**
  * Fastify Comments Routes Plugin
  * Handles all comment-related endpoints with JSON Schema validation
@@ -45,15 +96,22 @@ async function commentsRoutes(fastify, options) {
     {
       preHandler: [optionalAuth], // Optional authentication
       schema: {
-        description: 'Get all comments with pagination and filtering. Public endpoint but can be filtered by user if authenticated.',
+        description: 'Get all comments with cursor pagination and filtering. Public endpoint but can be filtered by user if authenticated. sort orders by newest, oldest (default), top (likes), controversial (likes vs dislikes) or hot (votes decayed by age), ties broken by id. Pass pagination.nextCursor as after, or pagination.prevCursor as before, with the same sort. With tree=true each root comment carries its nested replies. targetType (and targetId) list the comments attached to a resource, by every author; without them, comments on target types the caller may not read are left out.',
         tags: ['Comments'],
         querystring: {
           type: 'object',
           properties: {
-            page: { type: 'integer', minimum: 1, default: 1 },
-            limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+            sort: { type: 'string', enum: Object.values(COMMENT_SORTS), default: LIST_CONFIG.DEFAULT_SORT },
+            after: { type: 'string', minLength: 1 },
+            before: { type: 'string', minLength: 1 },
+            limit: { type: 'integer', minimum: 1, maximum: LIST_CONFIG.MAX_LIMIT, default: LIST_CONFIG.DEFAULT_LIMIT },
             parentId: { type: 'string' },
-            includeDeleted: { type: 'boolean' }
+            includeDeleted: { type: 'boolean' },
+            tree: { type: 'boolean', default: false },
+            maxDepth: { type: 'integer', minimum: 0, maximum: THREAD_CONFIG.MAX_DEPTH },
+            replyLimit: { type: 'integer', minimum: 1, maximum: THREAD_CONFIG.MAX_REPLY_LIMIT },
+            targetType: { type: 'string', minLength: 1 },
+            targetId: { type: 'string', minLength: 1 }
           }
         },
         response: {
@@ -66,8 +124,8 @@ async function commentsRoutes(fastify, options) {
                 type: 'object',
                 properties: {
                   comments: { type: 'array' },
-                  pagination: { type: 'object' },
-                  meta: { type: 'object' },
+                  pagination: cursorPaginationSchema,
+                  meta: listMetaSchema,
                 },
               },
               timestamp: { type: 'string' },
@@ -87,15 +145,19 @@ async function commentsRoutes(fastify, options) {
     {
       preHandler: [requireAuth], // Requires authentication
       schema: {
-        description: 'Get current user\'s comments with pagination and filtering',
+        description: 'Get current user\'s comments with cursor pagination and filtering. Takes the same sort, after and before parameters as the comment list.',
         tags: ['Comments', 'Private'],
         querystring: {
           type: 'object',
           properties: {
-            page: { type: 'integer', minimum: 1, default: 1 },
-            limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+            sort: { type: 'string', enum: Object.values(COMMENT_SORTS), default: LIST_CONFIG.DEFAULT_SORT },
+            after: { type: 'string', minLength: 1 },
+            before: { type: 'string', minLength: 1 },
+            limit: { type: 'integer', minimum: 1, maximum: LIST_CONFIG.MAX_LIMIT, default: LIST_CONFIG.DEFAULT_LIMIT },
             parentId: { type: 'string' },
-            includeDeleted: { type: 'boolean' }
+            includeDeleted: { type: 'boolean' },
+            targetType: { type: 'string', minLength: 1 },
+            targetId: { type: 'string', minLength: 1 }
           }
         },
         response: {
@@ -108,8 +170,8 @@ async function commentsRoutes(fastify, options) {
                 type: 'object',
                 properties: {
                   comments: { type: 'array' },
-                  pagination: { type: 'object' },
-                  meta: { type: 'object' },
+                  pagination: cursorPaginationSchema,
+                  meta: listMetaSchema,
                 },
               },
               timestamp: { type: 'string' },
@@ -132,14 +194,16 @@ async function commentsRoutes(fastify, options) {
         rateLimit: rateLimitOptions,
       },
       schema: {
-        description: 'Create a new comment (requires authentication)',
+        description: 'Create a new comment (requires authentication). targetType and targetId attach it to a resource; replies inherit the target of their parent.',
         tags: ['Comments', 'Protected'],
         body: {
           type: 'object',
           required: ['text'],
           properties: {
             text: { type: 'string', minLength: 1, maxLength: 1000 },
-            parentId: { type: 'string' }
+            parentId: { type: 'string' },
+            targetType: { type: 'string', minLength: 1 },
+            targetId: { type: 'string', minLength: 1 }
           }
         },
         response: {
@@ -219,13 +283,62 @@ async function commentsRoutes(fastify, options) {
     }
   );
 
+  // Count the comments on a target
+  fastify.get(
+    '/count',
+    {
+      preHandler: [optionalAuth], // Optional authentication
+      schema: {
+        description: 'Count the comments on a target type, or on one resource with targetId',
+        tags: ['Comments'],
+        querystring: {
+          type: 'object',
+          required: ['targetType'],
+          properties: {
+            targetType: { type: 'string', minLength: 1 },
+            targetId: { type: 'string', minLength: 1 }
+          }
+        },
+        response: {
+          200: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean' },
+              message: { type: 'string' },
+              data: {
+                type: 'object',
+                properties: {
+                  targetType: { type: 'string' },
+                  targetId: { type: ['string', 'null'] },
+                  count: { type: 'integer' },
+                },
+              },
+              timestamp: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      return await commentController.countComments(request, reply);
+    }
+  );
+
   // Get comment statistics
   fastify.get(
     '/stats',
     {
+      preHandler: [optionalAuth], // Optional authentication
       schema: {
-        description: 'Get comprehensive comment statistics',
+        description: 'Get comprehensive comment statistics, overall or for a target type or resource',
         tags: ['Comments'],
+        querystring: {
+          type: 'object',
+          properties: {
+            targetType: { type: 'string', minLength: 1 },
+            targetId: { type: 'string', minLength: 1 }
+          }
+        },
         response: {
           200: {
             type: 'object',
@@ -235,12 +348,18 @@ async function commentsRoutes(fastify, options) {
               data: {
                 type: 'object',
                 properties: {
+                  targetType: { type: 'string' },
+                  targetId: { type: ['string', 'null'] },
                   totalComments: { type: 'integer' },
+                  rootComments: { type: 'integer' },
+                  replies: { type: 'integer' },
+                  participants: { type: 'integer' },
                   activeComments: { type: 'integer' },
                   deletedComments: { type: 'integer' },
                   totalLikes: { type: 'integer' },
                   totalDislikes: { type: 'integer' },
                   commentsToday: { type: 'integer' },
+                  lastCommentAt: { type: ['string', 'null'] },
                 },
               },
               timestamp: { type: 'string' },
@@ -274,7 +393,13 @@ async function commentsRoutes(fastify, options) {
             properties: {
               success: { type: 'boolean' },
               message: { type: 'string' },
-              data: { type: 'object' },
+              data: {
+                type: 'object',
+                additionalProperties: true,
+                properties: {
+                  userReaction: { type: ['string', 'null'] },
+                },
+              },
               timestamp: { type: 'string' },
             },
           },
@@ -295,13 +420,435 @@ async function commentsRoutes(fastify, options) {
     }
   );
 
+  // Get a comment with its nested reply tree
+  fastify.get(
+    '/:id/thread',
+    {
+      preHandler: [optionalAuth], // Optional authentication
+      schema: {
+        description: 'Get a comment with its nested replies. Every node has replyCount; nextCursor loads more replies of that node, deleted comments are returned as tombstones.',
+        tags: ['Comments'],
+        params: {
+          type: 'object',
+          required: ['id'],
+          properties: {
+            id: { type: 'string', pattern: '^[a-zA-Z0-9_-]+$' }
+          }
+        },
+        querystring: {
+          type: 'object',
+          properties: {
+            maxDepth: { type: 'integer', minimum: 0, maximum: THREAD_CONFIG.MAX_DEPTH, default: THREAD_CONFIG.DEFAULT_MAX_DEPTH },
+            replyLimit: { type: 'integer', minimum: 1, maximum: THREAD_CONFIG.MAX_REPLY_LIMIT, default: THREAD_CONFIG.DEFAULT_REPLY_LIMIT },
+            cursor: { type: 'string' }
+          }
+        },
+        response: {
+          200: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean' },
+              message: { type: 'string' },
+              data: { type: 'object', additionalProperties: true },
+              timestamp: { type: 'string' },
+            },
+          },
+          404: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean', enum: [false] },
+              error: { type: 'string' },
+              statusCode: { type: 'integer' },
+              timestamp: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      return await commentController.getCommentThread(request, reply);
+    }
+  );
+
+  // List the revisions of a comment's text
+  fastify.get(
+    '/:id/revisions',
+    {
+      preHandler: [optionalAuth], // Optional authentication
+      schema: {
+        description: 'Get every revision of a comment\'s text, oldest first. Revision 1 is the original text.',
+        tags: ['Comments'],
+        params: {
+          type: 'object',
+          required: ['id'],
+          properties: {
+            id: { type: 'string', pattern: '^[a-zA-Z0-9_-]+$' }
+          }
+        },
+        response: {
+          200: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean' },
+              message: { type: 'string' },
+              data: { type: 'object', additionalProperties: true },
+              timestamp: { type: 'string' },
+            },
+          },
+          404: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean', enum: [false] },
+              error: { type: 'string' },
+              statusCode: { type: 'integer' },
+              timestamp: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      return await commentController.getCommentRevisions(request, reply);
+    }
+  );
+
+  // Word-level diff between two revisions
+  fastify.get(
+    '/:id/revisions/diff',
+    {
+      preHandler: [optionalAuth], // Optional authentication
+      schema: {
+        description: 'Get a word-level diff between two revisions as equal/added/removed segments. Defaults to the latest revision against the one before it.',
+        tags: ['Comments'],
+        params: {
+          type: 'object',
+          required: ['id'],
+          properties: {
+            id: { type: 'string', pattern: '^[a-zA-Z0-9_-]+$' }
+          }
+        },
+        querystring: {
+          type: 'object',
+          properties: {
+            from: { type: 'integer', minimum: 1 },
+            to: { type: 'integer', minimum: 1 }
+          }
+        },
+        response: {
+          200: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean' },
+              message: { type: 'string' },
+              data: {
+                type: 'object',
+                properties: {
+                  commentId: { type: 'string' },
+                  from: { type: 'integer' },
+                  to: { type: 'integer' },
+                  changes: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        type: { type: 'string' },
+                        text: { type: 'string' },
+                      },
+                    },
+                  },
+                },
+              },
+              timestamp: { type: 'string' },
+            },
+          },
+          404: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean', enum: [false] },
+              error: { type: 'string' },
+              statusCode: { type: 'integer' },
+              timestamp: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      return await commentController.getRevisionDiff(request, reply);
+    }
+  );
+
+  // Restore an earlier revision (admin only)
+  fastify.post(
+    '/:id/revisions/:revision/restore',
+    {
+      preHandler: [requireAuth, requireRoles([USER_ROLES.ADMIN])],
+      schema: {
+        description: 'Make an earlier revision the current text again. The restore is stored as a new revision.',
+        tags: ['Comments', 'Admin'],
+        params: {
+          type: 'object',
+          required: ['id', 'revision'],
+          properties: {
+            id: { type: 'string', pattern: '^[a-zA-Z0-9_-]+$' },
+            revision: { type: 'integer', minimum: 1 }
+          }
+        },
+        response: {
+          200: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean' },
+              message: { type: 'string' },
+              data: { type: 'object', additionalProperties: true },
+              timestamp: { type: 'string' },
+            },
+          },
+          404: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean', enum: [false] },
+              error: { type: 'string' },
+              statusCode: { type: 'integer' },
+              timestamp: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      return await commentController.restoreRevision(request, reply);
+    }
+  );
+
+  // Report a comment
+  fastify.post(
+    '/:id/report',
+    {
+      preHandler: [requireAuth], // Requires authentication
+      config: {
+        rateLimit: rateLimitOptions,
+      },
+      schema: {
+        description: 'Report a comment to the moderators. One report per user and comment; once enough users report it, the comment is hidden until a moderator decides. Reason other needs details.',
+        tags: ['Comments', 'Moderation'],
+        params: {
+          type: 'object',
+          required: ['id'],
+          properties: {
+            id: { type: 'string', pattern: '^[a-zA-Z0-9_-]+$' }
+          }
+        },
+        body: {
+          type: 'object',
+          required: ['reason'],
+          properties: {
+            reason: { type: 'string', enum: Object.values(REPORT_REASONS) },
+            details: { type: 'string', maxLength: MODERATION_CONFIG.REPORT_DETAILS_MAX_LENGTH }
+          }
+        },
+        response: {
+          201: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean' },
+              message: { type: 'string' },
+              data: { type: 'object', additionalProperties: true },
+              timestamp: { type: 'string' },
+            },
+          },
+          404: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean', enum: [false] },
+              error: { type: 'string' },
+              statusCode: { type: 'integer' },
+              timestamp: { type: 'string' },
+            },
+          },
+          409: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean', enum: [false] },
+              error: { type: 'string' },
+              statusCode: { type: 'integer' },
+              timestamp: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      return await commentController.reportComment(request, reply);
+    }
+  );
+
+  // Moderation queue (moderators and admins)
+  fastify.get(
+    '/moderation/queue',
+    {
+      preHandler: [
+        requireAuth,
+        requireRoles([USER_ROLES.MODERATOR]),
+        requirePermissions([PERMISSIONS.MODERATE_COMMENTS]),
+      ],
+      schema: {
+        description: 'Get comments with open reports, most reported first, each with its open reports',
+        tags: ['Moderation'],
+        querystring: {
+          type: 'object',
+          properties: {
+            page: { type: 'integer', minimum: 1, default: 1 },
+            limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+          }
+        },
+        response: {
+          200: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean' },
+              message: { type: 'string' },
+              data: {
+                type: 'object',
+                properties: {
+                  comments: { type: 'array' },
+                  pagination: { type: 'object', additionalProperties: true },
+                },
+              },
+              timestamp: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      return await commentController.getModerationQueue(request, reply);
+    }
+  );
+
+  // Reports and decisions of a comment (moderators and admins)
+  fastify.get(
+    '/moderation/:id/history',
+    {
+      preHandler: [
+        requireAuth,
+        requireRoles([USER_ROLES.MODERATOR]),
+        requirePermissions([PERMISSIONS.MODERATE_COMMENTS]),
+      ],
+      schema: {
+        description: 'Get every report and moderation decision of a comment, oldest first',
+        tags: ['Moderation'],
+        params: {
+          type: 'object',
+          required: ['id'],
+          properties: {
+            id: { type: 'string', pattern: '^[a-zA-Z0-9_-]+$' }
+          }
+        },
+        response: {
+          200: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean' },
+              message: { type: 'string' },
+              data: { type: 'object', additionalProperties: true },
+              timestamp: { type: 'string' },
+            },
+          },
+          404: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean', enum: [false] },
+              error: { type: 'string' },
+              statusCode: { type: 'integer' },
+              timestamp: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      return await commentController.getModerationHistory(request, reply);
+    }
+  );
+
+  // Moderation decision (moderators and admins)
+  fastify.post(
+    '/moderation/:id/:action',
+    {
+      preHandler: [
+        requireAuth,
+        requireRoles([USER_ROLES.MODERATOR]),
+        requirePermissions([PERMISSIONS.MODERATE_COMMENTS]),
+      ],
+      schema: {
+        description: 'Decide on a comment. approve keeps it and dismisses the open reports; hide hides it and upholds them; reject deletes it and upholds them; restore makes a hidden comment visible again. Every decision is recorded.',
+        tags: ['Moderation'],
+        params: {
+          type: 'object',
+          required: ['id', 'action'],
+          properties: {
+            id: { type: 'string', pattern: '^[a-zA-Z0-9_-]+$' },
+            action: {
+              type: 'string',
+              enum: [
+                MODERATION_ACTIONS.APPROVE,
+                MODERATION_ACTIONS.REJECT,
+                MODERATION_ACTIONS.HIDE,
+                MODERATION_ACTIONS.RESTORE,
+              ]
+            }
+          }
+        },
+        body: {
+          type: ['object', 'null'],
+          properties: {
+            note: { type: 'string', maxLength: MODERATION_CONFIG.NOTE_MAX_LENGTH }
+          }
+        },
+        response: {
+          200: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean' },
+              message: { type: 'string' },
+              data: { type: 'object', additionalProperties: true },
+              timestamp: { type: 'string' },
+            },
+          },
+          400: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean', enum: [false] },
+              error: { type: 'string' },
+              statusCode: { type: 'integer' },
+              timestamp: { type: 'string' },
+            },
+          },
+          404: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean', enum: [false] },
+              error: { type: 'string' },
+              statusCode: { type: 'integer' },
+              timestamp: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      return await commentController.moderateComment(request, reply);
+    }
+  );
+
   // Update comment
   fastify.put(
     '/:id',
     {
       preHandler: [requireAuth], // Requires authentication
       schema: {
-        description: 'Update a comment by ID',
+        description: 'Update a comment by ID. The previous text is kept as a revision and the comment is marked edited.',
         tags: ['Comments'],
         params: {
           type: 'object',
@@ -386,13 +933,103 @@ async function commentsRoutes(fastify, options) {
     }
   );
 
+  // Restore a deleted comment
+  fastify.post(
+    '/:id/restore',
+    {
+      preHandler: [requireAuth], // Requires authentication
+      schema: {
+        description: 'Restore a soft-deleted comment. Owners can restore a comment they deleted themselves within the restore window; admins can restore any deleted comment until it is purged.',
+        tags: ['Comments'],
+        params: {
+          type: 'object',
+          required: ['id'],
+          properties: {
+            id: { type: 'string', pattern: '^[a-zA-Z0-9_-]+$' }
+          }
+        },
+        response: {
+          200: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean' },
+              message: { type: 'string' },
+              data: { type: 'object', additionalProperties: true },
+              timestamp: { type: 'string' },
+            },
+          },
+          404: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean', enum: [false] },
+              error: { type: 'string' },
+              statusCode: { type: 'integer' },
+              timestamp: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      return await commentController.restoreComment(request, reply);
+    }
+  );
+
+  // Permanently delete a comment and its replies (admin only)
+  fastify.delete(
+    '/:id/permanent',
+    {
+      preHandler: [requireAuth, requireRoles([USER_ROLES.ADMIN])],
+      schema: {
+        description: 'Permanently delete a comment together with all its replies, reactions, revisions and reports. This cannot be undone.',
+        tags: ['Comments', 'Admin'],
+        params: {
+          type: 'object',
+          required: ['id'],
+          properties: {
+            id: { type: 'string', pattern: '^[a-zA-Z0-9_-]+$' }
+          }
+        },
+        response: {
+          200: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean' },
+              message: { type: 'string' },
+              data: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  deletedCount: { type: 'integer' },
+                },
+              },
+              timestamp: { type: 'string' },
+            },
+          },
+          404: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean', enum: [false] },
+              error: { type: 'string' },
+              statusCode: { type: 'integer' },
+              timestamp: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      return await commentController.hardDeleteComment(request, reply);
+    }
+  );
+
   // Like a comment
   fastify.post(
     '/:id/like',
     {
       preHandler: [requireAuth], // Requires authentication
       schema: {
-        description: 'Like a comment',
+        description: 'Like a comment. Liking an already liked comment removes the like; liking a disliked comment switches the reaction.',
         tags: ['Comments'],
         params: {
           type: 'object',
@@ -407,7 +1044,7 @@ async function commentsRoutes(fastify, options) {
             properties: {
               success: { type: 'boolean' },
               message: { type: 'string' },
-              data: { type: 'object' },
+              data: reactionDataSchema,
               timestamp: { type: 'string' },
             },
           },
@@ -434,7 +1071,7 @@ async function commentsRoutes(fastify, options) {
     {
       preHandler: [requireAuth], // Requires authentication
       schema: {
-        description: 'Dislike a comment',
+        description: 'Dislike a comment. Disliking an already disliked comment removes the dislike; disliking a liked comment switches the reaction.',
         tags: ['Comments'],
         params: {
           type: 'object',
@@ -449,7 +1086,7 @@ async function commentsRoutes(fastify, options) {
             properties: {
               success: { type: 'boolean' },
               message: { type: 'string' },
-              data: { type: 'object' },
+              data: reactionDataSchema,
               timestamp: { type: 'string' },
             },
           },
@@ -469,6 +1106,48 @@ async function commentsRoutes(fastify, options) {
       return await commentController.dislikeComment(request, reply);
     }
   );
+
+  // Remove the caller's reaction
+  fastify.delete(
+    '/:id/reaction',
+    {
+      preHandler: [requireAuth], // Requires authentication
+      schema: {
+        description: 'Remove the current user\'s like or dislike from a comment',
+        tags: ['Comments'],
+        params: {
+          type: 'object',
+          required: ['id'],
+          properties: {
+            id: { type: 'string', pattern: '^[a-zA-Z0-9_-]+$' }
+          }
+        },
+        response: {
+          200: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean' },
+              message: { type: 'string' },
+              data: reactionDataSchema,
+              timestamp: { type: 'string' },
+            },
+          },
+          404: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean', enum: [false] },
+              error: { type: 'string' },
+              statusCode: { type: 'integer' },
+              timestamp: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      return await commentController.removeReaction(request, reply);
+    }
+  );
 }
 
 export default commentsRoutes;
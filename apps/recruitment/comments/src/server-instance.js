@@ -6,6 +6,7 @@
 import Fastify from 'fastify';
 import { PrismaClient } from '@prisma/client';
 import { ENV_VARS, DEFAULTS } from './constants/index.js';
+import serviceConfig from '../service.config.js';
 
 /**
  * Create and configure Fastify server instance
@@ -48,6 +49,16 @@ export async function createFastifyServer(options = {}) {
   // Register routes
   await registerRoutes(fastify, options);
 
+  // Purge comments whose retention period has passed
+  if (!options.skipPrisma && serviceConfig.retention.purgeEnabled) {
+    const { commentController } = await import('./controllers/index.js');
+    const { service } = commentController;
+    service.schedulePurge(serviceConfig.retention.purgeIntervalMs);
+    fastify.addHook('onClose', async () => {
+      service.stopPurge();
+    });
+  }
+
   return fastify;
 }
 
@@ -114,6 +125,10 @@ async function registerCorePlugins(fastify, options = {}) {
           name: 'Comments',
           description: 'Comment management operations'
         },
+        {
+          name: 'Moderation',
+          description: 'Comment reports and the moderation queue'
+        },
         {
           name: 'System',
           description: 'System health and information endpoints'
@@ -155,6 +170,13 @@ async function registerCorePlugins(fastify, options = {}) {
                 description: 'Number of dislikes',
                 example: 1
               },
+              userReaction: {
+                type: 'string',
+                enum: ['like', 'dislike'],
+                nullable: true,
+                description: 'Reaction of the current user, if any',
+                example: 'like'
+              },
               createdAt: { 
                 type: 'string', 
                 format: 'date-time', 
@@ -277,6 +299,46 @@ async function registerCorePlugins(fastify, options = {}) {
                 example: false
               }
             }
+          },
+          CursorPaginationInfo: {
+            type: 'object',
+            properties: {
+              limit: {
+                type: 'integer',
+                minimum: 1,
+                maximum: 100,
+                description: 'Items per page',
+                example: 20
+              },
+              total: {
+                type: 'integer',
+                minimum: 0,
+                description: 'Total number of items',
+                example: 25
+              },
+              hasNext: {
+                type: 'boolean',
+                description: 'Has next page',
+                example: true
+              },
+              hasPrev: {
+                type: 'boolean',
+                description: 'Has previous page',
+                example: false
+              },
+              nextCursor: {
+                type: 'string',
+                nullable: true,
+                description: 'Pass as after, with the same sort, for the next page',
+                example: 'eyJzb3J0Ijoib2xkZXN0Ii...'
+              },
+              prevCursor: {
+                type: 'string',
+                nullable: true,
+                description: 'Pass as before, with the same sort, for the previous page',
+                example: null
+              }
+            }
           }
         },
         securitySchemes: {
@@ -380,9 +442,21 @@ async function registerRoutes(fastify, options = {}) {
           getById: 'GET /api/comments/:id',
           update: 'PATCH /api/comments/:id',
           delete: 'DELETE /api/comments/:id',
+          restore: 'POST /api/comments/:id/restore',
+          hardDelete: 'DELETE /api/comments/:id/permanent',
           like: 'POST /api/comments/:id/like',
           dislike: 'POST /api/comments/:id/dislike',
+          removeReaction: 'DELETE /api/comments/:id/reaction',
+          thread: 'GET /api/comments/:id/thread',
+          revisions: 'GET /api/comments/:id/revisions',
+          revisionDiff: 'GET /api/comments/:id/revisions/diff',
+          restoreRevision: 'POST /api/comments/:id/revisions/:revision/restore',
+          report: 'POST /api/comments/:id/report',
+          moderationQueue: 'GET /api/comments/moderation/queue',
+          moderationHistory: 'GET /api/comments/moderation/:id/history',
+          moderate: 'POST /api/comments/moderation/:id/:action',
           search: 'GET /api/comments/search',
+          count: 'GET /api/comments/count',
           stats: 'GET /api/comments/stats'
         }
       }
@@ -1,46 +1,175 @@
 import { BaseService } from '../../../../../packages/shared/services/index.js';
 import { CommentRepository } from '../repositories/index.js';
-import { API_MESSAGES, LOG_CONTEXTS } from '../constants/index.js';
+import {
+  API_MESSAGES,
+  COMMENT_SORTS,
+  LIST_CONFIG,
+  LOG_CONTEXTS,
+  MODERATION_CONFIG,
+  REPORT_REASONS,
+  RETENTION_CONFIG,
+  TARGET_ACTIONS,
+} from '../constants/index.js';
 import {
   ValidationError,
   NotFoundError,
   BusinessLogicError,
 } from '../../../../../packages/shared/utils/index.js';
+import {
+  assertCanRestore,
+  assertTargetAccess,
+  assertTargetType,
+  createTargetRegistry,
+  decodeCursor,
+  decodeSortCursor,
+  deniedTargetTypes,
+  diffWords,
+  isModerator,
+  normalizeThreadOptions,
+  originalRevision,
+  purgeCutoff,
+} from '../utils/index.js';
+import serviceConfig from '../../service.config.js';
 
 export class CommentService extends BaseService {
-  constructor() {
+  /**
+   * @param {Object} [targetRegistry] - Allowed comment targets, from
+   *   `createTargetRegistry`; defaults to `commentTargets` in service.config.js
+   * @param {Object} [moderation] - { autoHideThreshold }; defaults to
+   *   `moderation` in service.config.js
+   * @param {Object} [retention] - { restoreGraceMs, retentionMs };
+   *   defaults to `retention` in service.config.js
+   */
+  constructor(
+    targetRegistry = createTargetRegistry(serviceConfig.commentTargets),
+    moderation = serviceConfig.moderation,
+    retention = serviceConfig.retention
+  ) {
     const db = new CommentRepository();
     super(db, {
       resourceName: 'Comment',
       logContext: LOG_CONTEXTS.SERVICE,
       requiredFields: ['text'],
     });
+    this.targetRegistry = targetRegistry;
+    this.autoHideThreshold =
+      moderation?.autoHideThreshold ??
+      MODERATION_CONFIG.DEFAULT_AUTO_HIDE_THRESHOLD;
+    this.restoreGraceMs =
+      retention?.restoreGraceMs ?? RETENTION_CONFIG.DEFAULT_RESTORE_GRACE_MS;
+    this.retentionMs =
+      retention?.retentionMs ?? RETENTION_CONFIG.DEFAULT_RETENTION_MS;
+    this.purgeTimer = null;
   }
 
   async getAllComments(options = {}, userContext = null) {
+    // A target's comments are shared by everyone who may read the target,
+    // so filtering by target lists all authors
+    return this.listComments(options, userContext, !options.targetType);
+  }
+
+  async getComments(options = {}, userContext = null) {
+    // The caller's own comments, optionally narrowed to a target
+    return this.listComments(options, userContext, true);
+  }
+
+  /**
+   * List comments, optionally for one target type or resource.
+   * Without a target filter, comments on target types the caller may not
+   * read are left out.
+   * @param {Object} options - Query options incl. `targetType`/`targetId`,
+   *   `sort`, `limit` and an `after` or `before` cursor
+   * @param {Object|null} userContext - `request.user`
+   * @param {boolean} ownOnly - Only the caller's comments when signed in
+   */
+  async listComments(options, userContext, ownOnly) {
+    const { targetType, targetId } = options;
+    this.assertTargetReadable(targetType, targetId, userContext);
+    const page = this.normalizePageOptions(options);
+
     // Determine if this is a public or private request
     const isPublic = !userContext || !userContext.id;
-    const userId = userContext ? userContext.id : null;
+    const userId = ownOnly && userContext ? userContext.id : null;
+    const tree = options.tree === true || options.tree === 'true';
     
     return await this.dbService.getComments({
       ...options,
+      ...page,
+      ...(tree && normalizeThreadOptions(options)),
+      tree,
       userId,
-      isPublic
+      isPublic,
+      hiddenTargetTypes: targetType
+        ? []
+        : this.deniedTargetTypes(userContext),
     });
   }
 
-  async getComments(options = {}, userContext = null) {
-    // Alias for getAllComments for backward compatibility
-    return this.getAllComments(options, userContext);
+  /**
+   * Count the comments on a target type or a single resource
+   * @param {{ targetType: string, targetId?: string }} target
+   * @param {Object|null} userContext - `request.user`
+   * @returns {Promise<{ targetType: string, targetId: string|null, count: number }>}
+   */
+  async countComments({ targetType, targetId } = {}, userContext = null) {
+    if (!targetType) {
+      throw new ValidationError(API_MESSAGES.ERROR.TARGET_TYPE_REQUIRED);
+    }
+    this.assertTargetReadable(targetType, targetId, userContext);
+
+    const count = await this.dbService.countComments({ targetType, targetId });
+    return { targetType, targetId: targetId ?? null, count };
   }
 
-  async createComment({ text, parentId }, userContext = null) {
+  async createComment(
+    { text, parentId, targetType, targetId },
+    userContext = null
+  ) {
     if (!userContext || !userContext.id) {
       throw new ValidationError('User context required to create comments');
     }
 
+    let target = { targetType: targetType ?? null, targetId: targetId ?? null };
+    if (parentId) {
+      // Replies belong to the same resource as the comment they answer
+      const parent = await this.dbService.getCommentById(parentId);
+      if (!parent) {
+        throw new NotFoundError(API_MESSAGES.ERROR.PARENT_NOT_FOUND, {
+          parentId,
+        });
+      }
+      if (parent.isDeleted) {
+        throw new BusinessLogicError(
+          API_MESSAGES.ERROR.CANNOT_REPLY_TO_DELETED,
+          { parentId }
+        );
+      }
+      if (
+        (targetType && targetType !== parent.targetType) ||
+        (targetId && targetId !== parent.targetId)
+      ) {
+        throw new ValidationError(API_MESSAGES.ERROR.REPLY_TARGET_MISMATCH, {
+          parentId,
+        });
+      }
+      target = { targetType: parent.targetType, targetId: parent.targetId };
+    } else {
+      assertTargetType(this.targetRegistry, targetType, targetId);
+      if (targetType && !targetId) {
+        throw new ValidationError(API_MESSAGES.ERROR.TARGET_ID_REQUIRED, {
+          targetType,
+        });
+      }
+    }
+    assertTargetAccess(
+      this.targetRegistry,
+      target.targetType,
+      TARGET_ACTIONS.WRITE,
+      userContext
+    );
+
     const newComment = await this.dbService.createComment(
-      { text, parentId },
+      { text, parentId, ...target },
       userContext.id
     );
     return newComment;
@@ -50,6 +179,7 @@ export class CommentService extends BaseService {
     if (!userContext || !userContext.id) {
       throw new ValidationError('User context required to update comments');
     }
+    await this.findAccessibleComment(id, TARGET_ACTIONS.WRITE, userContext);
 
     const updated = await this.dbService.updateComment(
       id, 
@@ -62,10 +192,11 @@ export class CommentService extends BaseService {
   async deleteComment(id, userContext = null) {
     // Check if user owns the comment or is admin
     if (userContext && userContext.id) {
-      const comment = await this.dbService.getCommentById(id);
-      if (!comment) {
-        throw new NotFoundError('Comment not found');
-      }
+      const comment = await this.findAccessibleComment(
+        id,
+        TARGET_ACTIONS.WRITE,
+        userContext
+      );
       
       const isOwner = comment.userId === userContext.id;
       const isAdmin = userContext.roles && userContext.roles.includes('admin');
@@ -73,9 +204,88 @@ export class CommentService extends BaseService {
       if (!isOwner && !isAdmin) {
         throw new BusinessLogicError('Not authorized to delete this comment');
       }
+      // Deleting again would restart the restore and retention windows
+      if (comment.isDeleted) {
+        throw new BusinessLogicError(
+          API_MESSAGES.ERROR.COMMENT_ALREADY_DELETED
+        );
+      }
     }
     
-    return await this.dbService.deleteComment(id);
+    return await this.dbService.deleteComment(id, userContext?.id ?? null);
+  }
+
+  /**
+   * Undo a soft delete. Owners can restore a comment they deleted within
+   * the grace window, admins until it is purged.
+   * @param {string} id - Comment ID
+   * @param {Object|null} userContext - `request.user`
+   */
+  async restoreComment(id, userContext = null) {
+    if (!userContext || !userContext.id) {
+      throw new ValidationError('User context required to restore comments');
+    }
+    const comment = await this.findAccessibleComment(
+      id,
+      TARGET_ACTIONS.WRITE,
+      userContext
+    );
+    assertCanRestore(comment, userContext, this.restoreGraceMs);
+
+    return await this.dbService.restoreComment(id);
+  }
+
+  /**
+   * Permanently delete a comment and its replies
+   * @param {string} id - Comment ID
+   * @returns {Promise<Object>} { id, deletedCount }
+   */
+  async hardDeleteComment(id) {
+    const result = await this.dbService.hardDeleteComment(id);
+    this.logger.info('Comment permanently deleted', result);
+    return result;
+  }
+
+  /**
+   * Permanently delete comments whose retention period has passed
+   * @param {Date} [now]
+   * @returns {Promise<number>} Purged comments
+   */
+  async purgeDeletedComments(now = new Date()) {
+    const cutoff = purgeCutoff(this.retentionMs, now);
+    const purged = await this.dbService.purgeDeletedComments(cutoff);
+    if (purged > 0) {
+      this.logger.info('Purged deleted comments', { purged, cutoff });
+    }
+    return purged;
+  }
+
+  /**
+   * Run the purge periodically
+   * @param {number} [intervalMs]
+   */
+  schedulePurge(intervalMs = RETENTION_CONFIG.DEFAULT_PURGE_INTERVAL_MS) {
+    this.stopPurge();
+    let running = false;
+    this.purgeTimer = setInterval(() => {
+      // Skip a tick rather than overlap a purge that is still running
+      if (running) return;
+      running = true;
+      this.purgeDeletedComments()
+        .catch(error => {
+          this.logger.error('Scheduled comment purge failed', {}, error);
+        })
+        .finally(() => {
+          running = false;
+        });
+    }, intervalMs);
+    // Don't keep the process alive just for purging
+    this.purgeTimer.unref();
+  }
+
+  stopPurge() {
+    if (this.purgeTimer) clearInterval(this.purgeTimer);
+    this.purgeTimer = null;
   }
 
   async getCommentById(id, userContext = null) {
@@ -100,17 +310,344 @@ export class CommentService extends BaseService {
     return comment;
   }
 
-  async getCommentStats() {
-    return await this.dbService.getCommentStats();
+  /**
+   * Get a comment with the viewer's own reaction attached
+   * @param {string} id - Comment ID
+   * @param {Object} options - { viewerId, userContext }
+   */
+  async getCommentForViewer(id, { viewerId = null, userContext = null } = {}) {
+    const comment = await this.dbService.getCommentById(id, { viewerId });
+    if (!comment) {
+      throw new NotFoundError(
+        API_MESSAGES.ERROR?.COMMENT_NOT_FOUND || 'Comment not found'
+      );
+    }
+    assertTargetAccess(
+      this.targetRegistry,
+      comment.targetType,
+      TARGET_ACTIONS.READ,
+      userContext
+    );
+    this.assertVisible(comment, userContext);
+    return comment;
+  }
+
+  /**
+   * Get a comment with its nested reply tree
+   * @param {string} id - Root comment ID
+   * @param {Object} options - { maxDepth, replyLimit, cursor, viewerId, userContext }
+   */
+  async getCommentThread(
+    id,
+    { cursor, viewerId = null, userContext = null, ...threadOptions } = {}
+  ) {
+    const { maxDepth, replyLimit } = normalizeThreadOptions(threadOptions);
+    // Replies share the target of their root, so checking the root is enough
+    const root = await this.findAccessibleComment(
+      id,
+      TARGET_ACTIONS.READ,
+      userContext
+    );
+    this.assertVisible(root, userContext);
+
+    const thread = await this.dbService.getCommentThread(id, {
+      // A cursor pages the root's direct replies, so load at least that level
+      maxDepth: cursor ? Math.max(maxDepth, 1) : maxDepth,
+      replyLimit,
+      viewerId,
+      cursor: cursor ? decodeCursor(cursor) : null,
+      isPublic: !userContext || !userContext.id,
+    });
+    if (!thread) {
+      throw new NotFoundError(
+        API_MESSAGES.ERROR?.COMMENT_NOT_FOUND || 'Comment not found'
+      );
+    }
+    return thread;
+  }
+
+  /**
+   * Revisions of a comment's text, oldest first. A comment that was never
+   * edited has its current text as the only revision.
+   * @param {string} id - Comment ID
+   * @param {Object|null} userContext - `request.user`
+   */
+  async getCommentRevisions(id, userContext = null) {
+    const comment = await this.findAccessibleComment(
+      id,
+      TARGET_ACTIONS.READ,
+      userContext
+    );
+    this.assertVisible(comment, userContext);
+    const revisions = await this.dbService.getRevisions(id);
+
+    return {
+      commentId: id,
+      edited: comment.edited ?? false,
+      editedAt: comment.editedAt ?? null,
+      revisions: revisions.length > 0 ? revisions : [originalRevision(comment)],
+    };
+  }
+
+  /**
+   * Word-level diff between two revisions
+   * @param {string} id - Comment ID
+   * @param {Object} options - { from, to }; `to` defaults to the latest
+   *   revision and `from` to the one before it
+   * @param {Object|null} userContext - `request.user`
+   */
+  async getRevisionDiff(id, { from, to } = {}, userContext = null) {
+    const { revisions } = await this.getCommentRevisions(id, userContext);
+    const toRevision = to ?? revisions[revisions.length - 1].revision;
+    const fromRevision = from ?? Math.max(toRevision - 1, 1);
+
+    const find = revision => {
+      const found = revisions.find(item => item.revision === Number(revision));
+      if (!found) {
+        throw new NotFoundError(API_MESSAGES.ERROR.REVISION_NOT_FOUND, {
+          commentId: id,
+          revision,
+        });
+      }
+      return found;
+    };
+    const before = find(fromRevision);
+    const after = find(toRevision);
+
+    return {
+      commentId: id,
+      from: before.revision,
+      to: after.revision,
+      changes: diffWords(before.text, after.text),
+    };
+  }
+
+  /**
+   * Make an earlier revision current again. Stored as a new revision, so
+   * the history is kept.
+   * @param {string} id - Comment ID
+   * @param {number} revision - Revision to restore
+   * @param {Object|null} userContext - `request.user` of an admin
+   */
+  async restoreRevision(id, revision, userContext = null) {
+    if (!userContext || !userContext.id) {
+      throw new ValidationError('User context required to restore revisions');
+    }
+    return await this.dbService.restoreRevision(
+      id,
+      Number(revision),
+      userContext.id
+    );
+  }
+
+  /**
+   * Report a comment for moderation
+   * @param {string} id - Comment ID
+   * @param {Object} report - { reason, details }
+   * @param {Object|null} userContext - `request.user` of the reporter
+   * @returns {Promise<Object>} { report, comment: { id, reportCount, isHidden } }
+   */
+  async reportComment(id, { reason, details } = {}, userContext = null) {
+    if (!userContext || !userContext.id) {
+      throw new ValidationError('User context required to report comments');
+    }
+    if (!Object.values(REPORT_REASONS).includes(reason)) {
+      throw new ValidationError('Invalid report reason', {
+        reason,
+        allowed: Object.values(REPORT_REASONS),
+      });
+    }
+    const trimmedDetails = details?.trim() || null;
+    if (reason === REPORT_REASONS.OTHER && !trimmedDetails) {
+      throw new ValidationError(API_MESSAGES.ERROR.REPORT_DETAILS_REQUIRED);
+    }
+    await this.findAccessibleComment(id, TARGET_ACTIONS.READ, userContext);
+
+    return await this.dbService.reportComment(
+      id,
+      userContext.id,
+      { reason, details: trimmedDetails },
+      this.autoHideThreshold
+    );
+  }
+
+  /**
+   * Reported comments waiting for a moderator, most reported first
+   * @param {Object} options - { page, limit }
+   */
+  async getModerationQueue({ page = 1, limit = 20 } = {}) {
+    return await this.dbService.getModerationQueue({
+      page: Number(page),
+      limit: Number(limit),
+    });
+  }
+
+  /**
+   * Record a moderator's decision on a comment
+   * @param {string} id - Comment ID
+   * @param {string} action - approve, reject, hide or restore
+   * @param {Object} options - { note }
+   * @param {Object|null} userContext - `request.user` of the moderator
+   */
+  async moderateComment(id, action, { note } = {}, userContext = null) {
+    if (!userContext || !userContext.id) {
+      throw new ValidationError('User context required to moderate comments');
+    }
+    return await this.dbService.moderateComment(
+      id,
+      action,
+      userContext.id,
+      note?.trim() || null
+    );
+  }
+
+  /**
+   * Reports and moderation decisions of a comment
+   * @param {string} id - Comment ID
+   */
+  async getModerationHistory(id) {
+    const history = await this.dbService.getModerationHistory(id);
+    if (!history) {
+      throw new NotFoundError(API_MESSAGES.ERROR.COMMENT_NOT_FOUND);
+    }
+    return history;
+  }
+
+  /**
+   * Comment statistics, overall or for a target type or resource
+   * @param {Object} options - { targetType, targetId, userContext }
+   */
+  async getCommentStats({ targetType, targetId, userContext = null } = {}) {
+    this.assertTargetReadable(targetType, targetId, userContext);
+
+    const stats = await this.dbService.getCommentStats({
+      targetType,
+      targetId,
+      hiddenTargetTypes: targetType
+        ? []
+        : this.deniedTargetTypes(userContext),
+    });
+    return targetType
+      ? { targetType, targetId: targetId ?? null, ...stats }
+      : stats;
   }
 
   async likeComment(id, userContext = null) {
-    const userId = userContext ? userContext.id : null;
-    return await this.dbService.likeComment(id, userId);
+    if (!userContext || !userContext.id) {
+      throw new ValidationError('User context required to like comments');
+    }
+    await this.findAccessibleComment(id, TARGET_ACTIONS.WRITE, userContext);
+    return await this.dbService.likeComment(id, userContext.id);
   }
 
   async dislikeComment(id, userContext = null) {
-    const userId = userContext ? userContext.id : null;
-    return await this.dbService.dislikeComment(id, userId);
+    if (!userContext || !userContext.id) {
+      throw new ValidationError('User context required to dislike comments');
+    }
+    await this.findAccessibleComment(id, TARGET_ACTIONS.WRITE, userContext);
+    return await this.dbService.dislikeComment(id, userContext.id);
+  }
+
+  async removeReaction(id, userContext = null) {
+    if (!userContext || !userContext.id) {
+      throw new ValidationError('User context required to remove reactions');
+    }
+    await this.findAccessibleComment(id, TARGET_ACTIONS.WRITE, userContext);
+    return await this.dbService.removeReaction(id, userContext.id);
+  }
+
+  /**
+   * Validate the sort mode and decode the cursor of a listing request
+   * @param {Object} options - { sort, limit, after, before }
+   * @returns {{ sort: string, limit: number, after: Object|null,
+   *   before: Object|null }}
+   * @throws {ValidationError} For an unknown sort mode, a bad cursor or
+   *   both cursors at once
+   */
+  normalizePageOptions({ sort, limit, after, before }) {
+    const mode = sort ?? LIST_CONFIG.DEFAULT_SORT;
+    if (!Object.values(COMMENT_SORTS).includes(mode)) {
+      throw new ValidationError(API_MESSAGES.ERROR.INVALID_SORT, {
+        sort,
+        allowed: Object.values(COMMENT_SORTS),
+      });
+    }
+    if (after && before) {
+      throw new ValidationError(API_MESSAGES.ERROR.CURSOR_CONFLICT);
+    }
+    const size = Number(limit) || LIST_CONFIG.DEFAULT_LIMIT;
+
+    return {
+      sort: mode,
+      limit: Math.min(Math.max(size, 1), LIST_CONFIG.MAX_LIMIT),
+      after: after ? decodeSortCursor(after, mode) : null,
+      before: before ? decodeSortCursor(before, mode) : null,
+    };
+  }
+
+  /**
+   * Target types whose comments the caller may not read
+   * @param {Object|null} userContext - `request.user`
+   * @returns {string[]}
+   */
+  deniedTargetTypes(userContext) {
+    return deniedTargetTypes(
+      this.targetRegistry,
+      TARGET_ACTIONS.READ,
+      userContext
+    );
+  }
+
+  /**
+   * Validate a target filter and check the caller may read its comments
+   * @param {string|undefined} targetType
+   * @param {string|undefined} targetId
+   * @param {Object|null} userContext - `request.user`
+   */
+  assertTargetReadable(targetType, targetId, userContext) {
+    assertTargetType(this.targetRegistry, targetType, targetId);
+    assertTargetAccess(
+      this.targetRegistry,
+      targetType,
+      TARGET_ACTIONS.READ,
+      userContext
+    );
+  }
+
+  /**
+   * Hidden comments are only shown to their author and to moderators
+   * @param {Object} comment
+   * @param {Object|null} userContext - `request.user`
+   * @throws {NotFoundError} For everyone else
+   */
+  assertVisible(comment, userContext) {
+    if (
+      comment.isHidden &&
+      comment.userId !== userContext?.id &&
+      !isModerator(userContext)
+    ) {
+      throw new NotFoundError(API_MESSAGES.ERROR.COMMENT_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Load a comment and check the caller's access to its target
+   * @param {string} id - Comment ID
+   * @param {string} action - A TARGET_ACTIONS value
+   * @param {Object|null} userContext - `request.user`
+   * @returns {Promise<Object>} The comment
+   */
+  async findAccessibleComment(id, action, userContext) {
+    const comment = await this.dbService.getCommentById(id);
+    if (!comment) {
+      throw new NotFoundError(API_MESSAGES.ERROR.COMMENT_NOT_FOUND);
+    }
+    assertTargetAccess(
+      this.targetRegistry,
+      comment.targetType,
+      action,
+      userContext
+    );
+    return comment;
   }
 }
@@ -0,0 +1,128 @@
+/**
+ * Cursor Pagination Utilities
+ * Opaque keyset cursors over (createdAt, id) for replies, and over
+ * (sort key, id) for the comment listings' sort modes
+ */
+
+import { ValidationError } from '../../../../../packages/shared/utils/errors.js';
+import { API_MESSAGES, COMMENT_SORT_KEYS } from '../constants/index.js';
+
+/**
+ * Encode a comment's position as an opaque cursor
+ * @param {{ createdAt: Date|string, id: string }} comment - Last comment on a page
+ * @returns {string} base64url cursor
+ */
+export const encodeCursor = ({ createdAt, id }) =>
+  Buffer.from(
+    JSON.stringify({ createdAt: new Date(createdAt).toISOString(), id })
+  ).toString('base64url');
+
+/**
+ * Decode a cursor produced by `encodeCursor`
+ * @param {string} cursor - Opaque cursor from a previous response
+ * @returns {{ createdAt: Date, id: string }}
+ * @throws {ValidationError} When the cursor is malformed
+ */
+export const decodeCursor = cursor => {
+  try {
+    const { createdAt, id } = JSON.parse(
+      Buffer.from(String(cursor), 'base64url').toString('utf8')
+    );
+    const date = new Date(createdAt);
+    if (typeof id !== 'string' || !id || Number.isNaN(date.getTime())) {
+      throw new Error('Malformed cursor payload');
+    }
+    return { createdAt: date, id };
+  } catch {
+    throw new ValidationError(API_MESSAGES.ERROR.INVALID_CURSOR, { cursor });
+  }
+};
+
+/**
+ * Prisma `where` fragment selecting rows strictly after a cursor in
+ * ascending (createdAt, id) order
+ * @param {{ createdAt: Date, id: string }} position - Decoded cursor
+ * @returns {Object} Prisma where clause
+ */
+export const afterCursorWhere = ({ createdAt, id }) => ({
+  OR: [{ createdAt: { gt: createdAt } }, { createdAt, id: { gt: id } }],
+});
+
+/**
+ * Prisma `orderBy` for a sort mode, tie-broken by id
+ * @param {string} sort - A COMMENT_SORTS value
+ * @param {boolean} [reverse] - Walk the order backwards, for `before` pages
+ * @returns {Object[]}
+ */
+export const sortOrderBy = (sort, reverse = false) => {
+  const { field, order } = COMMENT_SORT_KEYS[sort];
+  const direction = reverse ? (order === 'asc' ? 'desc' : 'asc') : order;
+  return [{ [field]: direction }, { id: direction }];
+};
+
+/**
+ * Encode a comment's position in a sort mode as an opaque cursor
+ * @param {string} sort - A COMMENT_SORTS value
+ * @param {Object} comment - Comment with `id` and the sort key's column
+ * @returns {string} base64url cursor
+ */
+export const encodeSortCursor = (sort, comment) => {
+  const value = comment[COMMENT_SORT_KEYS[sort].field];
+  return Buffer.from(
+    JSON.stringify({
+      sort,
+      value: value instanceof Date ? value.toISOString() : value,
+      id: comment.id,
+    })
+  ).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by `encodeSortCursor`
+ * @param {string} cursor - Opaque cursor from a previous response
+ * @param {string} sort - Sort mode of the current request
+ * @returns {{ value: Date|number, id: string }}
+ * @throws {ValidationError} When the cursor is malformed or was issued for
+ *   another sort mode
+ */
+export const decodeSortCursor = (cursor, sort) => {
+  try {
+    const payload = JSON.parse(
+      Buffer.from(String(cursor), 'base64url').toString('utf8')
+    );
+    const { id } = payload;
+    if (payload.sort !== sort || typeof id !== 'string' || !id) {
+      throw new Error('Malformed cursor payload');
+    }
+    const value =
+      COMMENT_SORT_KEYS[sort].field === 'createdAt'
+        ? new Date(payload.value)
+        : payload.value;
+    if (
+      value instanceof Date
+        ? Number.isNaN(value.getTime())
+        : !Number.isFinite(value)
+    ) {
+      throw new Error('Malformed cursor payload');
+    }
+    return { value, id };
+  } catch {
+    throw new ValidationError(API_MESSAGES.ERROR.INVALID_CURSOR, { cursor });
+  }
+};
+
+/**
+ * Prisma `where` fragment selecting rows strictly after a cursor in a sort
+ * mode, or strictly before it
+ * @param {string} sort - A COMMENT_SORTS value
+ * @param {{ value: Date|number, id: string }} position - Decoded cursor
+ * @param {boolean} [before] - Rows preceding the cursor instead
+ * @returns {Object} Prisma where clause
+ */
+export const sortCursorWhere = (sort, { value, id }, before = false) => {
+  const { field, order } = COMMENT_SORT_KEYS[sort];
+  const op = (order === 'asc') !== before ? 'gt' : 'lt';
+  return {
+    OR: [{ [field]: { [op]: value } }, { [field]: value, id: { [op]: id } }],
+  };
+};
@@ -1,2 +1,10 @@
 export * from './rateLimitUtils.js';
 export * from './commentUtils.js';
+export * from './reactionUtils.js';
+export * from './cursorUtils.js';
+export * from './threadUtils.js';
+export * from './targetUtils.js';
+export * from './revisionUtils.js';
+export * from './moderationUtils.js';
+export * from './retentionUtils.js';
+export * from './rankingUtils.js';
@@ -0,0 +1,102 @@
+/**
+ * Moderation Utilities
+ * Who may moderate, and what each moderation decision changes
+ */
+
+import { BusinessLogicError } from '../../../../../packages/shared/utils/errors.js';
+import {
+  API_MESSAGES,
+  DB_CONFIG,
+  MODERATION_ACTIONS,
+  MODERATION_STATUSES,
+  REPORT_STATUSES,
+  USER_ROLES,
+} from '../constants/index.js';
+
+/**
+ * Whether the user may work the moderation queue
+ * @param {Object|null} user - `request.user`
+ * @returns {boolean} True for moderators and admins
+ */
+export const isModerator = user => {
+  const roles = user?.roles || [];
+  return (
+    roles.includes(USER_ROLES.MODERATOR) || roles.includes(USER_ROLES.ADMIN)
+  );
+};
+
+/**
+ * Whether a newly reported comment should be hidden until a moderator
+ * decides
+ * @param {{ isHidden: boolean, reportCount: number }} comment - After the report
+ * @param {number} threshold - Distinct open reports that trigger the hide
+ * @returns {boolean}
+ */
+export const shouldAutoHide = (comment, threshold) =>
+  !comment.isHidden && threshold > 0 && comment.reportCount >= threshold;
+
+/**
+ * Changes a moderation decision makes. Every decision resolves the open
+ * reports: approve and restore dismiss them, hide and reject uphold them.
+ * @param {string} action - A MODERATION_ACTIONS value other than AUTO_HIDE
+ * @param {Object} comment - Current comment row
+ * @param {Object} [options] - { moderatorId, now }; a reject records the
+ *   moderator as the one who deleted the comment
+ * @returns {{ reportStatus: string, data: Object }} Status for the open
+ *   reports and the Prisma `data` for the comment
+ * @throws {BusinessLogicError} When the comment is deleted, or restore is
+ *   used on a comment that isn't hidden
+ */
+export const resolveModerationAction = (
+  action,
+  comment,
+  { moderatorId = null, now = new Date() } = {}
+) => {
+  if (comment[DB_CONFIG.SOFT_DELETE_FIELD]) {
+    throw new BusinessLogicError(API_MESSAGES.ERROR.CANNOT_MODERATE_DELETED, {
+      commentId: comment.id,
+    });
+  }
+
+  const visible = {
+    isHidden: false,
+    hiddenAt: null,
+    moderationStatus: MODERATION_STATUSES.APPROVED,
+    reportCount: 0,
+  };
+
+  switch (action) {
+    case MODERATION_ACTIONS.APPROVE:
+      return { reportStatus: REPORT_STATUSES.DISMISSED, data: visible };
+    case MODERATION_ACTIONS.RESTORE:
+      if (!comment.isHidden) {
+        throw new BusinessLogicError(API_MESSAGES.ERROR.COMMENT_NOT_HIDDEN, {
+          commentId: comment.id,
+        });
+      }
+      return { reportStatus: REPORT_STATUSES.DISMISSED, data: visible };
+    case MODERATION_ACTIONS.HIDE:
+      return {
+        reportStatus: REPORT_STATUSES.UPHELD,
+        data: {
+          isHidden: true,
+          hiddenAt: comment.hiddenAt ?? now,
+          moderationStatus: MODERATION_STATUSES.HIDDEN,
+          reportCount: 0,
+        },
+      };
+    case MODERATION_ACTIONS.REJECT:
+      return {
+        reportStatus: REPORT_STATUSES.UPHELD,
+        data: {
+          [DB_CONFIG.SOFT_DELETE_FIELD]: true,
+          deletedAt: now,
+          deletedBy: moderatorId,
+          moderationStatus: MODERATION_STATUSES.REJECTED,
+          reportCount: 0,
+        },
+      };
+    default:
+      throw new BusinessLogicError(`Unknown moderation action '${action}'`);
+  }
+};
@@ -0,0 +1,47 @@
+/**
+ * Ranking Utilities
+ * Scores behind the hot and controversial sort modes. Both depend only on
+ * the comment's own counters and creation time, so they are stored on the
+ * comment and can be paged with cursors like any other column.
+ */
+
+import { RANKING_CONFIG } from '../constants/index.js';
+
+/**
+ * Time-decayed popularity: the order of magnitude of the net votes plus a
+ * bonus that grows with creation time, so newer comments overtake older
+ * ones unless those have many times the votes
+ * @param {{ likes: number, dislikes: number, createdAt: Date|string }} comment
+ * @returns {number}
+ */
+export const hotScore = ({ likes = 0, dislikes = 0, createdAt }) => {
+  const net = likes - dislikes;
+  const magnitude = Math.log10(Math.max(Math.abs(net), 1));
+  const seconds =
+    new Date(createdAt).getTime() / 1000 - RANKING_CONFIG.HOT_EPOCH_SECONDS;
+  return (
+    Math.sign(net) * magnitude + seconds / RANKING_CONFIG.HOT_DECAY_SECONDS
+  );
+};
+
+/**
+ * How divisive a comment is: its total votes weighted by how evenly they
+ * are split between likes and dislikes
+ * @param {{ likes: number, dislikes: number }} comment
+ * @returns {number} 0 unless the comment has both likes and dislikes
+ */
+export const controversyScore = ({ likes = 0, dislikes = 0 }) => {
+  if (likes <= 0 || dislikes <= 0) return 0;
+  const balance = Math.min(likes, dislikes) / Math.max(likes, dislikes);
+  return (likes + dislikes) * balance;
+};
+
+/**
+ * Prisma `data` for the stored ranking scores
+ * @param {Object} comment - Comment with `likes`, `dislikes`, `createdAt`
+ * @returns {{ hotScore: number, controversyScore: number }}
+ */
+export const rankingScores = comment => ({
+  hotScore: hotScore(comment),
+  controversyScore: controversyScore(comment),
+});
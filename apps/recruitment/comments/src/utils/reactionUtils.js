@@ -0,0 +1,60 @@
+/**
+ * Comment Reaction Utilities
+ * Pure helpers for per-user like/dislike toggling
+ */
+
+import { REACTION_COUNTER_FIELDS, REACTION_TYPES } from '../constants/index.js';
+
+export const isReactionType = type =>
+  Object.values(REACTION_TYPES).includes(type);
+
+/**
+ * Work out what a reaction request does to a user's existing reaction.
+ * Reacting with the same type again toggles it off, reacting with the other
+ * type switches it, and `requestedType = null` removes it.
+ * @param {string|null} currentType - The user's current reaction, if any
+ * @param {string|null} requestedType - The requested reaction, or null to clear
+ * @returns {{ action: string, userReaction: string|null, counterDelta: Object }}
+ */
+export const resolveReactionChange = (currentType, requestedType) => {
+  const counterDelta = { likes: 0, dislikes: 0 };
+
+  if (!currentType && !requestedType) {
+    return { action: 'none', userReaction: null, counterDelta };
+  }
+
+  if (!currentType) {
+    counterDelta[REACTION_COUNTER_FIELDS[requestedType]] += 1;
+    return { action: 'create', userReaction: requestedType, counterDelta };
+  }
+
+  if (!requestedType || currentType === requestedType) {
+    counterDelta[REACTION_COUNTER_FIELDS[currentType]] -= 1;
+    return { action: 'remove', userReaction: null, counterDelta };
+  }
+
+  counterDelta[REACTION_COUNTER_FIELDS[currentType]] -= 1;
+  counterDelta[REACTION_COUNTER_FIELDS[requestedType]] += 1;
+  return { action: 'switch', userReaction: requestedType, counterDelta };
+};
+
+/**
+ * Flatten the viewer's `reactions` relation into a `userReaction` field
+ * @param {Object} comment - Comment loaded with a viewer-filtered `reactions` include
+ * @returns {Object} Comment with `userReaction` instead of `reactions`
+ */
+export const withUserReaction = comment => {
+  if (!comment) return comment;
+  const { reactions, ...rest } = comment;
+  return { ...rest, userReaction: reactions?.[0]?.type ?? null };
+};
+
+/**
+ * Prisma relation selector for the viewer's own reaction
+ * @param {string|null} viewerId - Caller's user ID
+ * @returns {Object|false} Prisma include/select value
+ */
+export const viewerReactionSelect = viewerId =>
+  viewerId
+    ? { where: { userId: viewerId }, select: { type: true }, take: 1 }
+    : false;
@@ -0,0 +1,61 @@
+/**
+ * Retention Utilities
+ * Who may restore a deleted comment, and when deleted comments are purged
+ */
+
+import { BusinessLogicError } from '../../../../../packages/shared/utils/errors.js';
+import { API_MESSAGES, DB_CONFIG, USER_ROLES } from '../constants/index.js';
+
+/**
+ * Last moment the owner can restore a comment they deleted
+ * @param {{ deletedAt: Date|null }} comment - Deleted comment
+ * @param {number} graceMs - Restore window after deletion
+ * @returns {Date|null} Null when the deletion time is unknown
+ */
+export const restoreDeadline = (comment, graceMs) =>
+  comment.deletedAt
+    ? new Date(new Date(comment.deletedAt).getTime() + graceMs)
+    : null;
+
+/**
+ * Check that the user may restore a deleted comment. Admins can restore
+ * until the comment is purged; owners only a comment they deleted
+ * themselves, within the grace window.
+ * @param {Object} comment - Comment row
+ * @param {Object} user - `request.user`
+ * @param {number} graceMs - Restore window for owners
+ * @param {Date} [now]
+ * @throws {BusinessLogicError} When the comment isn't deleted or the user
+ *   may not restore it
+ */
+export const assertCanRestore = (comment, user, graceMs, now = new Date()) => {
+  if (!comment[DB_CONFIG.SOFT_DELETE_FIELD]) {
+    throw new BusinessLogicError(API_MESSAGES.ERROR.COMMENT_NOT_DELETED, {
+      commentId: comment.id,
+    });
+  }
+  if (user?.roles?.includes(USER_ROLES.ADMIN)) return;
+
+  // Comments removed by a moderator or an admin stay removed
+  if (comment.userId !== user?.id || comment.deletedBy !== user.id) {
+    throw new BusinessLogicError(API_MESSAGES.ERROR.RESTORE_NOT_ALLOWED, {
+      commentId: comment.id,
+    });
+  }
+  const deadline = restoreDeadline(comment, graceMs);
+  if (!deadline || now > deadline) {
+    throw new BusinessLogicError(API_MESSAGES.ERROR.RESTORE_WINDOW_EXPIRED, {
+      commentId: comment.id,
+      deadline,
+    });
+  }
+};
+
+/**
+ * Deletion time before which deleted comments are purged
+ * @param {number} retentionMs - How long deleted comments are kept
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export const purgeCutoff = (retentionMs, now = new Date()) =>
+  new Date(now.getTime() - retentionMs);
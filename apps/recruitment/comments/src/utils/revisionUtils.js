@@ -0,0 +1,85 @@
+/**
+ * Comment Revision Utilities
+ * Word-level diffs between revisions of a comment's text
+ */
+
+import { DIFF_CHANGE_TYPES } from '../constants/index.js';
+
+/**
+ * Split text into words and the whitespace between them, so joining the
+ * tokens gives back the original text
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenizeWords = text =>
+  String(text ?? '')
+    .split(/(\s+)/)
+    .filter(Boolean);
+
+/**
+ * Word-level diff of two texts, based on their longest common subsequence
+ * of tokens. Adjacent segments of the same type are merged.
+ * @param {string} before - Older text
+ * @param {string} after - Newer text
+ * @returns {Array<{ type: string, text: string }>} DIFF_CHANGE_TYPES segments
+ *   that read as `before` without the added ones and as `after` without the
+ *   removed ones
+ */
+export const diffWords = (before, after) => {
+  const a = tokenizeWords(before);
+  const b = tokenizeWords(after);
+
+  // lengths[i][j]: common subsequence length of a[i..] and b[j..]
+  const lengths = Array.from(
+    { length: a.length + 1 },
+    () => new Uint16Array(b.length + 1)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  const push = (type, text) => {
+    const last = changes[changes.length - 1];
+    if (last?.type === type) last.text += text;
+    else changes.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push(DIFF_CHANGE_TYPES.EQUAL, a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push(DIFF_CHANGE_TYPES.REMOVED, a[i++]);
+    } else {
+      push(DIFF_CHANGE_TYPES.ADDED, b[j++]);
+    }
+  }
+  while (i < a.length) push(DIFF_CHANGE_TYPES.REMOVED, a[i++]);
+  while (j < b.length) push(DIFF_CHANGE_TYPES.ADDED, b[j++]);
+
+  return changes;
+};
+
+/**
+ * The revision a comment starts with. It is only stored once the comment
+ * is edited, so unedited comments report their current text as revision 1.
+ * @param {Object} comment - Comment with `id`, `text`, `userId`, `createdAt`
+ * @returns {Object} Revision shaped like a CommentRevision row
+ */
+export const originalRevision = ({ id, text, userId, createdAt }) => ({
+  commentId: id,
+  revision: 1,
+  text,
+  editedBy: userId,
+  restoredFrom: null,
+  createdAt,
+});
@@ -0,0 +1,127 @@
+/**
+ * Comment Target Utilities
+ * Registry of resource types comments can be attached to, and the per-type
+ * access rules declared in service.config.js
+ */
+
+import { hasAnyPermission } from '../../../../../packages/shared/auth/permissions.js';
+import {
+  ForbiddenError,
+  UnauthorizedError,
+  ValidationError,
+} from '../../../../../packages/shared/utils/errors.js';
+import { API_MESSAGES, USER_ROLES } from '../constants/index.js';
+
+/**
+ * Build a registry from the `commentTargets` section of service.config.js
+ * @param {Object<string, { read?: Object, write?: Object }>} definitions -
+ *   Target types keyed by name, with optional rules per TARGET_ACTIONS value
+ * @returns {{ types: string[], has: Function, rulesFor: Function }}
+ */
+export const createTargetRegistry = (definitions = {}) => {
+  const has = type => Object.hasOwn(definitions, type);
+
+  return {
+    types: Object.keys(definitions),
+    has,
+    rulesFor: (type, action) =>
+      (has(type) ? definitions[type][action] : null) ?? null,
+  };
+};
+
+/**
+ * Whether a user satisfies a target rule. Roles and permissions each pass
+ * when the user holds any listed entry, and both must pass when both are
+ * given. Admins pass every rule.
+ * @param {{ requireRoles?: string[], requirePermissions?: string[] }|null} rule
+ * @param {Object|null} user - `request.user`
+ * @returns {boolean} True when there is no rule
+ */
+export const canAccessTarget = (rule, user) => {
+  if (!rule) return true;
+  if (!user?.id) return false;
+
+  const roles = user.roles || [];
+  if (roles.includes(USER_ROLES.ADMIN)) return true;
+
+  const { requireRoles = [], requirePermissions = [] } = rule;
+  const hasRole =
+    requireRoles.length === 0 ||
+    requireRoles.some(role => roles.includes(role));
+
+  return (
+    hasRole && hasAnyPermission(user.permissions || [], requirePermissions)
+  );
+};
+
+/**
+ * Check a target type supplied by a client
+ * @param {Object} registry - From `createTargetRegistry`
+ * @param {string|undefined} targetType
+ * @param {string|undefined} targetId
+ * @throws {ValidationError} When the type is unknown, or an ID comes without a type
+ */
+export const assertTargetType = (registry, targetType, targetId) => {
+  if (targetId && !targetType) {
+    throw new ValidationError(API_MESSAGES.ERROR.TARGET_TYPE_REQUIRED, {
+      targetId,
+    });
+  }
+  if (targetType && !registry.has(targetType)) {
+    throw new ValidationError(API_MESSAGES.ERROR.UNKNOWN_TARGET_TYPE, {
+      targetType,
+      allowed: registry.types,
+    });
+  }
+};
+
+/**
+ * Check that a user may read or write comments on a target type.
+ * Comments without a target, and types without a rule, are open.
+ * @param {Object} registry - From `createTargetRegistry`
+ * @param {string|null} targetType
+ * @param {string} action - A TARGET_ACTIONS value
+ * @param {Object|null} user - `request.user`
+ * @throws {UnauthorizedError} When a rule applies and nobody is signed in
+ * @throws {ForbiddenError} When the user doesn't satisfy the rule
+ */
+export const assertTargetAccess = (registry, targetType, action, user) => {
+  if (!targetType) return;
+
+  if (!canAccessTarget(registry.rulesFor(targetType, action), user)) {
+    const details = { targetType, action };
+    throw user?.id
+      ? new ForbiddenError(API_MESSAGES.ERROR.TARGET_ACCESS_DENIED, details)
+      : new UnauthorizedError(API_MESSAGES.ERROR.TARGET_AUTH_REQUIRED, details);
+  }
+};
+
+/**
+ * Target types whose comments the user may not see or touch
+ * @param {Object} registry - From `createTargetRegistry`
+ * @param {string} action - A TARGET_ACTIONS value
+ * @param {Object|null} user - `request.user`
+ * @returns {string[]}
+ */
+export const deniedTargetTypes = (registry, action, user) =>
+  registry.types.filter(
+    type => !canAccessTarget(registry.rulesFor(type, action), user)
+  );
+
+/**
+ * Prisma `where` fragment hiding comments on denied target types
+ * @param {string[]} denied - From `deniedTargetTypes`
+ * @returns {Object} Prisma where clause; empty when nothing is denied
+ */
+export const targetVisibilityWhere = (denied = []) =>
+  denied.length > 0
+    ? { OR: [{ targetType: null }, { targetType: { notIn: denied } }] }
+    : {};
+
+/**
+ * Prisma `where` fragment for a target filter
+ * @param {{ targetType?: string, targetId?: string }} target
+ * @returns {Object} Prisma where clause; empty without a type
+ */
+export const targetWhere = ({ targetType, targetId } = {}) =>
+  targetType ? { targetType, ...(targetId && { targetId }) } : {};
@@ -0,0 +1,144 @@
+/**
+ * Comment Thread Utilities
+ * Builds nested reply trees from Prisma results
+ */
+
+import { DB_CONFIG, THREAD_CONFIG } from '../constants/index.js';
+import { encodeCursor } from './cursorUtils.js';
+import { viewerReactionSelect, withUserReaction } from './reactionUtils.js';
+
+const clamp = (value, fallback, max) => {
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed) || parsed < 0) return fallback;
+  return Math.min(parsed, max);
+};
+
+/**
+ * Normalise thread query options to safe bounds
+ * @param {Object} options - Raw `maxDepth` / `replyLimit` values
+ * @returns {{ maxDepth: number, replyLimit: number }}
+ */
+export const normalizeThreadOptions = ({ maxDepth, replyLimit } = {}) => ({
+  maxDepth: clamp(
+    maxDepth,
+    THREAD_CONFIG.DEFAULT_MAX_DEPTH,
+    THREAD_CONFIG.MAX_DEPTH
+  ),
+  replyLimit:
+    clamp(
+      replyLimit,
+      THREAD_CONFIG.DEFAULT_REPLY_LIMIT,
+      THREAD_CONFIG.MAX_REPLY_LIMIT
+    ) || 1,
+});
+
+/**
+ * Prisma select that loads a comment and `depth` levels of replies.
+ * One extra reply is fetched per level to detect whether more exist.
+ * @param {number} depth - Levels of replies to load below this node
+ * @param {Object} options
+ * @param {number} options.replyLimit - Replies returned per parent
+ * @param {string|null} [options.viewerId] - Caller whose reaction is attached
+ * @param {boolean} [options.isPublic] - Hide author IDs
+ * @param {Object} [options.repliesWhere] - Extra filter for this level's replies
+ * @returns {Object} Prisma select
+ */
+export const buildThreadSelect = (depth, options) => {
+  const {
+    replyLimit,
+    viewerId = null,
+    isPublic = false,
+    repliesWhere,
+  } = options;
+
+  const select = {
+    id: true,
+    text: true,
+    likes: true,
+    dislikes: true,
+    createdAt: true,
+    updatedAt: true,
+    parentId: true,
+    targetType: true,
+    targetId: true,
+    edited: true,
+    editedAt: true,
+    isHidden: true,
+    userId: !isPublic,
+    [DB_CONFIG.SOFT_DELETE_FIELD]: true,
+    reactions: viewerReactionSelect(viewerId),
+    _count: { select: { replies: true } },
+  };
+
+  if (depth > 0) {
+    select.replies = {
+      ...(repliesWhere && { where: repliesWhere }),
+      orderBy: THREAD_CONFIG.REPLY_ORDER,
+      take: replyLimit + 1,
+      select: buildThreadSelect(depth - 1, { replyLimit, viewerId, isPublic }),
+    };
+  }
+
+  return select;
+};
+
+/**
+ * Strip a deleted or hidden comment down to what is needed to keep the
+ * tree shape
+ * @param {Object} comment - Deleted or hidden comment
+ * @returns {Object} Tombstone node
+ */
+export const toTombstone = comment => ({
+  id: comment.id,
+  parentId: comment.parentId,
+  createdAt: comment.createdAt,
+  updatedAt: comment.updatedAt,
+  text: null,
+  likes: 0,
+  dislikes: 0,
+  userReaction: null,
+  [DB_CONFIG.SOFT_DELETE_FIELD]: Boolean(comment[DB_CONFIG.SOFT_DELETE_FIELD]),
+  isHidden: Boolean(comment.isHidden),
+});
+
+/**
+ * Convert a comment loaded with `buildThreadSelect` into a thread node.
+ * Every node carries `replyCount` (direct replies). When replies were cut off
+ * by the per-level limit `nextCursor` loads the next batch; when the max depth
+ * was reached `hasMoreReplies` is set without a cursor and the client fetches
+ * that node's own thread instead.
+ * @param {Object} comment - Comment with nested `replies` and `_count`
+ * @param {number} replyLimit - Replies returned per parent
+ * @returns {Object} Thread node
+ */
+export const toThreadNode = (comment, replyLimit) => {
+  const { _count, replies, ...rest } = withUserReaction(comment);
+  const replyCount = _count?.replies ?? 0;
+  const node =
+    rest[DB_CONFIG.SOFT_DELETE_FIELD] || rest.isHidden
+      ? toTombstone(rest)
+      : rest;
+
+  if (!replies) {
+    return {
+      ...node,
+      replyCount,
+      replies: [],
+      hasMoreReplies: replyCount > 0,
+      nextCursor: null,
+    };
+  }
+
+  const visible = replies.slice(0, replyLimit);
+  const hasMoreReplies = replies.length > replyLimit;
+
+  return {
+    ...node,
+    replyCount,
+    replies: visible.map(reply => toThreadNode(reply, replyLimit)),
+    hasMoreReplies,
+    nextCursor: hasMoreReplies
+      ? encodeCursor(visible[visible.length - 1])
+      : null,
+  };
+};
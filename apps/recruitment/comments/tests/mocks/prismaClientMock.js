@@ -8,8 +8,10 @@ export class PrismaClient {
       findUnique: jest.fn(),
       update: jest.fn(),
       delete: jest.fn(),
+      deleteMany: jest.fn(),
       count: jest.fn(),
       aggregate: jest.fn(),
+      groupBy: jest.fn(),
     };
 
     this.commentLike = {
@@ -20,6 +22,33 @@ export class PrismaClient {
       count: jest.fn(),
     };
 
+    this.commentReaction = {
+      create: jest.fn(),
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+      count: jest.fn(),
+    };
+
+    this.commentRevision = {
+      create: jest.fn(),
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+    };
+
+    this.commentReport = {
+      create: jest.fn(),
+      findMany: jest.fn(),
+      updateMany: jest.fn(),
+    };
+
+    this.moderationDecision = {
+      create: jest.fn(),
+      findMany: jest.fn(),
+    };
+
     this.commentDislike = {
       create: jest.fn(),
       findMany: jest.fn(),
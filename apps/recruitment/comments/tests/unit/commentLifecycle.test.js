@@ -0,0 +1,372 @@
+/**
+ * Unit Tests for Comment Reports, Moderation and Retention
+ * Runs CommentService and its repository against an in-memory Prisma
+ * stand-in, so the report, moderation and deletion rules are checked end to
+ * end without a database
+ */
+
+import { CommentService } from '@app/services';
+import { createTargetRegistry } from '@app/utils';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const author = { id: 'author-1', roles: ['user'] };
+const moderator = { id: 'mod-1', roles: ['moderator'] };
+const admin = { id: 'admin-1', roles: ['admin'] };
+const reporter = n => ({ id: `reporter-${n}`, roles: ['user'] });
+
+const buildComment = (overrides = {}) => ({
+  id: 'comment-1',
+  userId: author.id,
+  text: 'Great candidate',
+  parentId: null,
+  targetType: null,
+  targetId: null,
+  isDeleted: false,
+  deletedAt: null,
+  deletedBy: null,
+  isHidden: false,
+  hiddenAt: null,
+  reportCount: 0,
+  moderationStatus: 'approved',
+  ...overrides,
+});
+
+const prismaError = (code, message) =>
+  Object.assign(new Error(message), { code });
+
+// Minimal in-memory stand-in for the delegates the repository uses
+const createPrismaFake = (seed = []) => {
+  const comments = new Map(seed.map(comment => [comment.id, comment]));
+  const reports = [];
+  const decisions = [];
+
+  const matches = (row, where) =>
+    Object.entries(where).every(([field, condition]) => {
+      if (field === 'replies') {
+        return ![...comments.values()].some(reply => reply.parentId === row.id);
+      }
+      if (condition?.in) return condition.in.includes(row[field]);
+      if (condition?.lt)
+        return row[field] !== null && row[field] < condition.lt;
+      return row[field] === condition;
+    });
+
+  const apply = (row, data) => {
+    for (const [field, value] of Object.entries(data)) {
+      row[field] =
+        value?.increment !== undefined ? row[field] + value.increment : value;
+    }
+    return { ...row };
+  };
+
+  const prisma = {
+    comments,
+    reports,
+    decisions,
+    comment: {
+      findUnique: async ({ where }) =>
+        comments.has(where.id) ? { ...comments.get(where.id) } : null,
+      findMany: async ({ where, take = Infinity }) =>
+        [...comments.values()]
+          .filter(row => matches(row, where))
+          .slice(0, take)
+          .map(({ id }) => ({ id })),
+      update: async ({ where, data }) => {
+        if (!comments.has(where.id)) {
+          throw prismaError('P2025', 'Record to update not found');
+        }
+        return apply(comments.get(where.id), data);
+      },
+      deleteMany: async ({ where }) => {
+        const rows = [...comments.values()].filter(row => matches(row, where));
+        rows.forEach(row => comments.delete(row.id));
+        return { count: rows.length };
+      },
+    },
+    commentReport: {
+      create: async ({ data }) => {
+        if (
+          reports.some(
+            report =>
+              report.commentId === data.commentId &&
+              report.reporterId === data.reporterId
+          )
+        ) {
+          throw prismaError('P2002', 'Unique constraint failed');
+        }
+        const report = {
+          id: `report-${reports.length + 1}`,
+          status: 'open',
+          ...data,
+        };
+        reports.push(report);
+        return { ...report };
+      },
+      updateMany: async ({ where, data }) => {
+        const rows = reports.filter(row => matches(row, where));
+        rows.forEach(row => apply(row, data));
+        return { count: rows.length };
+      },
+    },
+    moderationDecision: {
+      create: async ({ data }) => {
+        decisions.push(data);
+        return data;
+      },
+    },
+  };
+  prisma.$transaction = callback => callback(prisma);
+  return prisma;
+};
+
+const createService = (prisma, { autoHideThreshold = 2 } = {}) => {
+  const service = new CommentService(
+    createTargetRegistry({}),
+    { autoHideThreshold },
+    { restoreGraceMs: HOUR, retentionMs: 30 * DAY }
+  );
+  service.dbService.prisma = prisma;
+  return service;
+};
+
+describe('Comment Service - Reports and Moderation', () => {
+  let prisma;
+  let service;
+
+  beforeEach(() => {
+    prisma = createPrismaFake([buildComment()]);
+    service = createService(prisma);
+  });
+
+  const report = user =>
+    service.reportComment('comment-1', { reason: 'spam' }, user);
+
+  describe('reportComment', () => {
+    it('should reject a second report by the same user with 409', async () => {
+      await report(reporter(1));
+
+      await expect(report(reporter(1))).rejects.toMatchObject({
+        statusCode: 409,
+      });
+      expect(prisma.comments.get('comment-1').reportCount).toBe(1);
+      expect(prisma.reports).toHaveLength(1);
+    });
+
+    it('should not let users report their own or deleted comments', async () => {
+      await expect(report(author)).rejects.toMatchObject({ statusCode: 400 });
+
+      prisma.comments.get('comment-1').isDeleted = true;
+      await expect(report(reporter(1))).rejects.toMatchObject({
+        statusCode: 400,
+      });
+      expect(prisma.reports).toHaveLength(0);
+    });
+
+    it('should hide the comment once the reports reach the threshold', async () => {
+      const first = await report(reporter(1));
+      expect(first.comment).toEqual({
+        id: 'comment-1',
+        reportCount: 1,
+        isHidden: false,
+      });
+      expect(prisma.decisions).toHaveLength(0);
+
+      const second = await report(reporter(2));
+      expect(second.comment).toEqual({
+        id: 'comment-1',
+        reportCount: 2,
+        isHidden: true,
+      });
+      expect(prisma.comments.get('comment-1').hiddenAt).toBeInstanceOf(Date);
+      expect(prisma.decisions).toEqual([
+        {
+          commentId: 'comment-1',
+          moderatorId: null,
+          action: 'auto_hide',
+          reportCount: 2,
+        },
+      ]);
+    });
+
+    it('should never hide automatically with a threshold of 0', async () => {
+      service = createService(prisma, { autoHideThreshold: 0 });
+
+      await report(reporter(1));
+      await report(reporter(2));
+
+      expect(prisma.comments.get('comment-1').isHidden).toBe(false);
+    });
+  });
+
+  describe('moderateComment', () => {
+    beforeEach(async () => {
+      await report(reporter(1));
+      await report(reporter(2));
+    });
+
+    it('should reset the report count and dismiss the reports on approve', async () => {
+      const updated = await service.moderateComment(
+        'comment-1',
+        'approve',
+        { note: ' Fine ' },
+        moderator
+      );
+
+      expect(updated).toMatchObject({
+        isHidden: false,
+        hiddenAt: null,
+        moderationStatus: 'approved',
+        reportCount: 0,
+      });
+      expect(prisma.reports.map(({ status }) => status)).toEqual([
+        'dismissed',
+        'dismissed',
+      ]);
+      expect(prisma.decisions.at(-1)).toEqual({
+        commentId: 'comment-1',
+        moderatorId: 'mod-1',
+        action: 'approve',
+        note: 'Fine',
+        reportCount: 2,
+      });
+    });
+
+    it('should reset the report count and record the deletion on reject', async () => {
+      const updated = await service.moderateComment(
+        'comment-1',
+        'reject',
+        {},
+        moderator
+      );
+
+      expect(updated).toMatchObject({
+        isDeleted: true,
+        deletedBy: 'mod-1',
+        moderationStatus: 'rejected',
+        reportCount: 0,
+      });
+      expect(updated.deletedAt).toBeInstanceOf(Date);
+      expect(prisma.reports.map(({ status }) => status)).toEqual([
+        'upheld',
+        'upheld',
+      ]);
+    });
+
+    it('should count only new reports after a decision', async () => {
+      await service.moderateComment('comment-1', 'restore', {}, moderator);
+
+      const { comment } = await report(reporter(3));
+
+      expect(comment).toEqual({
+        id: 'comment-1',
+        reportCount: 1,
+        isHidden: false,
+      });
+    });
+  });
+});
+
+describe('Comment Service - Retention', () => {
+  let prisma;
+  let service;
+
+  beforeEach(() => {
+    prisma = createPrismaFake([
+      buildComment(),
+      buildComment({ id: 'reply-1', parentId: 'comment-1' }),
+      buildComment({ id: 'reply-2', parentId: 'reply-1' }),
+      buildComment({ id: 'comment-2' }),
+    ]);
+    service = createService(prisma);
+  });
+
+  const deletedAgo = (id, ms, deletedBy = author.id) =>
+    Object.assign(prisma.comments.get(id), {
+      isDeleted: true,
+      deletedAt: new Date(Date.now() - ms),
+      deletedBy,
+    });
+
+  describe('restoreComment', () => {
+    it('should let the owner restore within the grace window', async () => {
+      await service.deleteComment('comment-2', author);
+
+      const restored = await service.restoreComment('comment-2', author);
+
+      expect(restored).toMatchObject({
+        isDeleted: false,
+        deletedAt: null,
+        deletedBy: null,
+      });
+    });
+
+    it('should refuse owners after the window and for removed comments', async () => {
+      deletedAgo('comment-2', 2 * HOUR);
+      await expect(
+        service.restoreComment('comment-2', author)
+      ).rejects.toMatchObject({ statusCode: 400 });
+
+      deletedAgo('comment-1', 0, moderator.id);
+      await expect(
+        service.restoreComment('comment-1', author)
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should let admins restore until the comment is purged', async () => {
+      deletedAgo('comment-2', 10 * DAY, moderator.id);
+
+      await expect(
+        service.restoreComment('comment-2', admin)
+      ).resolves.toMatchObject({ isDeleted: false });
+    });
+
+    it('should refuse to delete a comment twice', async () => {
+      await service.deleteComment('comment-2', author);
+
+      await expect(
+        service.deleteComment('comment-2', author)
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('purgeDeletedComments', () => {
+    it('should purge comments deleted before the retention period', async () => {
+      deletedAgo('comment-2', 31 * DAY);
+      deletedAgo('reply-2', DAY);
+
+      await expect(service.purgeDeletedComments()).resolves.toBe(1);
+      expect([...prisma.comments.keys()]).toEqual([
+        'comment-1',
+        'reply-1',
+        'reply-2',
+      ]);
+    });
+
+    it('should keep deleted comments with replies until those are purged', async () => {
+      deletedAgo('reply-1', 31 * DAY);
+      deletedAgo('reply-2', 31 * DAY);
+
+      await expect(service.purgeDeletedComments()).resolves.toBe(2);
+      expect(prisma.comments.has('reply-1')).toBe(false);
+      expect(prisma.comments.has('comment-1')).toBe(true);
+    });
+  });
+
+  describe('hardDeleteComment', () => {
+    it('should delete the comment with its whole reply tree', async () => {
+      await expect(service.hardDeleteComment('comment-1')).resolves.toEqual({
+        id: 'comment-1',
+        deletedCount: 3,
+      });
+      expect([...prisma.comments.keys()]).toEqual(['comment-2']);
+    });
+
+    it('should answer 404 for unknown comments', async () => {
+      await expect(service.hardDeleteComment('missing')).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+  });
+});
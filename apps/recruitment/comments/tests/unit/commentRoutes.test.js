@@ -0,0 +1,247 @@
+/**
+ * Comment Route Tests
+ * Injects requests into the server to check the route guards and what the
+ * response schemas let through to clients, with the repository's Prisma
+ * client stubbed
+ */
+
+import { jest } from '@jest/globals';
+import { createFastifyServer } from '../../src/server-instance.js';
+import { commentController } from '../../src/controllers/index.js';
+
+const user = { 'x-user-id': 'user-1', 'x-user-roles': '["user"]' };
+
+const buildComment = (overrides = {}) => ({
+  id: 'comment-1',
+  text: 'Great candidate',
+  userId: 'author-1',
+  parentId: null,
+  likes: 0,
+  dislikes: 0,
+  isDeleted: false,
+  createdAt: new Date('2025-01-01T00:00:00Z'),
+  updatedAt: new Date('2025-01-01T00:00:00Z'),
+  ...overrides,
+});
+
+describe('Comment Routes', () => {
+  let app;
+  let prisma;
+
+  beforeAll(async () => {
+    app = await createFastifyServer({
+      logger: false,
+      skipPrisma: true,
+      skipRateLimit: true,
+    });
+    // The shared controllers answer through Express-style `res.json`
+    app.decorateReply('json', function json(payload) {
+      return this.send(payload);
+    });
+    await app.ready();
+  });
+
+  afterAll(async () => {
+    await app.close();
+  });
+
+  beforeEach(() => {
+    prisma = {
+      comment: {
+        findUnique: jest.fn(),
+        findMany: jest.fn(),
+        count: jest.fn(),
+        update: jest.fn(),
+      },
+      commentReaction: {
+        findUnique: jest.fn().mockResolvedValue(null),
+        create: jest.fn(),
+        update: jest.fn(),
+        delete: jest.fn(),
+      },
+    };
+    prisma.$transaction = callback => callback(prisma);
+    commentController.service.dbService.prisma = prisma;
+  });
+
+  describe('reactions', () => {
+    it.each([
+      ['like', { likes: 1, dislikes: 0 }],
+      ['dislike', { likes: 0, dislikes: 1 }],
+    ])(
+      'should return the counters and the reaction on %s',
+      async (type, counts) => {
+        prisma.comment.findUnique.mockResolvedValue(buildComment());
+        prisma.comment.update.mockResolvedValue(buildComment(counts));
+
+        const response = await app.inject({
+          method: 'POST',
+          url: `/api/comments/comment-1/${type}`,
+          headers: user,
+        });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.json().data).toEqual({
+          id: 'comment-1',
+          ...counts,
+          userReaction: type,
+        });
+      }
+    );
+
+    it('should return null as the reaction when a like is toggled off', async () => {
+      prisma.comment.findUnique.mockResolvedValue(buildComment({ likes: 1 }));
+      prisma.commentReaction.findUnique.mockResolvedValue({ type: 'like' });
+      prisma.comment.update.mockResolvedValue(buildComment());
+
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/comments/comment-1/like',
+        headers: user,
+      });
+
+      expect(prisma.commentReaction.delete).toHaveBeenCalled();
+      expect(response.json().data).toEqual({
+        id: 'comment-1',
+        likes: 0,
+        dislikes: 0,
+        userReaction: null,
+      });
+    });
+
+    it("should return the comment with the caller's reaction", async () => {
+      prisma.comment.findUnique.mockResolvedValue(
+        buildComment({ likes: 1, reactions: [{ type: 'like' }] })
+      );
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/api/comments/comment-1',
+        headers: user,
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.json().data).toMatchObject({
+        id: 'comment-1',
+        text: 'Great candidate',
+        likes: 1,
+        userReaction: 'like',
+      });
+    });
+  });
+
+  describe('listings', () => {
+    const rows = [
+      buildComment(),
+      buildComment({
+        id: 'comment-2',
+        createdAt: new Date('2025-01-02T00:00:00Z'),
+      }),
+    ];
+
+    it('should return the cursors to page with', async () => {
+      prisma.comment.findMany.mockResolvedValue(rows);
+      prisma.comment.count.mockResolvedValue(2);
+
+      const first = await app.inject({
+        method: 'GET',
+        url: '/api/comments?limit=1',
+      });
+
+      expect(first.statusCode).toBe(200);
+      const { pagination, meta } = first.json().data;
+      expect(pagination).toEqual({
+        limit: 1,
+        total: 2,
+        hasNext: true,
+        hasPrev: false,
+        nextCursor: expect.any(String),
+        prevCursor: null,
+      });
+      expect(meta).toMatchObject({ sort: 'oldest', isPublic: true });
+
+      prisma.comment.findMany.mockResolvedValue(rows.slice(1));
+      const second = await app.inject({
+        method: 'GET',
+        url: '/api/comments',
+        query: { limit: '1', after: pagination.nextCursor },
+      });
+
+      expect(second.statusCode).toBe(200);
+      const { where } = prisma.comment.findMany.mock.calls[1][0];
+      expect(where.AND[1].OR[1]).toMatchObject({ id: { gt: 'comment-1' } });
+      expect(second.json().data.pagination).toMatchObject({
+        hasNext: false,
+        hasPrev: true,
+        nextCursor: null,
+        prevCursor: expect.any(String),
+      });
+    });
+
+    it('should return the cursors of the /my listing', async () => {
+      prisma.comment.findMany.mockResolvedValue(rows);
+      prisma.comment.count.mockResolvedValue(2);
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/api/comments/my?limit=1&sort=newest',
+        headers: user,
+      });
+
+      expect(response.statusCode).toBe(200);
+      const { pagination, meta } = response.json().data;
+      expect(pagination.nextCursor).toEqual(expect.any(String));
+      expect(meta.sort).toBe('newest');
+    });
+  });
+
+  describe('moderation', () => {
+    const moderator = (permissions = []) => ({
+      'x-user-id': 'mod-1',
+      'x-user-roles': '["moderator"]',
+      'x-user-permissions': JSON.stringify(permissions),
+    });
+
+    it('should refuse moderators without the moderation permission', async () => {
+      const response = await app.inject({
+        method: 'GET',
+        url: '/api/comments/moderation/queue',
+        headers: moderator(['read:comments']),
+      });
+
+      expect(response.statusCode).toBe(403);
+      expect(response.json()).toMatchObject({
+        code: 'INSUFFICIENT_PERMISSIONS',
+        required: ['moderate:comments'],
+      });
+    });
+
+    it('should refuse users holding only the moderation permission', async () => {
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/comments/moderation/comment-1/approve',
+        headers: {
+          ...moderator(['moderate:comments']),
+          'x-user-roles': '["user"]',
+        },
+        payload: {},
+      });
+
+      expect(response.statusCode).toBe(403);
+      expect(prisma.comment.findUnique).not.toHaveBeenCalled();
+    });
+
+    it('should let moderators with the permission through', async () => {
+      prisma.comment.findUnique.mockResolvedValue(null);
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/api/comments/moderation/comment-1/history',
+        headers: moderator(['moderate:comments']),
+      });
+
+      expect(prisma.comment.findUnique).toHaveBeenCalled();
+      expect(response.statusCode).not.toBe(403);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit Tests for Cursor Utilities
+ * Tests listing cursors for each sort mode
+ */
+
+import {
+  decodeSortCursor,
+  encodeSortCursor,
+  sortCursorWhere,
+  sortOrderBy,
+} from '@app/utils';
+
+const createdAt = new Date('2025-01-01T00:00:00.000Z');
+const comment = { id: 'c5', createdAt, likes: 7, hotScore: 702.5 };
+
+describe('Cursor Utils - Unit Tests', () => {
+  describe('sortOrderBy', () => {
+    it('should break ties by id in the sort direction', () => {
+      expect(sortOrderBy('newest')).toEqual([
+        { createdAt: 'desc' },
+        { id: 'desc' },
+      ]);
+      expect(sortOrderBy('top')).toEqual([{ likes: 'desc' }, { id: 'desc' }]);
+    });
+
+    it('should reverse the order for before pages', () => {
+      expect(sortOrderBy('oldest', true)).toEqual([
+        { createdAt: 'desc' },
+        { id: 'desc' },
+      ]);
+    });
+  });
+
+  describe('encodeSortCursor / decodeSortCursor', () => {
+    it('should round-trip the sort key and id', () => {
+      expect(
+        decodeSortCursor(encodeSortCursor('oldest', comment), 'oldest')
+      ).toEqual({ value: createdAt, id: 'c5' });
+      expect(decodeSortCursor(encodeSortCursor('hot', comment), 'hot')).toEqual(
+        { value: 702.5, id: 'c5' }
+      );
+    });
+
+    it('should reject malformed cursors and cursors of another sort', () => {
+      expect(() => decodeSortCursor('not-a-cursor', 'top')).toThrow(
+        expect.objectContaining({ statusCode: 422 })
+      );
+      expect(() =>
+        decodeSortCursor(encodeSortCursor('top', comment), 'hot')
+      ).toThrow(expect.objectContaining({ statusCode: 422 }));
+    });
+  });
+
+  describe('sortCursorWhere', () => {
+    it('should select rows past the cursor in the sort direction', () => {
+      expect(sortCursorWhere('top', { value: 7, id: 'c5' })).toEqual({
+        OR: [{ likes: { lt: 7 } }, { likes: 7, id: { lt: 'c5' } }],
+      });
+      expect(sortCursorWhere('oldest', { value: createdAt, id: 'c5' })).toEqual(
+        {
+          OR: [
+            { createdAt: { gt: createdAt } },
+            { createdAt, id: { gt: 'c5' } },
+          ],
+        }
+      );
+    });
+
+    it('should select rows ahead of the cursor for before pages', () => {
+      expect(sortCursorWhere('top', { value: 7, id: 'c5' }, true)).toEqual({
+        OR: [{ likes: { gt: 7 } }, { likes: 7, id: { gt: 'c5' } }],
+      });
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Unit Tests for Moderation Utilities
+ * Tests moderator checks, auto-hiding and moderation decisions
+ */
+
+import {
+  isModerator,
+  resolveModerationAction,
+  shouldAutoHide,
+} from '@app/utils';
+
+const comment = (overrides = {}) => ({
+  id: 'c1',
+  isDeleted: false,
+  isHidden: false,
+  hiddenAt: null,
+  reportCount: 2,
+  moderationStatus: 'pending',
+  ...overrides,
+});
+
+describe('Moderation Utils - Unit Tests', () => {
+  describe('isModerator', () => {
+    it('should accept moderators and admins only', () => {
+      expect(isModerator({ id: 'u', roles: ['moderator'] })).toBe(true);
+      expect(isModerator({ id: 'u', roles: ['admin'] })).toBe(true);
+      expect(isModerator({ id: 'u', roles: ['user'] })).toBe(false);
+      expect(isModerator(null)).toBe(false);
+    });
+  });
+
+  describe('shouldAutoHide', () => {
+    it('should hide once the open reports reach the threshold', () => {
+      expect(shouldAutoHide(comment({ reportCount: 2 }), 3)).toBe(false);
+      expect(shouldAutoHide(comment({ reportCount: 3 }), 3)).toBe(true);
+    });
+
+    it('should not hide twice or when auto-hiding is off', () => {
+      expect(
+        shouldAutoHide(comment({ reportCount: 5, isHidden: true }), 3)
+      ).toBe(false);
+      expect(shouldAutoHide(comment({ reportCount: 5 }), 0)).toBe(false);
+    });
+  });
+
+  describe('resolveModerationAction', () => {
+    const now = new Date('2025-01-01T00:00:00.000Z');
+    const options = { moderatorId: 'mod-1', now };
+
+    it('should dismiss reports and show the comment on approve', () => {
+      expect(
+        resolveModerationAction('approve', comment({ isHidden: true }), options)
+      ).toEqual({
+        reportStatus: 'dismissed',
+        data: {
+          isHidden: false,
+          hiddenAt: null,
+          moderationStatus: 'approved',
+          reportCount: 0,
+        },
+      });
+    });
+
+    it('should uphold reports on hide and reject', () => {
+      const hidden = resolveModerationAction('hide', comment(), options);
+      expect(hidden.reportStatus).toBe('upheld');
+      expect(hidden.data).toMatchObject({ isHidden: true, hiddenAt: now });
+
+      const rejected = resolveModerationAction('reject', comment(), options);
+      expect(rejected.reportStatus).toBe('upheld');
+      expect(rejected.data).toMatchObject({
+        isDeleted: true,
+        deletedAt: now,
+        deletedBy: 'mod-1',
+        moderationStatus: 'rejected',
+      });
+    });
+
+    it('should only restore hidden comments', () => {
+      expect(() =>
+        resolveModerationAction('restore', comment(), options)
+      ).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(
+        resolveModerationAction('restore', comment({ isHidden: true }), options)
+          .data.isHidden
+      ).toBe(false);
+    });
+
+    it('should refuse to moderate deleted comments', () => {
+      expect(() =>
+        resolveModerationAction(
+          'approve',
+          comment({ isDeleted: true }),
+          options
+        )
+      ).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+});
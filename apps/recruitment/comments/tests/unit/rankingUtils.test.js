@@ -0,0 +1,66 @@
+/**
+ * Unit Tests for Ranking Utilities
+ * Tests the hot and controversial scores
+ */
+
+import { controversyScore, hotScore, rankingScores } from '@app/utils';
+
+const HOUR = 60 * 60 * 1000;
+const createdAt = new Date('2025-01-01T00:00:00.000Z');
+
+const comment = (likes, dislikes, at = createdAt) => ({
+  likes,
+  dislikes,
+  createdAt: at,
+});
+
+describe('Ranking Utils - Unit Tests', () => {
+  describe('hotScore', () => {
+    it('should rank more net votes higher at the same age', () => {
+      expect(hotScore(comment(10, 0))).toBeGreaterThan(hotScore(comment(2, 0)));
+      expect(hotScore(comment(0, 5))).toBeLessThan(hotScore(comment(0, 0)));
+      expect(hotScore(comment(3, 3))).toBe(hotScore(comment(0, 0)));
+    });
+
+    it('should let newer comments overtake older ones', () => {
+      const older = comment(10, 0);
+      const newer = comment(10, 0, new Date(createdAt.getTime() + HOUR));
+      const muchNewer = comment(
+        1,
+        0,
+        new Date(createdAt.getTime() + 13 * HOUR)
+      );
+
+      expect(hotScore(newer)).toBeGreaterThan(hotScore(older));
+      // Ten times the votes are worth 12.5 hours
+      expect(hotScore(muchNewer)).toBeGreaterThan(hotScore(older));
+    });
+  });
+
+  describe('controversyScore', () => {
+    it('should be zero without both likes and dislikes', () => {
+      expect(controversyScore(comment(0, 0))).toBe(0);
+      expect(controversyScore(comment(50, 0))).toBe(0);
+      expect(controversyScore(comment(0, 50))).toBe(0);
+    });
+
+    it('should favour even splits and more votes', () => {
+      expect(controversyScore(comment(10, 10))).toBe(20);
+      expect(controversyScore(comment(10, 10))).toBeGreaterThan(
+        controversyScore(comment(18, 2))
+      );
+      expect(controversyScore(comment(20, 20))).toBeGreaterThan(
+        controversyScore(comment(10, 10))
+      );
+    });
+  });
+
+  describe('rankingScores', () => {
+    it('should return both stored scores', () => {
+      expect(rankingScores(comment(4, 2))).toEqual({
+        hotScore: hotScore(comment(4, 2)),
+        controversyScore: 3,
+      });
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit Tests for Reaction Utilities
+ * Tests toggle/switch semantics for per-user comment reactions
+ */
+
+import {
+  isReactionType,
+  resolveReactionChange,
+  viewerReactionSelect,
+  withUserReaction,
+} from '@app/utils';
+
+describe('Reaction Utils - Unit Tests', () => {
+  describe('resolveReactionChange', () => {
+    it('should create a reaction when the user has none', () => {
+      const result = resolveReactionChange(null, 'like');
+
+      expect(result.action).toBe('create');
+      expect(result.userReaction).toBe('like');
+      expect(result.counterDelta).toEqual({ likes: 1, dislikes: 0 });
+    });
+
+    it('should toggle off when reacting with the same type', () => {
+      const result = resolveReactionChange('dislike', 'dislike');
+
+      expect(result.action).toBe('remove');
+      expect(result.userReaction).toBeNull();
+      expect(result.counterDelta).toEqual({ likes: 0, dislikes: -1 });
+    });
+
+    it('should switch between like and dislike', () => {
+      const result = resolveReactionChange('like', 'dislike');
+
+      expect(result.action).toBe('switch');
+      expect(result.userReaction).toBe('dislike');
+      expect(result.counterDelta).toEqual({ likes: -1, dislikes: 1 });
+    });
+
+    it('should remove an existing reaction when no type is requested', () => {
+      const result = resolveReactionChange('like', null);
+
+      expect(result.action).toBe('remove');
+      expect(result.counterDelta).toEqual({ likes: -1, dislikes: 0 });
+    });
+
+    it('should do nothing when removing a reaction that does not exist', () => {
+      const result = resolveReactionChange(null, null);
+
+      expect(result.action).toBe('none');
+      expect(result.counterDelta).toEqual({ likes: 0, dislikes: 0 });
+    });
+  });
+
+  describe('withUserReaction', () => {
+    it('should flatten the viewer reaction', () => {
+      const comment = { id: 'c1', likes: 1, reactions: [{ type: 'like' }] };
+
+      expect(withUserReaction(comment)).toEqual({
+        id: 'c1',
+        likes: 1,
+        userReaction: 'like',
+      });
+    });
+
+    it('should default to null when the viewer has not reacted', () => {
+      expect(withUserReaction({ id: 'c1', reactions: [] }).userReaction).toBe(
+        null
+      );
+      expect(withUserReaction({ id: 'c1' }).userReaction).toBeNull();
+      expect(withUserReaction(null)).toBeNull();
+    });
+  });
+
+  describe('viewerReactionSelect', () => {
+    it('should only select reactions for a known viewer', () => {
+      expect(viewerReactionSelect(null)).toBe(false);
+      expect(viewerReactionSelect('user-1')).toEqual({
+        where: { userId: 'user-1' },
+        select: { type: true },
+        take: 1,
+      });
+    });
+  });
+
+  it('should recognise valid reaction types', () => {
+    expect(isReactionType('like')).toBe(true);
+    expect(isReactionType('dislike')).toBe(true);
+    expect(isReactionType('love')).toBe(false);
+  });
+});
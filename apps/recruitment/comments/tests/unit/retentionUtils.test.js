@@ -0,0 +1,90 @@
+/**
+ * Unit Tests for Retention Utilities
+ * Tests who may restore deleted comments and the purge cutoff
+ */
+
+import { assertCanRestore, purgeCutoff, restoreDeadline } from '@app/utils';
+
+const HOUR = 60 * 60 * 1000;
+const deletedAt = new Date('2025-01-01T00:00:00.000Z');
+
+const comment = (overrides = {}) => ({
+  id: 'c1',
+  userId: 'owner',
+  isDeleted: true,
+  deletedAt,
+  deletedBy: 'owner',
+  ...overrides,
+});
+
+const owner = { id: 'owner', roles: ['user'] };
+const admin = { id: 'admin', roles: ['admin'] };
+
+describe('Retention Utils - Unit Tests', () => {
+  describe('restoreDeadline', () => {
+    it('should add the grace window to the deletion time', () => {
+      expect(restoreDeadline(comment(), 24 * HOUR)).toEqual(
+        new Date('2025-01-02T00:00:00.000Z')
+      );
+      expect(restoreDeadline(comment({ deletedAt: null }), HOUR)).toBeNull();
+    });
+  });
+
+  describe('assertCanRestore', () => {
+    const withinWindow = new Date(deletedAt.getTime() + HOUR);
+    const afterWindow = new Date(deletedAt.getTime() + 25 * HOUR);
+
+    it('should let owners restore within the grace window', () => {
+      expect(() =>
+        assertCanRestore(comment(), owner, 24 * HOUR, withinWindow)
+      ).not.toThrow();
+      expect(() =>
+        assertCanRestore(comment(), owner, 24 * HOUR, afterWindow)
+      ).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('should not let owners restore a comment removed by someone else', () => {
+      expect(() =>
+        assertCanRestore(
+          comment({ deletedBy: 'mod-1' }),
+          owner,
+          24 * HOUR,
+          withinWindow
+        )
+      ).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() =>
+        assertCanRestore(
+          comment(),
+          { id: 'other', roles: ['user'] },
+          24 * HOUR,
+          withinWindow
+        )
+      ).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('should let admins restore at any time', () => {
+      expect(() =>
+        assertCanRestore(
+          comment({ deletedBy: 'mod-1' }),
+          admin,
+          24 * HOUR,
+          afterWindow
+        )
+      ).not.toThrow();
+    });
+
+    it('should refuse comments that are not deleted', () => {
+      expect(() =>
+        assertCanRestore(comment({ isDeleted: false }), admin, HOUR)
+      ).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  describe('purgeCutoff', () => {
+    it('should subtract the retention period from now', () => {
+      expect(
+        purgeCutoff(24 * HOUR, new Date('2025-01-02T00:00:00.000Z'))
+      ).toEqual(deletedAt);
+    });
+  });
+});
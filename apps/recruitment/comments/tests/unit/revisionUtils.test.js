@@ -0,0 +1,82 @@
+/**
+ * Unit Tests for Revision Utilities
+ * Tests word-level diffs between comment revisions
+ */
+
+import { diffWords, originalRevision, tokenizeWords } from '@app/utils';
+
+const textOf = (changes, skippedType) =>
+  changes
+    .filter(change => change.type !== skippedType)
+    .map(change => change.text)
+    .join('');
+
+describe('Revision Utils - Unit Tests', () => {
+  describe('tokenizeWords', () => {
+    it('should keep whitespace so the tokens join back to the text', () => {
+      const text = 'Strong  candidate,\nhire';
+
+      expect(tokenizeWords(text)).toEqual([
+        'Strong',
+        '  ',
+        'candidate,',
+        '\n',
+        'hire',
+      ]);
+      expect(tokenizeWords(text).join('')).toBe(text);
+      expect(tokenizeWords('')).toEqual([]);
+    });
+  });
+
+  describe('diffWords', () => {
+    it('should mark replaced words as removed and added', () => {
+      expect(
+        diffWords('Strong candidate, hire', 'Weak candidate, reject')
+      ).toEqual([
+        { type: 'removed', text: 'Strong' },
+        { type: 'added', text: 'Weak' },
+        { type: 'equal', text: ' candidate, ' },
+        { type: 'removed', text: 'hire' },
+        { type: 'added', text: 'reject' },
+      ]);
+    });
+
+    it('should rebuild both texts from the segments', () => {
+      const before = 'Good fit for the backend team, salary ok';
+      const after = 'Good fit for the platform team, salary too high';
+      const changes = diffWords(before, after);
+
+      expect(textOf(changes, 'added')).toBe(before);
+      expect(textOf(changes, 'removed')).toBe(after);
+    });
+
+    it('should return one equal segment for identical texts', () => {
+      expect(diffWords('same text', 'same text')).toEqual([
+        { type: 'equal', text: 'same text' },
+      ]);
+      expect(diffWords('', 'new')).toEqual([{ type: 'added', text: 'new' }]);
+    });
+  });
+
+  describe('originalRevision', () => {
+    it('should describe an unedited comment as revision 1', () => {
+      const createdAt = new Date('2025-01-01T00:00:00.000Z');
+
+      expect(
+        originalRevision({
+          id: 'c1',
+          text: 'hello',
+          userId: 'user-1',
+          createdAt,
+        })
+      ).toEqual({
+        commentId: 'c1',
+        revision: 1,
+        text: 'hello',
+        editedBy: 'user-1',
+        restoredFrom: null,
+        createdAt,
+      });
+    });
+  });
+});
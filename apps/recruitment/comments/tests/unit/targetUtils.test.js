@@ -0,0 +1,164 @@
+/**
+ * Unit Tests for Target Utilities
+ * Tests the comment target registry and per-type access rules
+ */
+
+import {
+  assertTargetAccess,
+  assertTargetType,
+  canAccessTarget,
+  createTargetRegistry,
+  deniedTargetTypes,
+  targetVisibilityWhere,
+  targetWhere,
+} from '@app/utils';
+
+const registry = createTargetRegistry({
+  candidate: {
+    read: { requirePermissions: ['read:candidates'] },
+    write: { requirePermissions: ['write:candidates'] },
+  },
+  job_posting: {},
+  interview: {
+    read: {
+      requireRoles: ['recruiter'],
+      requirePermissions: ['read:interviews'],
+    },
+  },
+});
+
+const recruiter = {
+  id: 'user-1',
+  roles: ['recruiter'],
+  permissions: ['read:candidates', 'read:interviews'],
+};
+const admin = { id: 'admin-1', roles: ['admin'], permissions: ['*'] };
+const member = {
+  id: 'user-2',
+  roles: ['user'],
+  permissions: ['read:comments'],
+};
+
+describe('Target Utils - Unit Tests', () => {
+  describe('createTargetRegistry', () => {
+    it('should list the configured types and their rules', () => {
+      expect(registry.types).toEqual(['candidate', 'job_posting', 'interview']);
+      expect(registry.has('candidate')).toBe(true);
+      expect(registry.has('toString')).toBe(false);
+      expect(registry.rulesFor('candidate', 'write')).toEqual({
+        requirePermissions: ['write:candidates'],
+      });
+      expect(registry.rulesFor('job_posting', 'read')).toBeNull();
+    });
+  });
+
+  describe('canAccessTarget', () => {
+    it('should let everyone through when there is no rule', () => {
+      expect(canAccessTarget(null, null)).toBe(true);
+    });
+
+    it('should need any listed permission, wildcards included', () => {
+      const rule = registry.rulesFor('candidate', 'read');
+
+      expect(canAccessTarget(rule, recruiter)).toBe(true);
+      expect(canAccessTarget(rule, member)).toBe(false);
+      expect(canAccessTarget(rule, { id: 'u', permissions: ['read:*'] })).toBe(
+        true
+      );
+      expect(canAccessTarget(rule, null)).toBe(false);
+    });
+
+    it('should need both roles and permissions when both are given', () => {
+      const rule = registry.rulesFor('interview', 'read');
+
+      expect(canAccessTarget(rule, recruiter)).toBe(true);
+      expect(
+        canAccessTarget(rule, {
+          ...recruiter,
+          permissions: ['read:candidates'],
+        })
+      ).toBe(false);
+      expect(canAccessTarget(rule, admin)).toBe(true);
+    });
+
+    it('should let admins through without the listed permissions', () => {
+      const rule = registry.rulesFor('candidate', 'write');
+
+      expect(canAccessTarget(rule, { ...admin, permissions: [] })).toBe(true);
+      expect(
+        canAccessTarget(registry.rulesFor('interview', 'read'), {
+          ...admin,
+          permissions: ['manage:users'],
+        })
+      ).toBe(true);
+    });
+  });
+
+  describe('assertTargetType', () => {
+    it('should reject unknown types and IDs without a type', () => {
+      expect(() => assertTargetType(registry, 'invoice')).toThrow(
+        expect.objectContaining({ statusCode: 422 })
+      );
+      expect(() => assertTargetType(registry, undefined, 'cand-1')).toThrow(
+        expect.objectContaining({ statusCode: 422 })
+      );
+      expect(() =>
+        assertTargetType(registry, 'candidate', 'cand-1')
+      ).not.toThrow();
+      expect(() => assertTargetType(registry)).not.toThrow();
+    });
+  });
+
+  describe('assertTargetAccess', () => {
+    it('should answer 401 without a user and 403 without the permission', () => {
+      expect(() =>
+        assertTargetAccess(registry, 'candidate', 'write', null)
+      ).toThrow(expect.objectContaining({ statusCode: 401 }));
+      expect(() =>
+        assertTargetAccess(registry, 'candidate', 'write', recruiter)
+      ).toThrow(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it('should allow comments without a target and open types', () => {
+      expect(() =>
+        assertTargetAccess(registry, null, 'write', null)
+      ).not.toThrow();
+      expect(() =>
+        assertTargetAccess(registry, 'job_posting', 'write', null)
+      ).not.toThrow();
+    });
+  });
+
+  describe('deniedTargetTypes', () => {
+    it('should list the types the user may not read', () => {
+      expect(deniedTargetTypes(registry, 'read', null)).toEqual([
+        'candidate',
+        'interview',
+      ]);
+      expect(deniedTargetTypes(registry, 'read', member)).toEqual([
+        'candidate',
+        'interview',
+      ]);
+      expect(deniedTargetTypes(registry, 'read', recruiter)).toEqual([]);
+    });
+  });
+
+  describe('where builders', () => {
+    it('should keep untargeted comments when hiding denied types', () => {
+      expect(targetVisibilityWhere(['candidate'])).toEqual({
+        OR: [{ targetType: null }, { targetType: { notIn: ['candidate'] } }],
+      });
+      expect(targetVisibilityWhere([])).toEqual({});
+    });
+
+    it('should filter by type, and by resource when an ID is given', () => {
+      expect(targetWhere({ targetType: 'candidate' })).toEqual({
+        targetType: 'candidate',
+      });
+      expect(
+        targetWhere({ targetType: 'candidate', targetId: 'cand-1' })
+      ).toEqual({ targetType: 'candidate', targetId: 'cand-1' });
+      expect(targetWhere()).toEqual({});
+    });
+  });
+});
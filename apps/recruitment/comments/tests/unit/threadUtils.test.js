@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for Thread Utilities
+ * Tests nested reply trees, tombstones and reply cursors
+ */
+
+import {
+  afterCursorWhere,
+  buildThreadSelect,
+  decodeCursor,
+  encodeCursor,
+  normalizeThreadOptions,
+  toThreadNode,
+} from '@app/utils';
+
+const comment = (id, overrides = {}) => ({
+  id,
+  text: `text ${id}`,
+  likes: 0,
+  dislikes: 0,
+  createdAt: new Date(`2025-01-01T00:00:0${id.length}.000Z`),
+  updatedAt: new Date('2025-01-01T00:00:00.000Z'),
+  parentId: null,
+  userId: 'user-1',
+  isDeleted: false,
+  _count: { replies: 0 },
+  ...overrides,
+});
+
+describe('Thread Utils - Unit Tests', () => {
+  describe('normalizeThreadOptions', () => {
+    it('should apply defaults and clamp to the configured maximums', () => {
+      expect(normalizeThreadOptions()).toEqual({ maxDepth: 3, replyLimit: 10 });
+      expect(
+        normalizeThreadOptions({ maxDepth: '99', replyLimit: 500 })
+      ).toEqual({ maxDepth: 10, replyLimit: 50 });
+      expect(normalizeThreadOptions({ maxDepth: 0, replyLimit: 0 })).toEqual({
+        maxDepth: 0,
+        replyLimit: 1,
+      });
+    });
+  });
+
+  describe('buildThreadSelect', () => {
+    it('should nest replies down to the requested depth', () => {
+      const select = buildThreadSelect(2, { replyLimit: 5 });
+
+      expect(select._count).toEqual({ select: { replies: true } });
+      expect(select.replies.take).toBe(6);
+      expect(select.replies.select.replies.select.replies).toBeUndefined();
+    });
+
+    it('should only filter the first level of replies', () => {
+      const repliesWhere = { id: { gt: 'a' } };
+      const select = buildThreadSelect(2, { replyLimit: 5, repliesWhere });
+
+      expect(select.replies.where).toBe(repliesWhere);
+      expect(select.replies.select.replies.where).toBeUndefined();
+    });
+  });
+
+  describe('toThreadNode', () => {
+    it('should add replyCount and a cursor when replies exceed the limit', () => {
+      const root = comment('r', {
+        _count: { replies: 3 },
+        replies: [comment('a1'), comment('a22'), comment('a333')],
+      });
+
+      const node = toThreadNode(root, 2);
+
+      expect(node.replyCount).toBe(3);
+      expect(node.replies.map(reply => reply.id)).toEqual(['a1', 'a22']);
+      expect(node.hasMoreReplies).toBe(true);
+      expect(decodeCursor(node.nextCursor).id).toBe('a22');
+    });
+
+    it('should flag unloaded replies once the max depth is reached', () => {
+      const node = toThreadNode(comment('r', { _count: { replies: 4 } }), 10);
+
+      expect(node.replies).toEqual([]);
+      expect(node.hasMoreReplies).toBe(true);
+      expect(node.nextCursor).toBeNull();
+    });
+
+    it('should keep deleted comments as tombstones', () => {
+      const root = comment('r', {
+        isDeleted: true,
+        _count: { replies: 1 },
+        replies: [
+          comment('a1', { parentId: 'r', reactions: [{ type: 'like' }] }),
+        ],
+      });
+
+      const node = toThreadNode(root, 10);
+
+      expect(node.text).toBeNull();
+      expect(node.userId).toBeUndefined();
+      expect(node.isDeleted).toBe(true);
+      expect(node.replies[0].text).toBe('text a1');
+      expect(node.replies[0].userReaction).toBe('like');
+    });
+
+    it('should show hidden comments as tombstones', () => {
+      const node = toThreadNode(comment('r', { isHidden: true }), 10);
+
+      expect(node.text).toBeNull();
+      expect(node.isHidden).toBe(true);
+      expect(node.isDeleted).toBe(false);
+    });
+  });
+
+  describe('cursors', () => {
+    it('should round-trip a comment position', () => {
+      const position = decodeCursor(encodeCursor(comment('a1')));
+
+      expect(position.id).toBe('a1');
+      expect(position.createdAt).toEqual(comment('a1').createdAt);
+      expect(afterCursorWhere(position).OR).toHaveLength(2);
+    });
+
+    it('should reject malformed cursors', () => {
+      expect(() => decodeCursor('not-a-cursor')).toThrow(
+        'Invalid pagination cursor'
+      );
+    });
+  });
+});
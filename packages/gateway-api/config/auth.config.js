@@ -9,6 +9,23 @@ export const authConfig = {
     refreshTokenExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d',
     issuer: process.env.JWT_ISSUER || 'part-internship-gateway',
     audience: process.env.JWT_AUDIENCE || 'part-internship-services',
+    // HS256 signs with the shared secret; RS256/ES256 use the keystore and
+    // publish public keys at /.well-known/jwks.json
+    algorithm: process.env.JWT_ALGORITHM || 'HS256',
+    keysDir: process.env.JWT_KEYS_DIR || './keys',
+    keyRotationIntervalMs:
+      parseInt(process.env.JWT_KEY_ROTATION_INTERVAL_MS) ||
+      30 * 24 * 60 * 60 * 1000, // 30 days
+    // Retired keys keep verifying this long; covers the refresh token lifetime
+    keyGracePeriodMs:
+      parseInt(process.env.JWT_KEY_GRACE_PERIOD_MS) ||
+      30 * 24 * 60 * 60 * 1000, // 30 days
+  },
+
+  // Signature over the identity headers forwarded to services; services
+  // verify it with the same GATEWAY_SIGNING_SECRET
+  gatewaySignature: {
+    secret: process.env.GATEWAY_SIGNING_SECRET || null,
   },
 
   // Password Settings
@@ -29,6 +46,111 @@ export const authConfig = {
     authMaxRequests: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS) || 5,
   },
 
+  // Login Lockout: after maxFailures failed logins the account (or IP) is
+  // locked for baseLockMs, doubling with every further failure up to maxLockMs.
+  // Failures older than failureWindowMs are forgotten.
+  lockout: {
+    account: {
+      maxFailures: parseInt(process.env.LOCKOUT_ACCOUNT_MAX_FAILURES) || 5,
+    },
+    ip: {
+      maxFailures: parseInt(process.env.LOCKOUT_IP_MAX_FAILURES) || 20,
+    },
+    baseLockMs: parseInt(process.env.LOCKOUT_BASE_MS) || 60 * 1000, // 1 minute
+    maxLockMs: parseInt(process.env.LOCKOUT_MAX_MS) || 60 * 60 * 1000, // 1 hour
+    failureWindowMs:
+      parseInt(process.env.LOCKOUT_FAILURE_WINDOW_MS) || 15 * 60 * 1000,
+  },
+
+  // Email Verification: `off` lets unverified users in as usual, `limit` issues
+  // their tokens with only unverifiedPermissions, `block` refuses their login.
+  emailVerification: {
+    mode: process.env.EMAIL_VERIFICATION_MODE || 'off',
+    tokenTtlMs:
+      parseInt(process.env.EMAIL_VERIFICATION_TTL_MS) || 24 * 60 * 60 * 1000, // 24 hours
+    resendCooldownMs:
+      parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_MS) || 60 * 1000,
+    unverifiedPermissions: (
+      process.env.EMAIL_VERIFICATION_UNVERIFIED_PERMISSIONS ||
+      'read:comments,read:profile'
+    )
+      .split(',')
+      .map(permission => permission.trim())
+      .filter(Boolean),
+    // The token is appended as `?token=`; point this at the frontend page
+    // that posts it to /auth/verify-email
+    verifyUrl:
+      process.env.EMAIL_VERIFICATION_URL ||
+      'http://localhost:3000/auth/verify-email',
+  },
+
+  // Password Reset: reset links expire after tokenTtlMs, and each email can
+  // request at most maxRequestsPerEmail links per requestWindowMs
+  passwordReset: {
+    tokenTtlMs: parseInt(process.env.PASSWORD_RESET_TTL_MS) || 60 * 60 * 1000, // 1 hour
+    maxRequestsPerEmail:
+      parseInt(process.env.PASSWORD_RESET_MAX_REQUESTS_PER_EMAIL) || 3,
+    requestWindowMs:
+      parseInt(process.env.PASSWORD_RESET_REQUEST_WINDOW_MS) || 60 * 60 * 1000,
+    // The token is appended as `?token=`; point this at the frontend page
+    // that posts it to /auth/reset-password
+    resetUrl:
+      process.env.PASSWORD_RESET_URL ||
+      'http://localhost:3000/auth/reset-password',
+  },
+
+  // API Keys for machine clients. Keys expire after defaultTtlDays unless the
+  // creator picks another lifetime, up to maxTtlDays.
+  apiKeys: {
+    maxActivePerUser: parseInt(process.env.API_KEY_MAX_ACTIVE_PER_USER) || 10,
+    defaultTtlDays: parseInt(process.env.API_KEY_DEFAULT_TTL_DAYS) || 90,
+    maxTtlDays: parseInt(process.env.API_KEY_MAX_TTL_DAYS) || 365,
+  },
+
+  // Admin impersonation: access tokens acting as a user, without a refresh
+  // token, expiring after ttlMs
+  impersonation: {
+    ttlMs: parseInt(process.env.IMPERSONATION_TTL_MS) || 15 * 60 * 1000, // 15 minutes
+  },
+
+  // OAuth2 client_credentials grant for service-to-service calls
+  oauth: {
+    tokenTtlSeconds: parseInt(process.env.OAUTH_TOKEN_TTL_SECONDS) || 3600,
+  },
+
+  // Two-Factor Authentication (TOTP). Users holding one of requiredRoles must
+  // enroll: until they do, their tokens carry none of those roles and no
+  // permissions. Secrets are encrypted at rest with encryptionKey.
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'PART Gateway',
+    requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean),
+    challengeTtlMs:
+      parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MS) || 5 * 60 * 1000, // 5 minutes
+    recoveryCodeCount: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES) || 10,
+    encryptionKey:
+      process.env.TWO_FACTOR_ENCRYPTION_KEY ||
+      process.env.JWT_SECRET ||
+      'your-super-secret-2fa-key-change-this-in-production',
+  },
+
+  // CORS Settings (used by corsConfig in security.middleware.js)
+  cors: {
+    allowedOrigins: (
+      process.env.CORS_ALLOWED_ORIGINS || 'http://localhost:3000'
+    ).split(','),
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: [
+      'X-RateLimit-Limit',
+      'X-RateLimit-Remaining',
+      'Retry-After',
+    ],
+  },
+
   // Service Protection Configuration
   // ALL SERVICES NOW REQUIRE JWT AUTHENTICATION
   serviceProtection: {
@@ -115,6 +237,11 @@ export const authConfig = {
     '/auth/login',
     '/auth/register',
     '/auth/refresh',
+    '/auth/verify-email',
+    '/auth/resend-verification',
+    '/auth/forgot-password',
+    '/auth/reset-password',
+    '/auth/login/2fa',
     '/auth/info',
   ],
 
@@ -0,0 +1,21 @@
+// Outgoing Mail Configuration
+export const mailConfig = {
+  // smtp | file | memory. `file` writes each message to fileDir so local
+  // development needs no mail server; `memory` keeps them for tests.
+  transport:
+    process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'test' ? 'memory' : 'file'),
+  from: process.env.MAIL_FROM || 'PART Gateway <no-reply@localhost>',
+  fileDir: process.env.MAIL_FILE_DIR || './tmp/mail',
+
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true', // true for port 465
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  },
+};
+
+export default mailConfig;
@@ -3,7 +3,7 @@
  * Comprehensive documentation and testing interface setup
  */
 
-import { tags, bearerAuth } from '../src/schemas/index.js';
+import { tags, bearerAuth, apiKeyAuth, clientBasicAuth } from '../src/schemas/index.js';
 
 export const swaggerOptions = {
   openapi: {
@@ -66,7 +66,9 @@ All proxied requests include user context headers for downstream services.
     tags,
     components: {
       securitySchemes: {
-        bearerAuth
+        bearerAuth,
+        apiKeyAuth,
+        clientBasicAuth
       },
       responses: {
         UnauthorizedError: {
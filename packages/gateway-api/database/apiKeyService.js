@@ -0,0 +1,236 @@
+/**
+ * Database API Key Service
+ * Long-lived keys for machine clients: creation (the plaintext is returned
+ * once), listing, revocation and request authentication
+ */
+
+import { createHash, randomBytes } from 'node:crypto';
+import { hasAnyPermission } from '@shared/core/auth';
+import { AUTH_CONSTANTS } from '@shared/core/constants';
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from '@shared/core/utils/errors';
+import { db } from './client.js';
+import {
+  resolveEffectivePermissions,
+  userAccessInclude,
+} from './rbacService.js';
+import { applyVerificationPolicy } from './emailVerificationService.js';
+import { applyTwoFactorPolicy } from './twoFactorService.js';
+import { authConfig } from '../config/auth.config.js';
+import { API_KEY_FORMAT, API_MESSAGES } from '../src/constants/index.js';
+
+const { ERROR } = API_MESSAGES;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Keys are random, so an unsalted hash is enough to make a leaked table useless
+const hashKey = key => createHash('sha256').update(key).digest('hex');
+
+const scopeInclude = { permissions: { include: { permission: true } } };
+
+const toApiKey = apiKey => ({
+  id: apiKey.id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.permissions.map(({ permission }) => permission.name),
+  createdAt: apiKey.createdAt,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+});
+
+export class ApiKeyService {
+  constructor(
+    prisma = db.getClient(),
+    options = authConfig.apiKeys,
+    verificationOptions = authConfig.emailVerification
+  ) {
+    this.prisma = prisma;
+    this.options = options;
+    this.verificationOptions = verificationOptions;
+  }
+
+  /**
+   * Create a key for a user. Scopes must be permissions the user holds.
+   * @param {string} userId - Owner
+   * @param {Object} data
+   * @param {string} data.name
+   * @param {string[]} data.scopes - Permission names
+   * @param {number} [data.expiresInDays] - Defaults to defaultTtlDays
+   * @returns {Promise<Object>} The key record plus `key`, the plaintext,
+   *   which is not stored and can't be retrieved later
+   * @throws {NotFoundError} When the user or a scope doesn't exist
+   * @throws {ForbiddenError} When the user doesn't hold every scope
+   * @throws {ConflictError} When the user already has maxActivePerUser keys
+   */
+  async createKey(
+    userId,
+    { name, scopes, expiresInDays = this.options.defaultTtlDays }
+  ) {
+    const owner = await this.prisma.user.findUnique({
+      where: { id: userId },
+      include: userAccessInclude,
+    });
+    if (!owner) {
+      throw new NotFoundError(ERROR.USER_NOT_FOUND);
+    }
+
+    const names = [...new Set(scopes)];
+    const permissions = await this.prisma.permission.findMany({
+      where: { name: { in: names } },
+    });
+    const found = new Set(permissions.map(permission => permission.name));
+    const missing = names.filter(scope => !found.has(scope));
+    if (missing.length > 0) {
+      throw new NotFoundError(ERROR.PERMISSION_NOT_FOUND, { missing });
+    }
+
+    const { permissions: held } = resolveEffectivePermissions(owner);
+    const notHeld = names.filter(scope => !hasAnyPermission(held, [scope]));
+    if (notHeld.length > 0) {
+      throw new ForbiddenError(ERROR.API_KEY_SCOPES_NOT_HELD, {
+        scopes: notHeld,
+      });
+    }
+
+    const active = await this.prisma.apiKey.count({
+      where: { userId, ...this.activeWhere() },
+    });
+    if (active >= this.options.maxActivePerUser) {
+      throw new ConflictError(ERROR.API_KEY_LIMIT_REACHED, {
+        limit: this.options.maxActivePerUser,
+      });
+    }
+
+    const key = `${API_KEY_FORMAT.PREFIX}${randomBytes(
+      API_KEY_FORMAT.RANDOM_BYTES
+    ).toString('base64url')}`;
+    const days = Math.min(expiresInDays, this.options.maxTtlDays);
+
+    const apiKey = await this.prisma.apiKey.create({
+      data: {
+        userId,
+        name,
+        prefix: key.slice(
+          0,
+          API_KEY_FORMAT.PREFIX.length + API_KEY_FORMAT.PREFIX_LENGTH
+        ),
+        keyHash: hashKey(key),
+        expiresAt: new Date(Date.now() + days * DAY_MS),
+        permissions: {
+          create: permissions.map(permission => ({
+            permissionId: permission.id,
+          })),
+        },
+      },
+      include: scopeInclude,
+    });
+
+    return { ...toApiKey(apiKey), key };
+  }
+
+  /**
+   * A user's keys that are neither revoked nor expired, newest first
+   * @throws {NotFoundError} When the user doesn't exist
+   */
+  async listKeys(userId) {
+    const user = await this.prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true },
+    });
+    if (!user) {
+      throw new NotFoundError(ERROR.USER_NOT_FOUND);
+    }
+
+    const apiKeys = await this.prisma.apiKey.findMany({
+      where: { userId, ...this.activeWhere() },
+      include: scopeInclude,
+      orderBy: { createdAt: 'desc' },
+    });
+
+    return apiKeys.map(toApiKey);
+  }
+
+  /**
+   * Revoke one of a user's keys; it stops working immediately
+   * @throws {NotFoundError} When the user has no such active key
+   */
+  async revokeKey(userId, keyId) {
+    const { count } = await this.prisma.apiKey.updateMany({
+      where: { id: keyId, userId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+
+    if (count === 0) {
+      throw new NotFoundError(ERROR.API_KEY_NOT_FOUND);
+    }
+  }
+
+  /**
+   * User context a request authenticated with `key` acts as: the owner, with
+   * the key's scopes that the owner still holds and no roles. Used as the
+   * auth plugin's verifyApiKey.
+   * @param {string} key - Plaintext from the X-API-Key header
+   * @returns {Promise<Object|null>} Null for unknown, revoked or expired keys,
+   *   and keys of inactive owners
+   */
+  async authenticate(key) {
+    if (typeof key !== 'string' || !key.startsWith(API_KEY_FORMAT.PREFIX)) {
+      return null;
+    }
+
+    const apiKey = await this.prisma.apiKey.findUnique({
+      where: { keyHash: hashKey(key) },
+      include: { ...scopeInclude, user: { include: userAccessInclude } },
+    });
+
+    const now = new Date();
+    if (!apiKey || apiKey.revokedAt || apiKey.expiresAt <= now) return null;
+
+    const { user } = apiKey;
+    if (!this.isOwnerAllowed(user)) return null;
+
+    // Same restrictions as the owner's tokens (unverified email, missing 2FA)
+    const owner = applyTwoFactorPolicy(
+      applyVerificationPolicy(
+        { ...user, ...resolveEffectivePermissions(user) },
+        this.verificationOptions
+      )
+    );
+    const scopes = toApiKey(apiKey).scopes;
+
+    if (
+      !apiKey.lastUsedAt ||
+      now - apiKey.lastUsedAt >= API_KEY_FORMAT.LAST_USED_RESOLUTION_MS
+    ) {
+      await this.prisma.apiKey.update({
+        where: { id: apiKey.id },
+        data: { lastUsedAt: now },
+      });
+    }
+
+    return {
+      id: user.id,
+      email: user.email,
+      roles: [],
+      permissions: scopes.filter(scope =>
+        hasAnyPermission(owner.permissions, [scope])
+      ),
+      apiKeyId: apiKey.id,
+      authMethod: AUTH_CONSTANTS.AUTH_METHODS.API_KEY,
+    };
+  }
+
+  isOwnerAllowed(user) {
+    if (!user.isActive) return false;
+    // Unverified owners can't use keys when verification blocks their login
+    return this.verificationOptions.mode !== 'block' || user.isVerified;
+  }
+
+  activeWhere(now = new Date()) {
+    return { revokedAt: null, expiresAt: { gt: now } };
+  }
+}
+
+export default ApiKeyService;
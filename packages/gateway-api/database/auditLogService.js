@@ -0,0 +1,198 @@
+/**
+ * Database Audit Log Service
+ * Writes security audit entries and queries them for the admin API
+ */
+
+import { db } from './client.js';
+import { AUDIT_LOG_QUERY } from '../src/constants/index.js';
+import {
+  beforeCursorWhere,
+  decodeCursor,
+  encodeCursor,
+} from '../src/utils/cursor.js';
+
+/**
+ * Request details stored with every audit entry
+ * @param {import('fastify').FastifyRequest} request
+ * @returns {{ ipAddress: string, userAgent: string|null, requestId: string }}
+ */
+export const getRequestAuditContext = request => ({
+  ipAddress: request.ip,
+  userAgent: request.headers['user-agent'] ?? null,
+  requestId: request.id,
+});
+
+export class AuditLogService {
+  constructor(prisma = db.getClient()) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Write an audit entry. Throws, so callers inside a transaction roll back
+   * with it; use `record` where auditing must not break the request.
+   * @param {Object} entry
+   * @param {string|null} entry.userId - User the action was performed by or on
+   * @param {string} entry.action - One of AUDIT_ACTIONS
+   * @param {string} [entry.resource] - `type:id` of the affected record
+   * @param {Object} [entry.metadata] - Details, stored as JSON
+   * @param {string} [entry.ipAddress]
+   * @param {string} [entry.userAgent]
+   * @param {string} [entry.requestId]
+   * @param {Object} [client] - Prisma client or transaction
+   */
+  async create(entry, client = this.prisma) {
+    const {
+      userId = null,
+      action,
+      resource = null,
+      metadata = null,
+      ipAddress = null,
+      userAgent = null,
+      requestId = null,
+    } = entry;
+
+    return client.auditLog.create({
+      data: {
+        userId,
+        action,
+        resource,
+        metadata: metadata ? JSON.stringify(metadata) : null,
+        ipAddress,
+        userAgent,
+        requestId,
+      },
+    });
+  }
+
+  /**
+   * Write an audit entry for a request, logging instead of throwing on failure
+   * @param {import('fastify').FastifyRequest} request - Supplies IP, user agent and request ID
+   * @param {Object} entry - See `create`
+   */
+  async record(request, entry) {
+    // Actions taken with an impersonation token name the admin behind them
+    const impersonator = request.user?.act;
+    const metadata = impersonator
+      ? { ...entry.metadata, impersonatedBy: impersonator.sub }
+      : entry.metadata;
+
+    try {
+      await this.create({
+        ...getRequestAuditContext(request),
+        ...entry,
+        metadata,
+      });
+    } catch (error) {
+      // Don't fail the request because of audit logging
+      request.log.error({ err: error }, 'Failed to write audit log');
+    }
+  }
+
+  /**
+   * Build the Prisma filter for audit log queries
+   * @param {Object} filters
+   * @param {string} [filters.userId]
+   * @param {string} [filters.action] - One action or a comma-separated list
+   * @param {string} [filters.resource] - Exact resource or a prefix (`role:`)
+   * @param {string} [filters.ipAddress]
+   * @param {string} [filters.from] - Inclusive start date
+   * @param {string} [filters.to] - Exclusive end date
+   */
+  buildWhere({ userId, action, resource, ipAddress, from, to } = {}) {
+    const where = {};
+
+    if (userId) where.userId = userId;
+    if (ipAddress) where.ipAddress = ipAddress;
+    if (resource) where.resource = { startsWith: resource };
+    if (action) {
+      const actions = action.split(',').map(value => value.trim());
+      where.action = actions.length > 1 ? { in: actions } : actions[0];
+    }
+    if (from || to) {
+      where.createdAt = {
+        ...(from && { gte: new Date(from) }),
+        ...(to && { lt: new Date(to) }),
+      };
+    }
+
+    return where;
+  }
+
+  /**
+   * One page of audit entries, newest first
+   * @param {Object} options - Filters (see `buildWhere`) plus `cursor` and `limit`
+   * @returns {Promise<{ data: Object[], pagination: Object }>}
+   */
+  async query({ cursor, limit = AUDIT_LOG_QUERY.DEFAULT_LIMIT, ...filters }) {
+    const take = Math.min(Math.max(limit, 1), AUDIT_LOG_QUERY.MAX_LIMIT);
+    // One extra row tells whether another page exists
+    const rows = await this.findPage(
+      filters,
+      cursor && decodeCursor(cursor),
+      take + 1
+    );
+    const hasMore = rows.length > take;
+    const page = hasMore ? rows.slice(0, take) : rows;
+
+    return {
+      data: page.map(row => this.formatEntry(row)),
+      pagination: {
+        limit: take,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      },
+    };
+  }
+
+  /**
+   * Every matching entry, newest first, fetched in batches so large exports
+   * are never held in memory at once
+   * @param {Object} filters - See `buildWhere`
+   */
+  async *iterate(filters, batchSize = AUDIT_LOG_QUERY.EXPORT_BATCH_SIZE) {
+    let position = null;
+
+    while (true) {
+      const rows = await this.findPage(filters, position, batchSize);
+
+      for (const row of rows) {
+        yield this.formatEntry(row);
+      }
+
+      if (rows.length < batchSize) return;
+      position = rows[rows.length - 1];
+    }
+  }
+
+  /**
+   * Fetch up to `take` matching rows after a position
+   */
+  async findPage(filters, position, take) {
+    const where = this.buildWhere(filters);
+
+    return this.prisma.auditLog.findMany({
+      where: position ? { AND: [where, beforeCursorWhere(position)] } : where,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take,
+    });
+  }
+
+  /**
+   * Shape an entry for API responses, parsing its metadata JSON
+   */
+  formatEntry(entry) {
+    let metadata = null;
+
+    if (entry.metadata) {
+      try {
+        metadata = JSON.parse(entry.metadata);
+      } catch {
+        metadata = { raw: entry.metadata };
+      }
+    }
+
+    return { ...entry, metadata };
+  }
+}
+
+export default AuditLogService;
@@ -0,0 +1,184 @@
+/**
+ * Database Email Verification Service
+ * Issues single-use, expiring verification tokens by email and marks the
+ * account verified when one is redeemed
+ */
+
+import { createHash, randomBytes } from 'node:crypto';
+import { hasAnyPermission } from '@shared/core/auth';
+import { BadRequestError } from '@shared/core/utils/errors';
+import { db } from './client.js';
+import { authConfig } from '../config/auth.config.js';
+import { createMailer } from '../src/services/mailer.js';
+import { API_MESSAGES, VERIFICATION_PURPOSES } from '../src/constants/index.js';
+
+const PURPOSE = VERIFICATION_PURPOSES.EMAIL_VERIFICATION;
+
+const hashToken = token => createHash('sha256').update(token).digest('hex');
+
+/**
+ * Restrict an unverified user to the configured permissions when the mode is
+ * `limit`. Permissions the user doesn't hold are never added.
+ * @param {Object} user - User with effective permissions
+ * @param {Object} [options] - authConfig.emailVerification
+ * @returns {Object} The user, or a copy with reduced permissions
+ */
+export const applyVerificationPolicy = (
+  user,
+  options = authConfig.emailVerification
+) => {
+  if (options.mode !== 'limit' || user.isVerified) return user;
+
+  return {
+    ...user,
+    permissions: options.unverifiedPermissions.filter(permission =>
+      hasAnyPermission(user.permissions, [permission])
+    ),
+  };
+};
+
+export class EmailVerificationService {
+  constructor(
+    prisma = db.getClient(),
+    mailer = createMailer(),
+    options = authConfig.emailVerification
+  ) {
+    this.prisma = prisma;
+    this.mailer = mailer;
+    this.options = options;
+  }
+
+  /**
+   * Whether unverified users are refused at login
+   * @returns {boolean}
+   */
+  get blocksLogin() {
+    return this.options.mode === 'block';
+  }
+
+  /**
+   * Mail a new verification link. Links sent earlier stop working.
+   * @param {{ id: string, email: string, firstName?: string }} user
+   * @returns {Promise<{ expiresAt: Date }>}
+   */
+  async sendVerification(user) {
+    const token = randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + this.options.tokenTtlMs);
+
+    await this.prisma.$transaction([
+      this.prisma.verificationToken.deleteMany({
+        where: { userId: user.id, purpose: PURPOSE },
+      }),
+      this.prisma.verificationToken.create({
+        data: {
+          tokenHash: hashToken(token),
+          userId: user.id,
+          purpose: PURPOSE,
+          expiresAt,
+        },
+      }),
+    ]);
+
+    const link = new URL(this.options.verifyUrl);
+    link.searchParams.set('token', token);
+
+    await this.mailer.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: [
+        `Hi${user.firstName ? ` ${user.firstName}` : ''},`,
+        '',
+        'Confirm your email address by opening this link:',
+        link.toString(),
+        '',
+        `The link expires at ${expiresAt.toISOString()}. If you did not ` +
+          'create an account, you can ignore this email.',
+      ].join('\n'),
+    });
+
+    return { expiresAt };
+  }
+
+  /**
+   * Redeem a verification token and mark its user verified
+   * @param {string} token - Token from the verification link
+   * @returns {Promise<{ id: string, email: string }>} The verified user
+   * @throws {BadRequestError} When the token is unknown, used or expired
+   */
+  async verify(token) {
+    const stored = await this.prisma.verificationToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+    });
+
+    if (
+      !stored ||
+      stored.purpose !== PURPOSE ||
+      stored.expiresAt <= new Date()
+    ) {
+      throw new BadRequestError(API_MESSAGES.ERROR.INVALID_VERIFICATION_TOKEN);
+    }
+
+    return this.prisma.$transaction(async tx => {
+      // Claim the token atomically so it can only be redeemed once
+      const { count } = await tx.verificationToken.updateMany({
+        where: { id: stored.id, usedAt: null },
+        data: { usedAt: new Date() },
+      });
+
+      if (count === 0) {
+        throw new BadRequestError(
+          API_MESSAGES.ERROR.INVALID_VERIFICATION_TOKEN
+        );
+      }
+
+      return tx.user.update({
+        where: { id: stored.userId },
+        data: { isVerified: true },
+        select: { id: true, email: true },
+      });
+    });
+  }
+
+  /**
+   * Send a fresh link to an unverified account. Does nothing for unknown,
+   * inactive or verified accounts, or within the resend cooldown, so callers
+   * can answer the same way every time.
+   * @param {string} email
+   * @returns {Promise<Object|null>} The user a link was sent to, if any
+   */
+  async resend(email) {
+    const user = await this.prisma.user.findUnique({ where: { email } });
+    if (!user || !user.isActive || user.isVerified) return null;
+
+    const latest = await this.prisma.verificationToken.findFirst({
+      where: { userId: user.id, purpose: PURPOSE },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    if (
+      latest &&
+      Date.now() - latest.createdAt.getTime() < this.options.resendCooldownMs
+    ) {
+      return null;
+    }
+
+    await this.sendVerification(user);
+    return user;
+  }
+
+  /**
+   * Delete expired and redeemed tokens
+   * @returns {Promise<number>} Number of tokens deleted
+   */
+  async purgeExpired() {
+    const { count } = await this.prisma.verificationToken.deleteMany({
+      where: {
+        OR: [{ expiresAt: { lt: new Date() } }, { usedAt: { not: null } }],
+      },
+    });
+
+    return count;
+  }
+}
+
+export default EmailVerificationService;
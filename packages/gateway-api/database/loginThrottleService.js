@@ -0,0 +1,162 @@
+/**
+ * Database Login Throttle Service
+ * Counts failed logins per account and per IP and locks them out with
+ * exponential backoff
+ */
+
+import { db } from './client.js';
+import { authConfig } from '../config/auth.config.js';
+
+/**
+ * Throttle keys for a login attempt. Unknown emails are tracked the same way
+ * as real accounts, so lockouts don't reveal which emails exist.
+ * @param {string} email
+ * @param {string} ipAddress
+ * @returns {{ account: string, ip: string }}
+ */
+export const getThrottleKeys = (email, ipAddress) => ({
+  account: `email:${String(email).trim().toLowerCase()}`,
+  ip: `ip:${ipAddress}`,
+});
+
+export class LoginThrottleService {
+  constructor(prisma = db.getClient(), options = authConfig.lockout) {
+    this.prisma = prisma;
+    this.options = options;
+  }
+
+  /**
+   * Lock duration after `failures` failed logins: none below the limit, then
+   * baseLockMs doubling with every further failure, capped at maxLockMs
+   * @param {number} failures
+   * @param {number} maxFailures
+   * @returns {number} Milliseconds
+   */
+  getLockDuration(failures, maxFailures) {
+    if (failures < maxFailures) return 0;
+
+    const { baseLockMs, maxLockMs } = this.options;
+    return Math.min(baseLockMs * 2 ** (failures - maxFailures), maxLockMs);
+  }
+
+  /**
+   * Whether the account or IP is currently locked
+   * @returns {Promise<{ locked: boolean, retryAfter: number }>} retryAfter in seconds
+   */
+  async check(email, ipAddress) {
+    const keys = getThrottleKeys(email, ipAddress);
+    const throttles = await this.prisma.loginThrottle.findMany({
+      where: { key: { in: [keys.account, keys.ip] } },
+    });
+
+    return this.getLockState(throttles);
+  }
+
+  /**
+   * Count a failed login against the account and the IP
+   * @returns {Promise<{ locked: boolean, retryAfter: number, newlyLocked: Object[] }>}
+   *   newlyLocked lists the throttles this failure locked
+   */
+  async recordFailure(email, ipAddress) {
+    const keys = getThrottleKeys(email, ipAddress);
+    const now = new Date();
+
+    const throttles = await this.prisma.$transaction(async tx =>
+      Promise.all([
+        this.incrementFailures(
+          tx,
+          keys.account,
+          this.options.account.maxFailures,
+          now
+        ),
+        this.incrementFailures(tx, keys.ip, this.options.ip.maxFailures, now),
+      ])
+    );
+
+    return {
+      ...this.getLockState(throttles, now),
+      newlyLocked: throttles.filter(throttle => throttle.lockedUntil > now),
+    };
+  }
+
+  /**
+   * Clear the account's failures after a successful login. The IP counter is
+   * left alone so one valid account can't reset a credential-stuffing IP.
+   */
+  async recordSuccess(email) {
+    const { account } = getThrottleKeys(email, null);
+    await this.prisma.loginThrottle.deleteMany({ where: { key: account } });
+  }
+
+  /**
+   * Currently locked accounts and IPs
+   */
+  async listLocked() {
+    return this.prisma.loginThrottle.findMany({
+      where: { lockedUntil: { gt: new Date() } },
+      orderBy: { lockedUntil: 'desc' },
+    });
+  }
+
+  /**
+   * Remove the failures and lock of an account and/or IP
+   * @param {{ email?: string, ipAddress?: string }} target
+   * @returns {Promise<string[]>} Keys that were cleared
+   */
+  async unlock({ email, ipAddress }) {
+    const keys = [
+      email && getThrottleKeys(email, null).account,
+      ipAddress && getThrottleKeys(null, ipAddress).ip,
+    ].filter(Boolean);
+
+    const existing = await this.prisma.loginThrottle.findMany({
+      where: { key: { in: keys } },
+    });
+    await this.prisma.loginThrottle.deleteMany({
+      where: { key: { in: keys } },
+    });
+
+    return existing.map(throttle => throttle.key);
+  }
+
+  async incrementFailures(tx, key, maxFailures, now) {
+    const current = await tx.loginThrottle.findUnique({ where: { key } });
+    // Start over once the window has passed since the last failure or lock,
+    // so backoff keeps growing for attempts made right after a lock ends
+    const lastActivity = Math.max(
+      current?.lastFailureAt.getTime() ?? 0,
+      current?.lockedUntil?.getTime() ?? 0
+    );
+    const isStale =
+      current && now.getTime() - lastActivity > this.options.failureWindowMs;
+    const failures = current && !isStale ? current.failures + 1 : 1;
+    const lockMs = this.getLockDuration(failures, maxFailures);
+    const data = {
+      failures,
+      lastFailureAt: now,
+      lockedUntil: lockMs ? new Date(now.getTime() + lockMs) : null,
+    };
+
+    return tx.loginThrottle.upsert({
+      where: { key },
+      create: { key, ...data },
+      update: data,
+    });
+  }
+
+  getLockState(throttles, now = new Date()) {
+    const lockedUntil = Math.max(
+      0,
+      ...throttles.map(throttle => throttle.lockedUntil?.getTime() ?? 0)
+    );
+
+    return lockedUntil > now.getTime()
+      ? {
+          locked: true,
+          retryAfter: Math.ceil((lockedUntil - now.getTime()) / 1000),
+        }
+      : { locked: false, retryAfter: 0 };
+  }
+}
+
+export default LoginThrottleService;
@@ -0,0 +1,277 @@
+/**
+ * Database OAuth Service
+ * OAuth2 clients for service-to-service calls: registration (the secret is
+ * returned once), the client_credentials grant and token introspection
+ * (RFC 7662)
+ */
+
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+import { jwtService } from '@shared/core/auth';
+import { AppError, NotFoundError } from '@shared/core/utils/errors';
+import { db } from './client.js';
+import { authConfig } from '../config/auth.config.js';
+import {
+  API_MESSAGES,
+  OAUTH_CLIENT_FORMAT,
+  OAUTH_ERRORS,
+} from '../src/constants/index.js';
+
+const { ERROR } = API_MESSAGES;
+
+// Secrets are random, so an unsalted hash is enough (as for API keys)
+const hashSecret = secret => createHash('sha256').update(secret).digest('hex');
+
+const scopeInclude = { permissions: { include: { permission: true } } };
+
+const toClient = client => ({
+  clientId: client.clientId,
+  name: client.name,
+  scopes: client.permissions.map(({ permission }) => permission.name),
+  createdAt: client.createdAt,
+  lastUsedAt: client.lastUsedAt,
+});
+
+// Space-delimited scope parameter (RFC 6749 3.3)
+const parseScope = scope => [
+  ...new Set((scope || '').split(' ').filter(Boolean)),
+];
+
+const INACTIVE = { active: false };
+
+/**
+ * Error answered with an RFC 6749 error response by the OAuth routes
+ */
+export class OAuthError extends AppError {
+  constructor(error, description, statusCode = 400) {
+    super(description, statusCode);
+    this.error = error;
+  }
+}
+
+export class OAuthService {
+  constructor(prisma = db.getClient(), options = authConfig.oauth) {
+    this.prisma = prisma;
+    this.options = options;
+  }
+
+  /**
+   * Register a client. Scopes are permission names its tokens may carry.
+   * @param {Object} data
+   * @param {string} data.name
+   * @param {string[]} data.scopes
+   * @returns {Promise<Object>} The client plus `clientSecret`, which is not
+   *   stored and can't be retrieved later
+   * @throws {NotFoundError} When a scope doesn't exist
+   */
+  async createClient({ name, scopes }) {
+    const names = [...new Set(scopes)];
+    const permissions = await this.prisma.permission.findMany({
+      where: { name: { in: names } },
+    });
+    const found = new Set(permissions.map(permission => permission.name));
+    const missing = names.filter(scope => !found.has(scope));
+    if (missing.length > 0) {
+      throw new NotFoundError(ERROR.PERMISSION_NOT_FOUND, { missing });
+    }
+
+    const clientId = `${OAUTH_CLIENT_FORMAT.CLIENT_ID_PREFIX}${randomBytes(
+      OAUTH_CLIENT_FORMAT.CLIENT_ID_BYTES
+    ).toString('base64url')}`;
+    const clientSecret = randomBytes(OAUTH_CLIENT_FORMAT.SECRET_BYTES).toString(
+      'base64url'
+    );
+
+    const client = await this.prisma.oAuthClient.create({
+      data: {
+        clientId,
+        name,
+        secretHash: hashSecret(clientSecret),
+        permissions: {
+          create: permissions.map(permission => ({
+            permissionId: permission.id,
+          })),
+        },
+      },
+      include: scopeInclude,
+    });
+
+    return { ...toClient(client), clientSecret };
+  }
+
+  /**
+   * Clients that haven't been revoked, newest first
+   */
+  async listClients() {
+    const clients = await this.prisma.oAuthClient.findMany({
+      where: { revokedAt: null },
+      include: scopeInclude,
+      orderBy: { createdAt: 'desc' },
+    });
+
+    return clients.map(toClient);
+  }
+
+  /**
+   * Revoke a client. It can't get new tokens and the ones it holds stop
+   * working immediately.
+   * @throws {NotFoundError} When there is no such active client
+   */
+  async revokeClient(clientId) {
+    const { count } = await this.prisma.oAuthClient.updateMany({
+      where: { clientId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+
+    if (count === 0) {
+      throw new NotFoundError(ERROR.OAUTH_CLIENT_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Check a client's credentials
+   * @returns {Promise<Object>} The client with its scopes
+   * @throws {OAuthError} invalid_client for unknown or revoked clients and
+   *   wrong secrets
+   */
+  async authenticateClient(clientId, clientSecret) {
+    const client =
+      typeof clientId === 'string' && typeof clientSecret === 'string'
+        ? await this.prisma.oAuthClient.findUnique({
+            where: { clientId },
+            include: scopeInclude,
+          })
+        : null;
+
+    const expected = Buffer.from(client?.secretHash || '', 'hex');
+    const actual = Buffer.from(hashSecret(clientSecret || ''), 'hex');
+    const valid =
+      client &&
+      !client.revokedAt &&
+      expected.length === actual.length &&
+      timingSafeEqual(expected, actual);
+
+    if (!valid) {
+      throw new OAuthError(
+        OAUTH_ERRORS.INVALID_CLIENT,
+        ERROR.OAUTH_INVALID_CLIENT,
+        401
+      );
+    }
+
+    return client;
+  }
+
+  /**
+   * Issue an access token for the client_credentials grant
+   * @param {Object} client - As returned by `authenticateClient`
+   * @param {string} [scope] - Space-delimited; all of the client's scopes
+   *   when omitted
+   * @returns {Promise<Object>} RFC 6749 access token response
+   * @throws {OAuthError} invalid_scope when a scope wasn't granted to the client
+   */
+  async issueToken(client, scope) {
+    const allowed = toClient(client).scopes;
+    const requested = scope === undefined ? allowed : parseScope(scope);
+    if (
+      requested.length === 0 ||
+      requested.some(name => !allowed.includes(name))
+    ) {
+      throw new OAuthError(
+        OAUTH_ERRORS.INVALID_SCOPE,
+        ERROR.OAUTH_INVALID_SCOPE
+      );
+    }
+
+    const accessToken = jwtService.createClientToken(
+      { clientId: client.clientId, scopes: requested },
+      { expiresIn: this.options.tokenTtlSeconds }
+    );
+
+    const now = new Date();
+    if (
+      !client.lastUsedAt ||
+      now - client.lastUsedAt >= OAUTH_CLIENT_FORMAT.LAST_USED_RESOLUTION_MS
+    ) {
+      await this.prisma.oAuthClient.update({
+        where: { id: client.id },
+        data: { lastUsedAt: now },
+      });
+    }
+
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: this.options.tokenTtlSeconds,
+      scope: requested.join(' '),
+    };
+  }
+
+  /**
+   * RFC 7662 introspection of an access token issued by the gateway, to a
+   * user or to a client. Refresh tokens, revoked tokens and tokens of
+   * revoked clients or inactive users are reported inactive.
+   * @param {string} token
+   * @returns {Promise<Object>} `{ active: false }` or the token's claims
+   */
+  async introspect(token) {
+    let decoded;
+    try {
+      decoded = await jwtService.verifyTokenAsync(token);
+    } catch {
+      return INACTIVE;
+    }
+
+    if (jwtService.isRefreshToken(decoded)) return INACTIVE;
+
+    if (decoded.jti) {
+      const revoked = await this.prisma.revokedToken.findUnique({
+        where: { jti: decoded.jti },
+      });
+      if (revoked) return INACTIVE;
+    }
+
+    if (decoded.clientId) {
+      if (await this.isClientRevoked(decoded)) return INACTIVE;
+    } else {
+      const user = await this.prisma.user.findUnique({
+        where: { id: decoded.id },
+        select: { isActive: true },
+      });
+      if (!user?.isActive) return INACTIVE;
+    }
+
+    return {
+      active: true,
+      scope: (decoded.permissions || []).join(' '),
+      client_id: decoded.clientId,
+      username: decoded.email,
+      sub: decoded.sub || decoded.id,
+      token_type: 'Bearer',
+      exp: decoded.exp,
+      iat: decoded.iat,
+      iss: decoded.iss,
+      aud: decoded.aud,
+      jti: decoded.jti,
+      roles: decoded.roles,
+    };
+  }
+
+  /**
+   * Whether a token belongs to a client that was revoked (or deleted).
+   * User tokens are never client-revoked. Used by the gateway's
+   * isTokenRevoked.
+   * @param {Object} user - Token user context
+   * @returns {Promise<boolean>}
+   */
+  async isClientRevoked({ clientId }) {
+    if (!clientId) return false;
+
+    const client = await this.prisma.oAuthClient.findUnique({
+      where: { clientId },
+      select: { revokedAt: true },
+    });
+    return !client || Boolean(client.revokedAt);
+  }
+}
+
+export default OAuthService;
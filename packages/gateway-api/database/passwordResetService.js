@@ -0,0 +1,190 @@
+/**
+ * Database Password Reset Service
+ * Mails single-use, expiring reset links and sets a new password when one is
+ * redeemed, ending every session of the account. Also changes the password
+ * of a signed-in user, ending their other sessions.
+ */
+
+import { createHash, randomBytes } from 'node:crypto';
+import { passwordService } from '@shared/core/auth';
+import {
+  BadRequestError,
+  NotFoundError,
+  ValidationError,
+} from '@shared/core/utils/errors';
+import { db } from './client.js';
+import { TokenService } from './tokenService.js';
+import { authConfig } from '../config/auth.config.js';
+import { createMailer } from '../src/services/mailer.js';
+import { API_MESSAGES, VERIFICATION_PURPOSES } from '../src/constants/index.js';
+
+const PURPOSE = VERIFICATION_PURPOSES.PASSWORD_RESET;
+
+const hashToken = token => createHash('sha256').update(token).digest('hex');
+
+const assertStrongPassword = password => {
+  const validation = passwordService.validatePassword(password);
+  if (!validation.isValid) {
+    throw new ValidationError(
+      `${API_MESSAGES.ERROR.WEAK_PASSWORD}: ${validation.errors.join('; ')}`,
+      validation.errors
+    );
+  }
+};
+
+export class PasswordResetService {
+  constructor(
+    prisma = db.getClient(),
+    mailer = createMailer(),
+    tokenService = new TokenService(prisma),
+    options = authConfig.passwordReset
+  ) {
+    this.prisma = prisma;
+    this.mailer = mailer;
+    this.tokenService = tokenService;
+    this.options = options;
+  }
+
+  /**
+   * Mail a reset link to an active account. Does nothing for unknown or
+   * inactive accounts, so callers can answer the same way every time. Links
+   * sent earlier stop working.
+   * @param {string} email
+   * @returns {Promise<Object|null>} The user a link was sent to, if any
+   */
+  async requestReset(email) {
+    const user = await this.prisma.user.findUnique({ where: { email } });
+    if (!user || !user.isActive) return null;
+
+    const token = randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + this.options.tokenTtlMs);
+
+    await this.prisma.$transaction([
+      this.prisma.verificationToken.deleteMany({
+        where: { userId: user.id, purpose: PURPOSE },
+      }),
+      this.prisma.verificationToken.create({
+        data: {
+          tokenHash: hashToken(token),
+          userId: user.id,
+          purpose: PURPOSE,
+          expiresAt,
+        },
+      }),
+    ]);
+
+    const link = new URL(this.options.resetUrl);
+    link.searchParams.set('token', token);
+
+    await this.mailer.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi${user.firstName ? ` ${user.firstName}` : ''},`,
+        '',
+        'Choose a new password by opening this link:',
+        link.toString(),
+        '',
+        `The link expires at ${expiresAt.toISOString()}. If you did not ` +
+          'ask to reset your password, you can ignore this email.',
+      ].join('\n'),
+    });
+
+    return user;
+  }
+
+  /**
+   * Redeem a reset token: set the new password and revoke every refresh
+   * token (and its access token) of the account
+   * @param {string} token - Token from the reset link
+   * @param {string} newPassword
+   * @returns {Promise<{ id: string, email: string, sessions: number }>}
+   *   The user and the number of sessions that were ended
+   * @throws {ValidationError} When the password doesn't meet the requirements
+   * @throws {BadRequestError} When the token is unknown, used or expired
+   */
+  async resetPassword(token, newPassword) {
+    // Checked first so a weak password doesn't use up the token
+    assertStrongPassword(newPassword);
+
+    const stored = await this.prisma.verificationToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+    });
+
+    if (
+      !stored ||
+      stored.purpose !== PURPOSE ||
+      stored.expiresAt <= new Date()
+    ) {
+      throw new BadRequestError(API_MESSAGES.ERROR.INVALID_RESET_TOKEN);
+    }
+
+    const password = await passwordService.hashPassword(newPassword);
+
+    const user = await this.prisma.$transaction(async tx => {
+      // Claim the token atomically so it can only be redeemed once
+      const { count } = await tx.verificationToken.updateMany({
+        where: { id: stored.id, usedAt: null },
+        data: { usedAt: new Date() },
+      });
+
+      if (count === 0) {
+        throw new BadRequestError(API_MESSAGES.ERROR.INVALID_RESET_TOKEN);
+      }
+
+      return tx.user.update({
+        where: { id: stored.userId },
+        data: { password },
+        select: { id: true, email: true },
+      });
+    });
+
+    const sessions = await this.tokenService.logoutAll(user);
+
+    return { ...user, sessions };
+  }
+
+  /**
+   * Change the password of a signed-in user and end their other sessions;
+   * the one the request was made from stays signed in
+   * @param {Object} user - Authenticated user (`request.user`)
+   * @param {string} currentPassword
+   * @param {string} newPassword
+   * @returns {Promise<{ id: string, email: string, sessions: number }>}
+   *   The user and the number of other sessions that were ended
+   * @throws {ValidationError} When the password doesn't meet the requirements
+   * @throws {BadRequestError} When the current password is wrong
+   * @throws {NotFoundError} When the user doesn't exist or was deleted
+   */
+  async changePassword(user, currentPassword, newPassword) {
+    assertStrongPassword(newPassword);
+
+    const stored = await this.prisma.user.findUnique({
+      where: { id: user.id },
+    });
+    if (!stored || stored.deletedAt) {
+      throw new NotFoundError(API_MESSAGES.ERROR.USER_NOT_FOUND);
+    }
+
+    const valid = await passwordService.verifyPassword(
+      currentPassword,
+      stored.password
+    );
+    if (!valid) {
+      throw new BadRequestError(API_MESSAGES.ERROR.INVALID_CURRENT_PASSWORD);
+    }
+
+    const updated = await this.prisma.user.update({
+      where: { id: user.id },
+      data: { password: await passwordService.hashPassword(newPassword) },
+      select: { id: true, email: true },
+    });
+    const sessions = await this.tokenService.logoutAll(user, {
+      keepCurrent: true,
+    });
+
+    return { ...updated, sessions };
+  }
+}
+
+export default PasswordResetService;
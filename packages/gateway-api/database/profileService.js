@@ -0,0 +1,156 @@
+/**
+ * Database Profile Service
+ * The signed-in user's own profile: reading and editing it, changing the
+ * email address (which needs re-verification) and deleting the account
+ */
+
+import { passwordService } from '@shared/core/auth';
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from '@shared/core/utils/errors';
+import { db } from './client.js';
+import { EmailVerificationService } from './emailVerificationService.js';
+import { UserLifecycleService } from './userLifecycleService.js';
+import { API_MESSAGES } from '../src/constants/index.js';
+import { normalizeProfileUpdate, withAge } from '../src/utils/profile.js';
+
+const { ERROR } = API_MESSAGES;
+
+const profileSelect = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  phoneNumber: true,
+  birthday: true,
+  address: true,
+  gender: true,
+  isVerified: true,
+  twoFactorEnabled: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+export class ProfileService {
+  constructor(
+    prisma = db.getClient(),
+    emailVerificationService = new EmailVerificationService(prisma),
+    userLifecycleService = new UserLifecycleService(prisma)
+  ) {
+    this.prisma = prisma;
+    this.emailVerificationService = emailVerificationService;
+    this.userLifecycleService = userLifecycleService;
+  }
+
+  /**
+   * @param {string} userId
+   * @returns {Promise<Object>} Profile with the derived `age`
+   * @throws {NotFoundError} When the user doesn't exist or was deleted
+   */
+  async getProfile(userId) {
+    const user = await this.prisma.user.findFirst({
+      where: { id: userId, deletedAt: null },
+      select: profileSelect,
+    });
+    if (!user) {
+      throw new NotFoundError(ERROR.USER_NOT_FOUND);
+    }
+
+    return withAge(user);
+  }
+
+  /**
+   * Update profile fields. A new email address needs the current password;
+   * the account becomes unverified until the link mailed to the new address
+   * is opened, and the old address is told about the change.
+   * @param {string} userId
+   * @param {Object} changes - Profile fields, plus `email` and `currentPassword`
+   * @returns {Promise<{ profile: Object, emailChanged: boolean }>}
+   * @throws {ValidationError} When a field is invalid
+   * @throws {BadRequestError} When the current password is wrong
+   * @throws {ConflictError} When the new email belongs to another account
+   */
+  async updateProfile(userId, { email, currentPassword, ...fields }) {
+    const data = normalizeProfileUpdate(fields);
+    const user = await this.requireUser(userId);
+
+    const emailChanged = email !== undefined && email !== user.email;
+    if (emailChanged) {
+      await this.assertPassword(user, currentPassword);
+
+      const owner = await this.prisma.user.findUnique({ where: { email } });
+      if (owner) {
+        throw new ConflictError(ERROR.EMAIL_IN_USE);
+      }
+      Object.assign(data, { email, isVerified: false });
+    }
+
+    let updated;
+    try {
+      updated = await this.prisma.user.update({
+        where: { id: userId },
+        data,
+        select: profileSelect,
+      });
+    } catch (error) {
+      // Another account took the address since the check above
+      if (error.code === 'P2002') {
+        throw new ConflictError(ERROR.EMAIL_IN_USE);
+      }
+      throw error;
+    }
+
+    if (emailChanged) {
+      await this.emailVerificationService.sendVerification(updated);
+      await this.emailVerificationService.mailer.send({
+        to: user.email,
+        subject: 'Your email address was changed',
+        text: [
+          `Hi${updated.firstName ? ` ${updated.firstName}` : ''},`,
+          '',
+          `The email address of your account was changed to ${email}.`,
+          'If you did not do this, reset your password and contact support.',
+        ].join('\n'),
+      });
+    }
+
+    return { profile: withAge(updated), emailChanged };
+  }
+
+  /**
+   * Delete the user's own account after checking their password. Personal
+   * data is removed the same way as when an admin deletes a user.
+   * @param {string} userId
+   * @param {string} currentPassword
+   * @returns {Promise<Object>} User summary
+   * @throws {BadRequestError} When the password is wrong
+   */
+  async deleteAccount(userId, currentPassword) {
+    const user = await this.requireUser(userId);
+    await this.assertPassword(user, currentPassword);
+
+    return this.userLifecycleService.anonymizeUser(userId);
+  }
+
+  async assertPassword(user, password) {
+    const valid =
+      typeof password === 'string' &&
+      (await passwordService.verifyPassword(password, user.password));
+    if (!valid) {
+      throw new BadRequestError(ERROR.INVALID_CURRENT_PASSWORD);
+    }
+  }
+
+  async requireUser(userId) {
+    const user = await this.prisma.user.findUnique({ where: { id: userId } });
+    if (!user || user.deletedAt) {
+      throw new NotFoundError(ERROR.USER_NOT_FOUND);
+    }
+
+    return user;
+  }
+}
+
+export default ProfileService;
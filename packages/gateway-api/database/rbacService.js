@@ -0,0 +1,537 @@
+/**
+ * Database RBAC Service
+ * Role, permission and user assignment management with audit logging
+ */
+
+import { db } from './client.js';
+import { AuditLogService } from './auditLogService.js';
+import { USER_ROLES } from '@shared/core/constants';
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from '@shared/core/utils/errors';
+import { API_MESSAGES, AUDIT_ACTIONS } from '../src/constants/index.js';
+
+const { ERROR } = API_MESSAGES;
+
+const roleInclude = {
+  permissions: { include: { permission: true } },
+  _count: { select: { users: true } },
+};
+
+// Roles (with their permissions) and direct permissions of a user
+export const userAccessInclude = {
+  roles: {
+    include: {
+      role: { include: { permissions: { include: { permission: true } } } },
+    },
+  },
+  permissions: { include: { permission: true } },
+};
+
+/**
+ * Collect a user's active roles and the permissions they grant.
+ * Deactivated roles contribute neither their name nor their permissions.
+ * @param {Object} user - User loaded with `roles.role.permissions` and `permissions`
+ * @returns {{ roles: string[], rolePermissions: Object, directPermissions: string[], permissions: string[] }}
+ */
+export const resolveEffectivePermissions = user => {
+  const activeRoles = (user?.roles || [])
+    .map(userRole => userRole.role)
+    .filter(role => role && role.isActive !== false);
+
+  const rolePermissions = Object.fromEntries(
+    activeRoles.map(role => [
+      role.name,
+      role.permissions?.map(rp => rp.permission.name) || [],
+    ])
+  );
+  const directPermissions =
+    user?.permissions?.map(up => up.permission.name) || [];
+
+  return {
+    roles: activeRoles.map(role => role.name),
+    rolePermissions,
+    directPermissions,
+    permissions: [
+      ...new Set([
+        ...Object.values(rolePermissions).flat(),
+        ...directPermissions,
+      ]),
+    ],
+  };
+};
+
+export class RbacService {
+  constructor(prisma = db.getClient()) {
+    this.prisma = prisma;
+    this.auditLogService = new AuditLogService(prisma);
+  }
+
+  /**
+   * List roles with their permission names and member counts
+   */
+  async listRoles({ includeInactive = false } = {}) {
+    const roles = await this.prisma.role.findMany({
+      where: includeInactive ? {} : { isActive: true },
+      include: roleInclude,
+      orderBy: { name: 'asc' },
+    });
+
+    return roles.map(role => this.formatRole(role));
+  }
+
+  /**
+   * Get a role by ID or name
+   */
+  async getRole(idOrName) {
+    return this.formatRole(await this.findRole(this.prisma, idOrName));
+  }
+
+  /**
+   * Create a role, optionally with an initial set of permissions
+   */
+  async createRole({ name, description, permissions = [] }, actor) {
+    const role = await this.prisma.$transaction(async tx => {
+      const existing = await tx.role.findUnique({ where: { name } });
+      if (existing) {
+        throw new ConflictError(ERROR.ROLE_EXISTS);
+      }
+
+      const attached = await this.findPermissions(tx, permissions);
+      const created = await tx.role.create({
+        data: {
+          name,
+          description,
+          permissions: {
+            create: attached.map(permission => ({
+              permissionId: permission.id,
+            })),
+          },
+        },
+        include: roleInclude,
+      });
+
+      await this.writeAuditLog(tx, actor, AUDIT_ACTIONS.ROLE_CREATE, created, {
+        name,
+        permissions: attached.map(permission => permission.name),
+      });
+
+      return created;
+    });
+
+    return this.formatRole(role);
+  }
+
+  /**
+   * Update a role's name, description or active flag
+   */
+  async updateRole(idOrName, changes, actor) {
+    const role = await this.prisma.$transaction(async tx => {
+      const current = await this.findRole(tx, idOrName);
+      const data = {};
+
+      for (const field of ['name', 'description', 'isActive']) {
+        if (changes[field] !== undefined && changes[field] !== current[field]) {
+          data[field] = changes[field];
+        }
+      }
+
+      if (Object.keys(data).length === 0) {
+        return current;
+      }
+
+      if (data.name) {
+        this.assertCanRename(current);
+        const taken = await tx.role.findUnique({ where: { name: data.name } });
+        if (taken) {
+          throw new ConflictError(ERROR.ROLE_EXISTS);
+        }
+      }
+
+      if (data.isActive === false) {
+        this.assertCanDeactivate(current);
+      }
+
+      const updated = await tx.role.update({
+        where: { id: current.id },
+        data,
+        include: roleInclude,
+      });
+
+      await this.writeAuditLog(
+        tx,
+        actor,
+        data.isActive === false
+          ? AUDIT_ACTIONS.ROLE_DEACTIVATE
+          : AUDIT_ACTIONS.ROLE_UPDATE,
+        updated,
+        { changes: data }
+      );
+
+      return updated;
+    });
+
+    return this.formatRole(role);
+  }
+
+  /**
+   * Deactivate a role. Members keep the assignment, but the role no longer
+   * grants anything until it is reactivated.
+   */
+  async deactivateRole(idOrName, actor) {
+    return this.updateRole(idOrName, { isActive: false }, actor);
+  }
+
+  /**
+   * Attach permissions to a role, skipping ones it already has
+   */
+  async attachPermissions(idOrName, permissionNames, actor) {
+    const role = await this.prisma.$transaction(async tx => {
+      const current = await this.findRole(tx, idOrName);
+      const attachedIds = new Set(
+        current.permissions.map(rp => rp.permissionId)
+      );
+      const added = (await this.findPermissions(tx, permissionNames)).filter(
+        permission => !attachedIds.has(permission.id)
+      );
+
+      if (added.length === 0) {
+        return current;
+      }
+
+      for (const permission of added) {
+        await tx.rolePermission.create({
+          data: { roleId: current.id, permissionId: permission.id },
+        });
+      }
+
+      await this.writeAuditLog(
+        tx,
+        actor,
+        AUDIT_ACTIONS.ROLE_PERMISSION_ATTACH,
+        current,
+        { permissions: added.map(permission => permission.name) }
+      );
+
+      return this.findRole(tx, current.id);
+    });
+
+    return this.formatRole(role);
+  }
+
+  /**
+   * Detach a permission from a role
+   */
+  async detachPermission(idOrName, permissionIdOrName, actor) {
+    const role = await this.prisma.$transaction(async tx => {
+      const current = await this.findRole(tx, idOrName);
+      const permission = await this.findPermission(tx, permissionIdOrName);
+
+      const { count } = await tx.rolePermission.deleteMany({
+        where: { roleId: current.id, permissionId: permission.id },
+      });
+
+      if (count === 0) {
+        return current;
+      }
+
+      await this.writeAuditLog(
+        tx,
+        actor,
+        AUDIT_ACTIONS.ROLE_PERMISSION_DETACH,
+        current,
+        { permission: permission.name }
+      );
+
+      return this.findRole(tx, current.id);
+    });
+
+    return this.formatRole(role);
+  }
+
+  /**
+   * List permissions with how many roles and users hold them directly
+   */
+  async listPermissions() {
+    const permissions = await this.prisma.permission.findMany({
+      include: { _count: { select: { roles: true, users: true } } },
+      orderBy: { name: 'asc' },
+    });
+
+    return permissions.map(({ _count, ...permission }) => ({
+      ...permission,
+      roleCount: _count?.roles ?? 0,
+      userCount: _count?.users ?? 0,
+    }));
+  }
+
+  /**
+   * Create a permission
+   */
+  async createPermission({ name, resource, action, description }, actor) {
+    return this.prisma.$transaction(async tx => {
+      const existing = await tx.permission.findUnique({ where: { name } });
+      if (existing) {
+        throw new ConflictError(ERROR.PERMISSION_EXISTS);
+      }
+
+      const permission = await tx.permission.create({
+        data: { name, resource, action, description },
+      });
+
+      await this.writeAuditLog(
+        tx,
+        actor,
+        AUDIT_ACTIONS.PERMISSION_CREATE,
+        permission,
+        { name, resource, action }
+      );
+
+      return permission;
+    });
+  }
+
+  /**
+   * Assign a role to a user
+   */
+  async assignRole(userId, roleIdOrName, actor) {
+    await this.prisma.$transaction(async tx => {
+      await this.findUser(tx, userId);
+      const role = await this.findRole(tx, roleIdOrName);
+
+      if (!role.isActive) {
+        throw new BadRequestError(ERROR.ROLE_INACTIVE);
+      }
+
+      const existing = await tx.userRole.findUnique({
+        where: { userId_roleId: { userId, roleId: role.id } },
+      });
+      if (existing) {
+        return;
+      }
+
+      await tx.userRole.create({ data: { userId, roleId: role.id } });
+      await this.writeAuditLog(
+        tx,
+        actor,
+        AUDIT_ACTIONS.USER_ROLE_ASSIGN,
+        { id: userId, type: 'user' },
+        { role: role.name }
+      );
+    });
+
+    return this.getEffectivePermissions(userId);
+  }
+
+  /**
+   * Remove a role from a user
+   */
+  async removeRole(userId, roleIdOrName, actor) {
+    await this.prisma.$transaction(async tx => {
+      await this.findUser(tx, userId);
+      const role = await this.findRole(tx, roleIdOrName);
+
+      const { count } = await tx.userRole.deleteMany({
+        where: { userId, roleId: role.id },
+      });
+
+      if (count > 0) {
+        await this.writeAuditLog(
+          tx,
+          actor,
+          AUDIT_ACTIONS.USER_ROLE_REMOVE,
+          { id: userId, type: 'user' },
+          { role: role.name }
+        );
+      }
+    });
+
+    return this.getEffectivePermissions(userId);
+  }
+
+  /**
+   * Grant a permission directly to a user
+   */
+  async grantPermission(userId, permissionIdOrName, actor) {
+    await this.prisma.$transaction(async tx => {
+      await this.findUser(tx, userId);
+      const permission = await this.findPermission(tx, permissionIdOrName);
+
+      const existing = await tx.userPermission.findUnique({
+        where: {
+          userId_permissionId: { userId, permissionId: permission.id },
+        },
+      });
+      if (existing) {
+        return;
+      }
+
+      await tx.userPermission.create({
+        data: { userId, permissionId: permission.id },
+      });
+      await this.writeAuditLog(
+        tx,
+        actor,
+        AUDIT_ACTIONS.USER_PERMISSION_GRANT,
+        { id: userId, type: 'user' },
+        { permission: permission.name }
+      );
+    });
+
+    return this.getEffectivePermissions(userId);
+  }
+
+  /**
+   * Revoke a permission granted directly to a user
+   */
+  async revokePermission(userId, permissionIdOrName, actor) {
+    await this.prisma.$transaction(async tx => {
+      await this.findUser(tx, userId);
+      const permission = await this.findPermission(tx, permissionIdOrName);
+
+      const { count } = await tx.userPermission.deleteMany({
+        where: { userId, permissionId: permission.id },
+      });
+
+      if (count > 0) {
+        await this.writeAuditLog(
+          tx,
+          actor,
+          AUDIT_ACTIONS.USER_PERMISSION_REVOKE,
+          { id: userId, type: 'user' },
+          { permission: permission.name }
+        );
+      }
+    });
+
+    return this.getEffectivePermissions(userId);
+  }
+
+  /**
+   * Effective permissions of a user: those of their active roles plus
+   * direct grants
+   */
+  async getEffectivePermissions(userId) {
+    const user = await this.prisma.user.findUnique({
+      where: { id: userId },
+      include: userAccessInclude,
+    });
+
+    if (!user) {
+      throw new NotFoundError(ERROR.USER_NOT_FOUND);
+    }
+
+    return { userId: user.id, ...resolveEffectivePermissions(user) };
+  }
+
+  /**
+   * Write an audit entry for an admin change inside the change's transaction
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} actor - `{ userId, ipAddress, userAgent, requestId }` of the admin
+   * @param {string} action - One of AUDIT_ACTIONS
+   * @param {Object} target - Changed record; `type` defaults to the action's subject
+   * @param {Object} metadata - Details of the change
+   */
+  async writeAuditLog(tx, actor = {}, action, target, metadata) {
+    const type = target.type || action.split('_')[0];
+
+    await this.auditLogService.create(
+      {
+        ...actor,
+        action,
+        resource: `${type}:${target.id}`,
+        metadata,
+      },
+      tx
+    );
+  }
+
+  async findRole(client, idOrName) {
+    const role = await client.role.findFirst({
+      where: { OR: [{ id: idOrName }, { name: idOrName }] },
+      include: roleInclude,
+    });
+
+    if (!role) {
+      throw new NotFoundError(ERROR.ROLE_NOT_FOUND);
+    }
+
+    return role;
+  }
+
+  async findPermission(client, idOrName) {
+    const permission = await client.permission.findFirst({
+      where: { OR: [{ id: idOrName }, { name: idOrName }] },
+    });
+
+    if (!permission) {
+      throw new NotFoundError(ERROR.PERMISSION_NOT_FOUND, {
+        permission: idOrName,
+      });
+    }
+
+    return permission;
+  }
+
+  /**
+   * Load permissions by name, failing if any of them does not exist
+   */
+  async findPermissions(client, names) {
+    if (names.length === 0) return [];
+
+    const permissions = await client.permission.findMany({
+      where: { name: { in: names } },
+    });
+    const found = new Set(permissions.map(permission => permission.name));
+    const missing = names.filter(name => !found.has(name));
+
+    if (missing.length > 0) {
+      throw new NotFoundError(ERROR.PERMISSION_NOT_FOUND, { missing });
+    }
+
+    return permissions;
+  }
+
+  async findUser(client, userId) {
+    const user = await client.user.findUnique({
+      where: { id: userId },
+      select: { id: true },
+    });
+
+    if (!user) {
+      throw new NotFoundError(ERROR.USER_NOT_FOUND);
+    }
+
+    return user;
+  }
+
+  assertCanDeactivate(role) {
+    if (role.name === USER_ROLES.ADMIN) {
+      throw new BadRequestError(ERROR.PROTECTED_ROLE);
+    }
+  }
+
+  // Built-in role names are checked in code (requireAdmin, requireRoles)
+  assertCanRename(role) {
+    if (Object.values(USER_ROLES).includes(role.name)) {
+      throw new BadRequestError(ERROR.BUILT_IN_ROLE_RENAME);
+    }
+  }
+
+  /**
+   * Shape a role for API responses
+   */
+  formatRole(role) {
+    const { permissions = [], _count, ...rest } = role;
+
+    return {
+      ...rest,
+      permissions: permissions.map(rp => rp.permission.name),
+      userCount: _count?.users ?? 0,
+    };
+  }
+}
+
+export default RbacService;
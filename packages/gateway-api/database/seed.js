@@ -5,6 +5,7 @@
 
 import { db } from './client.js';
 import { UserService } from './userService.js';
+import { PERMISSIONS } from '@shared/core/constants';
 
 const userService = new UserService();
 
@@ -25,30 +26,40 @@ async function seedDatabase() {
 
     // Seed permissions
     console.log('🔐 Creating permissions...');
+    // Names are action:resource, as checked by requirePermission
     const permissions = [
       // System permissions
-      { name: 'system:admin', resource: 'system', action: 'admin', description: 'Full system administration' },
-      { name: 'system:read', resource: 'system', action: 'read', description: 'Read system information' },
+      { name: PERMISSIONS.MANAGE_SYSTEM, resource: 'system', action: 'manage', description: 'Full system administration' },
+      { name: 'read:system', resource: 'system', action: 'read', description: 'Read system information' },
       
       // User permissions
-      { name: 'users:read', resource: 'users', action: 'read', description: 'Read user information' },
-      { name: 'users:write', resource: 'users', action: 'write', description: 'Create and update users' },
-      { name: 'users:delete', resource: 'users', action: 'delete', description: 'Delete users' },
-      { name: 'users:admin', resource: 'users', action: 'admin', description: 'Full user administration' },
+      { name: PERMISSIONS.READ_USERS, resource: 'users', action: 'read', description: 'Read user information' },
+      { name: PERMISSIONS.WRITE_USERS, resource: 'users', action: 'write', description: 'Create and update users' },
+      { name: PERMISSIONS.DELETE_USERS, resource: 'users', action: 'delete', description: 'Delete users' },
+      { name: PERMISSIONS.MANAGE_USERS, resource: 'users', action: 'manage', description: 'Full user administration' },
       
       // Comments permissions
-      { name: 'comments:read', resource: 'comments', action: 'read', description: 'Read comments' },
-      { name: 'comments:write', resource: 'comments', action: 'write', description: 'Create and update comments' },
-      { name: 'comments:delete', resource: 'comments', action: 'delete', description: 'Delete comments' },
-      { name: 'comments:moderate', resource: 'comments', action: 'moderate', description: 'Moderate comments' },
+      { name: PERMISSIONS.READ_COMMENTS, resource: 'comments', action: 'read', description: 'Read comments' },
+      { name: PERMISSIONS.WRITE_COMMENTS, resource: 'comments', action: 'write', description: 'Create and update comments' },
+      { name: PERMISSIONS.DELETE_COMMENTS, resource: 'comments', action: 'delete', description: 'Delete comments' },
+      { name: PERMISSIONS.MODERATE_COMMENTS, resource: 'comments', action: 'moderate', description: 'Moderate comments' },
+      
+      // Recruitment permissions
+      { name: PERMISSIONS.READ_CANDIDATES, resource: 'candidates', action: 'read', description: 'Read candidates and their comments' },
+      { name: PERMISSIONS.WRITE_CANDIDATES, resource: 'candidates', action: 'write', description: 'Update candidates and comment on them' },
+      { name: PERMISSIONS.READ_INTERVIEWS, resource: 'interviews', action: 'read', description: 'Read interviews and their comments' },
+      { name: PERMISSIONS.WRITE_INTERVIEWS, resource: 'interviews', action: 'write', description: 'Update interviews and comment on them' },
       
       // Profile permissions
-      { name: 'profile:read', resource: 'profile', action: 'read', description: 'Read own profile' },
-      { name: 'profile:write', resource: 'profile', action: 'write', description: 'Update own profile' },
+      { name: PERMISSIONS.READ_PROFILE, resource: 'profile', action: 'read', description: 'Read own profile' },
+      { name: PERMISSIONS.WRITE_PROFILE, resource: 'profile', action: 'write', description: 'Update own profile' },
       
       // Gateway permissions
-      { name: 'gateway:health', resource: 'gateway', action: 'health', description: 'Access gateway health checks' },
-      { name: 'gateway:metrics', resource: 'gateway', action: 'metrics', description: 'Access gateway metrics' },
+      { name: 'view:health', resource: 'health', action: 'view', description: 'Access gateway health checks' },
+      { name: 'view:metrics', resource: 'metrics', action: 'view', description: 'Access gateway metrics' },
+
+      // Audit permissions
+      { name: PERMISSIONS.VIEW_LOGS, resource: 'logs', action: 'view', description: 'Read and export audit logs' },
     ];
 
     const createdPermissions = {};
@@ -65,43 +76,50 @@ async function seedDatabase() {
         name: 'admin',
         description: 'System administrator with full access',
         permissions: [
-          'system:admin',
-          'users:admin',
-          'comments:moderate',
-          'profile:read',
-          'profile:write',
-          'gateway:health',
-          'gateway:metrics',
+          PERMISSIONS.MANAGE_SYSTEM,
+          PERMISSIONS.MANAGE_USERS,
+          PERMISSIONS.MODERATE_COMMENTS,
+          PERMISSIONS.READ_CANDIDATES,
+          PERMISSIONS.WRITE_CANDIDATES,
+          PERMISSIONS.READ_INTERVIEWS,
+          PERMISSIONS.WRITE_INTERVIEWS,
+          PERMISSIONS.READ_PROFILE,
+          PERMISSIONS.WRITE_PROFILE,
+          'view:health',
+          'view:metrics',
+          PERMISSIONS.VIEW_LOGS,
         ]
       },
       {
         name: 'moderator',
         description: 'Content moderator with limited administrative access',
         permissions: [
-          'users:read',
-          'comments:read',
-          'comments:write',
-          'comments:moderate',
-          'profile:read',
-          'profile:write',
+          PERMISSIONS.READ_USERS,
+          PERMISSIONS.READ_COMMENTS,
+          PERMISSIONS.WRITE_COMMENTS,
+          PERMISSIONS.MODERATE_COMMENTS,
+          PERMISSIONS.READ_CANDIDATES,
+          PERMISSIONS.READ_INTERVIEWS,
+          PERMISSIONS.READ_PROFILE,
+          PERMISSIONS.WRITE_PROFILE,
         ]
       },
       {
         name: 'user',
         description: 'Regular user with basic access',
         permissions: [
-          'comments:read',
-          'comments:write',
-          'profile:read',
-          'profile:write',
+          PERMISSIONS.READ_COMMENTS,
+          PERMISSIONS.WRITE_COMMENTS,
+          PERMISSIONS.READ_PROFILE,
+          PERMISSIONS.WRITE_PROFILE,
         ]
       },
       {
         name: 'guest',
         description: 'Guest user with read-only access',
         permissions: [
-          'comments:read',
-          'profile:read',
+          PERMISSIONS.READ_COMMENTS,
+          PERMISSIONS.READ_PROFILE,
         ]
       }
     ];
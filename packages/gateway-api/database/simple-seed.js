@@ -5,6 +5,7 @@
 
 import { PrismaClient } from '@prisma/client';
 import bcrypt from 'bcryptjs';
+import { PERMISSIONS } from '@shared/core/constants';
 
 const prisma = new PrismaClient();
 
@@ -22,11 +23,11 @@ async function simpleSeed() {
     // Create basic permissions
     console.log('🔐 Creating permissions...');
     const permissions = [
-      { name: 'user:read', resource: 'users', action: 'read', description: 'Read user data' },
-      { name: 'user:write', resource: 'users', action: 'write', description: 'Write user data' },
-      { name: 'comment:read', resource: 'comments', action: 'read', description: 'Read comments' },
-      { name: 'comment:write', resource: 'comments', action: 'write', description: 'Write comments' },
-      { name: 'admin:all', resource: 'system', action: 'admin', description: 'Full admin access' },
+      { name: PERMISSIONS.READ_USERS, resource: 'users', action: 'read', description: 'Read user data' },
+      { name: PERMISSIONS.WRITE_USERS, resource: 'users', action: 'write', description: 'Write user data' },
+      { name: PERMISSIONS.READ_COMMENTS, resource: 'comments', action: 'read', description: 'Read comments' },
+      { name: PERMISSIONS.WRITE_COMMENTS, resource: 'comments', action: 'write', description: 'Write comments' },
+      { name: PERMISSIONS.ADMIN_ALL, resource: 'system', action: 'admin', description: 'Full admin access' },
     ];
 
     for (const perm of permissions) {
@@ -0,0 +1,436 @@
+/**
+ * Database Token Service
+ * Refresh-token rotation with reuse detection, access-token revocation
+ * through a jti denylist, and the sessions (one per refresh token family)
+ * users can list and end
+ */
+
+import { randomUUID } from 'node:crypto';
+import { jwtService } from '@shared/core/auth';
+import { NotFoundError, UnauthorizedError } from '@shared/core/utils/errors';
+import { db } from './client.js';
+import { UserService } from './userService.js';
+import { AuditLogService } from './auditLogService.js';
+import { applyVerificationPolicy } from './emailVerificationService.js';
+import { applyTwoFactorPolicy } from './twoFactorService.js';
+import { API_MESSAGES, AUDIT_ACTIONS } from '../src/constants/index.js';
+
+const fromEpochSeconds = seconds => new Date(seconds * 1000);
+
+// Device details from the request audit context, leaving out unknown ones so
+// a refresh without them doesn't erase what the login recorded
+const deviceDetails = ({ userAgent, ipAddress } = {}) => ({
+  ...(userAgent && { userAgent }),
+  ...(ipAddress && { ipAddress }),
+});
+
+const toSession = (session, currentFamilyId) => ({
+  id: session.id,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: session.id === currentFamilyId,
+});
+
+export class TokenService {
+  constructor(prisma = db.getClient(), userService = new UserService()) {
+    this.prisma = prisma;
+    this.userService = userService;
+    this.auditLogService = new AuditLogService(prisma);
+  }
+
+  /**
+   * Roles and permissions the user's tokens carry: unverified users get
+   * reduced permissions when verification is in `limit` mode, and users who
+   * must enroll in 2FA but haven't are restricted until they do
+   * @param {Object} user - User with roles and permissions
+   * @returns {Object} The user, or a restricted copy
+   */
+  applyPolicies(user) {
+    return applyTwoFactorPolicy(applyVerificationPolicy(user));
+  }
+
+  /**
+   * Issue tokens for a new login, starting a new session
+   * @param {Object} user - User with roles and permissions
+   * @param {Object} context - Request audit context (IP, user agent)
+   * @returns {Promise<Object>} Token data as returned by `createUserToken`
+   */
+  async createSession(user, context = {}) {
+    return this.issueTokens(user, randomUUID(), context);
+  }
+
+  /**
+   * Issue an access/refresh token pair, store the refresh token and record
+   * the session's device and last use
+   * @param {Object} user - User with roles and permissions
+   * @param {string} [familyId] - Rotation family; a new login starts a new one
+   * @param {Object} [context] - Request audit context (IP, user agent)
+   * @returns {Promise<Object>} Token data as returned by `createUserToken`
+   */
+  async issueTokens(user, familyId = randomUUID(), context = {}) {
+    const claims = this.applyPolicies(user);
+    const tokenData = jwtService.createUserToken({
+      ...claims,
+      roles: claims.roles || ['user'],
+    });
+    const { jti } = jwtService.decodeToken(tokenData.token);
+    const { exp } = jwtService.decodeToken(tokenData.refreshToken);
+    const expiresAt = fromEpochSeconds(exp);
+    const lastUsedAt = new Date();
+
+    await this.prisma.refreshToken.create({
+      data: {
+        token: tokenData.refreshToken,
+        userId: user.id,
+        familyId,
+        accessJti: jti,
+        expiresAt,
+      },
+    });
+    await this.prisma.session.upsert({
+      where: { id: familyId },
+      create: {
+        id: familyId,
+        userId: user.id,
+        ...deviceDetails(context),
+        lastUsedAt,
+        expiresAt,
+      },
+      update: { ...deviceDetails(context), lastUsedAt, expiresAt },
+    });
+
+    return tokenData;
+  }
+
+  /**
+   * Exchange a refresh token for a new pair in the same family. Presenting a
+   * token that was already rotated or revoked means it leaked, so the whole
+   * family is revoked.
+   * @param {string} token - Refresh token
+   * @param {Object} context - Request audit context (IP, user agent, request ID)
+   * @returns {Promise<{ user: Object, tokens: Object }>}
+   * @throws {UnauthorizedError} When the token is unknown, expired or reused
+   */
+  async rotateRefreshToken(token, context = {}) {
+    const stored = await this.prisma.refreshToken.findUnique({
+      where: { token },
+    });
+
+    if (!stored || stored.expiresAt <= new Date()) {
+      throw new UnauthorizedError(API_MESSAGES.ERROR.INVALID_REFRESH_TOKEN);
+    }
+
+    // Claim the token atomically so two requests can't both rotate it
+    const { count } = stored.isRevoked
+      ? { count: 0 }
+      : await this.prisma.refreshToken.updateMany({
+          where: { id: stored.id, isRevoked: false },
+          data: { isRevoked: true, revokedAt: new Date() },
+        });
+
+    if (count === 0) {
+      await this.revokeFamily(stored.familyId);
+      await this.auditLogService.create({
+        ...context,
+        userId: stored.userId,
+        action: AUDIT_ACTIONS.REFRESH_TOKEN_REUSE,
+        resource: `user:${stored.userId}`,
+        metadata: { familyId: stored.familyId },
+      });
+      throw new UnauthorizedError(API_MESSAGES.ERROR.REFRESH_TOKEN_REUSED);
+    }
+
+    // Re-resolve roles and permissions so RBAC changes take effect
+    const user = await this.userService.getUserWithRoles(stored.userId);
+    if (!user || !user.isActive) {
+      throw new UnauthorizedError(API_MESSAGES.ERROR.USER_INACTIVE);
+    }
+
+    return {
+      user,
+      tokens: await this.issueTokens(user, stored.familyId, context),
+    };
+  }
+
+  /**
+   * End one session: deny the current access token and revoke the refresh
+   * token family it belongs to
+   * @param {Object} user - Authenticated user (`request.user`)
+   * @param {string} [refreshToken] - Refresh token of the session, if known
+   */
+  async logout(user, refreshToken) {
+    const session = await this.prisma.refreshToken.findFirst({
+      where: {
+        userId: user.id,
+        OR: [
+          ...(refreshToken ? [{ token: refreshToken }] : []),
+          ...(user.jti ? [{ accessJti: user.jti }] : []),
+        ],
+      },
+    });
+
+    if (session) {
+      await this.revokeFamily(session.familyId);
+    }
+    await this.revokeAccessToken(user);
+  }
+
+  /**
+   * End every session of a user, and the impersonation tokens issued for them
+   * @param {Object} user - Authenticated user (`request.user`)
+   * @param {Object} [options]
+   * @param {boolean} [options.keepCurrent] - Leave the session of the
+   *   user's access token signed in
+   * @returns {Promise<number>} Number of sessions that were still active
+   *   and were ended
+   */
+  async logoutAll(user, { keepCurrent = false } = {}) {
+    const all = await this.prisma.refreshToken.findMany({
+      where: { userId: user.id, expiresAt: { gt: new Date() } },
+    });
+    const current =
+      keepCurrent && user.jti
+        ? all.find(token => token.accessJti === user.jti)?.familyId
+        : undefined;
+    const tokens = all.filter(token => token.familyId !== current);
+    const families = new Set(
+      tokens.filter(token => !token.isRevoked).map(token => token.familyId)
+    );
+
+    await this.prisma.refreshToken.updateMany({
+      where: {
+        userId: user.id,
+        isRevoked: false,
+        ...(current && { familyId: { not: current } }),
+      },
+      data: { isRevoked: true, revokedAt: new Date() },
+    });
+    await this.prisma.session.updateMany({
+      where: {
+        userId: user.id,
+        revokedAt: null,
+        ...(current && { id: { not: current } }),
+      },
+      data: { revokedAt: new Date() },
+    });
+    await this.denyTokens(tokens);
+    await this.denyImpersonations(user.id, keepCurrent ? user.jti : undefined);
+    if (!keepCurrent) {
+      await this.revokeAccessToken(user);
+    }
+
+    return families.size;
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   * @param {string} userId
+   * @param {string} [currentJti] - jti of the caller's access token, to flag
+   *   the session the request was made from
+   * @returns {Promise<Object[]>}
+   * @throws {NotFoundError} When the user doesn't exist
+   */
+  async listSessions(userId, currentJti) {
+    await this.requireUser(userId);
+
+    const [sessions, current] = await Promise.all([
+      this.prisma.session.findMany({
+        where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+        orderBy: { lastUsedAt: 'desc' },
+      }),
+      currentJti
+        ? this.prisma.refreshToken.findFirst({
+            where: { userId, accessJti: currentJti },
+            select: { familyId: true },
+          })
+        : null,
+    ]);
+
+    return sessions.map(session => toSession(session, current?.familyId));
+  }
+
+  /**
+   * End one of a user's sessions
+   * @param {string} userId
+   * @param {string} sessionId
+   * @throws {NotFoundError} When the user has no such active session
+   */
+  async revokeSession(userId, sessionId) {
+    const session = await this.prisma.session.findFirst({
+      where: { id: sessionId, userId, revokedAt: null },
+    });
+    if (!session) {
+      throw new NotFoundError(API_MESSAGES.ERROR.SESSION_NOT_FOUND);
+    }
+
+    await this.revokeFamily(sessionId);
+  }
+
+  /**
+   * End every session of a user on their behalf (e.g. by an admin)
+   * @param {string} userId
+   * @returns {Promise<number>} Number of sessions that were still active
+   * @throws {NotFoundError} When the user doesn't exist
+   */
+  async revokeAllSessions(userId) {
+    await this.requireUser(userId);
+    return this.logoutAll({ id: userId });
+  }
+
+  async requireUser(userId) {
+    const user = await this.prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true },
+    });
+    if (!user) {
+      throw new NotFoundError(API_MESSAGES.ERROR.USER_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Revoke every refresh token in a family and deny the access tokens that
+   * were issued with them
+   */
+  async revokeFamily(familyId) {
+    const tokens = await this.prisma.refreshToken.findMany({
+      where: { familyId },
+    });
+
+    await this.prisma.refreshToken.updateMany({
+      where: { familyId, isRevoked: false },
+      data: { isRevoked: true, revokedAt: new Date() },
+    });
+    await this.prisma.session.updateMany({
+      where: { id: familyId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    await this.denyTokens(tokens);
+  }
+
+  /**
+   * Add these refresh tokens and the access tokens issued with them to the
+   * denylist, so neither is accepted as a bearer token any more. Access
+   * tokens never outlive their refresh token, so its expiry bounds how long
+   * the entries are needed.
+   */
+  async denyTokens(refreshTokens) {
+    const now = new Date();
+    const entries = refreshTokens
+      .filter(token => token.expiresAt > now)
+      .flatMap(token => [
+        { ...token, jti: token.accessJti },
+        { ...token, jti: jwtService.decodeToken(token.token)?.jti },
+      ])
+      .filter(entry => entry.jti);
+
+    for (const { jti, userId, expiresAt } of entries) {
+      await this.prisma.revokedToken.upsert({
+        where: { jti },
+        create: { jti, userId, expiresAt },
+        update: {},
+      });
+    }
+  }
+
+  /**
+   * Record an impersonation token, so it ends with the user's sessions
+   * @param {string} token - Token from `jwtService.createImpersonationToken`
+   * @param {string} actorId - The impersonating admin
+   */
+  async recordImpersonation(token, actorId) {
+    const { id, jti, exp } = jwtService.decodeToken(token);
+
+    await this.prisma.impersonationToken.create({
+      data: { jti, userId: id, actorId, expiresAt: fromEpochSeconds(exp) },
+    });
+  }
+
+  /**
+   * Add a user's unexpired impersonation tokens to the denylist
+   * @param {string} userId
+   * @param {string} [keepJti] - Token to leave valid, e.g. the caller's own
+   */
+  async denyImpersonations(userId, keepJti) {
+    const tokens = await this.prisma.impersonationToken.findMany({
+      where: {
+        userId,
+        expiresAt: { gt: new Date() },
+        ...(keepJti && { jti: { not: keepJti } }),
+      },
+    });
+
+    for (const { jti, expiresAt } of tokens) {
+      await this.prisma.revokedToken.upsert({
+        where: { jti },
+        create: { jti, userId, expiresAt },
+        update: {},
+      });
+    }
+  }
+
+  /**
+   * Deny a single access token until it expires
+   * @param {{ id: string, jti?: string, exp?: number }} user - Decoded token
+   */
+  async revokeAccessToken({ id, jti, exp }) {
+    // Tokens issued before jti was added can't be revoked individually
+    if (!jti || !exp) return;
+
+    await this.prisma.revokedToken.upsert({
+      where: { jti },
+      create: { jti, userId: id, expiresAt: fromEpochSeconds(exp) },
+      update: {},
+    });
+  }
+
+  /**
+   * Whether a bearer token was revoked; used by the auth plugin. Refresh
+   * tokens of ended sessions are on the denylist too.
+   * @param {{ jti?: string }} user - Decoded token
+   */
+  async isAccessTokenRevoked({ jti }) {
+    if (!jti) return false;
+
+    const entry = await this.prisma.revokedToken.findUnique({
+      where: { jti },
+    });
+    return Boolean(entry);
+  }
+
+  /**
+   * Delete expired refresh tokens, sessions, impersonation records and
+   * denylist entries. Revoked refresh tokens are kept until they expire so
+   * reuse can still be detected.
+   * @returns {Promise<{ refreshTokens: number, sessions: number, impersonationTokens: number, revokedTokens: number }>}
+   */
+  async purgeExpired() {
+    const now = new Date();
+    const [refreshTokens, sessions, impersonationTokens, revokedTokens] =
+      await Promise.all([
+        this.prisma.refreshToken.deleteMany({
+          where: { expiresAt: { lt: now } },
+        }),
+        this.prisma.session.deleteMany({
+          where: { expiresAt: { lt: now } },
+        }),
+        this.prisma.impersonationToken.deleteMany({
+          where: { expiresAt: { lt: now } },
+        }),
+        this.prisma.revokedToken.deleteMany({
+          where: { expiresAt: { lt: now } },
+        }),
+      ]);
+
+    return {
+      refreshTokens: refreshTokens.count,
+      sessions: sessions.count,
+      impersonationTokens: impersonationTokens.count,
+      revokedTokens: revokedTokens.count,
+    };
+  }
+}
+
+export default TokenService;
@@ -0,0 +1,371 @@
+/**
+ * Database Two-Factor Service
+ * TOTP enrollment, one-time recovery codes and the challenge handed out
+ * between the password and code steps of login
+ */
+
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHash,
+  randomBytes,
+} from 'node:crypto';
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  UnauthorizedError,
+} from '@shared/core/utils/errors';
+import { db } from './client.js';
+import { resolveEffectivePermissions } from './rbacService.js';
+import { authConfig } from '../config/auth.config.js';
+import {
+  base32Encode,
+  buildOtpauthUri,
+  generateTotpSecret,
+  verifyTotp,
+} from '../src/utils/totp.js';
+import { API_MESSAGES, VERIFICATION_PURPOSES } from '../src/constants/index.js';
+
+const CHALLENGE = VERIFICATION_PURPOSES.TWO_FACTOR_CHALLENGE;
+
+const sha256 = value => createHash('sha256').update(value).digest('hex');
+
+// Recovery codes are entered by hand: case, spaces and dashes don't matter
+const normalizeRecoveryCode = code =>
+  String(code).toUpperCase().replace(/[\s-]/g, '');
+
+/**
+ * Whether one of the user's roles requires 2FA
+ * @param {{ roles?: string[] }} user
+ * @param {Object} [options] - authConfig.twoFactor
+ * @returns {boolean}
+ */
+export const isTwoFactorRequired = (user, options = authConfig.twoFactor) =>
+  (user.roles || []).some(role => options.requiredRoles.includes(role));
+
+/**
+ * Hold back the roles that require 2FA, and every permission, from users who
+ * haven't enrolled yet; they can still sign in and enroll
+ * @param {Object} user - User with roles and effective permissions
+ * @param {Object} [options] - authConfig.twoFactor
+ * @returns {Object} The user, or a restricted copy
+ */
+export const applyTwoFactorPolicy = (user, options = authConfig.twoFactor) => {
+  if (user.twoFactorEnabled || !isTwoFactorRequired(user, options)) {
+    return user;
+  }
+
+  return {
+    ...user,
+    roles: (user.roles || []).filter(
+      role => !options.requiredRoles.includes(role)
+    ),
+    permissions: [],
+  };
+};
+
+export class TwoFactorService {
+  constructor(prisma = db.getClient(), options = authConfig.twoFactor) {
+    this.prisma = prisma;
+    this.options = options;
+    this.key = createHash('sha256').update(options.encryptionKey).digest();
+  }
+
+  encryptSecret(secret) {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', this.key, iv);
+    const encrypted = Buffer.concat([cipher.update(secret), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted]
+      .map(part => part.toString('base64url'))
+      .join('.');
+  }
+
+  decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored
+      .split('.')
+      .map(part => Buffer.from(part, 'base64url'));
+    const decipher = createDecipheriv('aes-256-gcm', this.key, iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([
+      decipher.update(encrypted),
+      decipher.final(),
+    ]).toString('utf8');
+  }
+
+  /**
+   * @param {string} userId
+   * @returns {Promise<{ enabled: boolean, required: boolean, recoveryCodesRemaining: number }>}
+   */
+  async getStatus(userId) {
+    const [user, recoveryCodesRemaining] = await Promise.all([
+      this.getUser(userId),
+      this.prisma.recoveryCode.count({ where: { userId, usedAt: null } }),
+    ]);
+
+    return {
+      enabled: user.twoFactorEnabled,
+      required: isTwoFactorRequired(user, this.options),
+      recoveryCodesRemaining,
+    };
+  }
+
+  /**
+   * Start enrollment with a new secret. 2FA stays off until `confirmEnrollment`.
+   * @param {{ id: string, email: string }} user
+   * @returns {Promise<{ secret: string, otpauthUri: string }>}
+   * @throws {ConflictError} When 2FA is already enabled
+   */
+  async beginEnrollment(user) {
+    const current = await this.getUser(user.id);
+    if (current.twoFactorEnabled) {
+      throw new ConflictError(API_MESSAGES.ERROR.TWO_FACTOR_ALREADY_ENABLED);
+    }
+
+    const secret = generateTotpSecret();
+    await this.prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorSecret: this.encryptSecret(secret),
+        twoFactorLastStep: null,
+      },
+    });
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: current.email,
+        issuer: this.options.issuer,
+      }),
+    };
+  }
+
+  /**
+   * Enable 2FA once the user proves their app produces valid codes
+   * @param {string} userId
+   * @param {string} code - Current TOTP code
+   * @returns {Promise<string[]>} Recovery codes, shown to the user once
+   * @throws {ConflictError|BadRequestError}
+   */
+  async confirmEnrollment(userId, code) {
+    const user = await this.getUser(userId);
+    if (user.twoFactorEnabled) {
+      throw new ConflictError(API_MESSAGES.ERROR.TWO_FACTOR_ALREADY_ENABLED);
+    }
+    if (!user.twoFactorSecret) {
+      throw new BadRequestError(
+        API_MESSAGES.ERROR.TWO_FACTOR_SETUP_NOT_STARTED
+      );
+    }
+    if (!(await this.verifyTotpCode(user, code))) {
+      throw new BadRequestError(API_MESSAGES.ERROR.INVALID_TWO_FACTOR_CODE);
+    }
+
+    await this.prisma.user.update({
+      where: { id: userId },
+      data: { twoFactorEnabled: true },
+    });
+
+    return this.replaceRecoveryCodes(userId);
+  }
+
+  /**
+   * Turn 2FA off and forget the secret and recovery codes
+   * @param {string} userId
+   * @param {string} code - TOTP or recovery code
+   * @throws {ForbiddenError} When one of the user's roles requires 2FA
+   * @throws {BadRequestError}
+   */
+  async disable(userId, code) {
+    const user = await this.getUser(userId);
+    if (isTwoFactorRequired(user, this.options)) {
+      throw new ForbiddenError(
+        API_MESSAGES.ERROR.TWO_FACTOR_REQUIRED_BY_POLICY
+      );
+    }
+    await this.requireValidCode(user, code);
+
+    await this.prisma.$transaction([
+      this.prisma.user.update({
+        where: { id: userId },
+        data: {
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorLastStep: null,
+        },
+      }),
+      this.prisma.recoveryCode.deleteMany({ where: { userId } }),
+    ]);
+  }
+
+  /**
+   * Replace all recovery codes
+   * @param {string} userId
+   * @param {string} code - TOTP or recovery code
+   * @returns {Promise<string[]>} The new codes
+   * @throws {BadRequestError}
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    await this.requireValidCode(await this.getUser(userId), code);
+    return this.replaceRecoveryCodes(userId);
+  }
+
+  async requireValidCode(user, code) {
+    if (!user.twoFactorEnabled) {
+      throw new BadRequestError(API_MESSAGES.ERROR.TWO_FACTOR_NOT_ENABLED);
+    }
+    if (!(await this.verifyCode(user, code))) {
+      throw new BadRequestError(API_MESSAGES.ERROR.INVALID_TWO_FACTOR_CODE);
+    }
+  }
+
+  /**
+   * Check a TOTP code (6 digits) or, failing that, a recovery code. Either
+   * is accepted only once.
+   * @param {Object} user - User row with 2FA fields
+   * @param {string} code
+   * @returns {Promise<'totp'|'recovery_code'|null>} How the user proved it
+   */
+  async verifyCode(user, code) {
+    if (/^\d{6}$/.test(String(code).trim())) {
+      return (await this.verifyTotpCode(user, String(code).trim()))
+        ? 'totp'
+        : null;
+    }
+
+    const { count } = await this.prisma.recoveryCode.updateMany({
+      where: {
+        userId: user.id,
+        codeHash: sha256(normalizeRecoveryCode(code)),
+        usedAt: null,
+      },
+      data: { usedAt: new Date() },
+    });
+
+    return count > 0 ? 'recovery_code' : null;
+  }
+
+  async verifyTotpCode(user, code) {
+    if (!user.twoFactorSecret) return false;
+
+    const step = verifyTotp(this.decryptSecret(user.twoFactorSecret), code);
+    if (step === null) return false;
+
+    // Record the step atomically; a code (or an older one) can't be reused
+    const { count } = await this.prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }],
+      },
+      data: { twoFactorLastStep: step },
+    });
+
+    return count > 0;
+  }
+
+  async replaceRecoveryCodes(userId) {
+    const codes = Array.from({ length: this.options.recoveryCodeCount }, () =>
+      base32Encode(randomBytes(5))
+    );
+
+    await this.prisma.$transaction([
+      this.prisma.recoveryCode.deleteMany({ where: { userId } }),
+      this.prisma.recoveryCode.createMany({
+        data: codes.map(code => ({ userId, codeHash: sha256(code) })),
+      }),
+    ]);
+
+    // Shown as XXXX-XXXX; normalizeRecoveryCode accepts either form
+    return codes.map(code => `${code.slice(0, 4)}-${code.slice(4)}`);
+  }
+
+  /**
+   * Start the code step of login after the password was accepted
+   * @param {{ id: string }} user
+   * @returns {Promise<{ challengeToken: string, expiresAt: Date }>}
+   */
+  async createChallenge(user) {
+    const challengeToken = randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + this.options.challengeTtlMs);
+
+    await this.prisma.verificationToken.create({
+      data: {
+        tokenHash: sha256(challengeToken),
+        userId: user.id,
+        purpose: CHALLENGE,
+        expiresAt,
+      },
+    });
+
+    return { challengeToken, expiresAt };
+  }
+
+  /**
+   * User a pending challenge belongs to. The challenge stays usable until it
+   * is consumed, so a mistyped code can be retried.
+   * @param {string} challengeToken
+   * @returns {Promise<Object>} User row with 2FA fields
+   * @throws {UnauthorizedError} When the challenge is unknown, used or expired
+   */
+  async resolveChallenge(challengeToken) {
+    const challenge = await this.prisma.verificationToken.findUnique({
+      where: { tokenHash: sha256(challengeToken) },
+      include: { user: true },
+    });
+
+    if (
+      !challenge ||
+      challenge.purpose !== CHALLENGE ||
+      challenge.usedAt ||
+      challenge.expiresAt <= new Date() ||
+      !challenge.user.isActive
+    ) {
+      throw new UnauthorizedError(
+        API_MESSAGES.ERROR.INVALID_TWO_FACTOR_CHALLENGE
+      );
+    }
+
+    return challenge.user;
+  }
+
+  /**
+   * Mark a challenge used
+   * @param {string} challengeToken
+   * @throws {UnauthorizedError} When it was already consumed
+   */
+  async consumeChallenge(challengeToken) {
+    const { count } = await this.prisma.verificationToken.updateMany({
+      where: {
+        tokenHash: sha256(challengeToken),
+        purpose: CHALLENGE,
+        usedAt: null,
+      },
+      data: { usedAt: new Date() },
+    });
+
+    if (count === 0) {
+      throw new UnauthorizedError(
+        API_MESSAGES.ERROR.INVALID_TWO_FACTOR_CHALLENGE
+      );
+    }
+  }
+
+  /**
+   * User row with 2FA fields and the names of its active roles
+   * @param {string} userId
+   * @returns {Promise<Object>}
+   */
+  async getUser(userId) {
+    const user = await this.prisma.user.findUniqueOrThrow({
+      where: { id: userId },
+      include: { roles: { include: { role: true } } },
+    });
+
+    return { ...user, roles: resolveEffectivePermissions(user).roles };
+  }
+}
+
+export default TwoFactorService;
@@ -0,0 +1,203 @@
+/**
+ * Database User Lifecycle Service
+ * Admin actions on accounts: deactivation (ending every session),
+ * reactivation, soft deletion with anonymisation, and impersonation
+ */
+
+import { jwtService } from '@shared/core/auth';
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from '@shared/core/utils/errors';
+import { db } from './client.js';
+import { TokenService } from './tokenService.js';
+import {
+  resolveEffectivePermissions,
+  userAccessInclude,
+} from './rbacService.js';
+import { authConfig } from '../config/auth.config.js';
+import { API_MESSAGES, DELETED_USER } from '../src/constants/index.js';
+
+const { ERROR } = API_MESSAGES;
+
+const toUserSummary = user => ({
+  id: user.id,
+  email: user.email,
+  isActive: user.isActive,
+  deletedAt: user.deletedAt,
+});
+
+export class UserLifecycleService {
+  constructor(
+    prisma = db.getClient(),
+    tokenService = new TokenService(prisma),
+    options = authConfig.impersonation
+  ) {
+    this.prisma = prisma;
+    this.tokenService = tokenService;
+    this.options = options;
+  }
+
+  /**
+   * Block a user from signing in and end every session they have. API keys
+   * stop working while the owner is inactive.
+   * @param {string} userId
+   * @param {Object} actor - The admin (`request.user`)
+   * @returns {Promise<{ user: Object, sessionsRevoked: number }>}
+   * @throws {ForbiddenError} When admins target themselves
+   * @throws {NotFoundError} When the user doesn't exist or was deleted
+   */
+  async deactivateUser(userId, actor) {
+    this.assertNotSelf(userId, actor);
+    await this.requireUser(userId);
+
+    const user = await this.prisma.user.update({
+      where: { id: userId },
+      data: { isActive: false },
+    });
+    const sessionsRevoked = await this.tokenService.logoutAll({ id: userId });
+
+    return { user: toUserSummary(user), sessionsRevoked };
+  }
+
+  /**
+   * Let a deactivated user sign in again
+   * @throws {NotFoundError} When the user doesn't exist or was deleted
+   */
+  async reactivateUser(userId) {
+    await this.requireUser(userId);
+
+    const user = await this.prisma.user.update({
+      where: { id: userId },
+      data: { isActive: true },
+    });
+
+    return toUserSummary(user);
+  }
+
+  /**
+   * Soft-delete a user. The row stays so audit entries and content keep
+   * their owner, but personal data and credentials are removed, every
+   * session ends and the email address is freed. This can't be undone.
+   * @throws {ForbiddenError} When admins target themselves
+   * @throws {NotFoundError} When the user doesn't exist or was deleted
+   */
+  async deleteUser(userId, actor) {
+    this.assertNotSelf(userId, actor);
+    await this.requireUser(userId);
+
+    return this.anonymizeUser(userId);
+  }
+
+  /**
+   * The removal behind `deleteUser`, without the admin checks; also used
+   * when users delete their own account
+   * @param {string} userId - An existing, not yet deleted user
+   * @returns {Promise<Object>} User summary
+   */
+  async anonymizeUser(userId) {
+    const now = new Date();
+    const [user] = await this.prisma.$transaction([
+      this.prisma.user.update({
+        where: { id: userId },
+        data: {
+          email: `deleted-${userId}@${DELETED_USER.EMAIL_DOMAIN}`,
+          // Not a bcrypt hash, so no password matches it
+          password: '',
+          firstName: null,
+          lastName: null,
+          phoneNumber: null,
+          birthday: null,
+          address: null,
+          gender: null,
+          isActive: false,
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorLastStep: null,
+          deletedAt: now,
+        },
+      }),
+      this.prisma.apiKey.updateMany({
+        where: { userId, revokedAt: null },
+        data: { revokedAt: now },
+      }),
+      this.prisma.recoveryCode.deleteMany({ where: { userId } }),
+      this.prisma.verificationToken.deleteMany({ where: { userId } }),
+    ]);
+    await this.tokenService.logoutAll({ id: userId });
+
+    return toUserSummary(user);
+  }
+
+  /**
+   * Issue a short-lived access token that acts as a user, so support staff
+   * can reproduce what the user sees. The token carries the user's roles and
+   * permissions and an `act` claim naming the admin; there is no refresh
+   * token. The token is recorded, so it is revoked with the user's sessions
+   * (deactivation, deletion).
+   * @param {string} userId
+   * @param {Object} actor - The admin (`request.user`)
+   * @returns {Promise<Object>} `{ token, tokenType, expiresIn, user }`
+   * @throws {ForbiddenError} When the target is the admin or another admin
+   * @throws {NotFoundError} When the user doesn't exist or was deleted
+   * @throws {ConflictError} When the user is deactivated
+   */
+  async impersonate(userId, actor) {
+    this.assertNotSelf(userId, actor);
+    const user = await this.requireUser(userId);
+
+    if (!user.isActive) {
+      throw new ConflictError(ERROR.USER_INACTIVE);
+    }
+
+    const access = resolveEffectivePermissions(user);
+    // Acting as another admin would hand out their access
+    if (access.roles.includes('admin')) {
+      throw new ForbiddenError(ERROR.CANNOT_IMPERSONATE_ADMIN);
+    }
+
+    // Same restrictions as the user's own tokens (unverified email, missing 2FA)
+    const claims = this.tokenService.applyPolicies({ ...user, ...access });
+    const expiresIn = Math.floor(this.options.ttlMs / 1000);
+    const token = jwtService.createImpersonationToken(claims, actor, {
+      expiresIn,
+    });
+    await this.tokenService.recordImpersonation(token, actor.id);
+
+    return {
+      token,
+      tokenType: 'Bearer',
+      expiresIn,
+      user: {
+        id: user.id,
+        email: user.email,
+        roles: claims.roles,
+        permissions: claims.permissions,
+      },
+    };
+  }
+
+  assertNotSelf(userId, actor) {
+    if (userId === actor.id) {
+      throw new ForbiddenError(ERROR.CANNOT_TARGET_SELF);
+    }
+  }
+
+  async requireUser(userId) {
+    const user = await this.prisma.user.findUnique({
+      where: { id: userId },
+      include: userAccessInclude,
+    });
+    if (!user) {
+      throw new NotFoundError(ERROR.USER_NOT_FOUND);
+    }
+    if (user.deletedAt) {
+      throw new NotFoundError(ERROR.USER_DELETED);
+    }
+
+    return user;
+  }
+}
+
+export default UserLifecycleService;
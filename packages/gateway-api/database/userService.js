@@ -7,6 +7,13 @@ import { v4 as uuidv4 } from 'uuid';
 import { db } from './client.js';
 import { authConfig } from '../config/auth.config.js';
 import { passwordService } from '@shared/core/auth';
+import { resolveEffectivePermissions } from './rbacService.js';
+
+// Compared against when the user doesn't exist, so unknown emails take as
+// long to reject as wrong passwords
+let timingHashPromise;
+const getTimingHash = () =>
+  (timingHashPromise ??= passwordService.hashPassword('timing-equalizer'));
 
 export class UserService {
   constructor() {
@@ -200,6 +207,7 @@ export class UserService {
       });
 
       if (!user || !user.isActive) {
+        await passwordService.verifyPassword(password, await getTimingHash());
         return null;
       }
 
@@ -261,14 +269,15 @@ export class UserService {
   }
 
   /**
-   * Store refresh token
+   * Store refresh token (a new token starts its own rotation family)
    */
-  async storeRefreshToken(userId, token, expiresAt) {
+  async storeRefreshToken(userId, token, expiresAt, familyId = uuidv4()) {
     try {
       await this.prisma.refreshToken.create({
         data: {
           token,
           userId,
+          familyId,
           expiresAt,
         },
       });
@@ -318,14 +327,13 @@ export class UserService {
   }
 
   /**
-   * Clean expired refresh tokens
+   * Clean expired refresh tokens. Revoked tokens are kept until they expire
+   * so that replaying one is still detected as reuse.
    */
   async cleanExpiredTokens() {
     try {
       const deleted = await this.prisma.refreshToken.deleteMany({
-        where: {
-          OR: [{ expiresAt: { lt: new Date() } }, { isRevoked: true }],
-        },
+        where: { expiresAt: { lt: new Date() } },
       });
       return deleted.count;
     } catch (error) {
@@ -369,27 +377,14 @@ export class UserService {
 
     console.log('Formatting user:', JSON.stringify(user, null, 2));
 
-    // Extract roles
-    const roles = user.roles?.map(ur => ur.role.name) || [];
+    // Extract active roles and their permissions plus direct permissions
+    const { roles, permissions } = resolveEffectivePermissions(user);
     console.log('Extracted roles:', roles);
-
-    // Extract permissions from roles and direct permissions
-    const rolePermissions =
-      user.roles?.flatMap(
-        ur => ur.role.permissions?.map(rp => rp.permission.name) || []
-      ) || [];
-
-    const directPermissions =
-      user.permissions?.map(up => up.permission.name) || [];
-
-    // Combine and deduplicate permissions
-    const permissions = [
-      ...new Set([...rolePermissions, ...directPermissions]),
-    ];
     console.log('Extracted permissions:', permissions);
 
-    // Return formatted user (without password)
-    const { password, ...userWithoutPassword } = user;
+    // Return formatted user (without password or 2FA secrets)
+    const { password, twoFactorSecret, twoFactorLastStep, ...userWithoutPassword } =
+      user;
 
     const result = {
       ...userWithoutPassword,
@@ -408,8 +403,12 @@ export class UserService {
     try {
       const skip = (page - 1) * limit;
 
+      // Deleted accounts are kept for the audit trail but never listed
+      const where = { deletedAt: null };
+
       const [users, total] = await Promise.all([
         this.prisma.user.findMany({
+          where,
           skip,
           take: limit,
           include: {
@@ -423,7 +422,7 @@ export class UserService {
             createdAt: 'desc',
           },
         }),
-        this.prisma.user.count(),
+        this.prisma.user.count({ where }),
       ]);
 
       return {
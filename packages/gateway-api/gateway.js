@@ -4,13 +4,59 @@
  */
 import Fastify from 'fastify';
 import { PrismaClient } from '@prisma/client';
-import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
 import { swaggerOptions, swaggerUiOptions } from './config/swagger.js';
+import { authConfig } from './config/auth.config.js';
 import * as schemas from './src/schemas/index.js';
+import { ConfigLoader, serviceRegistry } from './src/services/index.js';
+import { ServiceRouter } from './src/utils/service-router.js';
+import { normalizeProfileUpdate, withAge } from './src/utils/profile.js';
+import {
+  API_MESSAGES,
+  AUDIT_ACTIONS,
+  CIRCUIT_STATES,
+  GENDER_ALIASES,
+} from './src/constants/index.js';
+import {
+  adminApiKeyRoutes,
+  adminAuditLogRoutes,
+  adminLoginLockRoutes,
+  adminOAuthClientRoutes,
+  adminRbacRoutes,
+  adminSessionRoutes,
+  adminUserRoutes,
+  apiKeyRoutes,
+  oauthRoutes,
+  profileRoutes,
+  sessionRoutes,
+  twoFactorRoutes,
+} from './src/routes/index.js';
+import {
+  authRateLimitConfig,
+  passwordResetRateLimitConfig,
+} from './src/middleware/security.middleware.js';
+import { RbacService } from './database/rbacService.js';
+import {
+  AuditLogService,
+  getRequestAuditContext,
+} from './database/auditLogService.js';
+import { TokenService } from './database/tokenService.js';
+import { ApiKeyService } from './database/apiKeyService.js';
+import { OAuthService } from './database/oauthService.js';
+import { UserLifecycleService } from './database/userLifecycleService.js';
+import { ProfileService } from './database/profileService.js';
+import { LoginThrottleService } from './database/loginThrottleService.js';
+import { EmailVerificationService } from './database/emailVerificationService.js';
+import { PasswordResetService } from './database/passwordResetService.js';
+import {
+  TwoFactorService,
+  isTwoFactorRequired,
+} from './database/twoFactorService.js';
 import { 
   jwtService, 
   passwordService,
-  authPlugin 
+  authPlugin,
+  KeyStore
 } from '@shared/core/auth';
 import { 
   createSuccessResponse,
@@ -29,13 +75,10 @@ const config = {
   jwtSecret:
     process.env.JWT_SECRET || 'your-secret-key-change-this-in-production',
   jwtExpiration: process.env.JWT_EXPIRATION || '24h',
-  services: {
-    comments: {
-      url: process.env.COMMENTS_SERVICE_URL || 'http://localhost:3001',
-      prefix: '/api/comments',
-    },
-
-  },
+  // Monorepo root holding services.config.js and apps/**/service.config.js
+  servicesRootPath:
+    process.env.SERVICES_ROOT_PATH ||
+    fileURLToPath(new URL('../..', import.meta.url)),
 };
 
 // Initialize Fastify
@@ -118,82 +161,60 @@ await fastify.register(import('@fastify/rate-limit'), {
 });
 
 // Register shared auth plugin
+const tokenService = new TokenService();
+const apiKeyService = new ApiKeyService();
+const oauthService = new OAuthService();
+
+// With RS256/ES256, tokens are signed by the keystore's current key and
+// services verify them through /.well-known/jwks.json
+const keyStore =
+  authConfig.jwt.algorithm === 'HS256'
+    ? null
+    : await KeyStore.open({
+        algorithm: authConfig.jwt.algorithm,
+        dir: authConfig.jwt.keysDir,
+        rotationIntervalMs: authConfig.jwt.keyRotationIntervalMs,
+        gracePeriodMs: authConfig.jwt.keyGracePeriodMs,
+      });
+keyStore?.scheduleRotation();
+
 await fastify.register(authPlugin, {
   jwtSecret: config.jwtSecret,
-  skipRoutes: ['/health', '/', '/api-docs'],
+  skipRoutes: ['/health', '/', '/api-docs', '/.well-known/jwks.json'],
+  // Tokens issued to OAuth clients also stop working when the client is revoked
+  isTokenRevoked: async user =>
+    (await tokenService.isAccessTokenRevoked(user)) ||
+    (await oauthService.isClientRevoked(user)),
+  keyStore,
+  // Accepted on proxied routes whose authMethods include 'apiKey'
+  verifyApiKey: key => apiKeyService.authenticate(key),
 });
 
 // Register Swagger for API documentation
 await fastify.register(import('@fastify/swagger'), swaggerOptions);
 await fastify.register(import('@fastify/swagger-ui'), swaggerUiOptions);
 
-// Service proxy helper
-async function proxyToService(request, reply, serviceConfig) {
-  try {
-    // Add user context to headers for downstream services
-    const headers = { ...request.headers };
-
-    if (request.user) {
-      headers['x-user-id'] = request.user.id;
-      headers['x-user-email'] = request.user.email;
-      headers['x-user-roles'] = JSON.stringify(request.user.roles);
-      headers['x-gateway-forwarded'] = 'true';
-    }
-
-    // Add request ID for tracing
-    headers['x-request-id'] = request.id || randomUUID();
-    headers['x-gateway-version'] = '2.0.0';
-
-    // Remove authorization header as we forward user context instead
-    delete headers.authorization;
-    delete headers.host;
-
-    // Construct target URL
-    const targetPath = request.url.replace(serviceConfig.prefix, '');
-    const targetUrl = `${serviceConfig.url}${targetPath}`;
-
-    fastify.log.info(
-      `Proxying ${request.method} ${request.url} -> ${targetUrl}`
-    );
-
-    // Make HTTP request to target service
-    const targetResponse = await fetch(targetUrl, {
-      method: request.method,
-      headers,
-      body: ['GET', 'HEAD'].includes(request.method)
-        ? undefined
-        : JSON.stringify(request.body),
-    });
-
-    // Copy response headers
-    for (const [key, value] of targetResponse.headers.entries()) {
-      reply.header(key, value);
-    }
+// Discover services (root services.config.js + apps/**/service.config.js)
+// and proxy each one under its basePath with its own auth rules
+const configLoader = new ConfigLoader(config.servicesRootPath);
+await configLoader.discoverAndRegisterServices();
 
-    // Stream response
-    const responseBody = await targetResponse.text();
-
-    reply.status(targetResponse.status);
+const serviceRouter = new ServiceRouter(fastify, serviceRegistry, {
+  signingSecret: authConfig.gatewaySignature.secret,
+});
 
-    // Try to parse as JSON, otherwise return as text
-    try {
-      const jsonBody = JSON.parse(responseBody);
-      return jsonBody;
-    } catch {
-      return responseBody;
-    }
-  } catch (error) {
-    fastify.log.error(`Service proxy error: ${error.message}`);
-    return reply.status(500).send({
-      success: false,
-      error: 'Service temporarily unavailable',
-      timestamp: new Date().toISOString(),
-    });
-  }
-}
+fastify.addHook('onClose', async () => {
+  serviceRegistry.stopHealthChecks();
+});
 
 // Initialize database connection
 let prisma;
+const auditLogService = new AuditLogService();
+const loginThrottleService = new LoginThrottleService();
+const emailVerificationService = new EmailVerificationService();
+const passwordResetService = new PasswordResetService();
+const twoFactorService = new TwoFactorService();
+const userLifecycleService = new UserLifecycleService();
 
 async function initializeDatabase() {
   try {
@@ -208,29 +229,17 @@ async function initializeDatabase() {
     const userCount = await prisma.user.count();
     fastify.log.info(`📊 Database ready with ${userCount} users`);
 
-    // Clean up expired tokens
-    const { UserService } = await import('./database/userService.js');
-    const userService = new UserService();
-    await userService.cleanExpiredTokens();
+    // Clean up expired refresh tokens, denylist entries and verification tokens
+    await tokenService.purgeExpired();
+    await emailVerificationService.purgeExpired();
   } catch (error) {
     fastify.log.error('❌ Database initialization failed:', error.message);
     throw error;
   }
 }
 
-// Note: Authentication middleware is now provided by shared auth plugin
-
-// Admin authorization middleware
-fastify.decorate('requireAdmin', async function (request, reply) {
-  if (!request.user || !request.user.roles || !request.user.roles.includes('admin')) {
-    const forbiddenError = createErrorResponse(
-      'Forbidden',
-      'Admin access required',
-      403
-    );
-    return sendResponse(reply, forbiddenError);
-  }
-});
+// Note: Authentication and admin middleware (authenticate, requireAdmin,
+// createAuthPreHandler) are provided by the shared auth plugin
 
 // Gateway Routes
 
@@ -244,8 +253,13 @@ fastify.get('/health', {
     }
   }
 }, async (request, reply) => {
+  const upstreams = serviceRegistry.getHealthStatus();
+  const isDegraded = Object.values(upstreams).some(
+    upstream => upstream.circuit.state !== CIRCUIT_STATES.CLOSED
+  );
+
   return {
-    status: 'OK',
+    status: isDegraded ? 'DEGRADED' : 'OK',
     service: 'Fastify API Gateway',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
@@ -253,13 +267,29 @@ fastify.get('/health', {
     version: '2.0.0',
     services: {
       database: 'connected',
-      comments: 'proxied',
-      users: 'proxied',
-      sahab: 'proxied'
-    }
+      ...Object.fromEntries(
+        serviceRegistry.getAllServices().map(service => [service.name, 'proxied'])
+      ),
+    },
+    upstreams
   };
 });
 
+// Public keys for verifying gateway-issued tokens
+fastify.get('/.well-known/jwks.json', {
+  schema: {
+    description: 'JSON Web Key Set with the keys tokens are signed with (empty with HS256)',
+    tags: ['Gateway'],
+    response: {
+      200: schemas.jwksResponse
+    }
+  }
+}, async (request, reply) => {
+  // Short cache so services pick up rotated keys quickly
+  reply.header('Cache-Control', 'public, max-age=300');
+  return keyStore ? keyStore.getJwks() : { keys: [] };
+});
+
 // Gateway info
 fastify.get('/', {
   schema: {
@@ -279,9 +309,9 @@ fastify.get('/', {
       enabled: true,
       type: 'JWT'
     },
-    services: {
-      comments: `${config.services.comments.url}${config.services.comments.prefix}`,
-    },
+    services: Object.fromEntries(
+      serviceRegistry.getAllServices().map(service => [service.name, service.basePath])
+    ),
   };
 });
 
@@ -314,6 +344,24 @@ fastify.post('/auth/register', {
       lastName,
     });
 
+    await auditLogService.record(request, {
+      userId: newUser.id,
+      action: AUDIT_ACTIONS.REGISTER,
+      resource: `user:${newUser.id}`,
+    });
+
+    // The account exists either way; the user can ask for another link
+    try {
+      await emailVerificationService.sendVerification(newUser);
+      await auditLogService.record(request, {
+        userId: newUser.id,
+        action: AUDIT_ACTIONS.EMAIL_VERIFICATION_SENT,
+        resource: `user:${newUser.id}`,
+      });
+    } catch (error) {
+      request.log.error({ err: error }, 'Failed to send verification email');
+    }
+
     return reply.status(201).send({
       success: true,
       message: 'User registered successfully',
@@ -353,47 +401,146 @@ fastify.post('/auth/register', {
   }
 });
 
+// Answer a login attempt for a locked account or IP
+async function rejectLockedLogin(request, reply, email, throttle) {
+  await auditLogService.record(request, {
+    action: AUDIT_ACTIONS.LOGIN_FAILED,
+    metadata: { email, reason: 'locked' },
+  });
+
+  reply.header('retry-after', throttle.retryAfter);
+  return sendResponse(
+    reply,
+    createErrorResponse(
+      'Too Many Requests',
+      API_MESSAGES.ERROR.LOGIN_LOCKED,
+      429
+    )
+  );
+}
+
+// Count a failed login step towards the lockout and audit it
+async function recordLoginFailure(request, email, reason) {
+  const failure = await loginThrottleService.recordFailure(email, request.ip);
+
+  await auditLogService.record(request, {
+    action: AUDIT_ACTIONS.LOGIN_FAILED,
+    metadata: { email, reason },
+  });
+
+  for (const lock of failure.newlyLocked) {
+    await auditLogService.record(request, {
+      action: AUDIT_ACTIONS.LOGIN_LOCKED,
+      resource: lock.key,
+      metadata: { failures: lock.failures, lockedUntil: lock.lockedUntil },
+    });
+  }
+}
+
 // Login
 fastify.post('/auth/login', {
+  // Per-IP limit on top of the per-account/per-IP lockout below
+  config: { rateLimit: authRateLimitConfig },
   schema: {
-    description: 'Authenticate user and receive JWT token',
+    description:
+      'Authenticate user and receive JWT token. Repeated failures lock the ' +
+      'account and IP out with exponential backoff. With 2FA enabled, a ' +
+      'challenge token for POST /auth/login/2fa is returned instead.',
     tags: ['Authentication'],
     body: schemas.userLogin,
     response: {
       200: schemas.authSuccessResponse,
-      401: schemas.errorResponse
+      401: schemas.errorResponse,
+      403: schemas.errorResponse,
+      429: schemas.errorResponse
     }
   }
 }, async (request, reply) => {
   const { email, password } = request.body;
 
   try {
+    // Locked accounts are rejected before the password is checked, and
+    // unknown emails are throttled the same way as real ones
+    const throttle = await loginThrottleService.check(email, request.ip);
+
+    if (throttle.locked) {
+      return rejectLockedLogin(request, reply, email, throttle);
+    }
+
     const userService = (await import('./database/userService.js')).UserService;
     const service = new userService();
 
     const user = await service.authenticateUser(email, password);
 
     if (!user) {
+      await recordLoginFailure(request, email, 'invalid_credentials');
+
       const authError = createErrorResponse(
         'Unauthorized',
-        'Invalid credentials',
+        API_MESSAGES.ERROR.INVALID_CREDENTIALS,
         401
       );
       return sendResponse(reply, authError);
     }
 
-    // Generate token using shared JWT service
-    const tokenData = jwtService.createUserToken({
-      ...user,
-      roles: user.roles || ['user']
+    // With 2FA the failure count is only cleared once the code is right too,
+    // so the lockout also bounds guessing codes after a leaked password
+    if (!user.twoFactorEnabled) {
+      await loginThrottleService.recordSuccess(email);
+    }
+
+    if (!user.isVerified && emailVerificationService.blocksLogin) {
+      await auditLogService.record(request, {
+        userId: user.id,
+        action: AUDIT_ACTIONS.LOGIN_FAILED,
+        resource: `user:${user.id}`,
+        metadata: { email, reason: 'email_not_verified' },
+      });
+
+      return sendResponse(
+        reply,
+        createErrorResponse(
+          'Forbidden',
+          API_MESSAGES.ERROR.EMAIL_NOT_VERIFIED,
+          403
+        )
+      );
+    }
+
+    // The password was right; tokens are only issued after the code step
+    if (user.twoFactorEnabled) {
+      return createSuccessResponse(
+        {
+          twoFactorRequired: true,
+          ...(await twoFactorService.createChallenge(user)),
+        },
+        API_MESSAGES.SUCCESS.TWO_FACTOR_REQUIRED
+      );
+    }
+
+    await auditLogService.record(request, {
+      userId: user.id,
+      action: AUDIT_ACTIONS.LOGIN,
+      resource: `user:${user.id}`,
     });
 
+    // Generate tokens and start a new session (refresh token family)
+    const tokenData = await tokenService.createSession(
+      user,
+      getRequestAuditContext(request)
+    );
+
     const response = createUserTokenResponse(
       user,
       tokenData,
       'Login successful'
     );
 
+    // Tokens are restricted until the user enrolls (see POST /auth/2fa/setup)
+    if (isTwoFactorRequired(user)) {
+      response.data.twoFactorSetupRequired = true;
+    }
+
     return response;
   } catch (error) {
     request.log.error(error);
@@ -406,6 +553,64 @@ fastify.post('/auth/login', {
   }
 });
 
+// Login, second step
+fastify.post('/auth/login/2fa', {
+  config: { rateLimit: authRateLimitConfig },
+  schema: {
+    description:
+      'Finish a 2FA login with the challenge token and a code from the ' +
+      'authenticator app or a recovery code. Wrong codes count towards the ' +
+      'login lockout.',
+    tags: ['Authentication'],
+    body: schemas.twoFactorLoginRequest,
+    response: {
+      200: schemas.authSuccessResponse,
+      401: schemas.errorResponse,
+      429: schemas.errorResponse
+    }
+  }
+}, async (request, reply) => {
+  const { challengeToken, code } = request.body;
+  const pending = await twoFactorService.resolveChallenge(challengeToken);
+
+  const throttle = await loginThrottleService.check(pending.email, request.ip);
+  if (throttle.locked) {
+    return rejectLockedLogin(request, reply, pending.email, throttle);
+  }
+
+  const method = await twoFactorService.verifyCode(pending, code);
+  if (!method) {
+    await recordLoginFailure(request, pending.email, 'invalid_two_factor_code');
+    return sendResponse(
+      reply,
+      createErrorResponse(
+        'Unauthorized',
+        API_MESSAGES.ERROR.INVALID_TWO_FACTOR_CODE,
+        401
+      )
+    );
+  }
+
+  await twoFactorService.consumeChallenge(challengeToken);
+  await loginThrottleService.recordSuccess(pending.email);
+
+  const userService = (await import('./database/userService.js')).UserService;
+  const user = await new userService().getUserWithRoles(pending.id);
+
+  await auditLogService.record(request, {
+    userId: user.id,
+    action: AUDIT_ACTIONS.LOGIN,
+    resource: `user:${user.id}`,
+    metadata: { twoFactor: method },
+  });
+
+  const tokenData = await tokenService.createSession(
+    user,
+    getRequestAuditContext(request)
+  );
+  return createUserTokenResponse(user, tokenData, 'Login successful');
+});
+
 // Profile
 fastify.get('/auth/profile', {
   preHandler: fastify.authenticate,
@@ -456,27 +661,34 @@ fastify.get('/auth/profile', {
 
 // Refresh token
 fastify.post('/auth/refresh', {
-  preHandler: fastify.authenticate,
   schema: {
-    description: 'Refresh JWT token with current user context',
+    description:
+      'Exchange a refresh token for a new token pair. The presented refresh ' +
+      'token is revoked; replaying it revokes every token from the same login.',
     tags: ['Authentication'],
-    security: [{ bearerAuth: [] }],
+    body: schemas.refreshTokenRequest,
     response: {
       200: {
         type: 'object',
         properties: {
           success: { type: 'boolean', example: true },
+          message: { type: 'string' },
           token: { 
             type: 'string',
             description: 'New JWT access token',
             example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
           },
+          refreshToken: {
+            type: 'string',
+            description: 'New refresh token; the presented one is now revoked'
+          },
           data: {
             type: 'object',
             properties: {
               id: { type: 'string' },
               email: { type: 'string', format: 'email' },
-              roles: { type: 'array', items: { type: 'string' } }
+              roles: { type: 'array', items: { type: 'string' } },
+              permissions: { type: 'array', items: { type: 'string' } }
             }
           },
           meta: {
@@ -489,23 +701,30 @@ fastify.post('/auth/refresh', {
           }
         }
       },
+      400: schemas.errorResponse,
       401: schemas.errorResponse
     }
   }
 }, async request => {
-  const newToken = fastify.jwt.sign({
-    id: request.user.id,
-    email: request.user.email,
-    roles: request.user.roles
-  });
-  
+  // Roles and effective permissions are re-resolved so RBAC changes made
+  // since the last token was issued take effect
+  const { user, tokens } = await tokenService.rotateRefreshToken(
+    request.body.refreshToken,
+    getRequestAuditContext(request)
+  );
+  // The roles and permissions the new access token carries
+  const claims = tokenService.applyPolicies(user);
+
   return { 
     success: true, 
-    token: newToken, 
+    message: API_MESSAGES.SUCCESS.TOKEN_REFRESHED,
+    token: tokens.token, 
+    refreshToken: tokens.refreshToken,
     data: {
-      id: request.user.id,
-      email: request.user.email,
-      roles: request.user.roles
+      id: user.id,
+      email: user.email,
+      roles: claims.roles,
+      permissions: claims.permissions
     },
     meta: {
       timestamp: new Date().toISOString(),
@@ -515,6 +734,207 @@ fastify.post('/auth/refresh', {
   };
 });
 
+// Logout
+fastify.post('/auth/logout', {
+  preHandler: fastify.authenticate,
+  schema: {
+    description:
+      'End the current session: revokes the access token and its refresh tokens',
+    tags: ['Authentication'],
+    security: [{ bearerAuth: [] }],
+    body: schemas.logoutRequest,
+    response: {
+      200: schemas.successResponse,
+      401: schemas.errorResponse
+    }
+  }
+}, async request => {
+  await tokenService.logout(request.user, request.body?.refreshToken);
+
+  await auditLogService.record(request, {
+    userId: request.user.id,
+    action: AUDIT_ACTIONS.LOGOUT,
+    resource: `user:${request.user.id}`,
+  });
+
+  return createSuccessResponse(null, API_MESSAGES.SUCCESS.LOGGED_OUT);
+});
+
+// Logout everywhere
+fastify.post('/auth/logout-all', {
+  preHandler: fastify.authenticate,
+  schema: {
+    description: 'End every session of the current user',
+    tags: ['Authentication'],
+    security: [{ bearerAuth: [] }],
+    response: {
+      200: schemas.successResponse,
+      401: schemas.errorResponse
+    }
+  }
+}, async request => {
+  const sessions = await tokenService.logoutAll(request.user);
+
+  await auditLogService.record(request, {
+    userId: request.user.id,
+    action: AUDIT_ACTIONS.LOGOUT_ALL,
+    resource: `user:${request.user.id}`,
+    metadata: { sessions },
+  });
+
+  return createSuccessResponse(
+    { sessions },
+    API_MESSAGES.SUCCESS.LOGGED_OUT_ALL
+  );
+});
+
+// Verify email
+fastify.post('/auth/verify-email', {
+  schema: {
+    description:
+      'Redeem the single-use token from a verification email and mark the ' +
+      'account verified',
+    tags: ['Authentication'],
+    body: schemas.verifyEmailRequest,
+    response: {
+      200: schemas.successResponse,
+      400: schemas.errorResponse
+    }
+  }
+}, async request => {
+  const user = await emailVerificationService.verify(request.body.token);
+
+  await auditLogService.record(request, {
+    userId: user.id,
+    action: AUDIT_ACTIONS.EMAIL_VERIFIED,
+    resource: `user:${user.id}`,
+  });
+
+  return createSuccessResponse(null, API_MESSAGES.SUCCESS.EMAIL_VERIFIED);
+});
+
+// Resend verification email
+fastify.post('/auth/resend-verification', {
+  config: { rateLimit: authRateLimitConfig },
+  schema: {
+    description:
+      'Send a new verification link. The response is the same whether or ' +
+      'not the account exists or is already verified.',
+    tags: ['Authentication'],
+    body: schemas.resendVerificationRequest,
+    response: {
+      200: schemas.successResponse,
+      400: schemas.errorResponse,
+      429: schemas.errorResponse
+    }
+  }
+}, async request => {
+  const user = await emailVerificationService.resend(request.body.email);
+
+  if (user) {
+    await auditLogService.record(request, {
+      userId: user.id,
+      action: AUDIT_ACTIONS.EMAIL_VERIFICATION_SENT,
+      resource: `user:${user.id}`,
+    });
+  }
+
+  return createSuccessResponse(null, API_MESSAGES.SUCCESS.VERIFICATION_SENT);
+});
+
+// Forgot password
+fastify.post('/auth/forgot-password', {
+  config: { rateLimit: passwordResetRateLimitConfig },
+  schema: {
+    description:
+      'Mail a single-use password reset link. The response is the same ' +
+      'whether or not the account exists.',
+    tags: ['Authentication'],
+    body: schemas.forgotPasswordRequest,
+    response: {
+      200: schemas.successResponse,
+      400: schemas.errorResponse,
+      429: schemas.errorResponse
+    }
+  }
+}, async request => {
+  const user = await passwordResetService.requestReset(request.body.email);
+
+  await auditLogService.record(request, {
+    userId: user?.id,
+    action: AUDIT_ACTIONS.PASSWORD_RESET_REQUEST,
+    resource: user ? `user:${user.id}` : undefined,
+    metadata: { email: request.body.email, sent: Boolean(user) },
+  });
+
+  return createSuccessResponse(null, API_MESSAGES.SUCCESS.PASSWORD_RESET_SENT);
+});
+
+// Reset password
+fastify.post('/auth/reset-password', {
+  config: { rateLimit: authRateLimitConfig },
+  schema: {
+    description:
+      'Set a new password with the token from a reset email. Every session ' +
+      'of the account is ended.',
+    tags: ['Authentication'],
+    body: schemas.resetPasswordRequest,
+    response: {
+      200: schemas.successResponse,
+      400: schemas.errorResponse,
+      422: schemas.errorResponse,
+      429: schemas.errorResponse
+    }
+  }
+}, async request => {
+  const { token, newPassword } = request.body;
+  const user = await passwordResetService.resetPassword(token, newPassword);
+
+  await auditLogService.record(request, {
+    userId: user.id,
+    action: AUDIT_ACTIONS.PASSWORD_RESET,
+    resource: `user:${user.id}`,
+    metadata: { sessionsRevoked: user.sessions },
+  });
+
+  return createSuccessResponse(null, API_MESSAGES.SUCCESS.PASSWORD_RESET);
+});
+
+// Change password
+fastify.post('/auth/change-password', {
+  preHandler: [fastify.authenticate, fastify.rejectImpersonation],
+  schema: {
+    description:
+      'Change the current user password. Every other session of the account ' +
+      'is ended.',
+    tags: ['Authentication'],
+    security: [{ bearerAuth: [] }],
+    body: schemas.passwordChange,
+    response: {
+      200: schemas.successResponse,
+      400: schemas.errorResponse,
+      401: schemas.errorResponse,
+      422: schemas.errorResponse
+    }
+  }
+}, async request => {
+  const { currentPassword, newPassword } = request.body;
+  const user = await passwordResetService.changePassword(
+    request.user,
+    currentPassword,
+    newPassword
+  );
+
+  await auditLogService.record(request, {
+    userId: user.id,
+    action: AUDIT_ACTIONS.PASSWORD_CHANGE,
+    resource: `user:${user.id}`,
+    metadata: { sessionsRevoked: user.sessions },
+  });
+
+  return createSuccessResponse(null, API_MESSAGES.SUCCESS.PASSWORD_CHANGED);
+});
+
 // Admin user creation
 fastify.post('/admin/users', {
   preHandler: [fastify.authenticate, fastify.requireAdmin],
@@ -548,6 +968,13 @@ fastify.post('/admin/users', {
       roles
     });
 
+    await auditLogService.record(request, {
+      userId: request.user.id,
+      action: AUDIT_ACTIONS.USER_CREATE,
+      resource: `user:${newUser.id}`,
+      metadata: { email, roles },
+    });
+
     return reply.status(201).send({
       success: true,
       message: 'User created successfully',
@@ -596,21 +1023,17 @@ fastify.get('/admin/users', {
   }
 }, async (request, reply) => {
   try {
-    const { page = 1, limit = 20, sortBy = 'createdAt', order = 'desc' } = request.query;
+    const { page = 1, limit = 20 } = request.query;
     
     const userService = (await import('./database/userService.js')).UserService;
     const service = new userService();
     
-    const users = await service.getAllUsers({
-      page: parseInt(page),
-      limit: parseInt(limit),
-      sortBy,
-      order
-    });
+    // Newest first; deleted accounts are left out
+    const users = await service.getAllUsers(parseInt(page), parseInt(limit));
 
     return {
       success: true,
-      users: users.data,
+      users: users.users,
       pagination: users.pagination,
       meta: {
         timestamp: new Date().toISOString(),
@@ -699,8 +1122,8 @@ fastify.register(async function (fastify) {
       const { page = 1, limit = 20, search, isActive, isVerified } = request.query;
       const skip = (page - 1) * limit;
 
-      // Build where clause for filtering
-      const where = {};
+      // Build where clause for filtering; deleted accounts are never listed
+      const where = { deletedAt: null };
       if (search) {
         where.OR = [
           { firstName: { contains: search, mode: 'insensitive' } },
@@ -722,7 +1145,6 @@ fastify.register(async function (fastify) {
             firstName: true,
             lastName: true,
             phoneNumber: true,
-            age: true,
             gender: true,
             address: true,
             birthday: true,
@@ -739,7 +1161,7 @@ fastify.register(async function (fastify) {
       return {
         success: true,
         data: {
-          users,
+          users: users.map(withAge),
           pagination: {
             page,
             limit,
@@ -815,14 +1237,13 @@ fastify.register(async function (fastify) {
       const { id } = request.params;
 
       const user = await prisma.user.findUnique({
-        where: { id },
+        where: { id, deletedAt: null },
         select: {
           id: true,
           email: true,
           firstName: true,
           lastName: true,
           phoneNumber: true,
-          age: true,
           gender: true,
           address: true,
           birthday: true,
@@ -844,7 +1265,7 @@ fastify.register(async function (fastify) {
 
       return {
         success: true,
-        data: user,
+        data: withAge(user),
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -878,7 +1299,7 @@ fastify.register(async function (fastify) {
           phoneNumber: { type: 'string' },
           address: { type: 'string' },
           birthday: { type: 'string', format: 'date-time' },
-          gender: { type: 'string', enum: ['مرد', 'زن', 'ترجیح می‌دهم نگویم'] }
+          gender: { type: 'string', enum: Object.keys(GENDER_ALIASES) }
         }
       },
       response: {
@@ -939,28 +1360,17 @@ fastify.register(async function (fastify) {
         });
       }
 
-      // Calculate age if birthday is provided
-      if (updateData.birthday) {
-        const birthDate = new Date(updateData.birthday);
-        const today = new Date();
-        let age = today.getFullYear() - birthDate.getFullYear();
-        const monthDiff = today.getMonth() - birthDate.getMonth();
-        if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
-          age--;
-        }
-        updateData.age = age;
-      }
-
+      // Deleted accounts can't be edited; they answer 404 like unknown ones
       const updatedUser = await prisma.user.update({
-        where: { id },
-        data: updateData,
+        where: { id, deletedAt: null },
+        // Same field rules as PATCH /auth/me; age is derived from birthday
+        data: normalizeProfileUpdate(updateData),
         select: {
           id: true,
           email: true,
           firstName: true,
           lastName: true,
           phoneNumber: true,
-          age: true,
           gender: true,
           address: true,
           birthday: true,
@@ -968,13 +1378,26 @@ fastify.register(async function (fastify) {
         }
       });
 
+      await auditLogService.record(request, {
+        userId: request.user.id,
+        action: AUDIT_ACTIONS.USER_UPDATE,
+        resource: `user:${id}`,
+        metadata: {
+          fields: Object.keys(request.body),
+          byAdmin: request.user.id !== id,
+        },
+      });
+
       return {
         success: true,
         message: 'User updated successfully',
-        data: updatedUser,
+        data: withAge(updatedUser),
         timestamp: new Date().toISOString()
       };
     } catch (error) {
+      // Invalid phone number or birthday
+      if (error.isOperational) throw error;
+
       if (error.code === 'P2025') {
         return reply.status(404).send({
           success: false,
@@ -993,83 +1416,76 @@ fastify.register(async function (fastify) {
   });
 });
 
-// Service Proxy Routes
+// RBAC administration: roles, permissions and user assignments
+await fastify.register(adminRbacRoutes, { rbacService: new RbacService() });
 
-// Comments service proxy
-fastify.register(async function (fastify) {
-  fastify.addHook('preHandler', fastify.authenticate);
-  
-  fastify.all('/api/comments', {
-    schema: {
-      description: 'Proxy to Comments microservice',
-      tags: ['Proxy'],
-      security: [{ bearerAuth: [] }],
-      summary: 'Access comments service endpoints',
-      response: {
-        200: {
-          description: 'Response from comments service',
-          type: 'object'
-        },
-        401: schemas.errorResponse,
-        500: {
-          description: 'Service temporarily unavailable',
-          type: 'object',
-          properties: {
-            success: { type: 'boolean', example: false },
-            error: { type: 'string', example: 'Service temporarily unavailable' },
-            timestamp: { type: 'string', format: 'date-time' }
-          }
-        }
-      }
-    }
-  }, async (request, reply) => {
-    return proxyToService(request, reply, config.services.comments);
-  });
-  
-  fastify.all('/api/comments/*', {
-    schema: {
-      description: 'Proxy to Comments microservice (wildcard paths)',
-      tags: ['Proxy'],
-      security: [{ bearerAuth: [] }],
-      summary: 'Access specific comments service endpoints',
-      response: {
-        200: {
-          description: 'Response from comments service',
-          type: 'object'
-        },
-        401: schemas.errorResponse,
-        500: {
-          description: 'Service temporarily unavailable',
-          type: 'object',
-          properties: {
-            success: { type: 'boolean', example: false },
-            error: { type: 'string', example: 'Service temporarily unavailable' },
-            timestamp: { type: 'string', format: 'date-time' }
-          }
-        }
-      }
-    }
-  }, async (request, reply) => {
-    return proxyToService(request, reply, config.services.comments);
-  });
+// Audit log query and export (requires view:logs)
+await fastify.register(adminAuditLogRoutes, { auditLogService });
+
+// Deactivate, reactivate, delete and impersonate users
+await fastify.register(adminUserRoutes, {
+  userLifecycleService,
+  auditLogService,
+});
+
+// Login lockout administration
+await fastify.register(adminLoginLockRoutes, {
+  loginThrottleService,
+  auditLogService,
+});
+
+// Profile, email change and account deletion for the signed-in user
+await fastify.register(profileRoutes, {
+  profileService: new ProfileService(
+    userLifecycleService.prisma,
+    emailVerificationService,
+    userLifecycleService
+  ),
+  auditLogService,
 });
 
+// TOTP enrollment and recovery codes for the signed-in user
+await fastify.register(twoFactorRoutes, { twoFactorService, auditLogService });
+
+// Sessions of the signed-in user, and of any user for admins
+await fastify.register(sessionRoutes, { tokenService, auditLogService });
+await fastify.register(adminSessionRoutes, { tokenService, auditLogService });
 
+// API keys for machine clients, managed by their owner or an admin
+await fastify.register(apiKeyRoutes, { apiKeyService, auditLogService });
+await fastify.register(adminApiKeyRoutes, { apiKeyService, auditLogService });
 
+// OAuth2 client credentials and token introspection for services
+await fastify.register(oauthRoutes, { oauthService });
+await fastify.register(adminOAuthClientRoutes, { oauthService, auditLogService });
 
+// Service Proxy Routes (generated from the service registry)
+await serviceRouter.registerAllServices();
+await serviceRouter.registerServiceDiscovery();
+await serviceRouter.registerServiceHealthChecks();
 
 // Start the gateway
 async function startGateway() {
   try {
     await initializeDatabase();
 
+    // Poll healthCheckPath of every service; results drive the circuit breakers
+    serviceRegistry.startHealthChecks(
+      configLoader.getGatewayConfig().discovery?.healthCheckInterval
+    );
+
     const address = await fastify.listen({
       port: config.port,
       host: config.host,
     });
 
     fastify.log.info(`🚀 Gateway server is running at ${address}`);
-    fastify.log.info(`🔗 Service endpoints:`, config.services);
+    fastify.log.info(
+      `🔗 Service endpoints: ${serviceRegistry
+        .getAllServices()
+        .map(service => `${service.name} -> ${service.basePath}`)
+        .join(', ')}`
+    );
 
     return fastify;
   } catch (err) {
@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "login_throttles" (
+    "key" TEXT NOT NULL PRIMARY KEY,
+    "failures" INTEGER NOT NULL DEFAULT 0,
+    "lockedUntil" DATETIME,
+    "lastFailureAt" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "login_throttles_lockedUntil_idx" ON "login_throttles"("lockedUntil");
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "sessions" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "userAgent" TEXT,
+    "ipAddress" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUsedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" DATETIME NOT NULL,
+    "revokedAt" DATETIME,
+    CONSTRAINT "sessions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "sessions_userId_idx" ON "sessions"("userId");
+
+-- Backfill sessions for refresh token families that are still active
+INSERT INTO "sessions" ("id", "userId", "createdAt", "lastUsedAt", "expiresAt")
+SELECT "familyId", "userId", MIN("createdAt"), MAX("createdAt"), MAX("expiresAt")
+FROM "refresh_tokens"
+GROUP BY "familyId", "userId"
+HAVING SUM(CASE WHEN "isRevoked" = false THEN 1 ELSE 0 END) > 0;
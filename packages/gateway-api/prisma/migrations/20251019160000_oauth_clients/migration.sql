@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "oauth_clients" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "clientId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "secretHash" TEXT NOT NULL,
+    "lastUsedAt" DATETIME,
+    "revokedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "oauth_client_permissions" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "clientId" TEXT NOT NULL,
+    "permissionId" TEXT NOT NULL,
+    CONSTRAINT "oauth_client_permissions_clientId_fkey" FOREIGN KEY ("clientId") REFERENCES "oauth_clients" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "oauth_client_permissions_permissionId_fkey" FOREIGN KEY ("permissionId") REFERENCES "permissions" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "oauth_clients_clientId_key" ON "oauth_clients"("clientId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "oauth_client_permissions_clientId_permissionId_key" ON "oauth_client_permissions"("clientId", "permissionId");
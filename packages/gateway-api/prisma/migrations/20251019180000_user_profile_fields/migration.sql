@@ -0,0 +1,7 @@
+-- Normalise gender values
+UPDATE "users" SET "gender" = 'male' WHERE "gender" = 'مرد';
+UPDATE "users" SET "gender" = 'female' WHERE "gender" = 'زن';
+UPDATE "users" SET "gender" = 'undisclosed' WHERE "gender" = 'ترجیح می‌دهم نگویم';
+
+-- AlterTable: age is derived from birthday
+ALTER TABLE "users" DROP COLUMN "age";
@@ -0,0 +1,60 @@
+-- Permissions are checked as action:resource (shared PERMISSIONS), but the
+-- seeds stored resource:action names that never matched. Rename them; a
+-- permission whose new name already exists is left for an admin to merge.
+
+UPDATE "permissions" SET "name" = 'manage:system', "resource" = 'system', "action" = 'manage'
+WHERE "name" = 'system:admin' AND NOT EXISTS (SELECT 1 FROM "permissions" WHERE "name" = 'manage:system');
+
+UPDATE "permissions" SET "name" = 'read:system', "resource" = 'system', "action" = 'read'
+WHERE "name" = 'system:read' AND NOT EXISTS (SELECT 1 FROM "permissions" WHERE "name" = 'read:system');
+
+UPDATE "permissions" SET "name" = 'read:users', "resource" = 'users', "action" = 'read'
+WHERE "name" = 'users:read' AND NOT EXISTS (SELECT 1 FROM "permissions" WHERE "name" = 'read:users');
+
+UPDATE "permissions" SET "name" = 'write:users', "resource" = 'users', "action" = 'write'
+WHERE "name" = 'users:write' AND NOT EXISTS (SELECT 1 FROM "permissions" WHERE "name" = 'write:users');
+
+UPDATE "permissions" SET "name" = 'delete:users', "resource" = 'users', "action" = 'delete'
+WHERE "name" = 'users:delete' AND NOT EXISTS (SELECT 1 FROM "permissions" WHERE "name" = 'delete:users');
+
+UPDATE "permissions" SET "name" = 'manage:users', "resource" = 'users', "action" = 'manage'
+WHERE "name" = 'users:admin' AND NOT EXISTS (SELECT 1 FROM "permissions" WHERE "name" = 'manage:users');
+
+UPDATE "permissions" SET "name" = 'read:comments', "resource" = 'comments', "action" = 'read'
+WHERE "name" = 'comments:read' AND NOT EXISTS (SELECT 1 FROM "permissions" WHERE "name" = 'read:comments');
+
+UPDATE "permissions" SET "name" = 'write:comments', "resource" = 'comments', "action" = 'write'
+WHERE "name" = 'comments:write' AND NOT EXISTS (SELECT 1 FROM "permissions" WHERE "name" = 'write:comments');
+
+UPDATE "permissions" SET "name" = 'delete:comments', "resource" = 'comments', "action" = 'delete'
+WHERE "name" = 'comments:delete' AND NOT EXISTS (SELECT 1 FROM "permissions" WHERE "name" = 'delete:comments');
+
+UPDATE "permissions" SET "name" = 'moderate:comments', "resource" = 'comments', "action" = 'moderate'
+WHERE "name" = 'comments:moderate' AND NOT EXISTS (SELECT 1 FROM "permissions" WHERE "name" = 'moderate:comments');
+
+UPDATE "permissions" SET "name" = 'read:profile', "resource" = 'profile', "action" = 'read'
+WHERE "name" = 'profile:read' AND NOT EXISTS (SELECT 1 FROM "permissions" WHERE "name" = 'read:profile');
+
+UPDATE "permissions" SET "name" = 'write:profile', "resource" = 'profile', "action" = 'write'
+WHERE "name" = 'profile:write' AND NOT EXISTS (SELECT 1 FROM "permissions" WHERE "name" = 'write:profile');
+
+UPDATE "permissions" SET "name" = 'view:health', "resource" = 'health', "action" = 'view'
+WHERE "name" = 'gateway:health' AND NOT EXISTS (SELECT 1 FROM "permissions" WHERE "name" = 'view:health');
+
+UPDATE "permissions" SET "name" = 'view:metrics', "resource" = 'metrics', "action" = 'view'
+WHERE "name" = 'gateway:metrics' AND NOT EXISTS (SELECT 1 FROM "permissions" WHERE "name" = 'view:metrics');
+
+UPDATE "permissions" SET "name" = 'read:users', "resource" = 'users', "action" = 'read'
+WHERE "name" = 'user:read' AND NOT EXISTS (SELECT 1 FROM "permissions" WHERE "name" = 'read:users');
+
+UPDATE "permissions" SET "name" = 'write:users', "resource" = 'users', "action" = 'write'
+WHERE "name" = 'user:write' AND NOT EXISTS (SELECT 1 FROM "permissions" WHERE "name" = 'write:users');
+
+UPDATE "permissions" SET "name" = 'read:comments', "resource" = 'comments', "action" = 'read'
+WHERE "name" = 'comment:read' AND NOT EXISTS (SELECT 1 FROM "permissions" WHERE "name" = 'read:comments');
+
+UPDATE "permissions" SET "name" = 'write:comments', "resource" = 'comments', "action" = 'write'
+WHERE "name" = 'comment:write' AND NOT EXISTS (SELECT 1 FROM "permissions" WHERE "name" = 'write:comments');
+
+UPDATE "permissions" SET "name" = '*', "resource" = 'system', "action" = 'admin'
+WHERE "name" = 'admin:all' AND NOT EXISTS (SELECT 1 FROM "permissions" WHERE "name" = '*');
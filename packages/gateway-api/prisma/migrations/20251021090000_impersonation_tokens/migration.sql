@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "impersonation_tokens" (
+    "jti" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "actorId" TEXT NOT NULL,
+    "expiresAt" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "impersonation_tokens_userId_idx" ON "impersonation_tokens"("userId");
+
+-- CreateIndex
+CREATE INDEX "impersonation_tokens_expiresAt_idx" ON "impersonation_tokens"("expiresAt");
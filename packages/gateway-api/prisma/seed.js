@@ -1,5 +1,6 @@
 import { PrismaClient } from '@prisma/client';
 import bcrypt from 'bcryptjs';
+import { GENDERS } from '../src/constants/index.js';
 
 const prisma = new PrismaClient();
 
@@ -40,7 +41,7 @@ const iranianProvinces = [
   'زنجان', 'گلستان', 'مازندران', 'لرستان', 'کردستان', 'خراسان جنوبی', 'بوشهر', 'سمنان', 'کهگیلویه و بویراحمد', 'چهارمحال و بختیاری'
 ];
 
-const genders = ['مرد', 'زن', 'ترجیح می‌دهم نگویم'];
+const genders = Object.values(GENDERS);
 
 // Helper functions
 function getRandomItem(array) {
@@ -52,8 +53,8 @@ function getRandomAge() {
 }
 
 function getRandomPhoneNumber() {
-  // Iranian phone number format
-  const operators = ['091', '092', '093', '094', '099', '090'];
+  // Iranian mobile number in E.164 (the trunk 0 is dropped after +98)
+  const operators = ['91', '92', '93', '94', '99', '90'];
   const operator = getRandomItem(operators);
   const number = Math.floor(Math.random() * 90000000) + 10000000;
   return `+98${operator}${number}`;
@@ -144,7 +145,6 @@ async function main() {
       phoneNumber: Math.random() > 0.1 ? getRandomPhoneNumber() : null, // 90% have phone numbers
       birthday: Math.random() > 0.2 ? getRandomBirthday(age) : null, // 80% have birthdays
       address: Math.random() > 0.15 ? getRandomAddress() : null, // 85% have addresses
-      age,
       gender: Math.random() > 0.1 ? getRandomItem(genders) : null, // 90% specify gender
       isActive: Math.random() > 0.05, // 95% are active
       isVerified: Math.random() > 0.3, // 70% are verified
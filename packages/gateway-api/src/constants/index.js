@@ -4,7 +4,7 @@
 
 export {
   HTTP_STATUS,
-} from '../../shared/constants/index.js';
+} from '@shared/core/constants';
 
 // Gateway specific constants
 export const GATEWAY_CONFIG = {
@@ -24,18 +24,283 @@ export const SERVICE_ENDPOINTS = {
 
 };
 
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open',
+};
+
+// Overridable per service via `circuitBreaker` in service.config.js
+export const CIRCUIT_BREAKER_DEFAULTS = {
+  failureThreshold: 5, // Consecutive failures before the circuit opens
+  resetTimeout: 30000, // ms to stay open before allowing a trial request
+  halfOpenMaxRequests: 1, // Concurrent trial requests while half-open
+  successThreshold: 1, // Trial successes needed to close again
+};
+
+// Overridable per service/route via `timeout` and `retry` in service.config.js
+export const PROXY_DEFAULTS = {
+  TIMEOUT: 30000,
+  RETRIES: 2, // Extra attempts for idempotent methods
+  RETRY_DELAY: 100, // Base backoff in ms, doubled on every attempt
+};
+
+export const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Upstream statuses worth retrying on an idempotent request
+export const RETRYABLE_STATUSES = [502, 503, 504];
+
+// Connection-scoped headers that must not be forwarded (RFC 7230 §6.1)
+export const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'proxy-connection',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+];
+
+export const UPSTREAM_ERROR_CODES = {
+  TIMEOUT: 'UPSTREAM_TIMEOUT',
+  UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+};
+
+export const HEALTH_CHECK = {
+  DEFAULT_INTERVAL: 60000,
+  TIMEOUT: 5000,
+};
+
+// `action` values written to AuditLog
+export const AUDIT_ACTIONS = {
+  LOGIN: 'login',
+  LOGIN_FAILED: 'login_failed',
+  LOGIN_LOCKED: 'login_locked',
+  LOGIN_UNLOCK: 'login_unlock',
+  TWO_FACTOR_ENABLE: 'two_factor_enable',
+  TWO_FACTOR_DISABLE: 'two_factor_disable',
+  TWO_FACTOR_RECOVERY_CODES: 'two_factor_recovery_codes',
+  LOGOUT: 'logout',
+  LOGOUT_ALL: 'logout_all',
+  SESSION_REVOKE: 'session_revoke',
+  SESSION_REVOKE_ALL: 'session_revoke_all',
+  API_KEY_CREATE: 'api_key_create',
+  API_KEY_REVOKE: 'api_key_revoke',
+  OAUTH_CLIENT_CREATE: 'oauth_client_create',
+  OAUTH_CLIENT_REVOKE: 'oauth_client_revoke',
+  REFRESH_TOKEN_REUSE: 'refresh_token_reuse',
+  REGISTER: 'register',
+  EMAIL_VERIFICATION_SENT: 'email_verification_sent',
+  EMAIL_VERIFIED: 'email_verified',
+  PASSWORD_CHANGE: 'password_change',
+  PASSWORD_RESET_REQUEST: 'password_reset_request',
+  PASSWORD_RESET: 'password_reset',
+  USER_CREATE: 'user_create',
+  USER_UPDATE: 'user_update',
+  EMAIL_CHANGE: 'email_change',
+  USER_DEACTIVATE: 'user_deactivate',
+  USER_REACTIVATE: 'user_reactivate',
+  USER_DELETE: 'user_delete',
+  USER_IMPERSONATE: 'user_impersonate',
+  ROLE_CREATE: 'role_create',
+  ROLE_UPDATE: 'role_update',
+  ROLE_DEACTIVATE: 'role_deactivate',
+  ROLE_PERMISSION_ATTACH: 'role_permission_attach',
+  ROLE_PERMISSION_DETACH: 'role_permission_detach',
+  PERMISSION_CREATE: 'permission_create',
+  USER_ROLE_ASSIGN: 'user_role_assign',
+  USER_ROLE_REMOVE: 'user_role_remove',
+  USER_PERMISSION_GRANT: 'user_permission_grant',
+  USER_PERMISSION_REVOKE: 'user_permission_revoke',
+};
+
+// Keys look like `pk_<random>`; the prefix plus the first PREFIX_LENGTH
+// random characters are stored in the clear so owners can tell keys apart
+export const API_KEY_FORMAT = {
+  PREFIX: 'pk_',
+  PREFIX_LENGTH: 8,
+  RANDOM_BYTES: 32,
+  // lastUsedAt is only written when it is older than this, so busy keys don't
+  // cost a write per request
+  LAST_USED_RESOLUTION_MS: 60 * 1000,
+};
+
+// OAuth client IDs look like `svc_<random>`; the secret is random bytes shown
+// once at registration
+export const OAUTH_CLIENT_FORMAT = {
+  CLIENT_ID_PREFIX: 'svc_',
+  CLIENT_ID_BYTES: 12,
+  SECRET_BYTES: 32,
+  // Same throttle as API_KEY_FORMAT.LAST_USED_RESOLUTION_MS
+  LAST_USED_RESOLUTION_MS: 60 * 1000,
+};
+
+// `error` codes of OAuth2 token and introspection responses (RFC 6749 5.2)
+export const OAUTH_ERRORS = {
+  INVALID_REQUEST: 'invalid_request',
+  INVALID_CLIENT: 'invalid_client',
+  INVALID_SCOPE: 'invalid_scope',
+  UNSUPPORTED_GRANT_TYPE: 'unsupported_grant_type',
+};
+
+// Deleted users keep their row (audit entries point to it) but their email
+// becomes `deleted-<id>@EMAIL_DOMAIN`, freeing the real address
+export const DELETED_USER = {
+  EMAIL_DOMAIN: 'deleted.invalid',
+};
+
+// Stored `gender` values
+export const GENDERS = {
+  MALE: 'male',
+  FEMALE: 'female',
+  UNDISCLOSED: 'undisclosed',
+};
+
+// Accepted `gender` inputs and the value each is stored as. The Persian
+// labels are what the profile form and the seed data used to store.
+export const GENDER_ALIASES = {
+  [GENDERS.MALE]: GENDERS.MALE,
+  [GENDERS.FEMALE]: GENDERS.FEMALE,
+  [GENDERS.UNDISCLOSED]: GENDERS.UNDISCLOSED,
+  prefer_not_to_say: GENDERS.UNDISCLOSED,
+  مرد: GENDERS.MALE,
+  زن: GENDERS.FEMALE,
+  'ترجیح می\u200cدهم نگویم': GENDERS.UNDISCLOSED,
+};
+
+export const PROFILE_LIMITS = {
+  NAME_MAX_LENGTH: 50,
+  ADDRESS_MAX_LENGTH: 500,
+  // Birthdays further back than this are treated as typos
+  MAX_AGE_YEARS: 130,
+};
+
+// `purpose` values of VerificationToken
+export const VERIFICATION_PURPOSES = {
+  EMAIL_VERIFICATION: 'email_verification',
+  PASSWORD_RESET: 'password_reset',
+  TWO_FACTOR_CHALLENGE: 'two_factor_challenge',
+};
+
+export const AUDIT_LOG_QUERY = {
+  DEFAULT_LIMIT: 50,
+  MAX_LIMIT: 200,
+  EXPORT_BATCH_SIZE: 500, // Rows fetched per query while streaming an export
+  EXPORT_FORMATS: ['csv', 'ndjson'],
+};
+
 export const API_MESSAGES = {
   SUCCESS: {
     GATEWAY_RUNNING: 'API Gateway is running',
     SERVICE_HEALTHY: 'Service is healthy',
     REQUEST_PROXIED: 'Request proxied successfully',
+    ROLES_RETRIEVED: 'Roles retrieved successfully',
+    ROLE_RETRIEVED: 'Role retrieved successfully',
+    ROLE_CREATED: 'Role created successfully',
+    ROLE_UPDATED: 'Role updated successfully',
+    ROLE_DEACTIVATED: 'Role deactivated successfully',
+    PERMISSIONS_RETRIEVED: 'Permissions retrieved successfully',
+    PERMISSION_CREATED: 'Permission created successfully',
+    USER_ACCESS_RETRIEVED: 'User permissions retrieved successfully',
+    USER_ACCESS_UPDATED: 'User permissions updated successfully',
+    AUDIT_LOGS_RETRIEVED: 'Audit logs retrieved successfully',
+    LOGGED_OUT: 'Logged out successfully',
+    LOGGED_OUT_ALL: 'Logged out of all sessions',
+    TOKEN_REFRESHED: 'Token refreshed successfully',
+    SESSIONS_RETRIEVED: 'Sessions retrieved successfully',
+    SESSION_REVOKED: 'Session revoked successfully',
+    SESSIONS_REVOKED: 'All sessions revoked successfully',
+    API_KEYS_RETRIEVED: 'API keys retrieved successfully',
+    API_KEY_CREATED: 'API key created; copy it now, it will not be shown again',
+    API_KEY_REVOKED: 'API key revoked successfully',
+    OAUTH_CLIENTS_RETRIEVED: 'OAuth clients retrieved successfully',
+    OAUTH_CLIENT_CREATED:
+      'OAuth client registered; copy the secret now, it will not be shown again',
+    OAUTH_CLIENT_REVOKED: 'OAuth client revoked successfully',
+    USER_DEACTIVATED: 'User deactivated and signed out everywhere',
+    USER_REACTIVATED: 'User reactivated successfully',
+    USER_DELETED: 'User deleted and personal data removed',
+    IMPERSONATION_STARTED: 'Impersonation token issued',
+    PROFILE_RETRIEVED: 'Profile retrieved successfully',
+    PROFILE_UPDATED: 'Profile updated successfully',
+    EMAIL_CHANGED:
+      'Profile updated; confirm the new email address from the link we sent to it',
+    ACCOUNT_DELETED: 'Your account was deleted and your personal data removed',
+    LOGIN_LOCKS_RETRIEVED: 'Login locks retrieved successfully',
+    LOGIN_LOCKS_CLEARED: 'Login locks cleared successfully',
+    PASSWORD_CHANGED: 'Password changed successfully',
+    EMAIL_VERIFIED: 'Email verified successfully',
+    VERIFICATION_SENT:
+      'If the account exists and is not yet verified, a verification email has been sent',
+    PASSWORD_RESET_SENT:
+      'If an account exists for this email, a password reset link has been sent',
+    PASSWORD_RESET: 'Password reset successfully; sign in with the new password',
+    TWO_FACTOR_REQUIRED: 'Enter a code from your authenticator app to finish signing in',
+    TWO_FACTOR_SETUP_STARTED:
+      'Add the secret to your authenticator app and confirm with a code',
+    TWO_FACTOR_ENABLED:
+      'Two-factor authentication enabled; store the recovery codes safely',
+    TWO_FACTOR_DISABLED: 'Two-factor authentication disabled',
+    RECOVERY_CODES_REGENERATED: 'Recovery codes regenerated',
+    TWO_FACTOR_STATUS_RETRIEVED: 'Two-factor status retrieved successfully',
   },
   ERROR: {
     SERVICE_UNAVAILABLE: 'Service temporarily unavailable',
+    CIRCUIT_OPEN: 'Service is unavailable, retry later',
+    UPSTREAM_TIMEOUT: 'Service did not respond in time',
+    UPSTREAM_UNAVAILABLE: 'Service could not be reached',
+    PAYLOAD_TOO_LARGE: 'Request body is too large',
     AUTHENTICATION_FAILED: 'Authentication failed',
     AUTHORIZATION_FAILED: 'Authorization failed',
     INVALID_REQUEST: 'Invalid request',
     GATEWAY_ERROR: 'Gateway error',
+    ROLE_NOT_FOUND: 'Role not found',
+    ROLE_EXISTS: 'Role already exists',
+    ROLE_INACTIVE: 'Role is deactivated',
+    PROTECTED_ROLE: 'The admin role cannot be deactivated',
+    BUILT_IN_ROLE_RENAME: 'Built-in roles cannot be renamed',
+    PERMISSION_NOT_FOUND: 'Permission not found',
+    PERMISSION_EXISTS: 'Permission already exists',
+    USER_NOT_FOUND: 'User not found',
+    USER_DELETED: 'User has been deleted',
+    CANNOT_TARGET_SELF:
+      'Admins cannot deactivate, delete or impersonate their own account',
+    CANNOT_IMPERSONATE_ADMIN: 'Admins cannot be impersonated',
+    EMAIL_IN_USE: 'Email address is already in use',
+    INVALID_CURRENT_PASSWORD: 'Current password is incorrect',
+    INVALID_PHONE_NUMBER:
+      'Phone number must be in international E.164 format, e.g. +4915112345678',
+    INVALID_BIRTHDAY: 'Birthday must be a valid date in the past',
+    INVALID_GENDER: 'Unsupported gender value',
+    SESSION_NOT_FOUND: 'Session not found',
+    API_KEY_NOT_FOUND: 'API key not found',
+    API_KEY_LIMIT_REACHED: 'Maximum number of active API keys reached',
+    API_KEY_SCOPES_NOT_HELD:
+      'API key scopes must be permissions the key owner holds',
+    OAUTH_CLIENT_NOT_FOUND: 'OAuth client not found',
+    OAUTH_INVALID_CLIENT: 'Client authentication failed',
+    OAUTH_UNSUPPORTED_GRANT_TYPE: 'Only the client_credentials grant is supported',
+    OAUTH_INVALID_SCOPE: 'Requested scope is not allowed for this client',
+    INVALID_CURSOR: 'Invalid pagination cursor',
+    INVALID_REFRESH_TOKEN: 'Invalid or expired refresh token',
+    REFRESH_TOKEN_REUSED:
+      'Refresh token was already used; all sessions from this login were revoked',
+    USER_INACTIVE: 'User no longer exists or is inactive',
+    INVALID_CREDENTIALS: 'Invalid credentials',
+    LOGIN_LOCKED: 'Too many failed login attempts, try again later',
+    INVALID_VERIFICATION_TOKEN: 'Invalid or expired verification token',
+    EMAIL_NOT_VERIFIED: 'Email address has not been verified',
+    INVALID_RESET_TOKEN: 'Invalid or expired password reset token',
+    WEAK_PASSWORD: 'Password does not meet the requirements',
+    TWO_FACTOR_ALREADY_ENABLED: 'Two-factor authentication is already enabled',
+    TWO_FACTOR_NOT_ENABLED: 'Two-factor authentication is not enabled',
+    TWO_FACTOR_SETUP_NOT_STARTED: 'Start two-factor setup first',
+    INVALID_TWO_FACTOR_CODE: 'Invalid two-factor code',
+    INVALID_TWO_FACTOR_CHALLENGE: 'Invalid or expired two-factor challenge',
+    TWO_FACTOR_REQUIRED_BY_POLICY:
+      'Two-factor authentication is required for your role and cannot be disabled',
   },
 };
 
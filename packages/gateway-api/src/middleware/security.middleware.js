@@ -51,6 +51,23 @@ export const authRateLimitConfig = {
   })
 };
 
+// Per-email Rate Limiting for Password Reset Requests. Runs after the body is
+// parsed so the key is the submitted email; unknown emails count the same way.
+export const passwordResetRateLimitConfig = {
+  max: authConfig.passwordReset.maxRequestsPerEmail,
+  timeWindow: authConfig.passwordReset.requestWindowMs,
+  hook: 'preHandler',
+  keyGenerator: request =>
+    `password-reset:${String(request.body?.email).trim().toLowerCase()}`,
+  errorResponseBuilder: () => ({
+    error: 'Too many password reset requests',
+    message: 'Too many password reset requests for this email, please try again later.',
+    statusCode: 429,
+    retryAfter: Math.ceil(authConfig.passwordReset.requestWindowMs / 1000),
+    timestamp: new Date().toISOString()
+  })
+};
+
 // CORS Configuration
 export const corsConfig = {
   origin: (origin, callback) => {
@@ -97,36 +114,6 @@ export const validateContentType = async (request, reply) => {
   }
 };
 
-// API Key Authentication Middleware
-export const apiKeyAuth = async (request, reply) => {
-  const apiKey = request.headers['x-api-key'];
-  
-  if (!apiKey) {
-    reply.status(401).send({
-      error: 'API Key Missing',
-      message: 'X-API-Key header is required',
-      statusCode: 401,
-      timestamp: new Date().toISOString()
-    });
-    return;
-  }
-  
-  // Validate API key (replace with your actual validation logic)
-  const validApiKeys = authConfig.apiKeys || [];
-  if (!validApiKeys.includes(apiKey)) {
-    reply.status(401).send({
-      error: 'Invalid API Key',
-      message: 'The provided API key is not valid',
-      statusCode: 401,
-      timestamp: new Date().toISOString()
-    });
-    return;
-  }
-  
-  // Add API key info to request context
-  request.apiKey = apiKey;
-};
-
 // Request ID Middleware (for tracing)
 export const requestIdGenerator = () => {
   return Math.random().toString(36).substring(2, 15) + 
@@ -207,9 +194,9 @@ export default {
   helmetConfig,
   generalRateLimitConfig,
   authRateLimitConfig,
+  passwordResetRateLimitConfig,
   corsConfig,
   validateContentType,
-  apiKeyAuth,
   requestIdGenerator,
   additionalSecurityHeaders,
   fileUploadConfig,
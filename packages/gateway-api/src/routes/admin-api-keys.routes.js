@@ -0,0 +1,141 @@
+/**
+ * API Key Administration Routes
+ * Create, list and revoke any user's API keys (admin only)
+ */
+
+import { createSuccessResponse } from '@shared/core/utils';
+import {
+  API_MESSAGES,
+  AUDIT_ACTIONS,
+  HTTP_STATUS,
+} from '../constants/index.js';
+import { dataResponse, errorResponse } from '../schemas/index.js';
+import {
+  apiKey,
+  apiKeyIdParams,
+  createApiKeyBody,
+  createdApiKey,
+} from './api-keys.routes.js';
+
+const userIdParams = {
+  type: 'object',
+  required: ['id'],
+  properties: { id: { type: 'string', description: 'User ID' } },
+};
+
+/**
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {{
+ *   apiKeyService: import('../../database/apiKeyService.js').ApiKeyService,
+ *   auditLogService: import('../../database/auditLogService.js').AuditLogService
+ * }} options
+ */
+export async function adminApiKeyRoutes(
+  fastify,
+  { apiKeyService, auditLogService }
+) {
+  fastify.addHook('preHandler', fastify.requireAdmin);
+
+  const audit = (request, action, metadata) =>
+    auditLogService.record(request, {
+      userId: request.user.id,
+      action,
+      resource: `user:${request.params.id}`,
+      metadata,
+    });
+
+  fastify.get(
+    '/admin/users/:id/api-keys',
+    {
+      schema: {
+        description: "List a user's active API keys",
+        tags: ['Admin'],
+        security: [{ bearerAuth: [] }],
+        params: userIdParams,
+        response: {
+          200: dataResponse({ type: 'array', items: apiKey }),
+          401: errorResponse,
+          403: errorResponse,
+          404: errorResponse,
+        },
+      },
+    },
+    async request =>
+      createSuccessResponse(
+        await apiKeyService.listKeys(request.params.id),
+        API_MESSAGES.SUCCESS.API_KEYS_RETRIEVED
+      )
+  );
+
+  fastify.post(
+    '/admin/users/:id/api-keys',
+    {
+      schema: {
+        description:
+          'Create an API key owned by a user, e.g. a service account. Scopes must be permissions the user holds.',
+        tags: ['Admin'],
+        security: [{ bearerAuth: [] }],
+        params: userIdParams,
+        body: createApiKeyBody,
+        response: {
+          201: dataResponse(createdApiKey),
+          400: errorResponse,
+          401: errorResponse,
+          403: errorResponse,
+          404: errorResponse,
+          409: errorResponse,
+        },
+      },
+    },
+    async (request, reply) => {
+      const created = await apiKeyService.createKey(
+        request.params.id,
+        request.body
+      );
+      await audit(request, AUDIT_ACTIONS.API_KEY_CREATE, {
+        apiKeyId: created.id,
+        scopes: created.scopes,
+      });
+
+      return reply
+        .status(HTTP_STATUS.CREATED)
+        .send(
+          createSuccessResponse(created, API_MESSAGES.SUCCESS.API_KEY_CREATED)
+        );
+    }
+  );
+
+  fastify.delete(
+    '/admin/users/:id/api-keys/:keyId',
+    {
+      schema: {
+        description: "Revoke one of a user's API keys",
+        tags: ['Admin'],
+        security: [{ bearerAuth: [] }],
+        params: {
+          ...userIdParams,
+          required: ['id', 'keyId'],
+          properties: {
+            ...userIdParams.properties,
+            ...apiKeyIdParams.properties,
+          },
+        },
+        response: {
+          200: dataResponse({ type: 'null' }),
+          401: errorResponse,
+          403: errorResponse,
+          404: errorResponse,
+        },
+      },
+    },
+    async request => {
+      const { id, keyId } = request.params;
+      await apiKeyService.revokeKey(id, keyId);
+      await audit(request, AUDIT_ACTIONS.API_KEY_REVOKE, { apiKeyId: keyId });
+
+      return createSuccessResponse(null, API_MESSAGES.SUCCESS.API_KEY_REVOKED);
+    }
+  );
+}
+
+export default adminApiKeyRoutes;
@@ -0,0 +1,133 @@
+/**
+ * Audit Log Routes
+ * Query and export the gateway's audit trail (requires `view:logs`)
+ */
+
+import { Readable } from 'node:stream';
+import { PERMISSIONS } from '@shared/core/constants';
+import { createSuccessResponse } from '@shared/core/utils';
+import { API_MESSAGES, AUDIT_LOG_QUERY } from '../constants/index.js';
+import { errorResponse } from '../schemas/index.js';
+import {
+  EXPORT_CONTENT_TYPES,
+  serializeAuditLogs,
+} from '../utils/audit-export.js';
+
+const auditLogQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    userId: { type: 'string' },
+    action: {
+      type: 'string',
+      description: 'Action, or comma-separated actions (login,logout)',
+    },
+    resource: {
+      type: 'string',
+      description: 'Resource or resource prefix (role:, user:abc)',
+    },
+    ipAddress: { type: 'string' },
+    from: { type: 'string', format: 'date-time' },
+    to: { type: 'string', format: 'date-time' },
+    cursor: { type: 'string' },
+    limit: {
+      type: 'integer',
+      minimum: 1,
+      maximum: AUDIT_LOG_QUERY.MAX_LIMIT,
+      default: AUDIT_LOG_QUERY.DEFAULT_LIMIT,
+    },
+    format: {
+      type: 'string',
+      enum: ['json', ...AUDIT_LOG_QUERY.EXPORT_FORMATS],
+      default: 'json',
+      description: 'csv and ndjson stream every matching entry as a download',
+    },
+  },
+};
+
+const auditLogEntry = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    userId: { type: 'string', nullable: true },
+    action: { type: 'string' },
+    resource: { type: 'string', nullable: true },
+    ipAddress: { type: 'string', nullable: true },
+    userAgent: { type: 'string', nullable: true },
+    requestId: { type: 'string', nullable: true },
+    metadata: { type: 'object', nullable: true, additionalProperties: true },
+    createdAt: { type: 'string', format: 'date-time' },
+  },
+};
+
+/**
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {{ auditLogService: import('../../database/auditLogService.js').AuditLogService }} options
+ */
+export async function adminAuditLogRoutes(fastify, { auditLogService }) {
+  fastify.get(
+    '/admin/audit-logs',
+    {
+      preHandler: fastify.requirePermission(PERMISSIONS.VIEW_LOGS),
+      schema: {
+        description:
+          'Query audit logs (newest first) or export them as CSV/NDJSON',
+        tags: ['Admin'],
+        security: [{ bearerAuth: [] }],
+        querystring: auditLogQuery,
+        response: {
+          200: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean' },
+              message: { type: 'string' },
+              data: { type: 'array', items: auditLogEntry },
+              pagination: {
+                type: 'object',
+                properties: {
+                  limit: { type: 'integer' },
+                  hasMore: { type: 'boolean' },
+                  nextCursor: { type: 'string', nullable: true },
+                },
+              },
+              timestamp: { type: 'string', format: 'date-time' },
+            },
+          },
+          401: errorResponse,
+          403: errorResponse,
+          422: errorResponse,
+        },
+      },
+    },
+    async (request, reply) => {
+      const { format, cursor, limit, ...filters } = request.query;
+
+      if (format === 'json') {
+        const { data, pagination } = await auditLogService.query({
+          ...filters,
+          cursor,
+          limit,
+        });
+        return createSuccessResponse(
+          data,
+          API_MESSAGES.SUCCESS.AUDIT_LOGS_RETRIEVED,
+          { pagination }
+        );
+      }
+
+      const filename = `audit-logs-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+      // Streams skip response serialization, so the JSON schema doesn't apply
+      return reply
+        .type(EXPORT_CONTENT_TYPES[format])
+        .header('content-disposition', `attachment; filename="${filename}"`)
+        .send(
+          Readable.from(
+            serializeAuditLogs(auditLogService.iterate(filters), format)
+          )
+        );
+    }
+  );
+}
+
+export default adminAuditLogRoutes;
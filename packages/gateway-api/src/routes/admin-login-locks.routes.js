@@ -0,0 +1,106 @@
+/**
+ * Login Lock Administration Routes
+ * Inspect and clear login lockouts (admin only)
+ */
+
+import { createSuccessResponse } from '@shared/core/utils';
+import { API_MESSAGES, AUDIT_ACTIONS } from '../constants/index.js';
+import { dataResponse, errorResponse } from '../schemas/index.js';
+
+const loginLock = {
+  type: 'object',
+  properties: {
+    key: {
+      type: 'string',
+      description: '`email:<address>` for accounts, `ip:<address>` for IPs',
+    },
+    failures: { type: 'integer' },
+    lockedUntil: { type: 'string', format: 'date-time', nullable: true },
+    lastFailureAt: { type: 'string', format: 'date-time' },
+  },
+};
+
+const unlockBody = {
+  type: 'object',
+  minProperties: 1,
+  additionalProperties: false,
+  properties: {
+    email: { type: 'string', format: 'email' },
+    ipAddress: { type: 'string' },
+  },
+};
+
+/**
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {{
+ *   loginThrottleService: import('../../database/loginThrottleService.js').LoginThrottleService,
+ *   auditLogService: import('../../database/auditLogService.js').AuditLogService
+ * }} options
+ */
+export async function adminLoginLockRoutes(
+  fastify,
+  { loginThrottleService, auditLogService }
+) {
+  fastify.addHook('preHandler', fastify.requireAdmin);
+
+  fastify.get(
+    '/admin/login-locks',
+    {
+      schema: {
+        description: 'List accounts and IPs that are locked out of login',
+        tags: ['Admin'],
+        security: [{ bearerAuth: [] }],
+        response: {
+          200: dataResponse({ type: 'array', items: loginLock }),
+          401: errorResponse,
+          403: errorResponse,
+        },
+      },
+    },
+    async () =>
+      createSuccessResponse(
+        await loginThrottleService.listLocked(),
+        API_MESSAGES.SUCCESS.LOGIN_LOCKS_RETRIEVED
+      )
+  );
+
+  fastify.post(
+    '/admin/login-locks/unlock',
+    {
+      schema: {
+        description:
+          'Clear failed logins and any lock for an account email and/or IP',
+        tags: ['Admin'],
+        security: [{ bearerAuth: [] }],
+        body: unlockBody,
+        response: {
+          200: dataResponse({
+            type: 'object',
+            properties: {
+              cleared: { type: 'array', items: { type: 'string' } },
+            },
+          }),
+          400: errorResponse,
+          401: errorResponse,
+          403: errorResponse,
+        },
+      },
+    },
+    async request => {
+      const cleared = await loginThrottleService.unlock(request.body);
+
+      await auditLogService.record(request, {
+        userId: request.user.id,
+        action: AUDIT_ACTIONS.LOGIN_UNLOCK,
+        metadata: { ...request.body, cleared },
+      });
+
+      return createSuccessResponse(
+        { cleared },
+        API_MESSAGES.SUCCESS.LOGIN_LOCKS_CLEARED
+      );
+    }
+  );
+}
+
+export default adminLoginLockRoutes;
@@ -0,0 +1,181 @@
+/**
+ * OAuth Client Administration Routes
+ * Register, list and revoke the OAuth clients services authenticate as
+ * (admin only)
+ */
+
+import { createSuccessResponse } from '@shared/core/utils';
+import {
+  API_MESSAGES,
+  AUDIT_ACTIONS,
+  HTTP_STATUS,
+} from '../constants/index.js';
+import { dataResponse, errorResponse } from '../schemas/index.js';
+
+const oauthClient = {
+  type: 'object',
+  properties: {
+    clientId: { type: 'string' },
+    name: { type: 'string' },
+    scopes: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Permissions the client may request',
+    },
+    createdAt: { type: 'string', format: 'date-time' },
+    lastUsedAt: {
+      type: 'string',
+      format: 'date-time',
+      nullable: true,
+      description: 'When the client last got a token',
+    },
+  },
+};
+
+const createdOAuthClient = {
+  type: 'object',
+  properties: {
+    ...oauthClient.properties,
+    clientSecret: {
+      type: 'string',
+      description: 'The client secret. It is only returned once.',
+    },
+  },
+};
+
+const createOAuthClientBody = {
+  type: 'object',
+  required: ['name', 'scopes'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    scopes: {
+      type: 'array',
+      minItems: 1,
+      uniqueItems: true,
+      items: { type: 'string', minLength: 1 },
+      description: 'Permission names, e.g. read:comments',
+    },
+  },
+};
+
+const clientIdParams = {
+  type: 'object',
+  required: ['clientId'],
+  properties: { clientId: { type: 'string', description: 'OAuth client ID' } },
+};
+
+/**
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {{
+ *   oauthService: import('../../database/oauthService.js').OAuthService,
+ *   auditLogService: import('../../database/auditLogService.js').AuditLogService
+ * }} options
+ */
+export async function adminOAuthClientRoutes(
+  fastify,
+  { oauthService, auditLogService }
+) {
+  fastify.addHook('preHandler', fastify.requireAdmin);
+
+  const audit = (request, action, clientId, metadata) =>
+    auditLogService.record(request, {
+      userId: request.user.id,
+      action,
+      resource: `oauth_client:${clientId}`,
+      metadata,
+    });
+
+  fastify.get(
+    '/admin/oauth/clients',
+    {
+      schema: {
+        description: 'List OAuth clients that have not been revoked',
+        tags: ['Admin'],
+        security: [{ bearerAuth: [] }],
+        response: {
+          200: dataResponse({ type: 'array', items: oauthClient }),
+          401: errorResponse,
+          403: errorResponse,
+        },
+      },
+    },
+    async () =>
+      createSuccessResponse(
+        await oauthService.listClients(),
+        API_MESSAGES.SUCCESS.OAUTH_CLIENTS_RETRIEVED
+      )
+  );
+
+  fastify.post(
+    '/admin/oauth/clients',
+    {
+      schema: {
+        description:
+          'Register an OAuth client for a service. The secret is only shown in this response.',
+        tags: ['Admin'],
+        security: [{ bearerAuth: [] }],
+        body: createOAuthClientBody,
+        response: {
+          201: dataResponse(createdOAuthClient),
+          400: errorResponse,
+          401: errorResponse,
+          403: errorResponse,
+          404: errorResponse,
+        },
+      },
+    },
+    async (request, reply) => {
+      const created = await oauthService.createClient(request.body);
+      await audit(
+        request,
+        AUDIT_ACTIONS.OAUTH_CLIENT_CREATE,
+        created.clientId,
+        {
+          name: created.name,
+          scopes: created.scopes,
+        }
+      );
+
+      return reply
+        .status(HTTP_STATUS.CREATED)
+        .send(
+          createSuccessResponse(
+            created,
+            API_MESSAGES.SUCCESS.OAUTH_CLIENT_CREATED
+          )
+        );
+    }
+  );
+
+  fastify.delete(
+    '/admin/oauth/clients/:clientId',
+    {
+      schema: {
+        description:
+          'Revoke an OAuth client. Its tokens stop working immediately.',
+        tags: ['Admin'],
+        security: [{ bearerAuth: [] }],
+        params: clientIdParams,
+        response: {
+          200: dataResponse({ type: 'null' }),
+          401: errorResponse,
+          403: errorResponse,
+          404: errorResponse,
+        },
+      },
+    },
+    async request => {
+      const { clientId } = request.params;
+      await oauthService.revokeClient(clientId);
+      await audit(request, AUDIT_ACTIONS.OAUTH_CLIENT_REVOKE, clientId);
+
+      return createSuccessResponse(
+        null,
+        API_MESSAGES.SUCCESS.OAUTH_CLIENT_REVOKED
+      );
+    }
+  );
+}
+
+export default adminOAuthClientRoutes;
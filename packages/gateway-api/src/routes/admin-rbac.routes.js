@@ -0,0 +1,333 @@
+/**
+ * RBAC Administration Routes
+ * Manage roles, permissions and user assignments (admin only)
+ */
+
+import { createSuccessResponse } from '@shared/core/utils';
+import { getRequestAuditContext } from '../../database/auditLogService.js';
+import { HTTP_STATUS, API_MESSAGES } from '../constants/index.js';
+import {
+  dataResponse,
+  errorResponse,
+  permissionBase,
+  permissionCreation,
+  roleBase,
+  roleCreation,
+  rolePermissionsAttach,
+  roleUpdate,
+  userAccess,
+  userPermissionGrant,
+  userRoleAssignment,
+} from '../schemas/index.js';
+
+const { SUCCESS } = API_MESSAGES;
+
+const idParams = {
+  type: 'object',
+  required: ['id'],
+  properties: { id: { type: 'string', description: 'ID or name' } },
+};
+
+const withParams = (name, description) => ({
+  type: 'object',
+  required: ['id', name],
+  properties: {
+    id: { type: 'string' },
+    [name]: { type: 'string', description },
+  },
+});
+
+const errorResponses = {
+  400: errorResponse,
+  401: errorResponse,
+  403: errorResponse,
+  404: errorResponse,
+  409: errorResponse,
+};
+
+const routeSchema = (description, schema = {}, data = roleBase) => ({
+  description,
+  tags: ['RBAC'],
+  security: [{ bearerAuth: [] }],
+  ...schema,
+  response: {
+    200: dataResponse(data),
+    201: dataResponse(data),
+    ...errorResponses,
+  },
+});
+
+// Who made the change, for the audit log
+const getAuditActor = request => ({
+  userId: request.user.id,
+  ...getRequestAuditContext(request),
+});
+
+/**
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {{ rbacService: import('../../database/rbacService.js').RbacService }} options
+ */
+export async function adminRbacRoutes(fastify, { rbacService }) {
+  fastify.addHook('preHandler', fastify.requireAdmin);
+
+  // Roles
+  fastify.get(
+    '/admin/roles',
+    {
+      schema: routeSchema(
+        'List roles with their permissions',
+        {
+          querystring: {
+            type: 'object',
+            properties: {
+              includeInactive: { type: 'boolean', default: false },
+            },
+          },
+        },
+        { type: 'array', items: roleBase }
+      ),
+    },
+    async request =>
+      createSuccessResponse(
+        await rbacService.listRoles(request.query),
+        SUCCESS.ROLES_RETRIEVED
+      )
+  );
+
+  fastify.get(
+    '/admin/roles/:id',
+    { schema: routeSchema('Get a role', { params: idParams }) },
+    async request =>
+      createSuccessResponse(
+        await rbacService.getRole(request.params.id),
+        SUCCESS.ROLE_RETRIEVED
+      )
+  );
+
+  fastify.post(
+    '/admin/roles',
+    { schema: routeSchema('Create a role', { body: roleCreation }) },
+    async (request, reply) => {
+      const role = await rbacService.createRole(
+        request.body,
+        getAuditActor(request)
+      );
+      return reply
+        .status(HTTP_STATUS.CREATED)
+        .send(createSuccessResponse(role, SUCCESS.ROLE_CREATED));
+    }
+  );
+
+  fastify.patch(
+    '/admin/roles/:id',
+    {
+      schema: routeSchema('Rename, describe or (de)activate a role', {
+        params: idParams,
+        body: roleUpdate,
+      }),
+    },
+    async request =>
+      createSuccessResponse(
+        await rbacService.updateRole(
+          request.params.id,
+          request.body,
+          getAuditActor(request)
+        ),
+        SUCCESS.ROLE_UPDATED
+      )
+  );
+
+  fastify.delete(
+    '/admin/roles/:id',
+    {
+      schema: routeSchema(
+        'Deactivate a role; assignments are kept but grant nothing',
+        { params: idParams }
+      ),
+    },
+    async request =>
+      createSuccessResponse(
+        await rbacService.deactivateRole(
+          request.params.id,
+          getAuditActor(request)
+        ),
+        SUCCESS.ROLE_DEACTIVATED
+      )
+  );
+
+  fastify.post(
+    '/admin/roles/:id/permissions',
+    {
+      schema: routeSchema('Attach permissions to a role', {
+        params: idParams,
+        body: rolePermissionsAttach,
+      }),
+    },
+    async request =>
+      createSuccessResponse(
+        await rbacService.attachPermissions(
+          request.params.id,
+          request.body.permissions,
+          getAuditActor(request)
+        ),
+        SUCCESS.ROLE_UPDATED
+      )
+  );
+
+  fastify.delete(
+    '/admin/roles/:id/permissions/:permission',
+    {
+      schema: routeSchema('Detach a permission from a role', {
+        params: withParams('permission', 'Permission ID or name'),
+      }),
+    },
+    async request =>
+      createSuccessResponse(
+        await rbacService.detachPermission(
+          request.params.id,
+          request.params.permission,
+          getAuditActor(request)
+        ),
+        SUCCESS.ROLE_UPDATED
+      )
+  );
+
+  // Permissions
+  fastify.get(
+    '/admin/permissions',
+    {
+      schema: routeSchema(
+        'List permissions',
+        {},
+        {
+          type: 'array',
+          items: permissionBase,
+        }
+      ),
+    },
+    async () =>
+      createSuccessResponse(
+        await rbacService.listPermissions(),
+        SUCCESS.PERMISSIONS_RETRIEVED
+      )
+  );
+
+  fastify.post(
+    '/admin/permissions',
+    {
+      schema: routeSchema(
+        'Create a permission',
+        { body: permissionCreation },
+        permissionBase
+      ),
+    },
+    async (request, reply) => {
+      const permission = await rbacService.createPermission(
+        request.body,
+        getAuditActor(request)
+      );
+      return reply
+        .status(HTTP_STATUS.CREATED)
+        .send(createSuccessResponse(permission, SUCCESS.PERMISSION_CREATED));
+    }
+  );
+
+  // User assignments
+  fastify.get(
+    '/admin/users/:id/permissions',
+    {
+      schema: routeSchema(
+        "List a user's roles and effective permissions",
+        { params: idParams },
+        userAccess
+      ),
+    },
+    async request =>
+      createSuccessResponse(
+        await rbacService.getEffectivePermissions(request.params.id),
+        SUCCESS.USER_ACCESS_RETRIEVED
+      )
+  );
+
+  fastify.post(
+    '/admin/users/:id/roles',
+    {
+      schema: routeSchema(
+        'Assign a role to a user',
+        { params: idParams, body: userRoleAssignment },
+        userAccess
+      ),
+    },
+    async request =>
+      createSuccessResponse(
+        await rbacService.assignRole(
+          request.params.id,
+          request.body.role,
+          getAuditActor(request)
+        ),
+        SUCCESS.USER_ACCESS_UPDATED
+      )
+  );
+
+  fastify.delete(
+    '/admin/users/:id/roles/:role',
+    {
+      schema: routeSchema(
+        'Remove a role from a user',
+        { params: withParams('role', 'Role ID or name') },
+        userAccess
+      ),
+    },
+    async request =>
+      createSuccessResponse(
+        await rbacService.removeRole(
+          request.params.id,
+          request.params.role,
+          getAuditActor(request)
+        ),
+        SUCCESS.USER_ACCESS_UPDATED
+      )
+  );
+
+  fastify.post(
+    '/admin/users/:id/permissions',
+    {
+      schema: routeSchema(
+        'Grant a permission directly to a user',
+        { params: idParams, body: userPermissionGrant },
+        userAccess
+      ),
+    },
+    async request =>
+      createSuccessResponse(
+        await rbacService.grantPermission(
+          request.params.id,
+          request.body.permission,
+          getAuditActor(request)
+        ),
+        SUCCESS.USER_ACCESS_UPDATED
+      )
+  );
+
+  fastify.delete(
+    '/admin/users/:id/permissions/:permission',
+    {
+      schema: routeSchema(
+        'Revoke a permission granted directly to a user',
+        { params: withParams('permission', 'Permission ID or name') },
+        userAccess
+      ),
+    },
+    async request =>
+      createSuccessResponse(
+        await rbacService.revokePermission(
+          request.params.id,
+          request.params.permission,
+          getAuditActor(request)
+        ),
+        SUCCESS.USER_ACCESS_UPDATED
+      )
+  );
+}
+
+export default adminRbacRoutes;
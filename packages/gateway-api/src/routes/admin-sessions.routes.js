@@ -0,0 +1,128 @@
+/**
+ * Session Administration Routes
+ * List and end any user's sessions (admin only)
+ */
+
+import { createSuccessResponse } from '@shared/core/utils';
+import { API_MESSAGES, AUDIT_ACTIONS } from '../constants/index.js';
+import { dataResponse, errorResponse } from '../schemas/index.js';
+import { session, sessionIdParams } from './sessions.routes.js';
+
+const userIdParams = {
+  type: 'object',
+  required: ['id'],
+  properties: { id: { type: 'string', description: 'User ID' } },
+};
+
+/**
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {{
+ *   tokenService: import('../../database/tokenService.js').TokenService,
+ *   auditLogService: import('../../database/auditLogService.js').AuditLogService
+ * }} options
+ */
+export async function adminSessionRoutes(
+  fastify,
+  { tokenService, auditLogService }
+) {
+  fastify.addHook('preHandler', fastify.requireAdmin);
+
+  const audit = (request, action, metadata) =>
+    auditLogService.record(request, {
+      userId: request.user.id,
+      action,
+      resource: `user:${request.params.id}`,
+      metadata,
+    });
+
+  fastify.get(
+    '/admin/users/:id/sessions',
+    {
+      schema: {
+        description: "List a user's active sessions",
+        tags: ['Admin'],
+        security: [{ bearerAuth: [] }],
+        params: userIdParams,
+        response: {
+          200: dataResponse({ type: 'array', items: session }),
+          401: errorResponse,
+          403: errorResponse,
+          404: errorResponse,
+        },
+      },
+    },
+    async request =>
+      createSuccessResponse(
+        await tokenService.listSessions(request.params.id),
+        API_MESSAGES.SUCCESS.SESSIONS_RETRIEVED
+      )
+  );
+
+  fastify.delete(
+    '/admin/users/:id/sessions',
+    {
+      schema: {
+        description: 'Sign a user out of every session',
+        tags: ['Admin'],
+        security: [{ bearerAuth: [] }],
+        params: userIdParams,
+        response: {
+          200: dataResponse({
+            type: 'object',
+            properties: { sessionsRevoked: { type: 'integer' } },
+          }),
+          401: errorResponse,
+          403: errorResponse,
+          404: errorResponse,
+        },
+      },
+    },
+    async request => {
+      const sessionsRevoked = await tokenService.revokeAllSessions(
+        request.params.id
+      );
+      await audit(request, AUDIT_ACTIONS.SESSION_REVOKE_ALL, {
+        sessionsRevoked,
+      });
+
+      return createSuccessResponse(
+        { sessionsRevoked },
+        API_MESSAGES.SUCCESS.SESSIONS_REVOKED
+      );
+    }
+  );
+
+  fastify.delete(
+    '/admin/users/:id/sessions/:sessionId',
+    {
+      schema: {
+        description: 'Sign a user out of one session',
+        tags: ['Admin'],
+        security: [{ bearerAuth: [] }],
+        params: {
+          ...userIdParams,
+          required: ['id', 'sessionId'],
+          properties: {
+            ...userIdParams.properties,
+            ...sessionIdParams.properties,
+          },
+        },
+        response: {
+          200: dataResponse({ type: 'null' }),
+          401: errorResponse,
+          403: errorResponse,
+          404: errorResponse,
+        },
+      },
+    },
+    async request => {
+      const { id, sessionId } = request.params;
+      await tokenService.revokeSession(id, sessionId);
+      await audit(request, AUDIT_ACTIONS.SESSION_REVOKE, { sessionId });
+
+      return createSuccessResponse(null, API_MESSAGES.SUCCESS.SESSION_REVOKED);
+    }
+  );
+}
+
+export default adminSessionRoutes;
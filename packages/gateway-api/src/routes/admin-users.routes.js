@@ -0,0 +1,211 @@
+/**
+ * User Lifecycle Administration Routes
+ * Deactivate, reactivate, delete and impersonate users (admin only)
+ */
+
+import { createSuccessResponse } from '@shared/core/utils';
+import { API_MESSAGES, AUDIT_ACTIONS } from '../constants/index.js';
+import { dataResponse, errorResponse } from '../schemas/index.js';
+
+const userIdParams = {
+  type: 'object',
+  required: ['id'],
+  properties: { id: { type: 'string', description: 'User ID' } },
+};
+
+const userSummary = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    email: { type: 'string' },
+    isActive: { type: 'boolean' },
+    deletedAt: { type: 'string', format: 'date-time', nullable: true },
+  },
+};
+
+const impersonationToken = {
+  type: 'object',
+  properties: {
+    token: {
+      type: 'string',
+      description: "Access token acting as the user, with an 'act' claim",
+    },
+    tokenType: { type: 'string' },
+    expiresIn: { type: 'integer', description: 'Seconds' },
+    user: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        email: { type: 'string' },
+        roles: { type: 'array', items: { type: 'string' } },
+        permissions: { type: 'array', items: { type: 'string' } },
+      },
+    },
+  },
+};
+
+const impersonationBody = {
+  type: 'object',
+  required: ['reason'],
+  additionalProperties: false,
+  properties: {
+    reason: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 500,
+      description: 'Why the user is impersonated, e.g. a support ticket',
+    },
+  },
+};
+
+/**
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {{
+ *   userLifecycleService: import('../../database/userLifecycleService.js').UserLifecycleService,
+ *   auditLogService: import('../../database/auditLogService.js').AuditLogService
+ * }} options
+ */
+export async function adminUserRoutes(
+  fastify,
+  { userLifecycleService, auditLogService }
+) {
+  fastify.addHook('preHandler', fastify.requireAdmin);
+
+  const audit = (request, action, metadata) =>
+    auditLogService.record(request, {
+      userId: request.user.id,
+      action,
+      resource: `user:${request.params.id}`,
+      metadata,
+    });
+
+  fastify.post(
+    '/admin/users/:id/deactivate',
+    {
+      schema: {
+        description:
+          'Deactivate a user: they can no longer sign in, their sessions end and their API keys stop working',
+        tags: ['Admin'],
+        security: [{ bearerAuth: [] }],
+        params: userIdParams,
+        response: {
+          200: dataResponse({
+            type: 'object',
+            properties: {
+              user: userSummary,
+              sessionsRevoked: { type: 'integer' },
+            },
+          }),
+          401: errorResponse,
+          403: errorResponse,
+          404: errorResponse,
+        },
+      },
+    },
+    async request => {
+      const result = await userLifecycleService.deactivateUser(
+        request.params.id,
+        request.user
+      );
+      await audit(request, AUDIT_ACTIONS.USER_DEACTIVATE, {
+        sessionsRevoked: result.sessionsRevoked,
+      });
+
+      return createSuccessResponse(
+        result,
+        API_MESSAGES.SUCCESS.USER_DEACTIVATED
+      );
+    }
+  );
+
+  fastify.post(
+    '/admin/users/:id/reactivate',
+    {
+      schema: {
+        description: 'Let a deactivated user sign in again',
+        tags: ['Admin'],
+        security: [{ bearerAuth: [] }],
+        params: userIdParams,
+        response: {
+          200: dataResponse(userSummary),
+          401: errorResponse,
+          403: errorResponse,
+          404: errorResponse,
+        },
+      },
+    },
+    async request => {
+      const user = await userLifecycleService.reactivateUser(request.params.id);
+      await audit(request, AUDIT_ACTIONS.USER_REACTIVATE);
+
+      return createSuccessResponse(user, API_MESSAGES.SUCCESS.USER_REACTIVATED);
+    }
+  );
+
+  fastify.delete(
+    '/admin/users/:id',
+    {
+      schema: {
+        description:
+          'Delete a user. Personal data and credentials are removed and every session ends; the anonymised record is kept. This cannot be undone.',
+        tags: ['Admin'],
+        security: [{ bearerAuth: [] }],
+        params: userIdParams,
+        response: {
+          200: dataResponse(userSummary),
+          401: errorResponse,
+          403: errorResponse,
+          404: errorResponse,
+        },
+      },
+    },
+    async request => {
+      const user = await userLifecycleService.deleteUser(
+        request.params.id,
+        request.user
+      );
+      await audit(request, AUDIT_ACTIONS.USER_DELETE);
+
+      return createSuccessResponse(user, API_MESSAGES.SUCCESS.USER_DELETED);
+    }
+  );
+
+  fastify.post(
+    '/admin/users/:id/impersonate',
+    {
+      schema: {
+        description:
+          "Get a short-lived access token that acts as the user, to reproduce their issues. It can't change the user's password, 2FA or API keys, and actions taken with it are audited with the admin's ID.",
+        tags: ['Admin'],
+        security: [{ bearerAuth: [] }],
+        params: userIdParams,
+        body: impersonationBody,
+        response: {
+          200: dataResponse(impersonationToken),
+          400: errorResponse,
+          401: errorResponse,
+          403: errorResponse,
+          404: errorResponse,
+          409: errorResponse,
+        },
+      },
+    },
+    async request => {
+      const result = await userLifecycleService.impersonate(
+        request.params.id,
+        request.user
+      );
+      await audit(request, AUDIT_ACTIONS.USER_IMPERSONATE, {
+        reason: request.body.reason,
+        expiresIn: result.expiresIn,
+      });
+
+      return createSuccessResponse(
+        result,
+        API_MESSAGES.SUCCESS.IMPERSONATION_STARTED
+      );
+    }
+  );
+}
+
+export default adminUserRoutes;
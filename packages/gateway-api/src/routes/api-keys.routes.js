@@ -0,0 +1,181 @@
+/**
+ * API Key Routes
+ * Create, list and revoke the signed-in user's API keys
+ */
+
+import { createSuccessResponse } from '@shared/core/utils';
+import { authConfig } from '../../config/auth.config.js';
+import {
+  API_MESSAGES,
+  AUDIT_ACTIONS,
+  HTTP_STATUS,
+} from '../constants/index.js';
+import { dataResponse, errorResponse } from '../schemas/index.js';
+
+export const apiKey = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    prefix: {
+      type: 'string',
+      description: 'Start of the key, to tell keys apart',
+    },
+    scopes: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Permissions the key grants',
+    },
+    createdAt: { type: 'string', format: 'date-time' },
+    expiresAt: { type: 'string', format: 'date-time' },
+    lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+  },
+};
+
+export const createdApiKey = {
+  type: 'object',
+  properties: {
+    ...apiKey.properties,
+    key: {
+      type: 'string',
+      description: 'The API key. It is only returned once.',
+    },
+  },
+};
+
+export const createApiKeyBody = {
+  type: 'object',
+  required: ['name', 'scopes'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    scopes: {
+      type: 'array',
+      minItems: 1,
+      uniqueItems: true,
+      items: { type: 'string', minLength: 1 },
+      description: 'Permission names, e.g. read:comments',
+    },
+    expiresInDays: {
+      type: 'integer',
+      minimum: 1,
+      maximum: authConfig.apiKeys.maxTtlDays,
+      description: `Defaults to ${authConfig.apiKeys.defaultTtlDays}`,
+    },
+  },
+};
+
+export const apiKeyIdParams = {
+  type: 'object',
+  required: ['keyId'],
+  properties: { keyId: { type: 'string', description: 'API key ID' } },
+};
+
+/**
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {{
+ *   apiKeyService: import('../../database/apiKeyService.js').ApiKeyService,
+ *   auditLogService: import('../../database/auditLogService.js').AuditLogService
+ * }} options
+ */
+export async function apiKeyRoutes(
+  fastify,
+  { apiKeyService, auditLogService }
+) {
+  // Keys are managed with a signed-in session, never with another API key
+  fastify.addHook('preHandler', fastify.authenticate);
+  // or with an impersonation token
+  fastify.addHook('preHandler', fastify.rejectImpersonation);
+
+  fastify.get(
+    '/auth/api-keys',
+    {
+      schema: {
+        description: 'List your active API keys, newest first',
+        tags: ['Authentication'],
+        security: [{ bearerAuth: [] }],
+        response: {
+          200: dataResponse({ type: 'array', items: apiKey }),
+          401: errorResponse,
+        },
+      },
+    },
+    async request =>
+      createSuccessResponse(
+        await apiKeyService.listKeys(request.user.id),
+        API_MESSAGES.SUCCESS.API_KEYS_RETRIEVED
+      )
+  );
+
+  fastify.post(
+    '/auth/api-keys',
+    {
+      schema: {
+        description:
+          'Create an API key for a machine client. Scopes must be permissions you hold; the key is only shown in this response.',
+        tags: ['Authentication'],
+        security: [{ bearerAuth: [] }],
+        body: createApiKeyBody,
+        response: {
+          201: dataResponse(createdApiKey),
+          400: errorResponse,
+          401: errorResponse,
+          403: errorResponse,
+          404: errorResponse,
+          409: errorResponse,
+        },
+      },
+    },
+    async (request, reply) => {
+      const created = await apiKeyService.createKey(
+        request.user.id,
+        request.body
+      );
+
+      await auditLogService.record(request, {
+        userId: request.user.id,
+        action: AUDIT_ACTIONS.API_KEY_CREATE,
+        resource: `user:${request.user.id}`,
+        metadata: { apiKeyId: created.id, scopes: created.scopes },
+      });
+
+      return reply
+        .status(HTTP_STATUS.CREATED)
+        .send(
+          createSuccessResponse(created, API_MESSAGES.SUCCESS.API_KEY_CREATED)
+        );
+    }
+  );
+
+  fastify.delete(
+    '/auth/api-keys/:keyId',
+    {
+      schema: {
+        description: 'Revoke an API key. It stops working immediately.',
+        tags: ['Authentication'],
+        security: [{ bearerAuth: [] }],
+        params: apiKeyIdParams,
+        response: {
+          200: dataResponse({ type: 'null' }),
+          401: errorResponse,
+          404: errorResponse,
+        },
+      },
+    },
+    async request => {
+      const { keyId } = request.params;
+      await apiKeyService.revokeKey(request.user.id, keyId);
+
+      await auditLogService.record(request, {
+        userId: request.user.id,
+        action: AUDIT_ACTIONS.API_KEY_REVOKE,
+        resource: `user:${request.user.id}`,
+        metadata: { apiKeyId: keyId },
+      });
+
+      return createSuccessResponse(null, API_MESSAGES.SUCCESS.API_KEY_REVOKED);
+    }
+  );
+}
+
+export default apiKeyRoutes;
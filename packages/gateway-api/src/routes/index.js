@@ -0,0 +1,17 @@
+/**
+ * Gateway Routes
+ * Route plugins served by the gateway itself (not proxied)
+ */
+
+export { adminRbacRoutes } from './admin-rbac.routes.js';
+export { adminAuditLogRoutes } from './admin-audit-logs.routes.js';
+export { adminLoginLockRoutes } from './admin-login-locks.routes.js';
+export { adminSessionRoutes } from './admin-sessions.routes.js';
+export { twoFactorRoutes } from './two-factor.routes.js';
+export { sessionRoutes } from './sessions.routes.js';
+export { apiKeyRoutes } from './api-keys.routes.js';
+export { adminApiKeyRoutes } from './admin-api-keys.routes.js';
+export { oauthRoutes } from './oauth.routes.js';
+export { adminOAuthClientRoutes } from './admin-oauth-clients.routes.js';
+export { adminUserRoutes } from './admin-users.routes.js';
+export { profileRoutes } from './profile.routes.js';
@@ -0,0 +1,202 @@
+/**
+ * OAuth2 Routes
+ * Token endpoint for the client_credentials grant (RFC 6749 4.4) and token
+ * introspection (RFC 7662) for service-to-service calls. Responses follow
+ * the RFCs rather than the gateway's success/error envelope.
+ */
+
+import { CONTENT_TYPES } from '@shared/core/constants';
+import { API_MESSAGES, OAUTH_ERRORS } from '../constants/index.js';
+import { OAuthError } from '../../database/oauthService.js';
+
+const CLIENT_CREDENTIALS = 'client_credentials';
+
+// Client credentials may be sent in the body instead of HTTP Basic auth
+const clientCredentialProperties = {
+  client_id: { type: 'string' },
+  client_secret: { type: 'string' },
+};
+
+const tokenBody = {
+  type: 'object',
+  required: ['grant_type'],
+  properties: {
+    grant_type: { type: 'string', description: 'Must be client_credentials' },
+    scope: {
+      type: 'string',
+      description:
+        "Space-separated permission names; defaults to all of the client's scopes",
+    },
+    ...clientCredentialProperties,
+  },
+};
+
+const introspectBody = {
+  type: 'object',
+  required: ['token'],
+  properties: {
+    token: { type: 'string' },
+    token_type_hint: { type: 'string' },
+    ...clientCredentialProperties,
+  },
+};
+
+const tokenResponse = {
+  type: 'object',
+  properties: {
+    access_token: { type: 'string' },
+    token_type: { type: 'string' },
+    expires_in: { type: 'integer' },
+    scope: { type: 'string' },
+  },
+};
+
+const introspectionResponse = {
+  type: 'object',
+  properties: {
+    active: { type: 'boolean' },
+    scope: { type: 'string' },
+    client_id: { type: 'string' },
+    username: { type: 'string' },
+    sub: { type: 'string' },
+    token_type: { type: 'string' },
+    exp: { type: 'integer' },
+    iat: { type: 'integer' },
+    iss: { type: 'string' },
+    aud: { type: 'string' },
+    jti: { type: 'string' },
+    roles: { type: 'array', items: { type: 'string' } },
+  },
+};
+
+const oauthErrorResponse = {
+  type: 'object',
+  properties: {
+    error: { type: 'string' },
+    error_description: { type: 'string' },
+  },
+};
+
+/**
+ * Client ID and secret from HTTP Basic auth (form-encoded, RFC 6749 2.3.1)
+ * or the request body
+ */
+const getClientCredentials = request => {
+  const [scheme, encoded] = (request.headers.authorization || '').split(' ');
+  if (scheme?.toLowerCase() === 'basic' && encoded) {
+    const decoded = Buffer.from(encoded, 'base64').toString();
+    const separator = decoded.indexOf(':');
+    if (separator === -1) return {};
+
+    try {
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator)),
+        clientSecret: decodeURIComponent(decoded.slice(separator + 1)),
+      };
+    } catch {
+      return {};
+    }
+  }
+
+  return {
+    clientId: request.body?.client_id,
+    clientSecret: request.body?.client_secret,
+  };
+};
+
+/**
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {{ oauthService: import('../../database/oauthService.js').OAuthService }} options
+ */
+export async function oauthRoutes(fastify, { oauthService }) {
+  // RFC 6749 requires form-encoded requests; JSON is accepted as well
+  fastify.addContentTypeParser(
+    CONTENT_TYPES.FORM_DATA,
+    { parseAs: 'string' },
+    (request, body, done) =>
+      done(null, Object.fromEntries(new URLSearchParams(body)))
+  );
+
+  fastify.addHook('onSend', async (request, reply) => {
+    reply.header('cache-control', 'no-store');
+  });
+
+  fastify.setErrorHandler(async (error, request, reply) => {
+    const oauthError = error.validation
+      ? new OAuthError(OAUTH_ERRORS.INVALID_REQUEST, error.message)
+      : error;
+    // Anything else gets the gateway's usual error response
+    if (!(oauthError instanceof OAuthError)) throw error;
+
+    if (oauthError.error === OAUTH_ERRORS.INVALID_CLIENT) {
+      reply.header('www-authenticate', 'Basic realm="oauth"');
+    }
+
+    return reply.status(oauthError.statusCode).send({
+      error: oauthError.error,
+      error_description: oauthError.message,
+    });
+  });
+
+  fastify.post(
+    '/oauth/token',
+    {
+      schema: {
+        description:
+          'Get an access token for a registered client (client_credentials grant). Authenticate with HTTP Basic or client_id/client_secret in the body.',
+        tags: ['OAuth'],
+        security: [{ clientBasicAuth: [] }],
+        consumes: [CONTENT_TYPES.FORM_DATA, CONTENT_TYPES.JSON],
+        body: tokenBody,
+        response: {
+          200: tokenResponse,
+          400: oauthErrorResponse,
+          401: oauthErrorResponse,
+        },
+      },
+    },
+    async request => {
+      const { clientId, clientSecret } = getClientCredentials(request);
+      const client = await oauthService.authenticateClient(
+        clientId,
+        clientSecret
+      );
+
+      if (request.body.grant_type !== CLIENT_CREDENTIALS) {
+        throw new OAuthError(
+          OAUTH_ERRORS.UNSUPPORTED_GRANT_TYPE,
+          API_MESSAGES.ERROR.OAUTH_UNSUPPORTED_GRANT_TYPE
+        );
+      }
+
+      return oauthService.issueToken(client, request.body.scope);
+    }
+  );
+
+  fastify.post(
+    '/oauth/introspect',
+    {
+      schema: {
+        description:
+          'Check whether an access token issued by the gateway is active and read its claims (RFC 7662). Only registered clients may introspect.',
+        tags: ['OAuth'],
+        security: [{ clientBasicAuth: [] }],
+        consumes: [CONTENT_TYPES.FORM_DATA, CONTENT_TYPES.JSON],
+        body: introspectBody,
+        response: {
+          200: introspectionResponse,
+          400: oauthErrorResponse,
+          401: oauthErrorResponse,
+        },
+      },
+    },
+    async request => {
+      const { clientId, clientSecret } = getClientCredentials(request);
+      await oauthService.authenticateClient(clientId, clientSecret);
+
+      return oauthService.introspect(request.body.token);
+    }
+  );
+}
+
+export default oauthRoutes;
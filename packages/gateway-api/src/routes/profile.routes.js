@@ -0,0 +1,217 @@
+/**
+ * Profile Routes
+ * Read, edit and delete the signed-in user's own account
+ */
+
+import { createSuccessResponse } from '@shared/core/utils';
+import {
+  API_MESSAGES,
+  AUDIT_ACTIONS,
+  GENDER_ALIASES,
+  PROFILE_LIMITS,
+} from '../constants/index.js';
+import { dataResponse, errorResponse } from '../schemas/index.js';
+
+export const profile = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    email: { type: 'string' },
+    firstName: { type: 'string', nullable: true },
+    lastName: { type: 'string', nullable: true },
+    phoneNumber: { type: 'string', nullable: true },
+    birthday: { type: 'string', format: 'date-time', nullable: true },
+    age: {
+      type: 'integer',
+      nullable: true,
+      description: 'Derived from birthday',
+    },
+    address: { type: 'string', nullable: true },
+    gender: { type: 'string', nullable: true },
+    isVerified: { type: 'boolean' },
+    twoFactorEnabled: { type: 'boolean' },
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' },
+  },
+};
+
+const name = {
+  type: 'string',
+  minLength: 1,
+  maxLength: PROFILE_LIMITS.NAME_MAX_LENGTH,
+  pattern: '\\S',
+  nullable: true,
+};
+
+export const updateProfileBody = {
+  type: 'object',
+  minProperties: 1,
+  additionalProperties: false,
+  properties: {
+    firstName: name,
+    lastName: name,
+    phoneNumber: {
+      type: 'string',
+      maxLength: 32,
+      nullable: true,
+      description:
+        'E.164, e.g. +4915112345678. Spaces, dashes, dots and parentheses are removed.',
+    },
+    birthday: {
+      type: 'string',
+      format: 'date',
+      nullable: true,
+      description: 'YYYY-MM-DD, in the past',
+    },
+    address: {
+      type: 'string',
+      minLength: 1,
+      maxLength: PROFILE_LIMITS.ADDRESS_MAX_LENGTH,
+      pattern: '\\S',
+      nullable: true,
+    },
+    gender: {
+      type: 'string',
+      enum: [...Object.keys(GENDER_ALIASES), null],
+      nullable: true,
+      description:
+        'Stored as male, female or undisclosed; the legacy Persian labels are accepted too',
+    },
+    email: {
+      type: 'string',
+      format: 'email',
+      description:
+        'New email address. Needs currentPassword and a new verification.',
+    },
+    currentPassword: { type: 'string', minLength: 1 },
+  },
+  dependencies: { email: ['currentPassword'] },
+};
+
+export const deleteAccountBody = {
+  type: 'object',
+  required: ['currentPassword'],
+  additionalProperties: false,
+  properties: {
+    currentPassword: { type: 'string', minLength: 1 },
+  },
+};
+
+/**
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {{
+ *   profileService: import('../../database/profileService.js').ProfileService,
+ *   auditLogService: import('../../database/auditLogService.js').AuditLogService
+ * }} options
+ */
+export async function profileRoutes(
+  fastify,
+  { profileService, auditLogService }
+) {
+  fastify.addHook('preHandler', fastify.authenticate);
+
+  const audit = (request, action, metadata) =>
+    auditLogService.record(request, {
+      userId: request.user.id,
+      action,
+      resource: `user:${request.user.id}`,
+      metadata,
+    });
+
+  fastify.get(
+    '/auth/me',
+    {
+      schema: {
+        description: 'Get your profile',
+        tags: ['Authentication'],
+        security: [{ bearerAuth: [] }],
+        response: {
+          200: dataResponse(profile),
+          401: errorResponse,
+          404: errorResponse,
+        },
+      },
+    },
+    async request =>
+      createSuccessResponse(
+        await profileService.getProfile(request.user.id),
+        API_MESSAGES.SUCCESS.PROFILE_RETRIEVED
+      )
+  );
+
+  fastify.patch(
+    '/auth/me',
+    {
+      // Support staff acting as a user can look, not edit
+      preHandler: fastify.rejectImpersonation,
+      schema: {
+        description:
+          'Update your profile. Send null to clear an optional field. Changing the email address needs your current password; the account is unverified until you open the link sent to the new address.',
+        tags: ['Authentication'],
+        security: [{ bearerAuth: [] }],
+        body: updateProfileBody,
+        response: {
+          200: dataResponse(profile),
+          400: errorResponse,
+          401: errorResponse,
+          403: errorResponse,
+          404: errorResponse,
+          409: errorResponse,
+          422: errorResponse,
+        },
+      },
+    },
+    async request => {
+      const { profile: updated, emailChanged } =
+        await profileService.updateProfile(request.user.id, request.body);
+      await audit(
+        request,
+        emailChanged ? AUDIT_ACTIONS.EMAIL_CHANGE : AUDIT_ACTIONS.USER_UPDATE,
+        {
+          fields: Object.keys(request.body).filter(
+            field => field !== 'currentPassword'
+          ),
+        }
+      );
+
+      return createSuccessResponse(
+        updated,
+        emailChanged
+          ? API_MESSAGES.SUCCESS.EMAIL_CHANGED
+          : API_MESSAGES.SUCCESS.PROFILE_UPDATED
+      );
+    }
+  );
+
+  fastify.delete(
+    '/auth/me',
+    {
+      preHandler: fastify.rejectImpersonation,
+      schema: {
+        description:
+          'Delete your account. Personal data and credentials are removed and every session ends. This cannot be undone.',
+        tags: ['Authentication'],
+        security: [{ bearerAuth: [] }],
+        body: deleteAccountBody,
+        response: {
+          200: dataResponse({ type: 'null' }),
+          400: errorResponse,
+          401: errorResponse,
+          403: errorResponse,
+          404: errorResponse,
+        },
+      },
+    },
+    async request => {
+      await profileService.deleteAccount(
+        request.user.id,
+        request.body.currentPassword
+      );
+      await audit(request, AUDIT_ACTIONS.USER_DELETE, { self: true });
+
+      return createSuccessResponse(null, API_MESSAGES.SUCCESS.ACCOUNT_DELETED);
+    }
+  );
+}
+
+export default profileRoutes;
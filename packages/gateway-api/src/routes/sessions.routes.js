@@ -0,0 +1,101 @@
+/**
+ * Session Routes
+ * List and end the signed-in user's sessions (one per login/device)
+ */
+
+import { createSuccessResponse } from '@shared/core/utils';
+import { API_MESSAGES, AUDIT_ACTIONS } from '../constants/index.js';
+import { dataResponse, errorResponse } from '../schemas/index.js';
+
+export const session = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    userAgent: { type: 'string', nullable: true },
+    ipAddress: { type: 'string', nullable: true },
+    createdAt: { type: 'string', format: 'date-time' },
+    lastUsedAt: {
+      type: 'string',
+      format: 'date-time',
+      description: 'Last login or token refresh',
+    },
+    expiresAt: { type: 'string', format: 'date-time' },
+    current: {
+      type: 'boolean',
+      description: 'Whether the request was made from this session',
+    },
+  },
+};
+
+export const sessionIdParams = {
+  type: 'object',
+  required: ['sessionId'],
+  properties: { sessionId: { type: 'string', description: 'Session ID' } },
+};
+
+/**
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {{
+ *   tokenService: import('../../database/tokenService.js').TokenService,
+ *   auditLogService: import('../../database/auditLogService.js').AuditLogService
+ * }} options
+ */
+export async function sessionRoutes(
+  fastify,
+  { tokenService, auditLogService }
+) {
+  fastify.addHook('preHandler', fastify.authenticate);
+
+  fastify.get(
+    '/auth/sessions',
+    {
+      schema: {
+        description: 'List your active sessions, most recently used first',
+        tags: ['Authentication'],
+        security: [{ bearerAuth: [] }],
+        response: {
+          200: dataResponse({ type: 'array', items: session }),
+          401: errorResponse,
+        },
+      },
+    },
+    async request =>
+      createSuccessResponse(
+        await tokenService.listSessions(request.user.id, request.user.jti),
+        API_MESSAGES.SUCCESS.SESSIONS_RETRIEVED
+      )
+  );
+
+  fastify.delete(
+    '/auth/sessions/:sessionId',
+    {
+      schema: {
+        description:
+          'Sign a session out. Its refresh and access tokens stop working.',
+        tags: ['Authentication'],
+        security: [{ bearerAuth: [] }],
+        params: sessionIdParams,
+        response: {
+          200: dataResponse({ type: 'null' }),
+          401: errorResponse,
+          404: errorResponse,
+        },
+      },
+    },
+    async request => {
+      const { sessionId } = request.params;
+      await tokenService.revokeSession(request.user.id, sessionId);
+
+      await auditLogService.record(request, {
+        userId: request.user.id,
+        action: AUDIT_ACTIONS.SESSION_REVOKE,
+        resource: `user:${request.user.id}`,
+        metadata: { sessionId },
+      });
+
+      return createSuccessResponse(null, API_MESSAGES.SUCCESS.SESSION_REVOKED);
+    }
+  );
+}
+
+export default sessionRoutes;
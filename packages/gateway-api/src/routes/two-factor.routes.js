@@ -0,0 +1,201 @@
+/**
+ * Two-Factor Authentication Routes
+ * TOTP enrollment and recovery codes for the signed-in user
+ */
+
+import { createSuccessResponse } from '@shared/core/utils';
+import { API_MESSAGES, AUDIT_ACTIONS } from '../constants/index.js';
+import { dataResponse, errorResponse } from '../schemas/index.js';
+
+const codeBody = {
+  type: 'object',
+  required: ['code'],
+  additionalProperties: false,
+  properties: {
+    code: {
+      type: 'string',
+      minLength: 1,
+      description: 'Code from the authenticator app, or a recovery code',
+    },
+  },
+};
+
+const recoveryCodes = {
+  type: 'object',
+  properties: {
+    recoveryCodes: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'One-time recovery codes; shown only once',
+    },
+  },
+};
+
+/**
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {{
+ *   twoFactorService: import('../../database/twoFactorService.js').TwoFactorService,
+ *   auditLogService: import('../../database/auditLogService.js').AuditLogService
+ * }} options
+ */
+export async function twoFactorRoutes(
+  fastify,
+  { twoFactorService, auditLogService }
+) {
+  fastify.addHook('preHandler', fastify.authenticate);
+  // Impersonating admins can't change the user's second factor
+  fastify.addHook('preHandler', fastify.rejectImpersonation);
+
+  const audit = (request, action) =>
+    auditLogService.record(request, {
+      userId: request.user.id,
+      action,
+      resource: `user:${request.user.id}`,
+    });
+
+  fastify.get(
+    '/auth/2fa',
+    {
+      schema: {
+        description:
+          'Whether 2FA is enabled and how many recovery codes are left',
+        tags: ['Authentication'],
+        security: [{ bearerAuth: [] }],
+        response: {
+          200: dataResponse({
+            type: 'object',
+            properties: {
+              enabled: { type: 'boolean' },
+              required: { type: 'boolean' },
+              recoveryCodesRemaining: { type: 'integer' },
+            },
+          }),
+          401: errorResponse,
+        },
+      },
+    },
+    async request =>
+      createSuccessResponse(
+        await twoFactorService.getStatus(request.user.id),
+        API_MESSAGES.SUCCESS.TWO_FACTOR_STATUS_RETRIEVED
+      )
+  );
+
+  fastify.post(
+    '/auth/2fa/setup',
+    {
+      schema: {
+        description:
+          'Generate a TOTP secret. Add it to an authenticator app (the ' +
+          'otpauth URI can be shown as a QR code), then confirm with a code.',
+        tags: ['Authentication'],
+        security: [{ bearerAuth: [] }],
+        response: {
+          200: dataResponse({
+            type: 'object',
+            properties: {
+              secret: { type: 'string', description: 'base32 TOTP secret' },
+              otpauthUri: { type: 'string' },
+            },
+          }),
+          401: errorResponse,
+          409: errorResponse,
+        },
+      },
+    },
+    async request =>
+      createSuccessResponse(
+        await twoFactorService.beginEnrollment(request.user),
+        API_MESSAGES.SUCCESS.TWO_FACTOR_SETUP_STARTED
+      )
+  );
+
+  fastify.post(
+    '/auth/2fa/confirm',
+    {
+      schema: {
+        description:
+          'Enable 2FA with a code from the authenticator app; returns recovery codes',
+        tags: ['Authentication'],
+        security: [{ bearerAuth: [] }],
+        body: codeBody,
+        response: {
+          200: dataResponse(recoveryCodes),
+          400: errorResponse,
+          401: errorResponse,
+          409: errorResponse,
+        },
+      },
+    },
+    async request => {
+      const codes = await twoFactorService.confirmEnrollment(
+        request.user.id,
+        request.body.code
+      );
+      await audit(request, AUDIT_ACTIONS.TWO_FACTOR_ENABLE);
+
+      return createSuccessResponse(
+        { recoveryCodes: codes },
+        API_MESSAGES.SUCCESS.TWO_FACTOR_ENABLED
+      );
+    }
+  );
+
+  fastify.post(
+    '/auth/2fa/disable',
+    {
+      schema: {
+        description: 'Disable 2FA. Not allowed for roles that require it.',
+        tags: ['Authentication'],
+        security: [{ bearerAuth: [] }],
+        body: codeBody,
+        response: {
+          200: dataResponse({ type: 'null' }),
+          400: errorResponse,
+          401: errorResponse,
+          403: errorResponse,
+        },
+      },
+    },
+    async request => {
+      await twoFactorService.disable(request.user.id, request.body.code);
+      await audit(request, AUDIT_ACTIONS.TWO_FACTOR_DISABLE);
+
+      return createSuccessResponse(
+        null,
+        API_MESSAGES.SUCCESS.TWO_FACTOR_DISABLED
+      );
+    }
+  );
+
+  fastify.post(
+    '/auth/2fa/recovery-codes',
+    {
+      schema: {
+        description: 'Replace all recovery codes with new ones',
+        tags: ['Authentication'],
+        security: [{ bearerAuth: [] }],
+        body: codeBody,
+        response: {
+          200: dataResponse(recoveryCodes),
+          400: errorResponse,
+          401: errorResponse,
+        },
+      },
+    },
+    async request => {
+      const codes = await twoFactorService.regenerateRecoveryCodes(
+        request.user.id,
+        request.body.code
+      );
+      await audit(request, AUDIT_ACTIONS.TWO_FACTOR_RECOVERY_CODES);
+
+      return createSuccessResponse(
+        { recoveryCodes: codes },
+        API_MESSAGES.SUCCESS.RECOVERY_CODES_REGENERATED
+      );
+    }
+  );
+}
+
+export default twoFactorRoutes;
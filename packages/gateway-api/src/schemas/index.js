@@ -104,6 +104,111 @@ export const userLogin = {
   }]
 };
 
+export const refreshTokenRequest = {
+  type: 'object',
+  required: ['refreshToken'],
+  properties: {
+    refreshToken: {
+      type: 'string',
+      description: 'Refresh token from login or the previous refresh'
+    }
+  }
+};
+
+export const logoutRequest = {
+  type: ['object', 'null'],
+  properties: {
+    refreshToken: {
+      type: 'string',
+      description: 'Refresh token of the session to end'
+    }
+  }
+};
+
+export const verifyEmailRequest = {
+  type: 'object',
+  required: ['token'],
+  properties: {
+    token: {
+      type: 'string',
+      minLength: 1,
+      description: 'Token from the verification email'
+    }
+  }
+};
+
+export const resendVerificationRequest = {
+  type: 'object',
+  required: ['email'],
+  properties: {
+    email: {
+      type: 'string',
+      format: 'email',
+      description: 'Email address of the account to verify'
+    }
+  }
+};
+
+export const passwordChange = {
+  type: 'object',
+  required: ['currentPassword', 'newPassword'],
+  properties: {
+    currentPassword: {
+      type: 'string',
+      description: 'Current password'
+    },
+    newPassword: {
+      type: 'string',
+      minLength: 6,
+      description: 'New password (minimum 6 characters)'
+    }
+  }
+};
+
+export const twoFactorLoginRequest = {
+  type: 'object',
+  required: ['challengeToken', 'code'],
+  properties: {
+    challengeToken: {
+      type: 'string',
+      description: 'Challenge token returned by POST /auth/login'
+    },
+    code: {
+      type: 'string',
+      minLength: 1,
+      description: 'Code from the authenticator app, or a recovery code'
+    }
+  }
+};
+
+export const forgotPasswordRequest = {
+  type: 'object',
+  required: ['email'],
+  properties: {
+    email: {
+      type: 'string',
+      format: 'email',
+      description: 'Email address of the account'
+    }
+  }
+};
+
+export const resetPasswordRequest = {
+  type: 'object',
+  required: ['token', 'newPassword'],
+  properties: {
+    token: {
+      type: 'string',
+      minLength: 1,
+      description: 'Token from the password reset email'
+    },
+    newPassword: {
+      type: 'string',
+      description: 'New password; must meet the password requirements'
+    }
+  }
+};
+
 export const adminUserCreation = {
   type: 'object',
   required: ['email', 'password', 'firstName', 'lastName'],
@@ -158,11 +263,38 @@ export const authSuccessResponse = {
   type: 'object',
   properties: {
     success: { type: 'boolean' },
+    message: { type: 'string' },
     token: { 
       type: 'string',
       description: 'JWT access token'
     },
-    data: userBase,
+    data: {
+      type: 'object',
+      properties: {
+        user: userBase,
+        token: { type: 'string', description: 'JWT access token' },
+        refreshToken: {
+          type: 'string',
+          description: 'Single-use refresh token for POST /auth/refresh'
+        },
+        expiresIn: { type: 'string' },
+        tokenType: { type: 'string', example: 'Bearer' },
+        twoFactorSetupRequired: {
+          type: 'boolean',
+          description: 'Your role requires 2FA; tokens are restricted until you enroll'
+        },
+        twoFactorRequired: {
+          type: 'boolean',
+          description: 'Finish signing in with POST /auth/login/2fa'
+        },
+        challengeToken: { type: 'string' },
+        expiresAt: {
+          type: 'string',
+          format: 'date-time',
+          description: 'When the challenge token expires'
+        }
+      }
+    },
     meta: {
       type: 'object',
       properties: {
@@ -203,11 +335,31 @@ export const healthResponse = {
     version: { type: 'string' },
     services: {
       type: 'object',
+      description: 'Database status plus one entry per registered service',
       properties: {
-        database: { type: 'string' },
-        comments: { type: 'string' },
-        users: { type: 'string' },
-        sahab: { type: 'string' }
+        database: { type: 'string' }
+      },
+      additionalProperties: { type: 'string' }
+    },
+    upstreams: {
+      type: 'object',
+      description: 'Health check result and circuit breaker state per service',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          healthy: { type: 'boolean' },
+          lastHealthCheck: { type: ['string', 'null'], format: 'date-time' },
+          circuit: {
+            type: 'object',
+            properties: {
+              state: { type: 'string', enum: ['closed', 'open', 'half-open'] },
+              failures: { type: 'integer' },
+              lastFailureAt: { type: ['string', 'null'], format: 'date-time' },
+              lastStateChangeAt: { type: 'string', format: 'date-time' },
+              retryAfter: { type: ['integer', 'null'] }
+            }
+          }
+        }
       }
     }
   }
@@ -230,10 +382,28 @@ export const gatewayInfoResponse = {
     },
     services: {
       type: 'object',
-      properties: {
-        comments: { type: 'string', example: 'http://localhost:3001/api/comments' },
-        users: { type: 'string', example: 'http://localhost:3002/api/users' },
-        sahab: { type: 'string', example: 'http://localhost:3003/api/sahab' }
+      description: 'Registered service names mapped to their gateway basePath',
+      additionalProperties: { type: 'string' },
+      example: { 'comments-api': '/part/recruitment/comments' }
+    }
+  }
+};
+
+// JSON Web Key Set (RFC 7517) with the public keys tokens are signed with
+export const jwksResponse = {
+  type: 'object',
+  properties: {
+    keys: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: { type: 'string' },
+        properties: {
+          kid: { type: 'string' },
+          kty: { type: 'string', example: 'EC' },
+          alg: { type: 'string', example: 'ES256' },
+          use: { type: 'string', example: 'sig' }
+        }
       }
     }
   }
@@ -300,6 +470,137 @@ export const userListQuery = {
   }
 };
 
+// RBAC administration schemas
+const roleOrPermissionName = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 100,
+  pattern: '^[a-z0-9_*:-]+$'
+};
+
+export const roleBase = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string', example: 'moderator' },
+    description: { type: 'string', nullable: true },
+    isActive: { type: 'boolean' },
+    permissions: {
+      type: 'array',
+      items: { type: 'string' },
+      example: ['read:comments', 'delete:comments']
+    },
+    userCount: { type: 'number' },
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+export const permissionBase = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string', example: 'read:comments' },
+    resource: { type: 'string', example: 'comments' },
+    action: { type: 'string', example: 'read' },
+    description: { type: 'string', nullable: true },
+    roleCount: { type: 'number' },
+    userCount: { type: 'number' },
+    createdAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+export const userAccess = {
+  type: 'object',
+  properties: {
+    userId: { type: 'string' },
+    roles: { type: 'array', items: { type: 'string' } },
+    rolePermissions: {
+      type: 'object',
+      additionalProperties: { type: 'array', items: { type: 'string' } },
+      description: 'Permissions granted by each active role'
+    },
+    directPermissions: { type: 'array', items: { type: 'string' } },
+    permissions: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Effective permissions (roles + direct grants)'
+    }
+  }
+};
+
+export const roleCreation = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: {
+    name: roleOrPermissionName,
+    description: { type: 'string', maxLength: 500 },
+    permissions: { type: 'array', items: { type: 'string' }, default: [] }
+  }
+};
+
+export const roleUpdate = {
+  type: 'object',
+  minProperties: 1,
+  additionalProperties: false,
+  properties: {
+    name: roleOrPermissionName,
+    description: { type: 'string', maxLength: 500 },
+    isActive: { type: 'boolean' }
+  }
+};
+
+export const rolePermissionsAttach = {
+  type: 'object',
+  required: ['permissions'],
+  additionalProperties: false,
+  properties: {
+    permissions: { type: 'array', items: { type: 'string' }, minItems: 1 }
+  }
+};
+
+export const permissionCreation = {
+  type: 'object',
+  required: ['name', 'resource', 'action'],
+  additionalProperties: false,
+  properties: {
+    name: roleOrPermissionName,
+    resource: { type: 'string', minLength: 1, maxLength: 50 },
+    action: { type: 'string', minLength: 1, maxLength: 50 },
+    description: { type: 'string', maxLength: 500 }
+  }
+};
+
+export const userRoleAssignment = {
+  type: 'object',
+  required: ['role'],
+  additionalProperties: false,
+  properties: {
+    role: { type: 'string', description: 'Role ID or name' }
+  }
+};
+
+export const userPermissionGrant = {
+  type: 'object',
+  required: ['permission'],
+  additionalProperties: false,
+  properties: {
+    permission: { type: 'string', description: 'Permission ID or name' }
+  }
+};
+
+// Wrap a data schema in the standard success envelope
+export const dataResponse = data => ({
+  type: 'object',
+  properties: {
+    success: { type: 'boolean', example: true },
+    message: { type: 'string' },
+    data,
+    timestamp: { type: 'string', format: 'date-time' }
+  }
+});
+
 // Security schemas
 export const bearerAuth = {
   type: 'http',
@@ -307,6 +608,19 @@ export const bearerAuth = {
   bearerFormat: 'JWT'
 };
 
+// Accepted on proxied routes whose authMethods include 'apiKey'
+export const apiKeyAuth = {
+  type: 'apiKey',
+  in: 'header',
+  name: 'X-API-Key'
+};
+
+// OAuth client ID and secret on /oauth/token and /oauth/introspect
+export const clientBasicAuth = {
+  type: 'http',
+  scheme: 'basic'
+};
+
 // Tags for organizing endpoints
 export const tags = [
   {
@@ -321,6 +635,14 @@ export const tags = [
     name: 'Admin',
     description: 'Administrative endpoints (requires admin role)'
   },
+  {
+    name: 'RBAC',
+    description: 'Role and permission administration (requires admin role)'
+  },
+  {
+    name: 'OAuth',
+    description: 'OAuth2 client credentials and token introspection for services'
+  },
   {
     name: 'Proxy',
     description: 'Service proxy endpoints'
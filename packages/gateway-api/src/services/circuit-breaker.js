@@ -0,0 +1,135 @@
+import {
+  CIRCUIT_BREAKER_DEFAULTS,
+  CIRCUIT_STATES,
+} from '../constants/index.js';
+
+/**
+ * Per-service circuit breaker
+ * closed → open after `failureThreshold` consecutive failures,
+ * open → half-open once `resetTimeout` has passed,
+ * half-open → closed after `successThreshold` successful trial requests,
+ * or straight back to open on a trial failure.
+ */
+export class CircuitBreaker {
+  constructor(options = {}, now = Date.now) {
+    this.options = { ...CIRCUIT_BREAKER_DEFAULTS, ...options };
+    this.now = now;
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.successes = 0;
+    this.halfOpenInFlight = 0;
+    this.openedAt = null;
+    this.lastFailureAt = null;
+    this.lastStateChangeAt = this.now();
+  }
+
+  /**
+   * Move to a new state and reset the counters that belong to it
+   */
+  transitionTo(state) {
+    if (this.state === state) return;
+
+    this.state = state;
+    this.lastStateChangeAt = this.now();
+    this.successes = 0;
+    this.halfOpenInFlight = 0;
+
+    if (state === CIRCUIT_STATES.OPEN) {
+      this.openedAt = this.lastStateChangeAt;
+    } else if (state === CIRCUIT_STATES.CLOSED) {
+      this.failures = 0;
+      this.openedAt = null;
+    }
+  }
+
+  /**
+   * Whether a request may be sent upstream. In half-open state this also
+   * reserves one of the trial slots, so callers must report the outcome.
+   */
+  canRequest() {
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      if (this.now() - this.openedAt < this.options.resetTimeout) {
+        return false;
+      }
+      this.transitionTo(CIRCUIT_STATES.HALF_OPEN);
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      if (this.halfOpenInFlight >= this.options.halfOpenMaxRequests) {
+        return false;
+      }
+      this.halfOpenInFlight += 1;
+    }
+
+    return true;
+  }
+
+  recordSuccess() {
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.halfOpenInFlight = Math.max(0, this.halfOpenInFlight - 1);
+      this.successes += 1;
+
+      if (this.successes >= this.options.successThreshold) {
+        this.transitionTo(CIRCUIT_STATES.CLOSED);
+      }
+      return;
+    }
+
+    this.failures = 0;
+  }
+
+  recordFailure() {
+    this.lastFailureAt = this.now();
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.transitionTo(CIRCUIT_STATES.OPEN);
+      return;
+    }
+
+    this.failures += 1;
+    if (
+      this.state === CIRCUIT_STATES.CLOSED &&
+      this.failures >= this.options.failureThreshold
+    ) {
+      this.transitionTo(CIRCUIT_STATES.OPEN);
+    }
+  }
+
+  /**
+   * A passing health check lets an open circuit try traffic again without
+   * waiting for the full reset timeout
+   */
+  recordHealthy() {
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      this.transitionTo(CIRCUIT_STATES.HALF_OPEN);
+    } else if (this.state === CIRCUIT_STATES.CLOSED) {
+      this.failures = 0;
+    }
+  }
+
+  /**
+   * Seconds a client should wait before retrying (for the Retry-After header)
+   */
+  getRetryAfterSeconds() {
+    if (this.state !== CIRCUIT_STATES.OPEN) return 1;
+
+    const remaining = this.openedAt + this.options.resetTimeout - this.now();
+    return Math.max(1, Math.ceil(remaining / 1000));
+  }
+
+  toJSON() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      lastFailureAt: this.lastFailureAt
+        ? new Date(this.lastFailureAt).toISOString()
+        : null,
+      lastStateChangeAt: new Date(this.lastStateChangeAt).toISOString(),
+      retryAfter:
+        this.state === CIRCUIT_STATES.OPEN ? this.getRetryAfterSeconds() : null,
+    };
+  }
+}
+
+export default CircuitBreaker;
@@ -1,6 +1,6 @@
 import { readFileSync, existsSync } from 'fs';
 import { join, resolve } from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { HTTP_STATUS, USER_ROLES, PERMISSIONS } from '@shared/core/constants';
 import { createEnvLoader } from '@shared/core/utils/env.utils';
 import { serviceRegistry } from './service-registry.js';
@@ -13,11 +13,40 @@ import { serviceRegistry } from './service-registry.js';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = resolve(__filename, '..');
 
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Merge two configuration objects, combining nested objects one level deep
+ * (e.g. `authentication`, `rateLimiting`). Arrays and scalars are replaced.
+ */
+const mergeConfig = (base = {}, override = {}) => {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(base[key])
+        ? { ...base[key], ...value }
+        : value;
+  }
+
+  return merged;
+};
+
 export class ConfigLoader {
   constructor(rootPath) {
     this.rootPath = rootPath;
     this.servicesConfigPath = join(rootPath, 'services.config.js');
     this.appsPath = join(rootPath, 'apps');
+    this.defaults = {};
+    this.gatewayConfig = {};
+  }
+
+  /**
+   * Gateway settings from the root services config (discovery, security...)
+   */
+  getGatewayConfig() {
+    return this.gatewayConfig;
   }
 
   /**
@@ -35,10 +64,13 @@ export class ConfigLoader {
     }
 
     // Auto-discover services from apps directory
-    const autoDiscovered = await this.autoDiscoverServices();
-    configurations.push(...autoDiscovered);
+    if (this.gatewayConfig.discovery?.autoDiscover !== false) {
+      const autoDiscovered = await this.autoDiscoverServices();
+      configurations.push(...autoDiscovered);
+    }
 
-    return configurations;
+    // Service-level settings win over the root defaults
+    return configurations.map((config) => mergeConfig(this.defaults, config));
   }
 
   /**
@@ -46,7 +78,9 @@ export class ConfigLoader {
    */
   async loadMainConfiguration() {
     try {
-      const configModule = await import(this.servicesConfigPath);
+      const configModule = await import(
+        pathToFileURL(this.servicesConfigPath).href
+      );
       const config = configModule.default || configModule;
 
       if (Array.isArray(config)) {
@@ -54,6 +88,7 @@ export class ConfigLoader {
       }
 
       if (typeof config === 'object' && config.services) {
+        this.applyRootConfiguration(config);
         return config.services;
       }
 
@@ -64,6 +99,18 @@ export class ConfigLoader {
     }
   }
 
+  /**
+   * Resolve root defaults and gateway settings, including the overrides
+   * for the current NODE_ENV from `environments`
+   */
+  applyRootConfiguration(config) {
+    const envOverrides =
+      config.environments?.[process.env.NODE_ENV || 'development'] || {};
+
+    this.defaults = mergeConfig(config.defaults, envOverrides.defaults);
+    this.gatewayConfig = mergeConfig(config.gateway, envOverrides.gateway);
+  }
+
   /**
    * Auto-discover services from apps directory
    */
@@ -125,7 +172,16 @@ export class ConfigLoader {
    * Load configuration for a specific service
    */
   async loadServiceConfiguration(servicePath, appName, serviceName) {
-    const configFiles = ['service.config.js', 'gateway.config.js', 'config.js'];
+    const configFileName =
+      this.gatewayConfig.discovery?.configFileName || 'service.config.js';
+    const configFiles = [
+      ...new Set([
+        configFileName,
+        'service.config.js',
+        'gateway.config.js',
+        'config.js',
+      ]),
+    ];
 
     let config = null;
 
@@ -135,7 +191,7 @@ export class ConfigLoader {
 
       if (existsSync(configPath)) {
         try {
-          const configModule = await import(configPath);
+          const configModule = await import(pathToFileURL(configPath).href);
           config = configModule.default || configModule;
           break;
         } catch (error) {
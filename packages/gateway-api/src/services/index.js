@@ -1,2 +1,4 @@
 export * from './config-loader.js';
-export * from './service-registry.js';
\ No newline at end of file
+export * from './service-registry.js';
+export * from './circuit-breaker.js';
+export * from './mailer.js';
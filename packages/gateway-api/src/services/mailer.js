@@ -0,0 +1,117 @@
+/**
+ * Mailer
+ * Sends email through a pluggable transport: SMTP in production, a file or
+ * in-memory sink for development and tests
+ */
+
+import { randomUUID } from 'node:crypto';
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { mailConfig } from '../../config/mail.config.js';
+
+/**
+ * Keeps sent messages in `sent`; for tests
+ */
+export class MemoryTransport {
+  constructor() {
+    this.sent = [];
+  }
+
+  async send(message) {
+    const id = randomUUID();
+    this.sent.push({ id, ...message });
+    return { id };
+  }
+
+  /** Most recent message sent to an address */
+  lastTo(address) {
+    return this.sent.findLast(message => message.to === address) ?? null;
+  }
+
+  clear() {
+    this.sent = [];
+  }
+}
+
+/**
+ * Writes every message as a JSON file into a directory; for local development
+ */
+export class FileTransport {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  async send(message) {
+    const id = randomUUID();
+    const file = path.join(
+      this.directory,
+      `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}.json`
+    );
+
+    await mkdir(this.directory, { recursive: true });
+    await writeFile(file, JSON.stringify({ id, ...message }, null, 2));
+    return { id, file };
+  }
+}
+
+/**
+ * Sends through an SMTP server using nodemailer, loaded on first use so the
+ * other transports work without it
+ */
+export class SmtpTransport {
+  constructor(options) {
+    this.options = options;
+    this.transporter = null;
+  }
+
+  async send(message) {
+    if (!this.transporter) {
+      const { default: nodemailer } = await import('nodemailer');
+      this.transporter = nodemailer.createTransport(this.options);
+    }
+
+    const info = await this.transporter.sendMail(message);
+    return { id: info.messageId };
+  }
+}
+
+export class Mailer {
+  /**
+   * @param {{ send(message: Object): Promise<{ id: string }> }} transport
+   * @param {{ from: string }} options
+   */
+  constructor(transport, { from } = mailConfig) {
+    this.transport = transport;
+    this.from = from;
+  }
+
+  /**
+   * @param {{ to: string, subject: string, text: string, html?: string }} message
+   * @returns {Promise<{ id: string }>}
+   */
+  async send(message) {
+    return this.transport.send({ from: this.from, ...message });
+  }
+}
+
+/**
+ * Build a mailer for the configured transport
+ * @param {Object} [config] - Defaults to mailConfig
+ * @returns {Mailer}
+ */
+export const createMailer = (config = mailConfig) => {
+  const transports = {
+    smtp: () => new SmtpTransport(config.smtp),
+    file: () => new FileTransport(config.fileDir),
+    memory: () => new MemoryTransport(),
+  };
+  const createTransport = transports[config.transport];
+
+  if (!createTransport) {
+    throw new Error(
+      `Unknown mail transport "${config.transport}" (expected ${Object.keys(transports).join(', ')})`
+    );
+  }
+
+  return new Mailer(createTransport(), config);
+};
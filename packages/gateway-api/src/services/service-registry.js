@@ -1,5 +1,36 @@
-import { HTTP_STATUS, USER_ROLES, PERMISSIONS } from '@shared/core/constants';
+import {
+  AUTH_CONSTANTS,
+  HTTP_STATUS,
+  USER_ROLES,
+  PERMISSIONS,
+} from '@shared/core/constants';
 import { createEnvLoader } from '@shared/core/utils/env.utils';
+import {
+  CIRCUIT_STATES,
+  HEALTH_CHECK,
+  PROXY_DEFAULTS,
+} from '../constants/index.js';
+import { CircuitBreaker } from './circuit-breaker.js';
+
+const AUTH_METHODS = Object.values(AUTH_CONSTANTS.AUTH_METHODS);
+const DEFAULT_AUTH_METHODS = [AUTH_CONSTANTS.AUTH_METHODS.JWT];
+
+/**
+ * Check an `authMethods` setting: a non-empty array of known methods
+ */
+const validateAuthMethods = (authMethods, where) => {
+  if (authMethods === undefined) return;
+
+  if (
+    !Array.isArray(authMethods) ||
+    authMethods.length === 0 ||
+    authMethods.some(method => !AUTH_METHODS.includes(method))
+  ) {
+    throw new Error(
+      `${where} authMethods must be a non-empty array of: ${AUTH_METHODS.join(', ')}`
+    );
+  }
+};
 
 /**
  * Generic Service Registry for Dynamic Service Registration
@@ -10,6 +41,9 @@ export class ServiceRegistry {
     this.services = new Map();
     this.routes = new Map();
     this.healthChecks = new Map();
+    this.circuitBreakers = new Map();
+    this.healthCheckTimer = null;
+    this.healthCheckRunning = false;
   }
 
   /**
@@ -20,10 +54,15 @@ export class ServiceRegistry {
       name,
       baseUrl,
       basePath,
+      rewritePrefix = basePath,
+      status = 'active',
       healthCheckPath = '/health',
+      healthCheckTimeout,
       timeout = 30000,
       routes = [],
       authentication = {},
+      circuitBreaker = {},
+      retry = {},
       metadata = {},
     } = serviceConfig;
 
@@ -34,14 +73,19 @@ export class ServiceRegistry {
     }
 
     // Validate routes configuration
+    validateAuthMethods(authentication.authMethods, `Service ${name}`);
     this.validateRoutes(routes);
 
     const service = {
       name,
       baseUrl,
       basePath,
+      rewritePrefix,
+      status,
       healthCheckPath,
+      healthCheckTimeout,
       timeout,
+      retry,
       routes,
       authentication,
       metadata,
@@ -51,6 +95,7 @@ export class ServiceRegistry {
     };
 
     this.services.set(name, service);
+    this.circuitBreakers.set(name, new CircuitBreaker(circuitBreaker));
 
     // Register routes
     this.registerServiceRoutes(name, routes);
@@ -92,15 +137,23 @@ export class ServiceRegistry {
         throw new Error('Route methods must be an array');
       }
 
+      validateAuthMethods(route.authMethods, `Route ${route.path}`);
+
       // Validate method configurations
       for (const [method, config] of Object.entries(
         route.methodConfigs || {}
       )) {
-        if (config.requireRoles && !Array.isArray(config.requireRoles)) {
-          throw new Error(
-            `Route ${route.path} method ${method} requireRoles must be an array`
-          );
+        for (const key of ['requireRoles', 'requirePermissions']) {
+          if (config[key] && !Array.isArray(config[key])) {
+            throw new Error(
+              `Route ${route.path} method ${method} ${key} must be an array`
+            );
+          }
         }
+        validateAuthMethods(
+          config.authMethods,
+          `Route ${route.path} method ${method}`
+        );
       }
     }
   }
@@ -112,6 +165,34 @@ export class ServiceRegistry {
     return this.services.get(name);
   }
 
+  /**
+   * Get the service whose basePath owns a request path (longest match wins)
+   */
+  getServiceForPath(path) {
+    let match = null;
+
+    for (const service of this.services.values()) {
+      const ownsPath =
+        path === service.basePath || path.startsWith(`${service.basePath}/`);
+
+      const isLonger =
+        !match || service.basePath.length > match.basePath.length;
+
+      if (ownsPath && isLonger) {
+        match = service;
+      }
+    }
+
+    return match;
+  }
+
+  /**
+   * Get the circuit breaker guarding a service
+   */
+  getCircuitBreaker(name) {
+    return this.circuitBreakers.get(name);
+  }
+
   /**
    * Get route configuration by path
    */
@@ -141,7 +222,10 @@ export class ServiceRegistry {
    */
   matchesPattern(path, pattern) {
     // Convert pattern to regex (simple implementation)
-    const regexPattern = pattern.replace(/\*/g, '.*').replace(/\//g, '\\/');
+    const regexPattern = pattern
+      .replace(/:[^/]+/g, '[^/]+')
+      .replace(/\*/g, '.*')
+      .replace(/\//g, '\\/');
 
     const regex = new RegExp(`^${regexPattern}$`);
     return regex.test(path);
@@ -154,10 +238,17 @@ export class ServiceRegistry {
     const route = this.getRoute(path);
 
     if (!route) {
+      // Paths under a service without a matching route inherit the
+      // service-level rules instead of silently becoming public
+      const service = this.getServiceForPath(path);
+
       return {
-        requireAuth: false,
-        requireRoles: [],
-        isPublic: true,
+        requireAuth: service?.authentication?.requireAuth ?? false,
+        requireRoles: service?.authentication?.requireRoles ?? [],
+        requirePermissions: service?.authentication?.requirePermissions ?? [],
+        authMethods:
+          service?.authentication?.authMethods ?? DEFAULT_AUTH_METHODS,
+        isPublic: !service,
       };
     }
 
@@ -178,12 +269,51 @@ export class ServiceRegistry {
         route.requireRoles ??
         service?.authentication?.requireRoles ??
         [],
+      requirePermissions:
+        methodConfig.requirePermissions ??
+        route.requirePermissions ??
+        service?.authentication?.requirePermissions ??
+        [],
+      // Credentials accepted: 'jwt' (bearer token) and/or 'apiKey' (X-API-Key)
+      authMethods:
+        methodConfig.authMethods ??
+        route.authMethods ??
+        service?.authentication?.authMethods ??
+        DEFAULT_AUTH_METHODS,
       isPublic: methodConfig.isPublic ?? route.isPublic ?? false,
     };
 
     return authConfig;
   }
 
+  /**
+   * Get timeout and retry settings for a route. Method configs override the
+   * route, which overrides the service.
+   */
+  getRouteProxyOptions(path, method = 'GET') {
+    const route = this.getRoute(path);
+    const service = route
+      ? this.getService(route.serviceName)
+      : this.getServiceForPath(path);
+    const methodConfig = route?.methodConfigs?.[method] || {};
+
+    const retry = {
+      ...service?.retry,
+      ...route?.retry,
+      ...methodConfig.retry,
+    };
+
+    return {
+      timeout:
+        methodConfig.timeout ??
+        route?.timeout ??
+        service?.timeout ??
+        PROXY_DEFAULTS.TIMEOUT,
+      retries: retry.retries ?? PROXY_DEFAULTS.RETRIES,
+      retryDelay: retry.delay ?? PROXY_DEFAULTS.RETRY_DELAY,
+    };
+  }
+
   /**
    * Get all registered services
    */
@@ -216,6 +346,8 @@ export class ServiceRegistry {
     }
 
     this.services.delete(name);
+    this.circuitBreakers.delete(name);
+    this.healthChecks.delete(name);
     console.log(`🔌 Service unregistered: ${name}`);
     return true;
   }
@@ -227,24 +359,90 @@ export class ServiceRegistry {
     const results = new Map();
 
     for (const [name, service] of this.services.entries()) {
-      try {
-        const isHealthy = await this.healthCheckService(service);
-        results.set(name, isHealthy);
+      if (service.status === 'planned') continue;
 
-        // Update service health status
-        service.isHealthy = isHealthy;
-        service.lastHealthCheck = new Date();
+      let isHealthy = false;
+      try {
+        isHealthy = await this.healthCheckService(service);
       } catch (error) {
         console.error(`Health check failed for ${name}:`, error.message);
-        results.set(name, false);
-        service.isHealthy = false;
-        service.lastHealthCheck = new Date();
       }
+
+      results.set(name, isHealthy);
+      this.recordHealthCheck(service, isHealthy);
     }
 
     return results;
   }
 
+  /**
+   * Store a health check result and feed it to the service's circuit breaker
+   */
+  recordHealthCheck(service, isHealthy) {
+    service.isHealthy = isHealthy;
+    service.lastHealthCheck = new Date();
+    this.healthChecks.set(service.name, {
+      healthy: isHealthy,
+      checkedAt: service.lastHealthCheck,
+    });
+
+    const breaker = this.getCircuitBreaker(service.name);
+    if (isHealthy) {
+      breaker?.recordHealthy();
+    } else {
+      breaker?.recordFailure();
+    }
+  }
+
+  /**
+   * Poll every service's healthCheckPath on an interval
+   */
+  startHealthChecks(interval = HEALTH_CHECK.DEFAULT_INTERVAL) {
+    if (this.healthCheckTimer) return;
+
+    const run = async () => {
+      // Skip a tick rather than overlap a slow previous round
+      if (this.healthCheckRunning) return;
+      this.healthCheckRunning = true;
+      try {
+        await this.healthCheckAll();
+      } finally {
+        this.healthCheckRunning = false;
+      }
+    };
+
+    this.healthCheckTimer = setInterval(run, interval);
+    // Never keep the process alive just for health polling
+    this.healthCheckTimer.unref?.();
+    run();
+  }
+
+  stopHealthChecks() {
+    if (this.healthCheckTimer) {
+      clearInterval(this.healthCheckTimer);
+      this.healthCheckTimer = null;
+    }
+  }
+
+  /**
+   * Health and circuit state for every service, for the gateway /health route
+   */
+  getHealthStatus() {
+    const status = {};
+
+    for (const service of this.services.values()) {
+      const circuit = this.getCircuitBreaker(service.name);
+
+      status[service.name] = {
+        healthy: service.isHealthy,
+        lastHealthCheck: service.lastHealthCheck?.toISOString() ?? null,
+        circuit: circuit?.toJSON() ?? { state: CIRCUIT_STATES.CLOSED },
+      };
+    }
+
+    return status;
+  }
+
   /**
    * Health check for a single service
    */
@@ -252,7 +450,10 @@ export class ServiceRegistry {
     try {
       const healthUrl = `${service.baseUrl}${service.healthCheckPath}`;
       const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), service.timeout);
+      const timeoutId = setTimeout(
+        () => controller.abort(),
+        service.healthCheckTimeout ?? HEALTH_CHECK.TIMEOUT
+      );
 
       const response = await fetch(healthUrl, {
         signal: controller.signal,
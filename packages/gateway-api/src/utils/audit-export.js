@@ -0,0 +1,60 @@
+/**
+ * Audit Log Export Serializers
+ * Turn audit entries into CSV or NDJSON lines for streaming downloads
+ */
+
+export const AUDIT_EXPORT_COLUMNS = [
+  'id',
+  'createdAt',
+  'userId',
+  'action',
+  'resource',
+  'ipAddress',
+  'userAgent',
+  'requestId',
+  'metadata',
+];
+
+export const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+/**
+ * Format one CSV cell. Values that a spreadsheet would evaluate as a formula
+ * are prefixed with a quote.
+ */
+export const toCsvCell = value => {
+  if (value === null || value === undefined) return '';
+
+  let text =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === 'object'
+        ? JSON.stringify(value)
+        : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize audit entries line by line
+ * @param {AsyncIterable<Object>} entries - Formatted audit entries
+ * @param {'csv'|'ndjson'} format
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* serializeAuditLogs(entries, format) {
+  if (format === 'csv') {
+    yield `${AUDIT_EXPORT_COLUMNS.join(',')}\n`;
+  }
+
+  for await (const entry of entries) {
+    yield format === 'csv'
+      ? `${AUDIT_EXPORT_COLUMNS.map(column => toCsvCell(entry[column])).join(',')}\n`
+      : `${JSON.stringify(entry)}\n`;
+  }
+}
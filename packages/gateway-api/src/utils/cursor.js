@@ -0,0 +1,48 @@
+/**
+ * Cursor Pagination Utilities
+ * Opaque keyset cursors over (createdAt, id), newest first
+ */
+
+import { ValidationError } from '@shared/core/utils/errors';
+import { API_MESSAGES } from '../constants/index.js';
+
+/**
+ * Encode a row's position as an opaque cursor
+ * @param {{ createdAt: Date|string, id: string }} row - Last row on a page
+ * @returns {string} base64url cursor
+ */
+export const encodeCursor = ({ createdAt, id }) =>
+  Buffer.from(
+    JSON.stringify({ createdAt: new Date(createdAt).toISOString(), id })
+  ).toString('base64url');
+
+/**
+ * Decode a cursor produced by `encodeCursor`
+ * @param {string} cursor - Opaque cursor from a previous response
+ * @returns {{ createdAt: Date, id: string }}
+ * @throws {ValidationError} When the cursor is malformed
+ */
+export const decodeCursor = cursor => {
+  try {
+    const { createdAt, id } = JSON.parse(
+      Buffer.from(String(cursor), 'base64url').toString('utf8')
+    );
+    const date = new Date(createdAt);
+    if (typeof id !== 'string' || !id || Number.isNaN(date.getTime())) {
+      throw new Error('Malformed cursor payload');
+    }
+    return { createdAt: date, id };
+  } catch {
+    throw new ValidationError(API_MESSAGES.ERROR.INVALID_CURSOR, { cursor });
+  }
+};
+
+/**
+ * Prisma `where` fragment selecting rows strictly after a cursor in
+ * descending (createdAt, id) order
+ * @param {{ createdAt: Date, id: string }} position - Decoded cursor
+ * @returns {Object} Prisma where clause
+ */
+export const beforeCursorWhere = ({ createdAt, id }) => ({
+  OR: [{ createdAt: { lt: createdAt } }, { createdAt, id: { lt: id } }],
+});
@@ -0,0 +1,146 @@
+/**
+ * Streaming HTTP Proxy Helpers
+ * Low-level upstream requests used by the ServiceRouter
+ */
+
+import http from 'node:http';
+import https from 'node:https';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { HTTP_STATUS } from '@shared/core/constants';
+import {
+  API_MESSAGES,
+  HOP_BY_HOP_HEADERS,
+  IDEMPOTENT_METHODS,
+  UPSTREAM_ERROR_CODES,
+} from '../constants/index.js';
+
+/**
+ * Failure to get a response from an upstream service
+ */
+export class UpstreamError extends Error {
+  constructor(message, code, cause) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+export const isIdempotentMethod = method =>
+  IDEMPOTENT_METHODS.includes(String(method).toUpperCase());
+
+/**
+ * Copy headers without hop-by-hop ones, including any listed in `Connection`
+ */
+export const stripHopByHopHeaders = (headers = {}) => {
+  const connectionTokens = String(headers.connection || '')
+    .split(',')
+    .map(token => token.trim().toLowerCase())
+    .filter(Boolean);
+  const result = {};
+
+  for (const [name, value] of Object.entries(headers)) {
+    const key = name.toLowerCase();
+    if (
+      value === undefined ||
+      HOP_BY_HOP_HEADERS.includes(key) ||
+      connectionTokens.includes(key)
+    ) {
+      continue;
+    }
+    result[key] = value;
+  }
+
+  return result;
+};
+
+/**
+ * Whether an incoming request carries a body
+ */
+export const hasRequestBody = (headers = {}) =>
+  Number(headers['content-length'] || 0) > 0 ||
+  headers['transfer-encoding'] !== undefined;
+
+/**
+ * Read a request stream into memory so it can be replayed on retry
+ * @throws {Error} 413 when the body exceeds `limit` bytes
+ */
+export const readBody = async (stream, limit) => {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > limit) {
+      const error = new Error(API_MESSAGES.ERROR.PAYLOAD_TOO_LARGE);
+      error.statusCode = HTTP_STATUS.PAYLOAD_TOO_LARGE;
+      throw error;
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Exponential backoff with jitter: delay * 2^attempt + [0, delay)
+ */
+export const getRetryDelay = (attempt, delay) =>
+  delay * 2 ** attempt + Math.floor(Math.random() * delay);
+
+export const waitForRetry = (attempt, delay) =>
+  sleep(getRetryDelay(attempt, delay));
+
+/**
+ * Send a request upstream and resolve with the response stream once its
+ * headers arrive. The abort signal covers the whole exchange, so a response
+ * body that stalls past `timeout` is cut off as well.
+ * @param {Object} options
+ * @param {string} options.url - Absolute upstream URL
+ * @param {string} options.method - HTTP method
+ * @param {Object} options.headers - Headers to send
+ * @param {Buffer|import('stream').Readable} [options.body] - Buffered or streamed body
+ * @param {number} options.timeout - Milliseconds before the request is aborted
+ * @returns {Promise<import('http').IncomingMessage>}
+ * @throws {UpstreamError}
+ */
+export const sendUpstreamRequest = ({ url, method, headers, body, timeout }) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    const upstreamRequest = transport.request(
+      target,
+      { method, headers, signal: controller.signal },
+      response => {
+        response.once('close', () => clearTimeout(timer));
+        resolve(response);
+      }
+    );
+
+    // Not `once`: an abort after the response arrived emits a second error
+    upstreamRequest.on('error', error => {
+      clearTimeout(timer);
+      reject(
+        controller.signal.aborted
+          ? new UpstreamError(
+              `Upstream timed out after ${timeout}ms`,
+              UPSTREAM_ERROR_CODES.TIMEOUT,
+              error
+            )
+          : new UpstreamError(
+              error.message,
+              UPSTREAM_ERROR_CODES.UNAVAILABLE,
+              error
+            )
+      );
+    });
+
+    if (body && typeof body.pipe === 'function') {
+      body.pipe(upstreamRequest);
+    } else {
+      upstreamRequest.end(body);
+    }
+  });
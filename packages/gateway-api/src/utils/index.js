@@ -1 +1,4 @@
-export * from './service-router.js';
\ No newline at end of file
+export * from './service-router.js';
+export * from './cursor.js';
+export * from './totp.js';
+export * from './profile.js';
@@ -0,0 +1,138 @@
+/**
+ * Profile Field Utilities
+ * Validation and normalisation of user-editable profile fields, and the
+ * derived `age`
+ */
+
+import { ValidationError } from '@shared/core/utils/errors';
+import {
+  API_MESSAGES,
+  GENDER_ALIASES,
+  PROFILE_LIMITS,
+} from '../constants/index.js';
+
+const { ERROR } = API_MESSAGES;
+
+// E.164: a plus sign, a country code that doesn't start with 0, at most 15 digits
+const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+// Separators people type between digit groups
+const PHONE_SEPARATORS = /[\s().-]/g;
+
+/**
+ * Whole years between a birthday and `now`, in UTC
+ * @param {Date|string|null} birthday
+ * @param {Date} [now]
+ * @returns {number|null} Null when there is no birthday
+ */
+export const ageFromBirthday = (birthday, now = new Date()) => {
+  if (!birthday) return null;
+
+  const date = new Date(birthday);
+  const age = now.getUTCFullYear() - date.getUTCFullYear();
+  const hadBirthday =
+    now.getUTCMonth() > date.getUTCMonth() ||
+    (now.getUTCMonth() === date.getUTCMonth() &&
+      now.getUTCDate() >= date.getUTCDate());
+
+  return hadBirthday ? age : age - 1;
+};
+
+/**
+ * Strip separators and check the number is E.164
+ * @param {string} value - e.g. `+49 151 1234-5678`
+ * @returns {string} e.g. `+4915112345678`
+ * @throws {ValidationError} When the number isn't E.164
+ */
+export const normalizePhoneNumber = value => {
+  const phoneNumber = String(value).replace(PHONE_SEPARATORS, '');
+  if (!E164_PATTERN.test(phoneNumber)) {
+    throw new ValidationError(ERROR.INVALID_PHONE_NUMBER, {
+      field: 'phoneNumber',
+    });
+  }
+
+  return phoneNumber;
+};
+
+/**
+ * Parse a birthday that must lie in the past and within
+ * PROFILE_LIMITS.MAX_AGE_YEARS
+ * @param {string} value - `YYYY-MM-DD` or an ISO date-time
+ * @param {Date} [now]
+ * @returns {Date}
+ * @throws {ValidationError} When the date is invalid, in the future or too old
+ */
+export const parseBirthday = (value, now = new Date()) => {
+  const birthday = new Date(value);
+  if (
+    Number.isNaN(birthday.getTime()) ||
+    birthday >= now ||
+    ageFromBirthday(birthday, now) > PROFILE_LIMITS.MAX_AGE_YEARS
+  ) {
+    throw new ValidationError(ERROR.INVALID_BIRTHDAY, { field: 'birthday' });
+  }
+
+  return birthday;
+};
+
+/**
+ * Map an accepted gender input to its stored value
+ * @param {string} value - A key of GENDER_ALIASES
+ * @returns {string} A GENDERS value
+ * @throws {ValidationError} For unknown values
+ */
+export const normalizeGender = value => {
+  const gender = Object.hasOwn(GENDER_ALIASES, value)
+    ? GENDER_ALIASES[value]
+    : undefined;
+  if (!gender) {
+    throw new ValidationError(ERROR.INVALID_GENDER, { field: 'gender' });
+  }
+
+  return gender;
+};
+
+/**
+ * Validate and normalise the profile fields of an update. Fields that are
+ * absent stay untouched; `null` clears the optional ones.
+ * @param {Object} fields - firstName, lastName, phoneNumber, birthday,
+ *   address and/or gender
+ * @param {Date} [now]
+ * @returns {Object} Prisma `data` for the update
+ * @throws {ValidationError} With the offending `field` in the details
+ */
+export const normalizeProfileUpdate = (fields, now = new Date()) => {
+  const data = {};
+
+  for (const field of ['firstName', 'lastName', 'address']) {
+    if (fields[field] !== undefined) {
+      data[field] = fields[field] === null ? null : fields[field].trim();
+    }
+  }
+  if (fields.phoneNumber !== undefined) {
+    data.phoneNumber =
+      fields.phoneNumber === null
+        ? null
+        : normalizePhoneNumber(fields.phoneNumber);
+  }
+  if (fields.birthday !== undefined) {
+    data.birthday =
+      fields.birthday === null ? null : parseBirthday(fields.birthday, now);
+  }
+  if (fields.gender !== undefined) {
+    data.gender =
+      fields.gender === null ? null : normalizeGender(fields.gender);
+  }
+
+  return data;
+};
+
+/**
+ * Add the derived `age` to a user record
+ * @param {Object} user - Needs `birthday` when age should be set
+ * @returns {Object}
+ */
+export const withAge = user => ({
+  ...user,
+  age: ageFromBirthday(user.birthday),
+});
@@ -1,161 +1,373 @@
 /**
  * Dynamic Service Router
- * Generates Fastify routes for microservices based on configuration
+ * Generates Fastify proxy routes for every service in the service registry
  */
 
-import { gatewayConfig } from '../../config/fastify.config.js';
+import { randomUUID } from 'crypto';
+import { AUTH_CONSTANTS, HTTP_STATUS } from '@shared/core/constants';
+import {
+  GATEWAY_SIGNATURE_HEADERS,
+  signGatewayRequest,
+} from '@shared/core/auth';
+import { serviceRegistry } from '../services/service-registry.js';
+import {
+  API_MESSAGES,
+  RETRYABLE_STATUSES,
+  UPSTREAM_ERROR_CODES,
+} from '../constants/index.js';
+import {
+  hasRequestBody,
+  isIdempotentMethod,
+  readBody,
+  sendUpstreamRequest,
+  stripHopByHopHeaders,
+  waitForRetry,
+} from './http-proxy.js';
+
+// Identity headers are only ever set by the gateway itself
+const FORWARDED_USER_HEADERS = [
+  'x-user-id',
+  'x-user-email',
+  'x-user-roles',
+  'x-user-permissions',
+  ...Object.values(GATEWAY_SIGNATURE_HEADERS),
+];
 
 /**
  * Service route generator
  */
 export class ServiceRouter {
-  constructor(fastify) {
+  /**
+   * @param {import('fastify').FastifyInstance} fastify
+   * @param {ServiceRegistry} [registry]
+   * @param {{ signingSecret?: string }} [options] - Secret the identity
+   *   headers are signed with; unsigned when not set
+   */
+  constructor(fastify, registry = serviceRegistry, { signingSecret } = {}) {
     this.fastify = fastify;
+    this.registry = registry;
+    this.signingSecret = signingSecret || null;
   }
 
   /**
-   * Register all service routes from configuration
+   * Register proxy routes for all registered services
    */
   async registerAllServices() {
-    for (const [category, services] of Object.entries(gatewayConfig.services)) {
-      if (typeof services === 'object' && services.url) {
-        // Single service (like college, internship)
-        await this.registerService(category, services);
-      } else {
-        // Service category with multiple services (like recruitment)
-        for (const [serviceName, serviceConfig] of Object.entries(services)) {
-          await this.registerService(
-            `${category}-${serviceName}`,
-            serviceConfig
-          );
-        }
+    const router = this;
+
+    await this.fastify.register(async function serviceProxyRoutes(instance) {
+      // Request bodies are piped to the service untouched, not parsed
+      instance.removeAllContentTypeParsers();
+      instance.addContentTypeParser('*', (request, payload, done) =>
+        done(null)
+      );
+
+      for (const service of router.registry.getAllServices()) {
+        await router.registerService(service, instance);
       }
-    }
+    });
   }
 
   /**
-   * Register a single service
+   * Register a single service under its basePath
    */
-  async registerService(serviceName, serviceConfig) {
-    if (serviceConfig.status === 'planned') {
+  async registerService(service, instance = this.fastify) {
+    if (service.status === 'planned') {
       // Register placeholder for planned services
-      await this.registerPlaceholderService(serviceName, serviceConfig);
+      await this.registerPlaceholderService(service, instance);
       return;
     }
 
-    const logger = this.fastify.log;
-    
-    this.fastify.register(
-      async function (fastify) {
-        // Apply authentication if required
-        if (serviceConfig.auth === 'required') {
-          fastify.addHook('preHandler', fastify.authenticate);
-        } else if (serviceConfig.auth === 'optional') {
-          fastify.addHook('preHandler', async (request, reply) => {
-            try {
-              await request.jwtVerify();
-            } catch (err) {
-              // Optional auth - continue without user
-              request.user = null;
-            }
-          });
-        }
+    const routeOptions = {
+      preHandler: this.createAuthPreHandler(),
+      schema: {
+        description: `Proxy to ${service.name}`,
+        tags: ['Proxy'],
+        security: service.authentication?.authMethods?.includes(
+          AUTH_CONSTANTS.AUTH_METHODS.API_KEY
+        )
+          ? [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+          : [{ bearerAuth: [] }],
+      },
+    };
+    const handler = (request, reply) =>
+      this.proxyRequest(request, reply, service);
 
-        // Apply role-based authorization
-        if (serviceConfig.roles && serviceConfig.roles.length > 0) {
-          fastify.addHook('preHandler', fastify.authorize(serviceConfig.roles));
-        }
+    instance.all(service.basePath, routeOptions, handler);
+    instance.all(`${service.basePath}/*`, routeOptions, handler);
 
-        // Register HTTP proxy
-        await fastify.register(import('@fastify/http-proxy'), {
-          upstream: serviceConfig.url,
-          prefix: serviceConfig.prefix,
-          rewritePrefix: serviceConfig.rewritePrefix,
-          preHandler: async (request, reply) => {
-            // Add user context headers
-            if (request.user) {
-              request.headers['x-user-id'] = request.user.id;
-              request.headers['x-user-email'] = request.user.email;
-              request.headers['x-user-roles'] = JSON.stringify(
-                request.user.roles || []
-              );
-            }
-
-            // Add request ID for tracing
-            request.headers['x-request-id'] = request.id;
-            request.headers['x-gateway-version'] = '2.0.0';
-            request.headers['x-service-name'] = serviceName;
-          },
-          replyOptions: {
-            rewriteRequestHeaders: (originalReq, headers) => {
-              // Remove sensitive headers
-              delete headers.authorization;
-              return headers;
-            },
-          },
-          retries: 3,
-          timeout: 30000,
-        });
+    this.fastify.log.info(
+      `✅ Registered service: ${service.name} ${service.basePath} -> ${service.baseUrl}${service.rewritePrefix}`
+    );
+  }
 
-        logger.info(
-          `✅ Registered service: ${serviceName} -> ${serviceConfig.url}`
-        );
-      },
-      { prefix: serviceConfig.prefix }
+  /**
+   * Build a preHandler that applies the auth, role and permission rules the
+   * registry resolves for the request path and method, accepting the
+   * credentials the route's authMethods allow
+   */
+  createAuthPreHandler() {
+    const { fastify, registry } = this;
+
+    return async function (request, reply) {
+      const path = request.url.split('?')[0];
+      const {
+        requireAuth,
+        requireRoles = [],
+        requirePermissions = [],
+        authMethods,
+      } = registry.getRouteAuth(path, request.method);
+
+      return fastify.createAuthPreHandler({
+        requireAuth:
+          requireAuth ||
+          requireRoles.length > 0 ||
+          requirePermissions.length > 0,
+        roles: requireRoles,
+        permissions: requirePermissions,
+        methods: authMethods,
+      })(request, reply);
+    };
+  }
+
+  /**
+   * Map a gateway URL onto the service's upstream URL
+   */
+  buildTargetUrl(url, service) {
+    const suffix = url.slice(service.basePath.length);
+    return `${service.baseUrl}${service.rewritePrefix}${suffix}`;
+  }
+
+  /**
+   * Headers sent upstream: the client's end-to-end headers plus the caller's
+   * user context and tracing headers
+   */
+  buildUpstreamHeaders(request, service) {
+    const headers = stripHopByHopHeaders(request.headers);
+
+    // Never trust identity headers sent by the client
+    for (const header of FORWARDED_USER_HEADERS) {
+      delete headers[header];
+    }
+
+    if (request.user) {
+      headers['x-user-id'] = request.user.id;
+      headers['x-user-email'] = request.user.email;
+      headers['x-user-roles'] = JSON.stringify(request.user.roles || []);
+      headers['x-user-permissions'] = JSON.stringify(
+        request.user.permissions || []
+      );
+    }
+
+    // Add request ID for tracing
+    headers['x-gateway-forwarded'] = 'true';
+    headers['x-request-id'] = request.id || randomUUID();
+    headers['x-gateway-version'] = '2.0.0';
+    headers['x-service-name'] = service.name;
+    headers['x-forwarded-for'] = [
+      request.headers['x-forwarded-for'],
+      request.ip,
+    ]
+      .filter(Boolean)
+      .join(', ');
+    headers['x-forwarded-proto'] = request.protocol;
+
+    // Remove credentials as we forward user context instead
+    delete headers.authorization;
+    delete headers[AUTH_CONSTANTS.HEADER_NAMES.API_KEY.toLowerCase()];
+    delete headers.host;
+
+    return headers;
+  }
+
+  /**
+   * Add the gateway signature for one attempt. Each attempt gets its own
+   * nonce; services reject nonces they have already seen.
+   */
+  signUpstreamHeaders(headers, method, targetUrl) {
+    if (!this.signingSecret) return headers;
+
+    const { pathname, search } = new URL(targetUrl);
+    return {
+      ...headers,
+      ...signGatewayRequest(headers, {
+        method,
+        path: `${pathname}${search}`,
+        secret: this.signingSecret,
+      }),
+    };
+  }
+
+  /**
+   * Send an error response for a request the gateway could not complete
+   */
+  sendProxyError(reply, statusCode, code, service, extra = {}) {
+    return reply.status(statusCode).send({
+      success: false,
+      error: API_MESSAGES.ERROR[code],
+      code,
+      service: service.name,
+      ...extra,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Stream a request to a service and the response back to the client.
+   * Idempotent methods are retried with backoff on connection failures and
+   * 502/503/504 responses; their bodies are buffered so they can be replayed.
+   */
+  async proxyRequest(request, reply, service) {
+    const path = request.url.split('?')[0];
+    const { timeout, retries, retryDelay } = this.registry.getRouteProxyOptions(
+      path,
+      request.method
     );
+    const maxAttempts = isIdempotentMethod(request.method) ? retries + 1 : 1;
+    const headers = this.buildUpstreamHeaders(request, service);
+
+    let body;
+    if (hasRequestBody(request.headers)) {
+      if (maxAttempts > 1) {
+        body = await readBody(
+          request.raw,
+          this.fastify.initialConfig.bodyLimit
+        );
+        headers['content-length'] = String(body.length);
+      } else {
+        body = request.raw;
+      }
+    }
+
+    const breaker = this.registry.getCircuitBreaker(service.name);
+
+    // Fail fast while the service's circuit is open
+    if (breaker && !breaker.canRequest()) {
+      const retryAfter = breaker.getRetryAfterSeconds();
+      reply.header('Retry-After', String(retryAfter));
+      return this.sendProxyError(
+        reply,
+        HTTP_STATUS.SERVICE_UNAVAILABLE,
+        'CIRCUIT_OPEN',
+        service,
+        { retryAfter }
+      );
+    }
+
+    const targetUrl = this.buildTargetUrl(request.url, service);
+    let upstreamResponse;
+    let lastError;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      if (attempt > 0) {
+        await waitForRetry(attempt - 1, retryDelay);
+      }
+
+      this.fastify.log.info(
+        `Proxying ${request.method} ${request.url} -> ${targetUrl}` +
+          (attempt > 0 ? ` (retry ${attempt})` : '')
+      );
+
+      try {
+        upstreamResponse = await sendUpstreamRequest({
+          url: targetUrl,
+          method: request.method,
+          headers: this.signUpstreamHeaders(headers, request.method, targetUrl),
+          body,
+          timeout,
+        });
+        lastError = null;
+      } catch (error) {
+        upstreamResponse = null;
+        lastError = error;
+        // A timed-out attempt already used the caller's time budget
+        if (error.code === UPSTREAM_ERROR_CODES.TIMEOUT) break;
+        continue;
+      }
+
+      const isLastAttempt = attempt === maxAttempts - 1;
+      if (
+        isLastAttempt ||
+        !RETRYABLE_STATUSES.includes(upstreamResponse.statusCode)
+      ) {
+        break;
+      }
+      // Discard the failed response before trying again
+      upstreamResponse.resume();
+    }
+
+    if (!upstreamResponse) {
+      breaker?.recordFailure();
+      this.fastify.log.error(
+        `Service proxy error (${service.name}): ${lastError.message}`
+      );
+
+      return lastError.code === UPSTREAM_ERROR_CODES.TIMEOUT
+        ? this.sendProxyError(
+            reply,
+            HTTP_STATUS.GATEWAY_TIMEOUT,
+            UPSTREAM_ERROR_CODES.TIMEOUT,
+            service
+          )
+        : this.sendProxyError(
+            reply,
+            HTTP_STATUS.BAD_GATEWAY,
+            UPSTREAM_ERROR_CODES.UNAVAILABLE,
+            service
+          );
+    }
+
+    // Upstream 5xx responses count against the circuit, 4xx do not
+    if (upstreamResponse.statusCode >= HTTP_STATUS.INTERNAL_SERVER_ERROR) {
+      breaker?.recordFailure();
+    } else {
+      breaker?.recordSuccess();
+    }
+
+    return reply
+      .status(upstreamResponse.statusCode)
+      .headers(stripHopByHopHeaders(upstreamResponse.headers))
+      .send(upstreamResponse);
   }
 
   /**
    * Register placeholder for planned services
    */
-  async registerPlaceholderService(serviceName, serviceConfig) {
-    const prefix = serviceConfig.prefix;
-    const logger = this.fastify.log;
+  async registerPlaceholderService(service, instance = this.fastify) {
+    const { name, basePath } = service;
     const getPlannedFeatures = this.getPlannedFeatures.bind(this);
     const getEstimatedAvailability = this.getEstimatedAvailability.bind(this);
 
-    this.fastify.register(async function (fastify) {
-      // Apply authentication for planned services too
-      if (serviceConfig.auth === 'required') {
-        fastify.addHook('preHandler', fastify.authenticate);
-      }
-
-      // Catch-all route for planned service
-      fastify.all(
-        `${prefix}/*`,
-        {
-          schema: {
-            description: `${serviceName} service placeholder`,
-            tags: [serviceName.split('-')[0]],
-            security:
-              serviceConfig.auth === 'required'
-                ? [{ bearerAuth: [] }]
-                : undefined,
-          },
+    // Catch-all route for planned service
+    instance.all(
+      `${basePath}/*`,
+      {
+        preHandler: this.createAuthPreHandler(),
+        schema: {
+          description: `${name} service placeholder`,
+          tags: [service.metadata?.type || name],
         },
-        async (request, reply) => {
-          return {
-            message: `${serviceName} service not yet implemented`,
-            path: request.url,
-            method: request.method,
-            userRoles: request.user?.roles || [],
-            note: `This endpoint will be available when ${serviceName} service is deployed`,
-            plannedFeatures: getPlannedFeatures(serviceName),
-            estimatedAvailability: getEstimatedAvailability(serviceName),
-          };
-        }
-      );
+      },
+      async (request, reply) => {
+        return {
+          message: `${name} service not yet implemented`,
+          path: request.url,
+          method: request.method,
+          userRoles: request.user?.roles || [],
+          note: `This endpoint will be available when ${name} service is deployed`,
+          plannedFeatures: getPlannedFeatures(service),
+          estimatedAvailability: getEstimatedAvailability(service),
+        };
+      }
+    );
 
-      logger.info(
-        `📋 Registered placeholder: ${serviceName} -> ${prefix}`
-      );
-    });
+    this.fastify.log.info(`📋 Registered placeholder: ${name} -> ${basePath}`);
   }
 
   /**
    * Get planned features for a service
    */
-  getPlannedFeatures(serviceName) {
+  getPlannedFeatures(service) {
     const features = {
       college: [
         'Student management',
@@ -174,20 +386,16 @@ export class ServiceRouter {
     };
 
     return (
-      features[serviceName.split('-')[0]] || ['Feature planning in progress']
+      service.metadata?.plannedFeatures ||
+      features[service.metadata?.type] || ['Feature planning in progress']
     );
   }
 
   /**
    * Get estimated availability for a service
    */
-  getEstimatedAvailability(serviceName) {
-    const availability = {
-      college: 'Q2 2024',
-      internship: 'Q3 2024',
-    };
-
-    return availability[serviceName.split('-')[0]] || 'TBD';
+  getEstimatedAvailability(service) {
+    return service.metadata?.estimatedAvailability || 'TBD';
   }
 
   /**
@@ -207,26 +415,10 @@ export class ServiceRouter {
       async (request, reply) => {
         const serviceStatus = {};
 
-        for (const [category, services] of Object.entries(
-          gatewayConfig.services
-        )) {
-          if (typeof services === 'object' && services.url) {
-            serviceStatus[category] = await this.checkServiceHealth(
-              category,
-              services.url
-            );
-          } else {
-            for (const [serviceName, serviceConfig] of Object.entries(
-              services
-            )) {
-              if (serviceConfig.status !== 'planned') {
-                serviceStatus[`${category}-${serviceName}`] =
-                  await this.checkServiceHealth(
-                    `${category}-${serviceName}`,
-                    serviceConfig.url
-                  );
-              }
-            }
+        for (const service of this.registry.getAllServices()) {
+          if (service.status !== 'planned') {
+            serviceStatus[service.name] =
+              await this.checkServiceHealth(service);
           }
         }
 
@@ -242,32 +434,31 @@ export class ServiceRouter {
   /**
    * Check individual service health
    */
-  async checkServiceHealth(serviceName, serviceUrl) {
+  async checkServiceHealth(service) {
     const start = Date.now();
+    const url = `${service.baseUrl}${service.healthCheckPath}`;
 
     try {
-      const response = await fetch(`${serviceUrl}/health`, {
+      const response = await fetch(url, {
         method: 'GET',
-        timeout: 5000,
+        signal: AbortSignal.timeout(5000),
         headers: {
           'User-Agent': 'FastifyGateway/2.0.0',
         },
       });
 
-      const responseTime = Date.now() - start;
-
       return {
         status: response.ok ? 'healthy' : 'unhealthy',
-        responseTime,
+        responseTime: Date.now() - start,
         statusCode: response.status,
-        url: serviceUrl,
+        url,
       };
     } catch (error) {
       return {
         status: 'unhealthy',
         error: error.message,
         responseTime: Date.now() - start,
-        url: serviceUrl,
+        url,
       };
     }
   }
@@ -286,8 +477,8 @@ export class ServiceRouter {
             200: {
               type: 'object',
               properties: {
-                services: { type: 'object' },
-                gateway: { type: 'object' },
+                services: { type: 'object', additionalProperties: true },
+                gateway: { type: 'object', additionalProperties: true },
               },
             },
           },
@@ -296,29 +487,17 @@ export class ServiceRouter {
       async (request, reply) => {
         const services = {};
 
-        for (const [category, categoryServices] of Object.entries(
-          gatewayConfig.services
-        )) {
-          if (typeof categoryServices === 'object' && categoryServices.url) {
-            services[category] = {
-              prefix: categoryServices.prefix,
-              status: categoryServices.status || 'active',
-              auth: categoryServices.auth,
-              roles: categoryServices.roles,
-            };
-          } else {
-            services[category] = {};
-            for (const [serviceName, serviceConfig] of Object.entries(
-              categoryServices
-            )) {
-              services[category][serviceName] = {
-                prefix: serviceConfig.prefix,
-                status: serviceConfig.status || 'active',
-                auth: serviceConfig.auth,
-                roles: serviceConfig.roles,
-              };
-            }
-          }
+        for (const service of this.registry.getAllServices()) {
+          services[service.name] = {
+            prefix: service.basePath,
+            status: service.status,
+            auth: service.authentication?.requireAuth ? 'required' : 'optional',
+            roles: service.authentication?.requireRoles || [],
+            permissions: service.authentication?.requirePermissions || [],
+            authMethods: service.authentication?.authMethods || [
+              AUTH_CONSTANTS.AUTH_METHODS.JWT,
+            ],
+          };
         }
 
         return {
@@ -0,0 +1,147 @@
+/**
+ * TOTP Utilities
+ * RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 second
+ * steps), compatible with common authenticator apps
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_DEFAULTS = {
+  DIGITS: 6,
+  PERIOD_SECONDS: 30,
+  WINDOW: 1, // Steps accepted either side of the current one (clock drift)
+  SECRET_BYTES: 20,
+};
+
+/**
+ * RFC 4648 base32 without padding, as used in otpauth URIs
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export const base32Encode = buffer => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} input
+ * @returns {Buffer}
+ * @throws {Error} On characters outside the base32 alphabet
+ */
+export const base32Decode = input => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character "${char}"`);
+
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret
+ * @returns {string}
+ */
+export const generateTotpSecret = () =>
+  base32Encode(randomBytes(TOTP_DEFAULTS.SECRET_BYTES));
+
+/**
+ * Time step a moment falls in
+ * @param {number} [now] - Milliseconds since the epoch
+ * @returns {number}
+ */
+export const getTimeStep = (now = Date.now()) =>
+  Math.floor(now / 1000 / TOTP_DEFAULTS.PERIOD_SECONDS);
+
+/**
+ * Code for a time step (RFC 4226 HOTP with the step as counter)
+ * @param {string} secret - base32 secret
+ * @param {number} step
+ * @returns {string} Zero-padded code
+ */
+export const generateTotp = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = createHmac('sha1', base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DEFAULTS.DIGITS).padStart(
+    TOTP_DEFAULTS.DIGITS,
+    '0'
+  );
+};
+
+/**
+ * Find the time step a code belongs to, within the drift window
+ * @param {string} secret - base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [now] - Milliseconds since the epoch
+ * @returns {number|null} Matching step, or null when the code is wrong
+ */
+export const verifyTotp = (secret, code, now = Date.now()) => {
+  const candidate = Buffer.from(String(code));
+  if (candidate.length !== TOTP_DEFAULTS.DIGITS) return null;
+
+  const current = getTimeStep(now);
+  for (
+    let step = current - TOTP_DEFAULTS.WINDOW;
+    step <= current + TOTP_DEFAULTS.WINDOW;
+    step++
+  ) {
+    if (timingSafeEqual(candidate, Buffer.from(generateTotp(secret, step)))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * `otpauth://` URI for authenticator apps (usually shown as a QR code)
+ * @param {{ secret: string, accountName: string, issuer: string }} options
+ * @returns {string}
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DEFAULTS.DIGITS),
+    period: String(TOTP_DEFAULTS.PERIOD_SECONDS),
+  });
+
+  return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}?${params}`;
+};
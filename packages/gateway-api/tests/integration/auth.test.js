@@ -12,6 +12,7 @@ let gatewayApp;
 let testUser;
 let adminUser;
 let userToken;
+let userRefreshToken;
 let adminToken;
 
 // Test database path
@@ -166,8 +167,9 @@ describe('Gateway Authentication Tests', () => {
       expect(body.data.roles).toContain('user');
       expect(body.meta).toBeDefined();
 
-      // Store token for subsequent tests
+      // Store tokens for subsequent tests
       userToken = body.token;
+      userRefreshToken = body.data.refreshToken;
     });
 
     test('should not login with invalid email', async () => {
@@ -257,8 +259,8 @@ describe('Gateway Authentication Tests', () => {
       const response = await gatewayApp.inject({
         method: 'POST',
         url: '/auth/refresh',
-        headers: {
-          authorization: `Bearer ${userToken}`
+        payload: {
+          refreshToken: userRefreshToken
         }
       });
 
@@ -267,16 +269,27 @@ describe('Gateway Authentication Tests', () => {
       expect(body.success).toBe(true);
       expect(body.token).toBeDefined();
       expect(body.token).not.toBe(userToken); // Should be a new token
+      expect(body.refreshToken).not.toBe(userRefreshToken); // Rotated
       expect(body.data).toBeDefined();
       expect(body.meta).toBeDefined();
+
+      // The presented refresh token is single use
+      const replay = await gatewayApp.inject({
+        method: 'POST',
+        url: '/auth/refresh',
+        payload: {
+          refreshToken: userRefreshToken
+        }
+      });
+      expect(replay.statusCode).toBe(401);
     });
 
     test('should not refresh with invalid token', async () => {
       const response = await gatewayApp.inject({
         method: 'POST',
         url: '/auth/refresh',
-        headers: {
-          authorization: 'Bearer invalid-token'
+        payload: {
+          refreshToken: 'invalid-token'
         }
       });
 
@@ -67,8 +67,8 @@ describe('User Endpoints - Simple Tests', () => {
           firstName: 'علی',
           lastName: 'احمدی',
           phoneNumber: '+9809123456789',
-          age: 28,
-          gender: 'مرد',
+          birthday: new Date('1996-03-21'),
+          gender: 'male',
           address: 'خیابان ولیعصر، پلاک 123، تهران، تهران',
           isActive: true,
           isVerified: true,
@@ -281,7 +281,7 @@ describe('User Endpoints - Simple Tests', () => {
 
       expect(response.statusCode).toBe(200);
       const body = JSON.parse(response.body);
-      expect(body.data.gender).toBe('زن');
+      expect(body.data.gender).toBe('female');
     });
   });
 
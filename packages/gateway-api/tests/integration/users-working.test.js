@@ -282,10 +282,10 @@ describe('User Endpoints - Working Tests', () => {
       expect(body.data.age).toBeGreaterThan(30);
     });
 
-    test('should accept valid Persian gender values', async () => {
-      const genders = ['مرد', 'زن', 'ترجیح می‌دهم نگویم'];
+    test('should store Persian gender values normalised', async () => {
+      const genders = { 'مرد': 'male', 'زن': 'female', 'ترجیح می‌دهم نگویم': 'undisclosed' };
       
-      for (const gender of genders) {
+      for (const [gender, stored] of Object.entries(genders)) {
         const response = await app.inject({
           method: 'PUT',
           url: `/api/users/${testUser.id}`,
@@ -298,7 +298,7 @@ describe('User Endpoints - Working Tests', () => {
 
         expect(response.statusCode).toBe(200);
         const body = JSON.parse(response.body);
-        expect(body.data.gender).toBe(gender);
+        expect(body.data.gender).toBe(stored);
       }
     });
 
@@ -55,8 +55,8 @@ describe('User Endpoints - Comprehensive Tests', () => {
         firstName: 'علی',
         lastName: 'احمدی',
         phoneNumber: '+9809123456789',
-        age: 28,
-        gender: 'مرد',
+        birthday: new Date('1996-03-21'),
+        gender: 'male',
         address: 'خیابان ولیعصر، پلاک 123، تهران، تهران، کد پستی: 12345',
         isActive: true,
         isVerified: true,
@@ -105,8 +105,7 @@ describe('User Endpoints - Comprehensive Tests', () => {
         firstName: i % 2 === 0 ? 'محمد' : 'فاطمه',
         lastName: `تستی${i}`,
         phoneNumber: `+98091234567${i.toString().padStart(2, '0')}`,
-        age: 20 + (i % 45),
-        gender: i % 3 === 0 ? 'مرد' : i % 3 === 1 ? 'زن' : 'ترجیح می‌دهم نگویم',
+        gender: i % 3 === 0 ? 'male' : i % 3 === 1 ? 'female' : 'undisclosed',
         isActive: i % 10 !== 0, // 90% active
         isVerified: i % 5 !== 0, // 80% verified
         address: `خیابان تست، پلاک ${i + 1}، تهران، تهران`,
@@ -574,10 +573,10 @@ describe('User Endpoints - Comprehensive Tests', () => {
       expect(response.statusCode).toBe(400);
     });
 
-    test('should accept valid Persian gender values', async () => {
-      const genders = ['مرد', 'زن', 'ترجیح می‌دهم نگویم'];
+    test('should store Persian gender values normalised', async () => {
+      const genders = { 'مرد': 'male', 'زن': 'female', 'ترجیح می‌دهم نگویم': 'undisclosed' };
       
-      for (const gender of genders) {
+      for (const [gender, stored] of Object.entries(genders)) {
         const response = await app.inject({
           method: 'PUT',
           url: `/api/users/${testUser.id}`,
@@ -590,7 +589,7 @@ describe('User Endpoints - Comprehensive Tests', () => {
 
         expect(response.statusCode).toBe(200);
         const body = JSON.parse(response.body);
-        expect(body.data.gender).toBe(gender);
+        expect(body.data.gender).toBe(stored);
       }
     });
 
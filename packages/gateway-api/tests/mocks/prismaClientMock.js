@@ -71,4 +71,78 @@ export class PrismaClient {
   }
 }
 
-export default PrismaClient;
\ No newline at end of file
+export default PrismaClient;
+
+// Models of prisma/schema.prisma, as named on the client
+const MODELS = [
+  'user',
+  'role',
+  'userRole',
+  'permission',
+  'rolePermission',
+  'userPermission',
+  'refreshToken',
+  'auditLog',
+  'revokedToken',
+  'loginThrottle',
+  'verificationToken',
+  'recoveryCode',
+  'session',
+  'apiKey',
+  'apiKeyPermission',
+  'oAuthClient',
+  'oAuthClientPermission',
+  'impersonationToken',
+];
+
+// Methods that return collections or counts resolve to empty ones, so
+// services can call them without every test having to set them up
+const createDelegate = () => ({
+  create: jest.fn(),
+  createMany: jest.fn().mockResolvedValue({ count: 0 }),
+  findUnique: jest.fn(),
+  findUniqueOrThrow: jest.fn(),
+  findFirst: jest.fn(),
+  findMany: jest.fn().mockResolvedValue([]),
+  update: jest.fn(),
+  updateMany: jest.fn().mockResolvedValue({ count: 0 }),
+  upsert: jest.fn(),
+  delete: jest.fn(),
+  deleteMany: jest.fn().mockResolvedValue({ count: 0 }),
+  count: jest.fn().mockResolvedValue(0),
+});
+
+/**
+ * Prisma client stand-in for unit tests that hand a client to a service.
+ * Every model has the usual delegate methods as mocks; `$transaction`
+ * takes either an array of operations or an interactive callback.
+ * @param {Object} [overrides] - Delegate methods to replace, keyed by model
+ *   (e.g. `{ user: { findUnique: jest.fn() } }`); other keys are set as is
+ * @returns {Object}
+ */
+export const createPrismaMock = (overrides = {}) => {
+  const prisma = Object.fromEntries(
+    MODELS.map(model => [model, createDelegate()])
+  );
+
+  for (const [key, value] of Object.entries(overrides)) {
+    prisma[key] = MODELS.includes(key) ? { ...prisma[key], ...value } : value;
+  }
+
+  prisma.$transaction ??= jest.fn(operations =>
+    typeof operations === 'function'
+      ? operations(prisma)
+      : Promise.all(operations)
+  );
+  return prisma;
+};
+
+/**
+ * Whether a row matches every field of a simple equality `where`, for
+ * in-memory delegates
+ * @param {Object} row
+ * @param {Object} where
+ * @returns {boolean}
+ */
+export const matchesWhere = (row, where) =>
+  Object.entries(where).every(([field, value]) => row[field] === value);
@@ -0,0 +1,418 @@
+/**
+ * API Key Unit Tests
+ * Tests key creation and authentication, the self-service key routes and
+ * per-route JWT/API key auth on proxied services
+ */
+
+import {
+  jest,
+  test,
+  beforeAll,
+  beforeEach,
+  afterAll,
+  describe,
+  expect,
+} from '@jest/globals';
+import { createHash } from 'node:crypto';
+import Fastify from 'fastify';
+import { authPlugin, jwtService } from '@shared/core/auth';
+import { ApiKeyService } from '../../database/apiKeyService.js';
+import { ServiceRegistry } from '../../src/services/service-registry.js';
+import { ServiceRouter } from '../../src/utils/service-router.js';
+import { apiKeyRoutes } from '../../src/routes/index.js';
+import { createPrismaMock } from '../mocks/prismaClientMock.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const options = { maxActivePerUser: 2, defaultTtlDays: 90, maxTtlDays: 365 };
+const verificationOptions = { mode: 'off', unverifiedPermissions: [] };
+
+const permission = name => ({ permission: { name } });
+
+const buildOwner = (overrides = {}) => ({
+  id: 'user-1',
+  email: 'user@example.com',
+  isActive: true,
+  isVerified: true,
+  twoFactorEnabled: false,
+  roles: [
+    {
+      role: {
+        name: 'user',
+        isActive: true,
+        permissions: [permission('read:comments')],
+      },
+    },
+  ],
+  permissions: [permission('write:comments')],
+  ...overrides,
+});
+
+const buildApiKey = (overrides = {}) => ({
+  id: 'key-1',
+  userId: 'user-1',
+  name: 'CI',
+  prefix: 'pk_abcdefgh',
+  keyHash: 'hash',
+  createdAt: new Date('2025-10-01T00:00:00Z'),
+  expiresAt: new Date(Date.now() + DAY),
+  lastUsedAt: null,
+  revokedAt: null,
+  permissions: [permission('read:comments')],
+  user: buildOwner(),
+  ...overrides,
+});
+
+const mockPrisma = () =>
+  createPrismaMock({
+    user: { findUnique: jest.fn().mockResolvedValue(buildOwner()) },
+    permission: {
+      findMany: jest.fn(async ({ where }) =>
+        where.name.in
+          .filter(name => ['read:comments', 'delete:comments'].includes(name))
+          .map(name => ({ id: `perm-${name}`, name }))
+      ),
+    },
+    apiKey: {
+      create: jest.fn(async ({ data }) => ({
+        id: 'key-1',
+        createdAt: new Date(),
+        lastUsedAt: null,
+        ...data,
+        permissions: data.permissions.create.map(({ permissionId }) =>
+          permission(permissionId.replace('perm-', ''))
+        ),
+      })),
+      updateMany: jest.fn().mockResolvedValue({ count: 1 }),
+    },
+  });
+
+describe('ApiKeyService', () => {
+  let prisma;
+  let service;
+
+  beforeEach(() => {
+    prisma = mockPrisma();
+    service = new ApiKeyService(prisma, options, verificationOptions);
+  });
+
+  test('should return the key once and store only its hash', async () => {
+    const created = await service.createKey('user-1', {
+      name: 'CI',
+      scopes: ['read:comments'],
+    });
+
+    expect(created.key).toMatch(/^pk_[\w-]{43}$/);
+    expect(created).toMatchObject({
+      prefix: created.key.slice(0, 11),
+      scopes: ['read:comments'],
+    });
+
+    const { data } = prisma.apiKey.create.mock.calls[0][0];
+    expect(data.keyHash).toBe(
+      createHash('sha256').update(created.key).digest('hex')
+    );
+    expect(JSON.stringify(data)).not.toContain(created.key);
+    expect(data.permissions.create).toEqual([
+      { permissionId: 'perm-read:comments' },
+    ]);
+    expect(data.expiresAt.getTime()).toBeCloseTo(Date.now() + 90 * DAY, -4);
+  });
+
+  test('should reject scopes that are not permissions', async () => {
+    await expect(
+      service.createKey('user-1', { name: 'CI', scopes: ['read:everything'] })
+    ).rejects.toMatchObject({
+      statusCode: 404,
+      details: { missing: ['read:everything'] },
+    });
+  });
+
+  test('should reject scopes the owner does not hold', async () => {
+    await expect(
+      service.createKey('user-1', { name: 'CI', scopes: ['delete:comments'] })
+    ).rejects.toMatchObject({
+      statusCode: 403,
+      details: { scopes: ['delete:comments'] },
+    });
+    expect(prisma.apiKey.create).not.toHaveBeenCalled();
+  });
+
+  test('should limit the number of active keys', async () => {
+    prisma.apiKey.count.mockResolvedValue(2);
+
+    await expect(
+      service.createKey('user-1', { name: 'CI', scopes: ['read:comments'] })
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('should act as the owner within the scopes the owner still holds', async () => {
+    prisma.apiKey.findUnique.mockResolvedValue(
+      buildApiKey({
+        permissions: [permission('read:comments'), permission('write:users')],
+      })
+    );
+
+    const user = await service.authenticate('pk_secret');
+
+    expect(prisma.apiKey.findUnique.mock.calls[0][0].where).toEqual({
+      keyHash: createHash('sha256').update('pk_secret').digest('hex'),
+    });
+    expect(user).toEqual({
+      id: 'user-1',
+      email: 'user@example.com',
+      roles: [],
+      permissions: ['read:comments'],
+      apiKeyId: 'key-1',
+      authMethod: 'apiKey',
+    });
+    expect(prisma.apiKey.update).toHaveBeenCalledWith({
+      where: { id: 'key-1' },
+      data: { lastUsedAt: expect.any(Date) },
+    });
+  });
+
+  test('should only record use once per resolution window', async () => {
+    prisma.apiKey.findUnique.mockResolvedValue(
+      buildApiKey({ lastUsedAt: new Date(Date.now() - 1000) })
+    );
+
+    await expect(service.authenticate('pk_secret')).resolves.not.toBeNull();
+    expect(prisma.apiKey.update).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['unknown', null],
+    ['revoked', buildApiKey({ revokedAt: new Date() })],
+    ['expired', buildApiKey({ expiresAt: new Date(Date.now() - 1000) })],
+    [
+      'owned by an inactive user',
+      buildApiKey({ user: buildOwner({ isActive: false }) }),
+    ],
+  ])('should reject a key that is %s', async (_, apiKey) => {
+    prisma.apiKey.findUnique.mockResolvedValue(apiKey);
+    await expect(service.authenticate('pk_secret')).resolves.toBeNull();
+  });
+
+  test('should not look up values without the key prefix', async () => {
+    await expect(service.authenticate('not-a-key')).resolves.toBeNull();
+    expect(prisma.apiKey.findUnique).not.toHaveBeenCalled();
+  });
+
+  test('should only revoke active keys of the given user', async () => {
+    prisma.apiKey.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(service.revokeKey('user-2', 'key-1')).rejects.toMatchObject({
+      statusCode: 404,
+    });
+    expect(prisma.apiKey.updateMany.mock.calls[0][0].where).toEqual({
+      id: 'key-1',
+      userId: 'user-2',
+      revokedAt: null,
+    });
+  });
+});
+
+describe('API key routes', () => {
+  let app;
+  let prisma;
+  let token;
+
+  beforeAll(async () => {
+    prisma = mockPrisma();
+    const apiKeyService = new ApiKeyService(
+      prisma,
+      options,
+      verificationOptions
+    );
+
+    app = Fastify({ logger: false });
+    await app.register(authPlugin, {
+      jwtSecret: 'api-key-routes-secret',
+      verifyApiKey: key => apiKeyService.authenticate(key),
+    });
+    await app.register(apiKeyRoutes, {
+      apiKeyService,
+      auditLogService: { record: jest.fn() },
+    });
+    await app.ready();
+
+    token = jwtService.createUserToken(buildOwner({ roles: ['user'] })).token;
+  });
+
+  afterAll(async () => {
+    await app?.close();
+  });
+
+  test('should create a key and show it in the response only', async () => {
+    const response = await app.inject({
+      method: 'POST',
+      url: '/auth/api-keys',
+      headers: { authorization: `Bearer ${token}` },
+      payload: { name: 'CI', scopes: ['read:comments'] },
+    });
+
+    expect(response.statusCode).toBe(201);
+    expect(response.json().data).toMatchObject({
+      name: 'CI',
+      scopes: ['read:comments'],
+      key: expect.stringMatching(/^pk_/),
+    });
+  });
+
+  test('should not let an API key manage keys', async () => {
+    prisma.apiKey.findUnique.mockResolvedValue(buildApiKey());
+
+    const response = await app.inject({
+      method: 'GET',
+      url: '/auth/api-keys',
+      headers: { 'x-api-key': 'pk_secret' },
+    });
+
+    expect(response.statusCode).toBe(401);
+  });
+});
+
+describe('Per-route auth methods', () => {
+  let upstream;
+  let gateway;
+  let verifyApiKey;
+  let token;
+
+  beforeAll(async () => {
+    upstream = Fastify({ logger: false });
+    upstream.all('/api/notes*', async request => ({
+      userId: request.headers['x-user-id'] ?? null,
+      apiKey: request.headers['x-api-key'] ?? null,
+    }));
+    const upstreamUrl = await upstream.listen({ port: 0, host: '127.0.0.1' });
+
+    const registry = new ServiceRegistry();
+    registry.registerService({
+      name: 'notes-api',
+      baseUrl: upstreamUrl,
+      basePath: '/part/test/notes',
+      rewritePrefix: '/api/notes',
+      authentication: { requireAuth: true, requireRoles: [] },
+      routes: [
+        {
+          path: '/part/test/notes/feed',
+          methods: ['GET', 'POST'],
+          authMethods: ['jwt', 'apiKey'],
+          methodConfigs: {
+            POST: { requirePermissions: ['write:comments'] },
+          },
+        },
+        {
+          path: '/part/test/notes/export',
+          methods: ['GET'],
+          authMethods: ['apiKey'],
+        },
+      ],
+    });
+
+    verifyApiKey = jest.fn(async key =>
+      key === 'pk_valid'
+        ? {
+            id: 'machine-1',
+            email: 'ci@example.com',
+            roles: [],
+            permissions: ['read:comments'],
+          }
+        : null
+    );
+
+    gateway = Fastify({ logger: false });
+    await gateway.register(authPlugin, {
+      jwtSecret: 'auth-methods-secret',
+      verifyApiKey,
+    });
+    await new ServiceRouter(gateway, registry).registerAllServices();
+    await gateway.ready();
+
+    token = jwtService.createUserToken({
+      id: 'user-1',
+      email: 'user@example.com',
+      roles: ['user'],
+    }).token;
+  });
+
+  afterAll(async () => {
+    await gateway?.close();
+    await upstream?.close();
+  });
+
+  const get = (url, headers) => gateway.inject({ method: 'GET', url, headers });
+
+  test('should accept an API key where the route allows it', async () => {
+    const response = await get('/part/test/notes/feed', {
+      'x-api-key': 'pk_valid',
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json()).toEqual({ userId: 'machine-1', apiKey: null });
+  });
+
+  test('should still accept a JWT on routes allowing both', async () => {
+    const response = await get('/part/test/notes/feed', {
+      authorization: `Bearer ${token}`,
+    });
+
+    expect(response.json().userId).toBe('user-1');
+  });
+
+  test('should reject an invalid API key', async () => {
+    const response = await get('/part/test/notes/feed', {
+      'x-api-key': 'pk_unknown',
+    });
+
+    expect(response.statusCode).toBe(401);
+    expect(response.json().message).toBe('Invalid or expired API key');
+  });
+
+  test('should ignore API keys on JWT-only routes', async () => {
+    verifyApiKey.mockClear();
+
+    const response = await get('/part/test/notes/other', {
+      'x-api-key': 'pk_valid',
+    });
+
+    expect(response.statusCode).toBe(401);
+    expect(verifyApiKey).not.toHaveBeenCalled();
+  });
+
+  test('should require an API key on API-key-only routes', async () => {
+    const withJwt = await get('/part/test/notes/export', {
+      authorization: `Bearer ${token}`,
+    });
+    expect(withJwt.statusCode).toBe(401);
+
+    const withKey = await get('/part/test/notes/export', {
+      'x-api-key': 'pk_valid',
+    });
+    expect(withKey.statusCode).toBe(200);
+  });
+
+  test('should check permissions against the key scopes', async () => {
+    const response = await gateway.inject({
+      method: 'POST',
+      url: '/part/test/notes/feed',
+      headers: { 'x-api-key': 'pk_valid' },
+    });
+
+    expect(response.statusCode).toBe(403);
+  });
+
+  test('should reject unknown auth methods in service configs', () => {
+    expect(() =>
+      new ServiceRegistry().registerService({
+        name: 'bad-api',
+        baseUrl: 'http://localhost:1',
+        basePath: '/part/test/bad',
+        routes: [
+          { path: '/part/test/bad', methods: ['GET'], authMethods: ['basic'] },
+        ],
+      })
+    ).toThrow(/authMethods/);
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * Audit Log Unit Tests
+ * Tests audit log filtering, cursor pagination, export and the admin route
+ */
+
+import {
+  jest,
+  test,
+  beforeAll,
+  beforeEach,
+  afterAll,
+  describe,
+  expect,
+} from '@jest/globals';
+import Fastify from 'fastify';
+import { authPlugin, jwtService } from '@shared/core/auth';
+import { AuditLogService } from '../../database/auditLogService.js';
+import { adminAuditLogRoutes } from '../../src/routes/index.js';
+import { serializeAuditLogs, toCsvCell } from '../../src/utils/audit-export.js';
+import { decodeCursor, encodeCursor } from '../../src/utils/cursor.js';
+
+const buildEntry = (index, overrides = {}) => ({
+  id: `log-${index}`,
+  userId: 'user-1',
+  action: 'login',
+  resource: 'user:user-1',
+  metadata: null,
+  ipAddress: '127.0.0.1',
+  userAgent: 'jest',
+  requestId: `req-${index}`,
+  createdAt: new Date(Date.UTC(2025, 0, 1, 0, 0, 60 - index)),
+  ...overrides,
+});
+
+const collect = async iterable => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+describe('AuditLogService', () => {
+  let prisma;
+  let service;
+
+  beforeEach(() => {
+    prisma = { auditLog: { create: jest.fn(), findMany: jest.fn() } };
+    service = new AuditLogService(prisma);
+  });
+
+  test('should build filters for every supported field', () => {
+    expect(
+      service.buildWhere({
+        userId: 'user-1',
+        action: 'login, logout',
+        resource: 'role:',
+        ipAddress: '10.0.0.1',
+        from: '2025-01-01T00:00:00.000Z',
+        to: '2025-02-01T00:00:00.000Z',
+      })
+    ).toEqual({
+      userId: 'user-1',
+      action: { in: ['login', 'logout'] },
+      resource: { startsWith: 'role:' },
+      ipAddress: '10.0.0.1',
+      createdAt: {
+        gte: new Date('2025-01-01T00:00:00.000Z'),
+        lt: new Date('2025-02-01T00:00:00.000Z'),
+      },
+    });
+    expect(service.buildWhere({ action: 'login' })).toEqual({
+      action: 'login',
+    });
+  });
+
+  test('should return a cursor when more entries exist', async () => {
+    prisma.auditLog.findMany.mockResolvedValue([1, 2, 3].map(buildEntry));
+
+    const { data, pagination } = await service.query({ limit: 2 });
+
+    expect(data.map(entry => entry.id)).toEqual(['log-1', 'log-2']);
+    expect(pagination).toMatchObject({ limit: 2, hasMore: true });
+    expect(decodeCursor(pagination.nextCursor)).toEqual({
+      id: 'log-2',
+      createdAt: buildEntry(2).createdAt,
+    });
+    expect(prisma.auditLog.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({ take: 3 })
+    );
+  });
+
+  test('should continue after the cursor position', async () => {
+    prisma.auditLog.findMany.mockResolvedValue([buildEntry(3)]);
+    const cursor = encodeCursor(buildEntry(2));
+
+    const { pagination } = await service.query({
+      action: 'login',
+      cursor,
+      limit: 2,
+    });
+
+    expect(pagination).toEqual({ limit: 2, hasMore: false, nextCursor: null });
+    const { where } = prisma.auditLog.findMany.mock.calls[0][0];
+    expect(where.AND[0]).toEqual({ action: 'login' });
+  });
+
+  test('should reject malformed cursors', async () => {
+    await expect(
+      service.query({ cursor: 'not-a-cursor' })
+    ).rejects.toMatchObject({ statusCode: 422 });
+  });
+
+  test('should iterate every entry in batches', async () => {
+    prisma.auditLog.findMany
+      .mockResolvedValueOnce([buildEntry(1), buildEntry(2)])
+      .mockResolvedValueOnce([buildEntry(3)]);
+
+    const entries = await collect(service.iterate({}, 2));
+
+    expect(entries.map(entry => entry.id)).toEqual(['log-1', 'log-2', 'log-3']);
+    expect(prisma.auditLog.findMany).toHaveBeenCalledTimes(2);
+  });
+
+  test('should record request context without failing the request', async () => {
+    const request = {
+      id: 'req-9',
+      ip: '10.0.0.9',
+      headers: { 'user-agent': 'curl/8' },
+      log: { error: jest.fn() },
+    };
+
+    await service.record(request, { userId: 'user-1', action: 'logout' });
+    expect(prisma.auditLog.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        action: 'logout',
+        ipAddress: '10.0.0.9',
+        userAgent: 'curl/8',
+        requestId: 'req-9',
+      }),
+    });
+
+    prisma.auditLog.create.mockRejectedValueOnce(new Error('db down'));
+    await expect(
+      service.record(request, { action: 'logout' })
+    ).resolves.toBeUndefined();
+    expect(request.log.error).toHaveBeenCalled();
+  });
+});
+
+describe('Audit log export', () => {
+  test('should escape CSV cells and neutralize formulas', () => {
+    expect(toCsvCell(null)).toBe('');
+    expect(toCsvCell('plain')).toBe('plain');
+    expect(toCsvCell('a,"b"')).toBe('"a,""b"""');
+    expect(toCsvCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(toCsvCell({ email: 'a@b.c' })).toBe('"{""email"":""a@b.c""}"');
+  });
+
+  test('should write a header row and one line per entry', async () => {
+    async function* entries() {
+      yield buildEntry(1, { metadata: { email: 'a@b.c' } });
+    }
+
+    const csv = await collect(serializeAuditLogs(entries(), 'csv'));
+    expect(csv[0]).toBe(
+      'id,createdAt,userId,action,resource,ipAddress,userAgent,requestId,metadata\n'
+    );
+    expect(csv[1]).toContain('log-1,2025-01-01T00:00:59.000Z,user-1,login');
+
+    const ndjson = await collect(serializeAuditLogs(entries(), 'ndjson'));
+    expect(ndjson).toHaveLength(1);
+    expect(JSON.parse(ndjson[0]).metadata).toEqual({ email: 'a@b.c' });
+  });
+});
+
+describe('Admin audit log routes', () => {
+  const JWT_SECRET = 'audit-routes-test-secret';
+  let app;
+  let auditLogService;
+  let auditorToken;
+  let userToken;
+
+  beforeAll(async () => {
+    auditLogService = {
+      query: jest.fn(async () => ({
+        data: [{ ...buildEntry(1), createdAt: '2025-01-01T00:00:59.000Z' }],
+        pagination: { limit: 50, hasMore: false, nextCursor: null },
+      })),
+      iterate: jest.fn(async function* () {
+        yield buildEntry(1);
+        yield buildEntry(2);
+      }),
+    };
+
+    app = Fastify({ logger: false });
+    await app.register(authPlugin, { jwtSecret: JWT_SECRET });
+    await app.register(adminAuditLogRoutes, { auditLogService });
+    await app.ready();
+
+    auditorToken = jwtService.createUserToken({
+      id: 'auditor-1',
+      email: 'auditor@example.com',
+      roles: ['auditor'],
+      permissions: ['view:logs'],
+    }).token;
+    userToken = jwtService.createUserToken({
+      id: 'user-1',
+      email: 'user@example.com',
+      roles: ['user'],
+      permissions: ['read:comments'],
+    }).token;
+  });
+
+  afterAll(async () => {
+    await app?.close();
+  });
+
+  test('should require the view:logs permission', async () => {
+    const response = await app.inject({
+      method: 'GET',
+      url: '/admin/audit-logs',
+      headers: { authorization: `Bearer ${userToken}` },
+    });
+
+    expect(response.statusCode).toBe(403);
+    expect(auditLogService.query).not.toHaveBeenCalled();
+  });
+
+  test('should return a page of entries with filters applied', async () => {
+    const response = await app.inject({
+      method: 'GET',
+      url: '/admin/audit-logs?action=login&limit=10',
+      headers: { authorization: `Bearer ${auditorToken}` },
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json()).toMatchObject({
+      success: true,
+      data: [{ id: 'log-1', requestId: 'req-1' }],
+      pagination: { hasMore: false, nextCursor: null },
+    });
+    expect(auditLogService.query).toHaveBeenCalledWith({
+      action: 'login',
+      cursor: undefined,
+      limit: 10,
+    });
+  });
+
+  test('should stream a CSV export', async () => {
+    const response = await app.inject({
+      method: 'GET',
+      url: '/admin/audit-logs?format=csv&userId=user-1',
+      headers: { authorization: `Bearer ${auditorToken}` },
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(response.headers['content-disposition']).toMatch(
+      /^attachment; filename="audit-logs-.*\.csv"$/
+    );
+    expect(response.body.trim().split('\n')).toHaveLength(3);
+    expect(auditLogService.iterate).toHaveBeenCalledWith({ userId: 'user-1' });
+  });
+});
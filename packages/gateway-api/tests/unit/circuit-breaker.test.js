@@ -0,0 +1,77 @@
+/**
+ * Circuit Breaker Unit Tests
+ * Tests closed/open/half-open transitions with a controllable clock
+ */
+
+import { test, beforeEach, describe, expect } from '@jest/globals';
+import { CircuitBreaker } from '../../src/services/circuit-breaker.js';
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = 1_000_000;
+    breaker = new CircuitBreaker(
+      { failureThreshold: 3, resetTimeout: 10000, halfOpenMaxRequests: 1 },
+      () => now
+    );
+  });
+
+  const fail = times => {
+    for (let i = 0; i < times; i++) breaker.recordFailure();
+  };
+
+  test('should open after consecutive failures reach the threshold', () => {
+    fail(2);
+    breaker.recordSuccess();
+    fail(2);
+    expect(breaker.state).toBe('closed');
+
+    breaker.recordFailure();
+    expect(breaker.state).toBe('open');
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.getRetryAfterSeconds()).toBe(10);
+  });
+
+  test('should allow a single trial request once the reset timeout passes', () => {
+    fail(3);
+    now += 10000;
+
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.canRequest()).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe('closed');
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('should reopen when the trial request fails', () => {
+    fail(3);
+    now += 10000;
+    breaker.canRequest();
+
+    breaker.recordFailure();
+    expect(breaker.state).toBe('open');
+    expect(breaker.getRetryAfterSeconds()).toBe(10);
+  });
+
+  test('should move to half-open early after a passing health check', () => {
+    fail(3);
+    breaker.recordHealthy();
+
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('should expose its state for the health route', () => {
+    fail(3);
+
+    expect(breaker.toJSON()).toMatchObject({
+      state: 'open',
+      failures: 3,
+      retryAfter: 10,
+    });
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Email Verification Unit Tests
+ * Tests the mailer transports, verification tokens and the unverified-user
+ * permission policy
+ */
+
+import { jest, test, beforeEach, describe, expect } from '@jest/globals';
+import { mkdtemp, readFile, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import {
+  EmailVerificationService,
+  applyVerificationPolicy,
+} from '../../database/emailVerificationService.js';
+import {
+  FileTransport,
+  Mailer,
+  MemoryTransport,
+  createMailer,
+} from '../../src/services/mailer.js';
+import { createPrismaMock, matchesWhere } from '../mocks/prismaClientMock.js';
+
+const options = {
+  mode: 'limit',
+  tokenTtlMs: 60 * 60 * 1000,
+  resendCooldownMs: 60 * 1000,
+  unverifiedPermissions: ['read:comments', 'read:profile'],
+  verifyUrl: 'https://app.example.com/verify',
+};
+
+// Minimal in-memory stand-in for the user and verificationToken delegates
+const mockPrisma = () => {
+  const users = new Map([
+    [
+      'user-1',
+      {
+        id: 'user-1',
+        email: 'user@example.com',
+        isActive: true,
+        isVerified: false,
+      },
+    ],
+  ]);
+  const tokens = [];
+  let nextId = 1;
+
+  return createPrismaMock({
+    users,
+    user: {
+      findUnique: jest.fn(
+        async ({ where }) =>
+          [...users.values()].find(user => user.email === where.email) ?? null
+      ),
+      update: jest.fn(async ({ where, data }) => {
+        const user = Object.assign(users.get(where.id), data);
+        return { id: user.id, email: user.email };
+      }),
+    },
+    verificationToken: {
+      tokens,
+      create: jest.fn(async ({ data }) => {
+        const row = {
+          id: `vt-${nextId++}`,
+          usedAt: null,
+          createdAt: new Date(),
+          ...data,
+        };
+        tokens.push(row);
+        return row;
+      }),
+      findUnique: jest.fn(
+        async ({ where }) =>
+          tokens.find(row => row.tokenHash === where.tokenHash) ?? null
+      ),
+      findFirst: jest.fn(
+        async ({ where }) =>
+          tokens.filter(row => matchesWhere(row, where)).at(-1) ?? null
+      ),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const rows = tokens.filter(row => matchesWhere(row, where));
+        rows.forEach(row => Object.assign(row, data));
+        return { count: rows.length };
+      }),
+      deleteMany: jest.fn(async ({ where }) => {
+        const kept = tokens.filter(row => !matchesWhere(row, where));
+        const count = tokens.length - kept.length;
+        tokens.splice(0, tokens.length, ...kept);
+        return { count };
+      }),
+    },
+  });
+};
+
+const tokenFrom = message =>
+  new URL(message.text.match(/https:\S+/)[0]).searchParams.get('token');
+
+describe('Mailer', () => {
+  test('should keep messages in memory with the configured sender', async () => {
+    const transport = new MemoryTransport();
+    const mailer = new Mailer(transport, { from: 'gateway@example.com' });
+
+    await mailer.send({ to: 'a@example.com', subject: 'Hi', text: 'Hello' });
+
+    expect(transport.lastTo('a@example.com')).toMatchObject({
+      from: 'gateway@example.com',
+      subject: 'Hi',
+      text: 'Hello',
+    });
+  });
+
+  test('should write messages to files', async () => {
+    const directory = await mkdtemp(path.join(tmpdir(), 'mail-'));
+
+    try {
+      const { file } = await new FileTransport(directory).send({
+        to: 'a@example.com',
+        subject: 'Hi',
+      });
+
+      expect(await readdir(directory)).toEqual([path.basename(file)]);
+      expect(JSON.parse(await readFile(file, 'utf8'))).toMatchObject({
+        to: 'a@example.com',
+        subject: 'Hi',
+      });
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('should reject unknown transports', () => {
+    expect(() => createMailer({ transport: 'pigeon' })).toThrow(
+      /Unknown mail transport/
+    );
+  });
+});
+
+describe('EmailVerificationService', () => {
+  let prisma;
+  let transport;
+  let service;
+  const user = { id: 'user-1', email: 'user@example.com' };
+
+  beforeEach(() => {
+    prisma = mockPrisma();
+    transport = new MemoryTransport();
+    service = new EmailVerificationService(
+      prisma,
+      new Mailer(transport, { from: 'gateway@example.com' }),
+      options
+    );
+  });
+
+  test('should mail a link and store only the token hash', async () => {
+    await service.sendVerification(user);
+
+    const token = tokenFrom(transport.lastTo('user@example.com'));
+    const [stored] = prisma.verificationToken.tokens;
+
+    expect(token).toBeTruthy();
+    expect(stored.tokenHash).not.toBe(token);
+    expect(stored.tokenHash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('should verify the user once per token', async () => {
+    await service.sendVerification(user);
+    const token = tokenFrom(transport.lastTo('user@example.com'));
+
+    await expect(service.verify(token)).resolves.toEqual(user);
+    expect(prisma.users.get('user-1').isVerified).toBe(true);
+
+    await expect(service.verify(token)).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  test('should reject expired and superseded tokens', async () => {
+    await service.sendVerification(user);
+    const first = tokenFrom(transport.lastTo('user@example.com'));
+    await service.sendVerification(user);
+
+    await expect(service.verify(first)).rejects.toMatchObject({
+      statusCode: 400,
+    });
+
+    prisma.verificationToken.tokens[0].expiresAt = new Date(Date.now() - 1);
+    const second = tokenFrom(transport.lastTo('user@example.com'));
+
+    await expect(service.verify(second)).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  test('should resend only to unverified accounts outside the cooldown', async () => {
+    await expect(service.resend('nobody@example.com')).resolves.toBeNull();
+
+    await expect(service.resend('user@example.com')).resolves.toMatchObject({
+      id: 'user-1',
+    });
+    await expect(service.resend('user@example.com')).resolves.toBeNull();
+    expect(transport.sent).toHaveLength(1);
+
+    prisma.users.get('user-1').isVerified = true;
+    prisma.verificationToken.tokens[0].createdAt = new Date(0);
+    await expect(service.resend('user@example.com')).resolves.toBeNull();
+  });
+});
+
+describe('applyVerificationPolicy', () => {
+  const user = {
+    id: 'user-1',
+    isVerified: false,
+    permissions: ['read:comments', 'write:comments'],
+  };
+
+  test('should limit unverified users to permissions they already hold', () => {
+    expect(applyVerificationPolicy(user, options).permissions).toEqual([
+      'read:comments',
+    ]);
+    expect(
+      applyVerificationPolicy({ ...user, permissions: ['*'] }, options)
+        .permissions
+    ).toEqual(['read:comments', 'read:profile']);
+  });
+
+  test('should leave verified users and other modes alone', () => {
+    expect(
+      applyVerificationPolicy({ ...user, isVerified: true }, options)
+    ).toEqual({ ...user, isVerified: true });
+    expect(applyVerificationPolicy(user, { ...options, mode: 'block' })).toBe(
+      user
+    );
+  });
+});
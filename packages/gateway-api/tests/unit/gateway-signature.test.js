@@ -0,0 +1,338 @@
+/**
+ * Gateway Signature Unit Tests
+ * Tests signing of forwarded identity headers, verification with replay
+ * protection in the shared auth helpers, and strict mode
+ */
+
+import {
+  test,
+  beforeAll,
+  beforeEach,
+  afterAll,
+  afterEach,
+  describe,
+  expect,
+} from '@jest/globals';
+import Fastify from 'fastify';
+import {
+  NonceCache,
+  authPlugin,
+  extractUserContext,
+  fastifyExtractUserContext,
+  jwtService,
+  requireGateway,
+  signGatewayRequest,
+  verifyGatewaySignature,
+} from '@shared/core/auth';
+import { ServiceRegistry } from '../../src/services/service-registry.js';
+import { ServiceRouter } from '../../src/utils/service-router.js';
+
+const SECRET = 'gateway-signing-test-secret';
+
+const identity = {
+  'x-user-id': 'user-1',
+  'x-user-email': 'user@example.com',
+  'x-user-roles': '["user"]',
+  'x-user-permissions': '["read:comments"]',
+  'x-request-id': 'req-1',
+  'x-gateway-forwarded': 'true',
+};
+
+const signed = (headers = identity, overrides = {}) => ({
+  ...headers,
+  ...signGatewayRequest(headers, {
+    method: 'GET',
+    path: '/api/comments?page=1',
+    secret: SECRET,
+    ...overrides,
+  }),
+});
+
+const restoreEnv = (name, value) => {
+  if (value === undefined) {
+    delete process.env[name];
+  } else {
+    process.env[name] = value;
+  }
+};
+
+describe('verifyGatewaySignature', () => {
+  let nonceCache;
+
+  beforeEach(() => {
+    nonceCache = new NonceCache();
+  });
+
+  const verify = (headers, overrides = {}) =>
+    verifyGatewaySignature(headers, {
+      method: 'GET',
+      path: '/api/comments?page=1',
+      secret: SECRET,
+      nonceCache,
+      ...overrides,
+    });
+
+  test('should accept headers signed by the gateway', () => {
+    expect(verify(signed())).toEqual({ status: 'valid' });
+  });
+
+  test('should reject tampered identity headers', () => {
+    const headers = { ...signed(), 'x-user-id': 'admin-1' };
+    expect(verify(headers)).toEqual({
+      status: 'invalid',
+      reason: 'bad_signature',
+    });
+  });
+
+  test('should bind the signature to the method and path', () => {
+    expect(verify(signed(), { method: 'DELETE' }).status).toBe('invalid');
+    expect(verify(signed(), { path: '/api/comments/1' }).status).toBe(
+      'invalid'
+    );
+  });
+
+  test('should reject a signature made with another secret', () => {
+    const headers = signed(identity, { secret: 'other-secret' });
+    expect(verify(headers).reason).toBe('bad_signature');
+  });
+
+  test('should reject stale timestamps', () => {
+    const headers = signed(identity, { now: Date.now() - 2 * 60 * 1000 });
+    expect(verify(headers)).toEqual({ status: 'invalid', reason: 'expired' });
+  });
+
+  test('should reject a replayed request', () => {
+    const headers = signed();
+
+    expect(verify(headers).status).toBe('valid');
+    expect(verify(headers)).toEqual({ status: 'invalid', reason: 'replayed' });
+  });
+
+  test('should report unsigned requests', () => {
+    expect(verify(identity)).toEqual({ status: 'unsigned' });
+    expect(verify(signed(), { secret: null })).toEqual({
+      status: 'unsigned',
+      reason: 'not_configured',
+    });
+  });
+
+  test('should forget nonces once they expire', () => {
+    const now = Date.now();
+    expect(nonceCache.add('n-1', now + 1000, now)).toBe(true);
+    expect(nonceCache.add('n-1', now + 1000, now)).toBe(false);
+    expect(nonceCache.add('n-2', now + 5000, now + 2000)).toBe(true);
+    expect(nonceCache.entries.has('n-1')).toBe(false);
+  });
+});
+
+describe('Service-side gateway signature checks', () => {
+  const env = {};
+  let service;
+
+  beforeAll(async () => {
+    service = Fastify({ logger: false });
+    service.addHook('preHandler', requireGateway);
+    service.addHook('preHandler', fastifyExtractUserContext);
+    service.get('/api/comments', async request => ({
+      user: request.user,
+    }));
+    await service.ready();
+  });
+
+  afterAll(async () => {
+    await service?.close();
+  });
+
+  beforeEach(() => {
+    env.secret = process.env.GATEWAY_SIGNING_SECRET;
+    env.mode = process.env.GATEWAY_SIGNATURE_MODE;
+    process.env.GATEWAY_SIGNING_SECRET = SECRET;
+  });
+
+  afterEach(() => {
+    restoreEnv('GATEWAY_SIGNING_SECRET', env.secret);
+    restoreEnv('GATEWAY_SIGNATURE_MODE', env.mode);
+  });
+
+  const get = headers =>
+    service.inject({ method: 'GET', url: '/api/comments?page=1', headers });
+
+  test('should trust signed identity headers', async () => {
+    const response = await get(signed());
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json().user).toMatchObject({
+      id: 'user-1',
+      roles: ['user'],
+    });
+  });
+
+  test('should reject forged identity headers', async () => {
+    const response = await get({ ...signed(), 'x-user-roles': '["admin"]' });
+
+    expect(response.statusCode).toBe(401);
+    expect(response.json().code).toBe('GATEWAY_SIGNATURE_INVALID');
+  });
+
+  test('should accept unsigned requests outside strict mode', async () => {
+    const response = await get(identity);
+    expect(response.statusCode).toBe(200);
+  });
+
+  test('should reject unsigned requests in strict mode', async () => {
+    process.env.GATEWAY_SIGNATURE_MODE = 'strict';
+
+    const unsigned = await get(identity);
+    expect(unsigned.statusCode).toBe(401);
+    expect(unsigned.json().code).toBe('GATEWAY_SIGNATURE_REQUIRED');
+
+    const anonymous = await get({});
+    expect(anonymous.statusCode).toBe(401);
+
+    const valid = await get(signed());
+    expect(valid.statusCode).toBe(200);
+  });
+
+  test('should reject everything in strict mode without a secret', async () => {
+    process.env.GATEWAY_SIGNATURE_MODE = 'strict';
+    delete process.env.GATEWAY_SIGNING_SECRET;
+
+    const response = await get(signed());
+    expect(response.statusCode).toBe(401);
+  });
+});
+
+describe('Express gateway signature checks', () => {
+  const env = {};
+
+  beforeEach(() => {
+    env.secret = process.env.GATEWAY_SIGNING_SECRET;
+    env.mode = process.env.GATEWAY_SIGNATURE_MODE;
+    process.env.GATEWAY_SIGNING_SECRET = SECRET;
+  });
+
+  afterEach(() => {
+    restoreEnv('GATEWAY_SIGNING_SECRET', env.secret);
+    restoreEnv('GATEWAY_SIGNATURE_MODE', env.mode);
+  });
+
+  // Minimal stand-ins for Express' req, res and next
+  const run = headers => {
+    const req = {
+      method: 'GET',
+      originalUrl: '/api/comments?page=1',
+      path: '/api/comments',
+      headers,
+    };
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+    };
+    let nextCalled = false;
+    extractUserContext(req, res, () => {
+      nextCalled = true;
+    });
+    return { req, res, nextCalled };
+  };
+
+  test('should trust signed identity headers', () => {
+    const { req, nextCalled } = run(signed());
+
+    expect(nextCalled).toBe(true);
+    expect(req.user).toMatchObject({ id: 'user-1', roles: ['user'] });
+  });
+
+  test('should reject forged identity headers', () => {
+    const { req, res, nextCalled } = run({
+      ...signed(),
+      'x-user-roles': '["admin"]',
+    });
+
+    expect(nextCalled).toBe(false);
+    expect(req.user).toBeUndefined();
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('GATEWAY_SIGNATURE_INVALID');
+  });
+
+  test('should reject unsigned requests only in strict mode', () => {
+    expect(run(identity).nextCalled).toBe(true);
+
+    process.env.GATEWAY_SIGNATURE_MODE = 'strict';
+    const { res, nextCalled } = run(identity);
+    expect(nextCalled).toBe(false);
+    expect(res.body.code).toBe('GATEWAY_SIGNATURE_REQUIRED');
+  });
+});
+
+describe('ServiceRouter signing', () => {
+  const JWT_SECRET = 'gateway-signature-router-secret';
+  let upstream;
+  let gateway;
+  let previousSecret;
+
+  beforeAll(async () => {
+    previousSecret = process.env.GATEWAY_SIGNING_SECRET;
+    process.env.GATEWAY_SIGNING_SECRET = SECRET;
+
+    upstream = Fastify({ logger: false });
+    upstream.addHook('preHandler', fastifyExtractUserContext);
+    upstream.all('/api/notes*', async request => ({
+      user: request.user,
+      signature: request.gatewaySignature,
+    }));
+    const upstreamUrl = await upstream.listen({ port: 0, host: '127.0.0.1' });
+
+    const registry = new ServiceRegistry();
+    registry.registerService({
+      name: 'notes-api',
+      baseUrl: upstreamUrl,
+      basePath: '/part/test/notes',
+      rewritePrefix: '/api/notes',
+      authentication: { requireAuth: false, requireRoles: [] },
+      routes: [],
+    });
+
+    gateway = Fastify({ logger: false });
+    await gateway.register(authPlugin, { jwtSecret: JWT_SECRET });
+    await new ServiceRouter(gateway, registry, {
+      signingSecret: SECRET,
+    }).registerAllServices();
+    await gateway.ready();
+  });
+
+  afterAll(async () => {
+    await gateway?.close();
+    await upstream?.close();
+    restoreEnv('GATEWAY_SIGNING_SECRET', previousSecret);
+  });
+
+  test('should forward identity headers the service can verify', async () => {
+    const { token } = jwtService.createUserToken({
+      id: 'user-1',
+      email: 'user@example.com',
+      roles: ['user'],
+    });
+
+    const response = await gateway.inject({
+      method: 'GET',
+      url: '/part/test/notes/abc?x=1',
+      headers: {
+        authorization: `Bearer ${token}`,
+        'x-gateway-signature': 'v1=forged',
+      },
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json()).toMatchObject({
+      signature: { status: 'valid' },
+      user: { id: 'user-1' },
+    });
+  });
+});
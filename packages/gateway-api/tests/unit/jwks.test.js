@@ -0,0 +1,311 @@
+/**
+ * Asymmetric JWT Unit Tests
+ * Tests the signing keystore (rotation, grace period, persistence), kid-based
+ * verification and JWKS key fetching in the shared auth package
+ */
+
+import {
+  jest,
+  test,
+  beforeAll,
+  afterAll,
+  afterEach,
+  describe,
+  expect,
+} from '@jest/globals';
+import { mkdtemp, readFile, rm, stat } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import Fastify from 'fastify';
+import {
+  KeyStore,
+  authPlugin,
+  createJWTService,
+  createJwksKeyProvider,
+  jwtService,
+} from '@shared/core/auth';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const user = {
+  id: 'user-1',
+  email: 'user@example.com',
+  roles: ['user'],
+  permissions: ['read:comments'],
+};
+
+const openStore = (options = {}) =>
+  KeyStore.open({
+    algorithm: 'ES256',
+    rotationIntervalMs: 30 * DAY,
+    gracePeriodMs: 7 * DAY,
+    ...options,
+  });
+
+const jwksFetch = jwks =>
+  jest.fn(async () => ({ ok: true, json: async () => jwks }));
+
+describe('KeyStore', () => {
+  let dir;
+
+  afterEach(async () => {
+    if (dir) await rm(dir, { recursive: true, force: true });
+    dir = null;
+  });
+
+  test('should create a signing key on first open', async () => {
+    const store = await openStore();
+    const { kid, alg, key } = store.getSigningKey();
+
+    expect(alg).toBe('ES256');
+    expect(key.type).toBe('private');
+    expect(store.getJwks().keys).toEqual([
+      expect.objectContaining({ kid, alg: 'ES256', use: 'sig', kty: 'EC' }),
+    ]);
+    expect(JSON.stringify(store.getJwks())).not.toMatch(/"d"/);
+  });
+
+  test('should keep retired keys verifying for the grace period', async () => {
+    const store = await openStore();
+    const oldKid = store.getSigningKey().kid;
+
+    const newKid = await store.rotate();
+
+    expect(store.getSigningKey().kid).toBe(newKid);
+    expect(store.getVerificationKey(oldKid)).not.toBeNull();
+    expect(store.getJwks().keys.map(key => key.kid)).toEqual([newKid, oldKid]);
+
+    const afterGrace = Date.now() + 8 * DAY;
+    expect(store.getVerificationKeys(afterGrace).map(key => key.kid)).toEqual([
+      newKid,
+    ]);
+  });
+
+  test('should rotate only when the signing key is due', async () => {
+    const store = await openStore();
+    const kid = store.getSigningKey().kid;
+
+    await expect(store.rotateIfDue()).resolves.toBeNull();
+    await expect(
+      store.rotateIfDue(Date.now() + 31 * DAY)
+    ).resolves.not.toBeNull();
+    expect(store.getSigningKey().kid).not.toBe(kid);
+  });
+
+  test('should persist keys and reload them', async () => {
+    dir = await mkdtemp(join(tmpdir(), 'jwt-keys-'));
+    const first = await openStore({ dir });
+    const kid = first.getSigningKey().kid;
+
+    const file = join(dir, 'jwt-keys.json');
+    expect((await stat(file)).mode & 0o777).toBe(0o600);
+    expect(JSON.parse(await readFile(file, 'utf8')).keys).toHaveLength(1);
+
+    const second = await openStore({ dir });
+    expect(second.getSigningKey().kid).toBe(kid);
+  });
+
+  test('should replace the signing key when the algorithm changes', async () => {
+    dir = await mkdtemp(join(tmpdir(), 'jwt-keys-'));
+    await openStore({ dir });
+
+    const store = await openStore({ dir, algorithm: 'RS256' });
+
+    expect(store.getSigningKey().alg).toBe('RS256');
+    expect(store.getJwks().keys.map(key => key.alg)).toEqual([
+      'RS256',
+      'ES256',
+    ]);
+  });
+});
+
+describe('JWTService with asymmetric keys', () => {
+  let store;
+
+  beforeAll(async () => {
+    store = await openStore({ algorithm: 'RS256' });
+  });
+
+  test('should sign with the current key and its kid', () => {
+    const service = createJWTService('secret', { keyStore: store });
+    const { token, refreshToken } = service.createUserToken(user);
+
+    for (const value of [token, refreshToken]) {
+      expect(service.decodeHeader(value)).toMatchObject({
+        alg: 'RS256',
+        kid: store.getSigningKey().kid,
+      });
+    }
+    expect(service.verifyToken(token).id).toBe('user-1');
+  });
+
+  test('should verify tokens signed before a rotation', async () => {
+    const service = createJWTService('secret', { keyStore: store });
+    const { token } = service.createUserToken(user);
+
+    await store.rotate();
+
+    expect(service.validateTokenAndGetUser(token)).toMatchObject({
+      id: 'user-1',
+    });
+  });
+
+  test('should reject HS256 tokens unless still allowed', () => {
+    const hmacToken = createJWTService('secret').createUserToken(user).token;
+
+    expect(
+      createJWTService('secret', { keyStore: store }).validateTokenAndGetUser(
+        hmacToken
+      )
+    ).toBeNull();
+    expect(
+      createJWTService('secret', {
+        keyStore: store,
+        allowSharedSecret: true,
+      }).validateTokenAndGetUser(hmacToken)
+    ).toMatchObject({ id: 'user-1' });
+  });
+
+  test('should not accept a public key as an HMAC secret', () => {
+    const { kid } = store.getSigningKey();
+    const publicPem = store
+      .getVerificationKey(kid)
+      .key.export({ format: 'pem', type: 'spki' });
+    // HS256 with the public key as secret, claiming to be the RSA key
+    const forged = createJWTService(publicPem).generateToken(user, {
+      keyid: kid,
+    });
+
+    const service = createJWTService(publicPem, {
+      keyStore: store,
+      allowSharedSecret: true,
+    });
+    expect(service.validateTokenAndGetUser(forged)).toBeNull();
+  });
+
+  test('should resolve keys through the key provider', async () => {
+    const { token } = createJWTService('secret', {
+      keyStore: store,
+    }).createUserToken(user);
+    const service = createJWTService('secret', {
+      keyProvider: createJwksKeyProvider('http://gateway/jwks', {
+        fetch: jwksFetch(store.getJwks()),
+      }),
+    });
+
+    expect(service.validateTokenAndGetUser(token)).toBeNull();
+    await expect(service.verifyAndGetUser(token)).resolves.toMatchObject({
+      id: 'user-1',
+    });
+  });
+});
+
+describe('createJwksKeyProvider', () => {
+  let store;
+
+  beforeAll(async () => {
+    store = await openStore();
+  });
+
+  test('should cache keys and refetch for unknown kids at most once per interval', async () => {
+    const fetch = jwksFetch(store.getJwks());
+    const getKey = createJwksKeyProvider('http://gateway/jwks', {
+      fetch,
+      minRefetchIntervalMs: 60 * 1000,
+    });
+    const { kid } = store.getSigningKey();
+
+    await expect(getKey(kid)).resolves.toMatchObject({ alg: 'ES256' });
+    await getKey(kid);
+    await expect(getKey('unknown')).resolves.toBeNull();
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should pick up keys added by a rotation', async () => {
+    const fetch = jwksFetch(store.getJwks());
+    const getKey = createJwksKeyProvider('http://gateway/jwks', {
+      fetch,
+      minRefetchIntervalMs: 0,
+    });
+    await getKey(store.getSigningKey().kid);
+
+    const kid = await store.rotate();
+    fetch.mockResolvedValue({ ok: true, json: async () => store.getJwks() });
+
+    await expect(getKey(kid)).resolves.not.toBeNull();
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('should keep serving cached keys when the gateway is down', async () => {
+    const fetch = jwksFetch(store.getJwks());
+    const getKey = createJwksKeyProvider('http://gateway/jwks', {
+      fetch,
+      cacheTtlMs: 0,
+      minRefetchIntervalMs: 0,
+    });
+    const { kid } = store.getSigningKey();
+    await getKey(kid);
+
+    fetch.mockRejectedValue(new Error('ECONNREFUSED'));
+
+    await expect(getKey(kid)).resolves.not.toBeNull();
+  });
+});
+
+describe('authPlugin with a JWKS URL', () => {
+  let app;
+  let store;
+  let previous;
+
+  beforeAll(async () => {
+    store = await openStore();
+    previous = {
+      keyStore: jwtService.keyStore,
+      keyProvider: jwtService.keyProvider,
+    };
+
+    app = Fastify({ logger: false });
+    await app.register(authPlugin, {
+      jwksUrl: 'http://gateway/.well-known/jwks.json',
+      jwksOptions: { fetch: jwksFetch(store.getJwks()) },
+    });
+    app.get('/me', { preHandler: app.authenticate }, async request => ({
+      id: request.user.id,
+    }));
+    await app.ready();
+  });
+
+  afterAll(async () => {
+    await app?.close();
+    jwtService.useKeyStore(previous.keyStore);
+    jwtService.useKeyProvider(previous.keyProvider);
+  });
+
+  test('should accept tokens signed by the gateway keystore', async () => {
+    const { token } = createJWTService('unused', {
+      keyStore: store,
+    }).createUserToken(user);
+
+    const response = await app.inject({
+      method: 'GET',
+      url: '/me',
+      headers: { authorization: `Bearer ${token}` },
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json()).toEqual({ id: 'user-1' });
+  });
+
+  test('should reject shared-secret tokens', async () => {
+    const { token } = createJWTService('test-secret-key').createUserToken(user);
+
+    const response = await app.inject({
+      method: 'GET',
+      url: '/me',
+      headers: { authorization: `Bearer ${token}` },
+    });
+
+    expect(response.statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Login Throttle Unit Tests
+ * Tests per-account/per-IP lockout, backoff and the admin unlock routes
+ */
+
+import {
+  jest,
+  test,
+  beforeAll,
+  beforeEach,
+  afterEach,
+  afterAll,
+  describe,
+  expect,
+} from '@jest/globals';
+import Fastify from 'fastify';
+import { authPlugin, jwtService } from '@shared/core/auth';
+import {
+  LoginThrottleService,
+  getThrottleKeys,
+} from '../../database/loginThrottleService.js';
+import { adminLoginLockRoutes } from '../../src/routes/index.js';
+import { createPrismaMock } from '../mocks/prismaClientMock.js';
+
+const options = {
+  account: { maxFailures: 3 },
+  ip: { maxFailures: 5 },
+  baseLockMs: 60 * 1000,
+  maxLockMs: 10 * 60 * 1000,
+  failureWindowMs: 15 * 60 * 1000,
+};
+
+// Minimal in-memory stand-in for the loginThrottle delegate
+const mockPrisma = () => {
+  const rows = new Map();
+  const inKeys = where =>
+    [...rows.values()].filter(row => where.key.in.includes(row.key));
+
+  const loginThrottle = {
+    rows,
+    findUnique: jest.fn(async ({ where }) => rows.get(where.key) ?? null),
+    findMany: jest.fn(async ({ where }) =>
+      where.key
+        ? inKeys(where)
+        : [...rows.values()].filter(
+            row => row.lockedUntil > where.lockedUntil.gt
+          )
+    ),
+    upsert: jest.fn(async ({ where, create, update }) => {
+      const row = rows.has(where.key)
+        ? { ...rows.get(where.key), ...update }
+        : { ...create };
+      rows.set(where.key, row);
+      return row;
+    }),
+    deleteMany: jest.fn(async ({ where }) => {
+      const keys = where.key.in ?? [where.key];
+      keys.forEach(key => rows.delete(key));
+    }),
+  };
+
+  return createPrismaMock({ loginThrottle });
+};
+
+describe('LoginThrottleService', () => {
+  let prisma;
+  let service;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+    prisma = mockPrisma();
+    service = new LoginThrottleService(prisma, options);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const fail = (email = 'user@example.com', ip = '10.0.0.1') =>
+    service.recordFailure(email, ip);
+
+  test('should double the lock duration after the limit, up to the cap', () => {
+    expect(service.getLockDuration(2, 3)).toBe(0);
+    expect(service.getLockDuration(3, 3)).toBe(60 * 1000);
+    expect(service.getLockDuration(4, 3)).toBe(120 * 1000);
+    expect(service.getLockDuration(20, 3)).toBe(10 * 60 * 1000);
+  });
+
+  test('should normalize emails in throttle keys', () => {
+    expect(getThrottleKeys(' User@Example.COM ', '10.0.0.1')).toEqual({
+      account: 'email:user@example.com',
+      ip: 'ip:10.0.0.1',
+    });
+  });
+
+  test('should lock an account after repeated failures', async () => {
+    await fail();
+    await fail();
+    expect(await service.check('user@example.com', '10.0.0.2')).toEqual({
+      locked: false,
+      retryAfter: 0,
+    });
+
+    const third = await fail();
+    expect(third).toMatchObject({ locked: true, retryAfter: 60 });
+    expect(third.newlyLocked.map(lock => lock.key)).toEqual([
+      'email:user@example.com',
+    ]);
+
+    // Locked from any IP, and for unknown and known emails alike
+    expect(await service.check('USER@example.com', '10.0.0.2')).toEqual({
+      locked: true,
+      retryAfter: 60,
+    });
+  });
+
+  test('should keep backing off after a lock expires', async () => {
+    for (let i = 0; i < 3; i++) await fail();
+
+    jest.advanceTimersByTime(61 * 1000);
+    expect((await service.check('user@example.com', '10.0.0.1')).locked).toBe(
+      false
+    );
+
+    const next = await fail();
+    expect(next).toMatchObject({ locked: true, retryAfter: 120 });
+  });
+
+  test('should forget failures outside the window', async () => {
+    await fail();
+    await fail();
+
+    jest.advanceTimersByTime(options.failureWindowMs + 1000);
+    await fail();
+
+    expect(
+      prisma.loginThrottle.rows.get('email:user@example.com').failures
+    ).toBe(1);
+  });
+
+  test('should lock an IP that fails across many accounts', async () => {
+    for (let i = 0; i < 5; i++) await fail(`user${i}@example.com`);
+
+    expect(
+      await service.check('someone@example.com', '10.0.0.1')
+    ).toMatchObject({ locked: true });
+    expect(
+      await service.check('someone@example.com', '10.0.0.9')
+    ).toMatchObject({ locked: false });
+  });
+
+  test('should reset the account but not the IP on success', async () => {
+    await fail();
+    await service.recordSuccess('user@example.com');
+
+    expect(prisma.loginThrottle.rows.has('email:user@example.com')).toBe(false);
+    expect(prisma.loginThrottle.rows.get('ip:10.0.0.1').failures).toBe(1);
+  });
+
+  test('should unlock accounts and IPs', async () => {
+    for (let i = 0; i < 5; i++) await fail();
+
+    const cleared = await service.unlock({
+      email: 'user@example.com',
+      ipAddress: '10.0.0.1',
+    });
+
+    expect(cleared.sort()).toEqual(['email:user@example.com', 'ip:10.0.0.1']);
+    expect(await service.check('user@example.com', '10.0.0.1')).toMatchObject({
+      locked: false,
+    });
+  });
+});
+
+describe('Admin login lock routes', () => {
+  const JWT_SECRET = 'login-lock-routes-test-secret';
+  let app;
+  let loginThrottleService;
+  let auditLogService;
+  let adminToken;
+  let userToken;
+
+  beforeAll(async () => {
+    loginThrottleService = {
+      listLocked: jest.fn(async () => []),
+      unlock: jest.fn(async () => ['email:user@example.com']),
+    };
+    auditLogService = { record: jest.fn() };
+
+    app = Fastify({ logger: false });
+    await app.register(authPlugin, { jwtSecret: JWT_SECRET });
+    await app.register(adminLoginLockRoutes, {
+      loginThrottleService,
+      auditLogService,
+    });
+    await app.ready();
+
+    adminToken = jwtService.createUserToken({
+      id: 'admin-1',
+      email: 'admin@example.com',
+      roles: ['admin'],
+    }).token;
+    userToken = jwtService.createUserToken({
+      id: 'user-1',
+      email: 'user@example.com',
+      roles: ['user'],
+    }).token;
+  });
+
+  afterAll(async () => {
+    await app?.close();
+  });
+
+  test('should only be available to admins', async () => {
+    const response = await app.inject({
+      method: 'GET',
+      url: '/admin/login-locks',
+      headers: { authorization: `Bearer ${userToken}` },
+    });
+
+    expect(response.statusCode).toBe(403);
+    expect(loginThrottleService.listLocked).not.toHaveBeenCalled();
+  });
+
+  test('should unlock an account and audit it', async () => {
+    const response = await app.inject({
+      method: 'POST',
+      url: '/admin/login-locks/unlock',
+      headers: { authorization: `Bearer ${adminToken}` },
+      payload: { email: 'user@example.com' },
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json().data).toEqual({
+      cleared: ['email:user@example.com'],
+    });
+    expect(auditLogService.record).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({
+        userId: 'admin-1',
+        action: 'login_unlock',
+      })
+    );
+  });
+
+  test('should require an email or IP to unlock', async () => {
+    const response = await app.inject({
+      method: 'POST',
+      url: '/admin/login-locks/unlock',
+      headers: { authorization: `Bearer ${adminToken}` },
+      payload: {},
+    });
+
+    expect(response.statusCode).toBe(400);
+  });
+});
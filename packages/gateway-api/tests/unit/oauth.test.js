@@ -0,0 +1,452 @@
+/**
+ * OAuth Unit Tests
+ * Tests client registration, the client_credentials grant, token
+ * introspection, the OAuth routes and the shared service token provider
+ */
+
+import {
+  jest,
+  test,
+  beforeAll,
+  beforeEach,
+  afterAll,
+  describe,
+  expect,
+} from '@jest/globals';
+import { createHash } from 'node:crypto';
+import Fastify from 'fastify';
+import {
+  authPlugin,
+  createServiceTokenProvider,
+  jwtService,
+} from '@shared/core/auth';
+import { OAuthService } from '../../database/oauthService.js';
+import { oauthRoutes } from '../../src/routes/index.js';
+import { createPrismaMock } from '../mocks/prismaClientMock.js';
+
+const SECRET = 'client-secret';
+const options = { tokenTtlSeconds: 3600 };
+
+const permission = name => ({ permission: { name } });
+
+const buildClient = (overrides = {}) => ({
+  id: 'client-row-1',
+  clientId: 'svc_comments',
+  name: 'Comments service',
+  secretHash: createHash('sha256').update(SECRET).digest('hex'),
+  createdAt: new Date('2025-10-01T00:00:00Z'),
+  lastUsedAt: null,
+  revokedAt: null,
+  permissions: [permission('read:users'), permission('read:comments')],
+  ...overrides,
+});
+
+const mockPrisma = () =>
+  createPrismaMock({
+    permission: {
+      findMany: jest.fn(async ({ where }) =>
+        where.name.in
+          .filter(name => ['read:users', 'read:comments'].includes(name))
+          .map(name => ({ id: `perm-${name}`, name }))
+      ),
+    },
+    oAuthClient: {
+      create: jest.fn(async ({ data }) => ({
+        id: 'client-row-1',
+        createdAt: new Date(),
+        lastUsedAt: null,
+        ...data,
+        permissions: data.permissions.create.map(({ permissionId }) =>
+          permission(permissionId.replace('perm-', ''))
+        ),
+      })),
+      findUnique: jest.fn().mockResolvedValue(buildClient()),
+      updateMany: jest.fn().mockResolvedValue({ count: 1 }),
+    },
+    revokedToken: { findUnique: jest.fn().mockResolvedValue(null) },
+    user: { findUnique: jest.fn().mockResolvedValue({ isActive: true }) },
+  });
+
+const basic = (clientId, secret) =>
+  `Basic ${Buffer.from(`${clientId}:${secret}`).toString('base64')}`;
+
+describe('OAuthService', () => {
+  let prisma;
+  let service;
+
+  beforeEach(() => {
+    prisma = mockPrisma();
+    service = new OAuthService(prisma, options);
+  });
+
+  test('should return the secret once and store only its hash', async () => {
+    const created = await service.createClient({
+      name: 'Comments service',
+      scopes: ['read:users'],
+    });
+
+    expect(created.clientId).toMatch(/^svc_[\w-]{16}$/);
+    expect(created.scopes).toEqual(['read:users']);
+
+    const { data } = prisma.oAuthClient.create.mock.calls[0][0];
+    expect(data.secretHash).toBe(
+      createHash('sha256').update(created.clientSecret).digest('hex')
+    );
+    expect(JSON.stringify(data)).not.toContain(created.clientSecret);
+  });
+
+  test('should reject scopes that are not permissions', async () => {
+    await expect(
+      service.createClient({ name: 'x', scopes: ['read:users', 'nope'] })
+    ).rejects.toMatchObject({
+      statusCode: 404,
+      details: { missing: ['nope'] },
+    });
+  });
+
+  test('should authenticate a client with its secret', async () => {
+    const client = await service.authenticateClient('svc_comments', SECRET);
+
+    expect(client.clientId).toBe('svc_comments');
+  });
+
+  test.each([
+    ['a wrong secret', buildClient(), 'wrong'],
+    ['a revoked client', buildClient({ revokedAt: new Date() }), SECRET],
+    ['an unknown client', null, SECRET],
+  ])('should reject %s as invalid_client', async (_, client, secret) => {
+    prisma.oAuthClient.findUnique.mockResolvedValue(client);
+
+    await expect(
+      service.authenticateClient('svc_comments', secret)
+    ).rejects.toMatchObject({ error: 'invalid_client', statusCode: 401 });
+  });
+
+  test("should grant all of the client's scopes when none are requested", async () => {
+    const response = await service.issueToken(buildClient());
+
+    expect(response).toMatchObject({
+      token_type: 'Bearer',
+      expires_in: 3600,
+      scope: 'read:users read:comments',
+    });
+
+    const decoded = jwtService.decodeToken(response.access_token);
+    expect(decoded).toMatchObject({
+      sub: 'svc_comments',
+      clientId: 'svc_comments',
+      roles: [],
+      permissions: ['read:users', 'read:comments'],
+    });
+    expect(decoded.exp - decoded.iat).toBe(3600);
+    expect(prisma.oAuthClient.update).toHaveBeenCalled();
+  });
+
+  test('should narrow the token to the requested scopes', async () => {
+    const response = await service.issueToken(buildClient(), 'read:users');
+
+    expect(response.scope).toBe('read:users');
+    expect(jwtService.decodeToken(response.access_token).permissions).toEqual([
+      'read:users',
+    ]);
+  });
+
+  test('should reject scopes the client was not granted', async () => {
+    await expect(
+      service.issueToken(buildClient(), 'read:users admin:users')
+    ).rejects.toMatchObject({ error: 'invalid_scope', statusCode: 400 });
+  });
+
+  test('should introspect an active client token', async () => {
+    const { access_token } = await service.issueToken(buildClient());
+
+    const result = await service.introspect(access_token);
+
+    expect(result).toMatchObject({
+      active: true,
+      client_id: 'svc_comments',
+      sub: 'svc_comments',
+      scope: 'read:users read:comments',
+      token_type: 'Bearer',
+    });
+  });
+
+  test('should introspect an active user token', async () => {
+    const { token } = jwtService.createUserToken({
+      id: 'user-1',
+      email: 'user@example.com',
+      roles: ['user'],
+      permissions: ['read:comments'],
+    });
+
+    const result = await service.introspect(token);
+
+    expect(result).toMatchObject({
+      active: true,
+      sub: 'user-1',
+      username: 'user@example.com',
+      roles: ['user'],
+    });
+    expect(result.client_id).toBeUndefined();
+  });
+
+  test('should report refresh, revoked and malformed tokens inactive', async () => {
+    const { token, refreshToken } = jwtService.createUserToken({
+      id: 'user-1',
+      email: 'user@example.com',
+    });
+
+    expect(await service.introspect(refreshToken)).toEqual({ active: false });
+    expect(await service.introspect('not-a-token')).toEqual({ active: false });
+
+    prisma.revokedToken.findUnique.mockResolvedValue({ jti: 'revoked' });
+    expect(await service.introspect(token)).toEqual({ active: false });
+  });
+
+  test('should report tokens of a revoked client inactive', async () => {
+    const { access_token } = await service.issueToken(buildClient());
+    prisma.oAuthClient.findUnique.mockResolvedValue(
+      buildClient({ revokedAt: new Date() })
+    );
+
+    expect(await service.introspect(access_token)).toEqual({ active: false });
+    expect(await service.isClientRevoked({ clientId: 'svc_comments' })).toBe(
+      true
+    );
+    expect(await service.isClientRevoked({ id: 'user-1' })).toBe(false);
+  });
+});
+
+describe('OAuth routes', () => {
+  let app;
+  let prisma;
+
+  beforeAll(async () => {
+    prisma = mockPrisma();
+    const oauthService = new OAuthService(prisma, options);
+
+    app = Fastify({ logger: false });
+    await app.register(authPlugin, {
+      jwtSecret: 'oauth-routes-secret',
+      isTokenRevoked: user => oauthService.isClientRevoked(user),
+    });
+    await app.register(oauthRoutes, { oauthService });
+    app.get('/protected', { preHandler: app.authenticate }, async request => ({
+      clientId: request.user.clientId,
+      permissions: request.user.permissions,
+    }));
+    await app.ready();
+  });
+
+  beforeEach(() => {
+    prisma.oAuthClient.findUnique.mockResolvedValue(buildClient());
+  });
+
+  afterAll(async () => {
+    await app?.close();
+  });
+
+  const requestToken = (payload, headers = {}) =>
+    app.inject({
+      method: 'POST',
+      url: '/oauth/token',
+      headers: {
+        'content-type': 'application/x-www-form-urlencoded',
+        ...headers,
+      },
+      payload,
+    });
+
+  test('should issue a token to a client using HTTP Basic auth', async () => {
+    const response = await requestToken(
+      'grant_type=client_credentials&scope=read%3Ausers',
+      { authorization: basic('svc_comments', SECRET) }
+    );
+
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['cache-control']).toBe('no-store');
+    expect(response.json()).toMatchObject({
+      token_type: 'Bearer',
+      expires_in: 3600,
+      scope: 'read:users',
+    });
+
+    const protectedResponse = await app.inject({
+      method: 'GET',
+      url: '/protected',
+      headers: { authorization: `Bearer ${response.json().access_token}` },
+    });
+    expect(protectedResponse.json()).toEqual({
+      clientId: 'svc_comments',
+      permissions: ['read:users'],
+    });
+  });
+
+  test('should accept client credentials in a JSON body', async () => {
+    const response = await app.inject({
+      method: 'POST',
+      url: '/oauth/token',
+      payload: {
+        grant_type: 'client_credentials',
+        client_id: 'svc_comments',
+        client_secret: SECRET,
+      },
+    });
+
+    expect(response.statusCode).toBe(200);
+  });
+
+  test('should answer a wrong secret with invalid_client', async () => {
+    const response = await requestToken('grant_type=client_credentials', {
+      authorization: basic('svc_comments', 'wrong'),
+    });
+
+    expect(response.statusCode).toBe(401);
+    expect(response.headers['www-authenticate']).toMatch(/^Basic/);
+    expect(response.json()).toEqual({
+      error: 'invalid_client',
+      error_description: expect.any(String),
+    });
+  });
+
+  test('should answer other grant types with unsupported_grant_type', async () => {
+    const response = await requestToken('grant_type=password', {
+      authorization: basic('svc_comments', SECRET),
+    });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json().error).toBe('unsupported_grant_type');
+  });
+
+  test('should answer a missing grant_type with invalid_request', async () => {
+    const response = await requestToken('scope=read%3Ausers', {
+      authorization: basic('svc_comments', SECRET),
+    });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json().error).toBe('invalid_request');
+  });
+
+  test('should introspect tokens for authenticated clients only', async () => {
+    const { access_token } = (
+      await requestToken('grant_type=client_credentials', {
+        authorization: basic('svc_comments', SECRET),
+      })
+    ).json();
+
+    const response = await app.inject({
+      method: 'POST',
+      url: '/oauth/introspect',
+      headers: {
+        'content-type': 'application/x-www-form-urlencoded',
+        authorization: basic('svc_comments', SECRET),
+      },
+      payload: `token=${access_token}`,
+    });
+    expect(response.statusCode).toBe(200);
+    expect(response.json()).toMatchObject({
+      active: true,
+      client_id: 'svc_comments',
+    });
+
+    const anonymous = await app.inject({
+      method: 'POST',
+      url: '/oauth/introspect',
+      payload: { token: access_token },
+    });
+    expect(anonymous.statusCode).toBe(401);
+  });
+
+  test('should reject tokens of a revoked client', async () => {
+    const { access_token } = (
+      await requestToken('grant_type=client_credentials', {
+        authorization: basic('svc_comments', SECRET),
+      })
+    ).json();
+    prisma.oAuthClient.findUnique.mockResolvedValue(
+      buildClient({ revokedAt: new Date() })
+    );
+
+    const response = await app.inject({
+      method: 'GET',
+      url: '/protected',
+      headers: { authorization: `Bearer ${access_token}` },
+    });
+
+    expect(response.statusCode).toBe(401);
+  });
+});
+
+describe('createServiceTokenProvider', () => {
+  const tokenResponse = (token, expiresIn = 3600) => ({
+    ok: true,
+    status: 200,
+    json: async () => ({
+      access_token: token,
+      token_type: 'Bearer',
+      expires_in: expiresIn,
+    }),
+  });
+
+  const createProvider = fetch =>
+    createServiceTokenProvider({
+      tokenUrl: 'http://gateway/oauth/token',
+      clientId: 'svc_comments',
+      clientSecret: SECRET,
+      scope: 'read:users',
+      fetch,
+    });
+
+  test('should request a token with the client credentials', async () => {
+    const fetch = jest.fn().mockResolvedValue(tokenResponse('token-1'));
+
+    expect(await createProvider(fetch).getAuthorizationHeader()).toBe(
+      'Bearer token-1'
+    );
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('http://gateway/oauth/token');
+    expect(init.headers.authorization).toBe(basic('svc_comments', SECRET));
+    expect(init.body.toString()).toBe(
+      'grant_type=client_credentials&scope=read%3Ausers'
+    );
+  });
+
+  test('should cache the token and share concurrent requests', async () => {
+    const fetch = jest.fn().mockResolvedValue(tokenResponse('token-1'));
+    const provider = createProvider(fetch);
+
+    const tokens = await Promise.all([
+      provider.getToken(),
+      provider.getToken(),
+    ]);
+    await provider.getToken();
+
+    expect(tokens).toEqual(['token-1', 'token-1']);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should fetch a new token when the cached one is about to expire', async () => {
+    const fetch = jest
+      .fn()
+      .mockResolvedValueOnce(tokenResponse('token-1', 30))
+      .mockResolvedValueOnce(tokenResponse('token-2'));
+    const provider = createProvider(fetch);
+
+    await provider.getToken();
+
+    expect(await provider.getToken()).toBe('token-2');
+  });
+
+  test('should throw when the gateway rejects the client', async () => {
+    const fetch = jest.fn().mockResolvedValue({
+      ok: false,
+      status: 401,
+      json: async () => ({ error: 'invalid_client' }),
+    });
+
+    await expect(createProvider(fetch).getToken()).rejects.toThrow(
+      /401 \(invalid_client\)/
+    );
+  });
+});
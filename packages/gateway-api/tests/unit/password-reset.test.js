@@ -0,0 +1,264 @@
+/**
+ * Password Reset Unit Tests
+ * Tests reset tokens, session revocation and the per-email request limit
+ */
+
+import {
+  jest,
+  test,
+  beforeAll,
+  beforeEach,
+  afterAll,
+  describe,
+  expect,
+} from '@jest/globals';
+import Fastify from 'fastify';
+import rateLimit from '@fastify/rate-limit';
+import { passwordService } from '@shared/core/auth';
+import { PasswordResetService } from '../../database/passwordResetService.js';
+import { Mailer, MemoryTransport } from '../../src/services/mailer.js';
+import { passwordResetRateLimitConfig } from '../../src/middleware/security.middleware.js';
+import { createPrismaMock, matchesWhere } from '../mocks/prismaClientMock.js';
+
+const options = {
+  tokenTtlMs: 60 * 60 * 1000,
+  resetUrl: 'https://app.example.com/reset',
+};
+
+const NEW_PASSWORD = 'NewPassw0rd';
+
+// Minimal in-memory stand-in for the user and verificationToken delegates
+const mockPrisma = () => {
+  const users = new Map([
+    [
+      'user-1',
+      {
+        id: 'user-1',
+        email: 'user@example.com',
+        password: 'old-hash',
+        isActive: true,
+      },
+    ],
+  ]);
+  const tokens = [];
+
+  return createPrismaMock({
+    users,
+    user: {
+      findUnique: jest.fn(
+        async ({ where }) =>
+          [...users.values()].find(
+            user => user.id === where.id || user.email === where.email
+          ) ?? null
+      ),
+      update: jest.fn(async ({ where, data }) => {
+        const user = Object.assign(users.get(where.id), data);
+        return { id: user.id, email: user.email };
+      }),
+    },
+    verificationToken: {
+      tokens,
+      create: jest.fn(async ({ data }) => {
+        const row = { id: `vt-${tokens.length + 1}`, usedAt: null, ...data };
+        tokens.push(row);
+        return row;
+      }),
+      findUnique: jest.fn(
+        async ({ where }) =>
+          tokens.find(row => row.tokenHash === where.tokenHash) ?? null
+      ),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const rows = tokens.filter(row => matchesWhere(row, where));
+        rows.forEach(row => Object.assign(row, data));
+        return { count: rows.length };
+      }),
+      deleteMany: jest.fn(async ({ where }) => {
+        const kept = tokens.filter(row => !matchesWhere(row, where));
+        tokens.splice(0, tokens.length, ...kept);
+        return { count: 0 };
+      }),
+    },
+  });
+};
+
+const tokenFrom = message =>
+  new URL(message.text.match(/https:\S+/)[0]).searchParams.get('token');
+
+describe('PasswordResetService', () => {
+  let prisma;
+  let transport;
+  let tokenService;
+  let service;
+
+  beforeEach(() => {
+    prisma = mockPrisma();
+    transport = new MemoryTransport();
+    tokenService = { logoutAll: jest.fn().mockResolvedValue(2) };
+    service = new PasswordResetService(
+      prisma,
+      new Mailer(transport, { from: 'gateway@example.com' }),
+      tokenService,
+      options
+    );
+  });
+
+  const requestToken = async () => {
+    await service.requestReset('user@example.com');
+    return tokenFrom(transport.lastTo('user@example.com'));
+  };
+
+  test('should only mail active accounts', async () => {
+    await expect(service.requestReset('nobody@example.com')).resolves.toBe(
+      null
+    );
+
+    prisma.users.get('user-1').isActive = false;
+    await expect(service.requestReset('user@example.com')).resolves.toBe(null);
+    expect(transport.sent).toHaveLength(0);
+  });
+
+  test('should store only the token hash', async () => {
+    const token = await requestToken();
+
+    expect(prisma.verificationToken.tokens).toHaveLength(1);
+    expect(prisma.verificationToken.tokens[0]).toMatchObject({
+      purpose: 'password_reset',
+      userId: 'user-1',
+    });
+    expect(prisma.verificationToken.tokens[0].tokenHash).not.toBe(token);
+  });
+
+  test('should set the password and end every session', async () => {
+    const token = await requestToken();
+
+    await expect(service.resetPassword(token, NEW_PASSWORD)).resolves.toEqual({
+      id: 'user-1',
+      email: 'user@example.com',
+      sessions: 2,
+    });
+
+    const { password } = prisma.users.get('user-1');
+    expect(await passwordService.verifyPassword(NEW_PASSWORD, password)).toBe(
+      true
+    );
+    expect(tokenService.logoutAll).toHaveBeenCalledWith({
+      id: 'user-1',
+      email: 'user@example.com',
+    });
+  });
+
+  test('should accept a token only once', async () => {
+    const token = await requestToken();
+    await service.resetPassword(token, NEW_PASSWORD);
+
+    await expect(
+      service.resetPassword(token, 'Ch4ngedAgain')
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('should reject expired and superseded tokens', async () => {
+    const first = await requestToken();
+    const second = await requestToken();
+
+    await expect(
+      service.resetPassword(first, NEW_PASSWORD)
+    ).rejects.toMatchObject({ statusCode: 400 });
+
+    prisma.verificationToken.tokens[0].expiresAt = new Date(Date.now() - 1);
+    await expect(
+      service.resetPassword(second, NEW_PASSWORD)
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('should reject weak passwords without using the token', async () => {
+    const token = await requestToken();
+
+    await expect(service.resetPassword(token, 'short')).rejects.toMatchObject({
+      statusCode: 422,
+    });
+    expect(prisma.verificationToken.tokens[0].usedAt).toBeNull();
+    expect(tokenService.logoutAll).not.toHaveBeenCalled();
+  });
+
+  describe('changePassword', () => {
+    const user = { id: 'user-1', jti: 'jti-1' };
+
+    beforeEach(async () => {
+      prisma.users.get('user-1').password =
+        await passwordService.hashPassword('OldPassw0rd');
+    });
+
+    test('should set the password and end the other sessions', async () => {
+      await expect(
+        service.changePassword(user, 'OldPassw0rd', NEW_PASSWORD)
+      ).resolves.toEqual({
+        id: 'user-1',
+        email: 'user@example.com',
+        sessions: 2,
+      });
+
+      const { password } = prisma.users.get('user-1');
+      expect(await passwordService.verifyPassword(NEW_PASSWORD, password)).toBe(
+        true
+      );
+      expect(tokenService.logoutAll).toHaveBeenCalledWith(user, {
+        keepCurrent: true,
+      });
+    });
+
+    test('should reject a wrong current password with 400', async () => {
+      await expect(
+        service.changePassword(user, 'WrongPassw0rd', NEW_PASSWORD)
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(prisma.user.update).not.toHaveBeenCalled();
+      expect(tokenService.logoutAll).not.toHaveBeenCalled();
+    });
+
+    test('should reject weak passwords and deleted users', async () => {
+      await expect(
+        service.changePassword(user, 'OldPassw0rd', 'short')
+      ).rejects.toMatchObject({ statusCode: 422 });
+
+      prisma.users.get('user-1').deletedAt = new Date();
+      await expect(
+        service.changePassword(user, 'OldPassw0rd', NEW_PASSWORD)
+      ).rejects.toMatchObject({ statusCode: 404 });
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Password reset rate limit', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = Fastify({ logger: false });
+    await app.register(rateLimit, { global: false });
+    app.post(
+      '/auth/forgot-password',
+      { config: { rateLimit: passwordResetRateLimitConfig } },
+      async () => ({ success: true })
+    );
+    await app.ready();
+  });
+
+  afterAll(async () => {
+    await app?.close();
+  });
+
+  const forgot = email =>
+    app.inject({
+      method: 'POST',
+      url: '/auth/forgot-password',
+      payload: { email },
+    });
+
+  test('should limit requests per email, not per IP', async () => {
+    for (let i = 0; i < passwordResetRateLimitConfig.max; i++) {
+      expect((await forgot('user@example.com')).statusCode).toBe(200);
+    }
+
+    expect((await forgot('USER@example.com')).statusCode).toBe(429);
+    expect((await forgot('other@example.com')).statusCode).toBe(200);
+  });
+});
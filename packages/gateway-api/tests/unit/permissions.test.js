@@ -0,0 +1,83 @@
+/**
+ * Permission Guard Unit Tests
+ * Tests wildcard permission matching and the requirePermission preHandler
+ */
+
+import { test, beforeAll, afterAll, describe, expect } from '@jest/globals';
+import Fastify from 'fastify';
+import {
+  authPlugin,
+  hasAnyPermission,
+  jwtService,
+  permissionMatches,
+} from '@shared/core/auth';
+
+describe('permissionMatches', () => {
+  test('should match exact names and wildcards', () => {
+    expect(permissionMatches('write:comments', 'write:comments')).toBe(true);
+    expect(permissionMatches('*', 'manage:roles')).toBe(true);
+    expect(permissionMatches('write:*', 'write:comments')).toBe(true);
+    expect(permissionMatches('*:comments', 'delete:comments')).toBe(true);
+  });
+
+  test('should not match other actions or resources', () => {
+    expect(permissionMatches('read:comments', 'write:comments')).toBe(false);
+    expect(permissionMatches('write:*', 'write')).toBe(false);
+    expect(hasAnyPermission([], ['read:comments'])).toBe(false);
+    expect(hasAnyPermission([], [])).toBe(true);
+  });
+});
+
+describe('requirePermission preHandler', () => {
+  let app;
+
+  const tokenWith = permissions =>
+    jwtService.createUserToken({
+      id: 'user-1',
+      email: 'user@example.com',
+      roles: ['user'],
+      permissions,
+    }).token;
+
+  beforeAll(async () => {
+    app = Fastify({ logger: false });
+    await app.register(authPlugin, { jwtSecret: 'permissions-test-secret' });
+    app.post(
+      '/comments',
+      { preHandler: app.requirePermission('write:comments') },
+      async request => ({ userId: request.user.id })
+    );
+    await app.ready();
+  });
+
+  afterAll(async () => {
+    await app?.close();
+  });
+
+  test('should reject anonymous requests', async () => {
+    const response = await app.inject({ method: 'POST', url: '/comments' });
+    expect(response.statusCode).toBe(401);
+  });
+
+  test('should reject users without the permission', async () => {
+    const response = await app.inject({
+      method: 'POST',
+      url: '/comments',
+      headers: { authorization: `Bearer ${tokenWith(['read:comments'])}` },
+    });
+
+    expect(response.statusCode).toBe(403);
+    expect(response.json().message).toContain('write:comments');
+  });
+
+  test('should allow users holding the permission from the token', async () => {
+    const response = await app.inject({
+      method: 'POST',
+      url: '/comments',
+      headers: { authorization: `Bearer ${tokenWith(['write:comments'])}` },
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json()).toEqual({ userId: 'user-1' });
+  });
+});
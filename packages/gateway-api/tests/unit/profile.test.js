@@ -0,0 +1,371 @@
+/**
+ * Profile Unit Tests
+ * Tests profile field validation, the profile service and the /auth/me routes
+ */
+
+import {
+  jest,
+  test,
+  beforeAll,
+  beforeEach,
+  afterAll,
+  describe,
+  expect,
+} from '@jest/globals';
+import Fastify from 'fastify';
+import { authPlugin, jwtService, passwordService } from '@shared/core/auth';
+import {
+  ageFromBirthday,
+  normalizeGender,
+  normalizePhoneNumber,
+  normalizeProfileUpdate,
+  parseBirthday,
+} from '../../src/utils/profile.js';
+import { ProfileService } from '../../database/profileService.js';
+import { EmailVerificationService } from '../../database/emailVerificationService.js';
+import { AuditLogService } from '../../database/auditLogService.js';
+import { MemoryTransport } from '../../src/services/mailer.js';
+import { profileRoutes } from '../../src/routes/index.js';
+import { createPrismaMock } from '../mocks/prismaClientMock.js';
+
+const PASSWORD = 'CurrentPassw0rd!';
+const now = new Date('2026-06-15T12:00:00Z');
+
+describe('Profile field rules', () => {
+  test('should derive age from the birthday', () => {
+    expect(ageFromBirthday(new Date('1990-06-15'), now)).toBe(36);
+    expect(ageFromBirthday(new Date('1990-06-16'), now)).toBe(35);
+    expect(ageFromBirthday(null, now)).toBeNull();
+  });
+
+  test('should normalise phone numbers to E.164', () => {
+    expect(normalizePhoneNumber('+49 (151) 1234-5678')).toBe('+4915112345678');
+    for (const invalid of ['015112345678', '+0151123', '+1234567890123456']) {
+      expect(() => normalizePhoneNumber(invalid)).toThrow(
+        expect.objectContaining({ statusCode: 422 })
+      );
+    }
+  });
+
+  test('should only accept past birthdays within a plausible age', () => {
+    expect(parseBirthday('1990-06-15', now)).toEqual(new Date('1990-06-15'));
+    for (const invalid of ['2027-01-01', '1850-01-01', 'not-a-date']) {
+      expect(() => parseBirthday(invalid, now)).toThrow(
+        expect.objectContaining({ statusCode: 422 })
+      );
+    }
+  });
+
+  test('should store genders as male, female or undisclosed', () => {
+    expect(normalizeGender('female')).toBe('female');
+    expect(normalizeGender('مرد')).toBe('male');
+    expect(normalizeGender('ترجیح می‌دهم نگویم')).toBe('undisclosed');
+    expect(() => normalizeGender('toString')).toThrow(
+      expect.objectContaining({ statusCode: 422 })
+    );
+  });
+
+  test('should leave absent fields out and clear null ones', () => {
+    expect(
+      normalizeProfileUpdate(
+        { firstName: ' Ada ', phoneNumber: null, gender: 'زن' },
+        now
+      )
+    ).toEqual({ firstName: 'Ada', phoneNumber: null, gender: 'female' });
+  });
+});
+
+const buildUser = (overrides = {}) => ({
+  id: 'user-1',
+  email: 'ada@example.com',
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  phoneNumber: '+4915112345678',
+  birthday: new Date('1990-06-15'),
+  address: null,
+  gender: 'female',
+  isActive: true,
+  isVerified: true,
+  twoFactorEnabled: false,
+  deletedAt: null,
+  createdAt: new Date('2025-01-01'),
+  updatedAt: new Date('2025-01-01'),
+  ...overrides,
+});
+
+const mockPrisma = passwordHash =>
+  createPrismaMock({
+    user: {
+      findUnique: jest.fn(async ({ where }) =>
+        where.id === 'user-1' ? buildUser({ password: passwordHash }) : null
+      ),
+      findFirst: jest.fn(async () => buildUser()),
+      update: jest.fn(async ({ data }) => ({ ...buildUser(), ...data })),
+    },
+    verificationToken: { create: jest.fn().mockResolvedValue({}) },
+  });
+
+const createService = prisma => {
+  const mailer = new MemoryTransport();
+  const emailVerificationService = new EmailVerificationService(
+    prisma,
+    mailer,
+    { mode: 'limit', tokenTtlMs: 60 * 60 * 1000, verifyUrl: 'http://app/v' }
+  );
+  const userLifecycleService = {
+    anonymizeUser: jest.fn(async id => ({
+      id,
+      email: `deleted-${id}@deleted.invalid`,
+      isActive: false,
+      deletedAt: new Date(),
+    })),
+  };
+
+  return {
+    mailer,
+    userLifecycleService,
+    service: new ProfileService(
+      prisma,
+      emailVerificationService,
+      userLifecycleService
+    ),
+  };
+};
+
+describe('ProfileService', () => {
+  let passwordHash;
+  let prisma;
+  let mailer;
+  let userLifecycleService;
+  let service;
+
+  beforeAll(async () => {
+    passwordHash = await passwordService.hashPassword(PASSWORD);
+  });
+
+  beforeEach(() => {
+    prisma = mockPrisma(passwordHash);
+    ({ mailer, userLifecycleService, service } = createService(prisma));
+  });
+
+  test('should return the profile with the derived age', async () => {
+    const profile = await service.getProfile('user-1');
+
+    expect(prisma.user.findFirst).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { id: 'user-1', deletedAt: null } })
+    );
+    expect(profile.age).toBe(ageFromBirthday(new Date('1990-06-15')));
+    expect(profile).not.toHaveProperty('password');
+  });
+
+  test('should answer 404 for deleted users', async () => {
+    prisma.user.findFirst.mockResolvedValueOnce(null);
+
+    await expect(service.getProfile('user-1')).rejects.toMatchObject({
+      statusCode: 404,
+    });
+  });
+
+  test('should save normalised fields', async () => {
+    const { profile, emailChanged } = await service.updateProfile('user-1', {
+      phoneNumber: '+49 151 9876 5432',
+      gender: 'prefer_not_to_say',
+    });
+
+    expect(prisma.user.update.mock.calls[0][0].data).toEqual({
+      phoneNumber: '+4915198765432',
+      gender: 'undisclosed',
+    });
+    expect(emailChanged).toBe(false);
+    expect(profile.gender).toBe('undisclosed');
+  });
+
+  test('should need the current password to change the email', async () => {
+    await expect(
+      service.updateProfile('user-1', {
+        email: 'new@example.com',
+        currentPassword: 'wrong',
+      })
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+
+  test('should refuse an email that another account uses', async () => {
+    prisma.user.findUnique.mockImplementation(async ({ where }) =>
+      buildUser({
+        id: where.email ? 'user-2' : 'user-1',
+        password: passwordHash,
+      })
+    );
+
+    await expect(
+      service.updateProfile('user-1', {
+        email: 'taken@example.com',
+        currentPassword: PASSWORD,
+      })
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('should re-verify a new email and tell the old address', async () => {
+    const { profile, emailChanged } = await service.updateProfile('user-1', {
+      email: 'new@example.com',
+      currentPassword: PASSWORD,
+    });
+
+    expect(prisma.user.update.mock.calls[0][0].data).toEqual({
+      email: 'new@example.com',
+      isVerified: false,
+    });
+    expect(emailChanged).toBe(true);
+    expect(profile).toMatchObject({
+      email: 'new@example.com',
+      isVerified: false,
+    });
+    expect(mailer.lastTo('new@example.com').subject).toBe(
+      'Verify your email address'
+    );
+    expect(mailer.lastTo('ada@example.com').text).toContain('new@example.com');
+  });
+
+  test('should delete the account only with the right password', async () => {
+    await expect(
+      service.deleteAccount('user-1', 'wrong')
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(userLifecycleService.anonymizeUser).not.toHaveBeenCalled();
+
+    const user = await service.deleteAccount('user-1', PASSWORD);
+
+    expect(userLifecycleService.anonymizeUser).toHaveBeenCalledWith('user-1');
+    expect(user.email).toBe('deleted-user-1@deleted.invalid');
+  });
+});
+
+describe('Profile routes', () => {
+  const JWT_SECRET = 'profile-routes-secret';
+  let app;
+  let prisma;
+  let userToken;
+
+  beforeAll(async () => {
+    prisma = mockPrisma(await passwordService.hashPassword(PASSWORD));
+    const { service } = createService(prisma);
+
+    app = Fastify({ logger: false });
+    await app.register(authPlugin, { jwtSecret: JWT_SECRET });
+    await app.register(profileRoutes, {
+      profileService: service,
+      auditLogService: new AuditLogService(prisma),
+    });
+    await app.ready();
+
+    userToken = jwtService.createUserToken({
+      ...buildUser(),
+      roles: ['user'],
+    }).token;
+  });
+
+  beforeEach(() => {
+    prisma.user.update.mockClear();
+    prisma.auditLog.create.mockClear();
+  });
+
+  afterAll(async () => {
+    await app?.close();
+  });
+
+  const patch = (payload, token = userToken) =>
+    app.inject({
+      method: 'PATCH',
+      url: '/auth/me',
+      headers: { authorization: `Bearer ${token}` },
+      payload,
+    });
+
+  test('should return the profile', async () => {
+    const response = await app.inject({
+      method: 'GET',
+      url: '/auth/me',
+      headers: { authorization: `Bearer ${userToken}` },
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json().data).toMatchObject({
+      id: 'user-1',
+      email: 'ada@example.com',
+      gender: 'female',
+      age: ageFromBirthday(new Date('1990-06-15')),
+    });
+  });
+
+  test('should reject invalid fields with 422', async () => {
+    expect((await patch({ phoneNumber: '0151 1234567' })).statusCode).toBe(422);
+    expect((await patch({ birthday: '2999-01-01' })).statusCode).toBe(422);
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+
+  test('should reject malformed bodies', async () => {
+    expect((await patch({})).statusCode).toBe(400);
+    expect((await patch({ gender: 'other' })).statusCode).toBe(400);
+    expect((await patch({ email: 'new@example.com' })).statusCode).toBe(400);
+  });
+
+  test('should clear fields set to null and audit the update', async () => {
+    const response = await patch({ address: null, gender: null });
+
+    expect(response.statusCode).toBe(200);
+    expect(prisma.user.update.mock.calls[0][0].data).toEqual({
+      address: null,
+      gender: null,
+    });
+    const { data } = prisma.auditLog.create.mock.calls[0][0];
+    expect(data).toMatchObject({
+      action: 'user_update',
+      resource: 'user:user-1',
+    });
+    expect(JSON.parse(data.metadata)).toEqual({
+      fields: ['address', 'gender'],
+    });
+  });
+
+  test('should audit an email change without the password', async () => {
+    const response = await patch({
+      email: 'new@example.com',
+      currentPassword: PASSWORD,
+    });
+
+    expect(response.statusCode).toBe(200);
+    const { data } = prisma.auditLog.create.mock.calls[0][0];
+    expect(data.action).toBe('email_change');
+    expect(JSON.parse(data.metadata)).toEqual({ fields: ['email'] });
+  });
+
+  test('should not let an impersonation token edit or delete the account', async () => {
+    const token = jwtService.createImpersonationToken(
+      { ...buildUser(), roles: ['user'], permissions: [] },
+      { id: 'admin-1', email: 'admin@example.com' }
+    );
+
+    expect((await patch({ firstName: 'Eve' }, token)).statusCode).toBe(403);
+    const response = await app.inject({
+      method: 'DELETE',
+      url: '/auth/me',
+      headers: { authorization: `Bearer ${token}` },
+      payload: { currentPassword: PASSWORD },
+    });
+    expect(response.statusCode).toBe(403);
+  });
+
+  test('should delete the account and audit it', async () => {
+    const response = await app.inject({
+      method: 'DELETE',
+      url: '/auth/me',
+      headers: { authorization: `Bearer ${userToken}` },
+      payload: { currentPassword: PASSWORD },
+    });
+
+    expect(response.statusCode).toBe(200);
+    const { data } = prisma.auditLog.create.mock.calls[0][0];
+    expect(data.action).toBe('user_delete');
+    expect(JSON.parse(data.metadata)).toEqual({ self: true });
+  });
+});
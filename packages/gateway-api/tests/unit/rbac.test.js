@@ -0,0 +1,305 @@
+/**
+ * RBAC Administration Unit Tests
+ * Tests role/permission management, audit logging and the admin routes
+ */
+
+import {
+  jest,
+  test,
+  beforeAll,
+  beforeEach,
+  afterAll,
+  describe,
+  expect,
+} from '@jest/globals';
+import Fastify from 'fastify';
+import { authPlugin, jwtService } from '@shared/core/auth';
+import {
+  RbacService,
+  resolveEffectivePermissions,
+} from '../../database/rbacService.js';
+import { adminRbacRoutes } from '../../src/routes/index.js';
+import { createPrismaMock } from '../mocks/prismaClientMock.js';
+
+const actor = { userId: 'admin-1', ipAddress: '127.0.0.1', userAgent: 'jest' };
+
+const buildRole = (overrides = {}) => ({
+  id: 'role-1',
+  name: 'moderator',
+  description: null,
+  isActive: true,
+  permissions: [],
+  _count: { users: 0 },
+  ...overrides,
+});
+
+describe('resolveEffectivePermissions', () => {
+  test('should merge active role permissions with direct grants', () => {
+    const user = {
+      roles: [
+        {
+          role: {
+            name: 'moderator',
+            isActive: true,
+            permissions: [{ permission: { name: 'delete:comments' } }],
+          },
+        },
+        {
+          role: {
+            name: 'legacy',
+            isActive: false,
+            permissions: [{ permission: { name: 'manage:users' } }],
+          },
+        },
+      ],
+      permissions: [
+        { permission: { name: 'read:comments' } },
+        { permission: { name: 'delete:comments' } },
+      ],
+    };
+
+    expect(resolveEffectivePermissions(user)).toEqual({
+      roles: ['moderator'],
+      rolePermissions: { moderator: ['delete:comments'] },
+      directPermissions: ['read:comments', 'delete:comments'],
+      permissions: ['delete:comments', 'read:comments'],
+    });
+  });
+});
+
+describe('RbacService', () => {
+  let prisma;
+  let service;
+
+  beforeEach(() => {
+    prisma = createPrismaMock();
+    service = new RbacService(prisma);
+  });
+
+  test('should create a role and audit it with the acting admin', async () => {
+    prisma.role.findUnique.mockResolvedValue(null);
+    prisma.permission.findMany.mockResolvedValue([
+      { id: 'perm-1', name: 'read:comments' },
+    ]);
+    prisma.role.create.mockResolvedValue(
+      buildRole({
+        permissions: [
+          { permissionId: 'perm-1', permission: { name: 'read:comments' } },
+        ],
+      })
+    );
+
+    const role = await service.createRole(
+      { name: 'moderator', permissions: ['read:comments'] },
+      actor
+    );
+
+    expect(role).toMatchObject({
+      name: 'moderator',
+      permissions: ['read:comments'],
+      userCount: 0,
+    });
+    expect(prisma.auditLog.create).toHaveBeenCalledWith({
+      data: {
+        userId: 'admin-1',
+        action: 'role_create',
+        resource: 'role:role-1',
+        metadata: JSON.stringify({
+          name: 'moderator',
+          permissions: ['read:comments'],
+        }),
+        ipAddress: '127.0.0.1',
+        userAgent: 'jest',
+        requestId: null,
+      },
+    });
+  });
+
+  test('should reject duplicate role names without auditing', async () => {
+    prisma.role.findUnique.mockResolvedValue(buildRole());
+
+    await expect(
+      service.createRole({ name: 'moderator' }, actor)
+    ).rejects.toMatchObject({ statusCode: 409 });
+    expect(prisma.auditLog.create).not.toHaveBeenCalled();
+  });
+
+  test('should report every unknown permission when attaching', async () => {
+    prisma.role.findFirst.mockResolvedValue(buildRole());
+    prisma.permission.findMany.mockResolvedValue([
+      { id: 'perm-1', name: 'read:comments' },
+    ]);
+
+    await expect(
+      service.attachPermissions(
+        'moderator',
+        ['read:comments', 'fly:planes'],
+        actor
+      )
+    ).rejects.toMatchObject({
+      statusCode: 404,
+      details: { missing: ['fly:planes'] },
+    });
+    expect(prisma.rolePermission.create).not.toHaveBeenCalled();
+  });
+
+  test('should audit deactivation and refuse to deactivate admin', async () => {
+    prisma.role.findFirst.mockResolvedValue(buildRole());
+    prisma.role.update.mockResolvedValue(buildRole({ isActive: false }));
+
+    const role = await service.deactivateRole('moderator', actor);
+    expect(role.isActive).toBe(false);
+    expect(prisma.auditLog.create.mock.calls[0][0].data.action).toBe(
+      'role_deactivate'
+    );
+
+    prisma.role.findFirst.mockResolvedValue(
+      buildRole({ id: 'role-admin', name: 'admin' })
+    );
+    await expect(service.deactivateRole('admin', actor)).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  test('should refuse to rename built-in roles', async () => {
+    prisma.role.findFirst.mockResolvedValue(
+      buildRole({ id: 'role-admin', name: 'admin' })
+    );
+    await expect(
+      service.updateRole('admin', { name: 'owner' }, actor)
+    ).rejects.toMatchObject({ statusCode: 400 });
+
+    prisma.role.findFirst.mockResolvedValue(buildRole({ name: 'reviewer' }));
+    prisma.role.findUnique.mockResolvedValue(null);
+    prisma.role.update.mockResolvedValue(buildRole({ name: 'screener' }));
+    const role = await service.updateRole(
+      'reviewer',
+      { name: 'screener' },
+      actor
+    );
+    expect(role.name).toBe('screener');
+    expect(prisma.role.update).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not assign deactivated roles', async () => {
+    prisma.user.findUnique.mockResolvedValue({ id: 'user-1' });
+    prisma.role.findFirst.mockResolvedValue(buildRole({ isActive: false }));
+
+    await expect(
+      service.assignRole('user-1', 'moderator', actor)
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(prisma.userRole.create).not.toHaveBeenCalled();
+  });
+
+  test('should skip the audit log when revoking a permission the user lacks', async () => {
+    prisma.user.findUnique
+      .mockResolvedValueOnce({ id: 'user-1' })
+      .mockResolvedValueOnce({ id: 'user-1', roles: [], permissions: [] });
+    prisma.permission.findFirst.mockResolvedValue({
+      id: 'perm-1',
+      name: 'read:comments',
+    });
+    prisma.userPermission.deleteMany.mockResolvedValue({ count: 0 });
+
+    const access = await service.revokePermission(
+      'user-1',
+      'read:comments',
+      actor
+    );
+
+    expect(access).toMatchObject({ userId: 'user-1', permissions: [] });
+    expect(prisma.auditLog.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('Admin RBAC routes', () => {
+  const JWT_SECRET = 'rbac-routes-test-secret';
+  let app;
+  let rbacService;
+  let adminToken;
+  let userToken;
+
+  beforeAll(async () => {
+    rbacService = {
+      createRole: jest.fn(async ({ name }) => ({
+        id: 'role-1',
+        name,
+        isActive: true,
+        permissions: [],
+        userCount: 0,
+      })),
+      getEffectivePermissions: jest.fn(),
+    };
+
+    app = Fastify({ logger: false });
+    await app.register(authPlugin, { jwtSecret: JWT_SECRET });
+    await app.register(adminRbacRoutes, { rbacService });
+    await app.ready();
+
+    adminToken = jwtService.createUserToken({
+      id: 'admin-1',
+      email: 'admin@example.com',
+      roles: ['admin'],
+    }).token;
+    userToken = jwtService.createUserToken({
+      id: 'user-1',
+      email: 'user@example.com',
+      roles: ['user'],
+    }).token;
+  });
+
+  afterAll(async () => {
+    await app?.close();
+  });
+
+  test('should only be available to admins', async () => {
+    const anonymous = await app.inject({
+      method: 'GET',
+      url: '/admin/users/user-1/permissions',
+    });
+    expect(anonymous.statusCode).toBe(401);
+
+    const asUser = await app.inject({
+      method: 'GET',
+      url: '/admin/users/user-1/permissions',
+      headers: { authorization: `Bearer ${userToken}` },
+    });
+    expect(asUser.statusCode).toBe(403);
+    expect(rbacService.getEffectivePermissions).not.toHaveBeenCalled();
+  });
+
+  test('should create roles on behalf of the calling admin', async () => {
+    const response = await app.inject({
+      method: 'POST',
+      url: '/admin/roles',
+      headers: {
+        authorization: `Bearer ${adminToken}`,
+        'user-agent': 'jest',
+      },
+      payload: { name: 'moderator' },
+    });
+
+    expect(response.statusCode).toBe(201);
+    expect(response.json().data.name).toBe('moderator');
+    expect(rbacService.createRole).toHaveBeenCalledWith(
+      { name: 'moderator', permissions: [] },
+      expect.objectContaining({
+        userId: 'admin-1',
+        ipAddress: '127.0.0.1',
+        userAgent: 'jest',
+        requestId: expect.any(String),
+      })
+    );
+  });
+
+  test('should validate role names', async () => {
+    const response = await app.inject({
+      method: 'POST',
+      url: '/admin/roles',
+      headers: { authorization: `Bearer ${adminToken}` },
+      payload: { name: 'Bad Name' },
+    });
+
+    expect(response.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,363 @@
+/**
+ * Service Registry & Router Unit Tests
+ * Tests route auth resolution and registry-driven proxy routes
+ */
+
+import {
+  test,
+  beforeAll,
+  beforeEach,
+  afterAll,
+  describe,
+  expect,
+} from '@jest/globals';
+import Fastify from 'fastify';
+import { authPlugin, jwtService } from '@shared/core/auth';
+import { ServiceRegistry } from '../../src/services/service-registry.js';
+import { ServiceRouter } from '../../src/utils/service-router.js';
+
+const JWT_SECRET = 'service-router-test-secret';
+
+const buildServiceConfig = baseUrl => ({
+  name: 'notes-api',
+  baseUrl,
+  basePath: '/part/test/notes',
+  rewritePrefix: '/api/notes',
+  authentication: { requireAuth: true, requireRoles: [] },
+  routes: [
+    {
+      path: '/part/test/notes',
+      methods: ['GET', 'POST'],
+      methodConfigs: {
+        GET: { requireAuth: false },
+        POST: { requireAuth: true },
+      },
+    },
+    {
+      path: '/part/test/notes/:id',
+      methods: ['GET', 'PATCH', 'DELETE'],
+      methodConfigs: {
+        GET: { requireAuth: false },
+        PATCH: { requirePermissions: ['write:notes'] },
+        DELETE: { requireAuth: true, requireRoles: ['admin'] },
+      },
+    },
+  ],
+});
+
+describe('ServiceRegistry', () => {
+  const registry = new ServiceRegistry();
+  registry.registerService(buildServiceConfig('http://localhost:1'));
+
+  test('should resolve method configs for parameterised routes', () => {
+    expect(registry.getRouteAuth('/part/test/notes/abc', 'GET')).toMatchObject({
+      requireAuth: false,
+    });
+    expect(
+      registry.getRouteAuth('/part/test/notes/abc', 'PATCH')
+    ).toMatchObject({ requirePermissions: ['write:notes'] });
+    expect(
+      registry.getRouteAuth('/part/test/notes/abc', 'DELETE')
+    ).toMatchObject({ requireAuth: true, requireRoles: ['admin'] });
+  });
+
+  test('should fall back to service rules for unlisted sub-paths', () => {
+    expect(
+      registry.getRouteAuth('/part/test/notes/abc/archive', 'POST')
+    ).toMatchObject({ requireAuth: true, isPublic: false });
+  });
+
+  test('should feed failed health checks into the circuit breaker', async () => {
+    const polled = new ServiceRegistry();
+    polled.registerService({
+      ...buildServiceConfig('http://127.0.0.1:9'),
+      circuitBreaker: { failureThreshold: 1 },
+    });
+
+    await polled.healthCheckAll();
+
+    const status = polled.getHealthStatus()['notes-api'];
+    expect(status.healthy).toBe(false);
+    expect(status.lastHealthCheck).not.toBeNull();
+    expect(status.circuit.state).toBe('open');
+  });
+
+  test('should treat paths outside every service as public', () => {
+    expect(registry.getRouteAuth('/elsewhere', 'GET').isPublic).toBe(true);
+    expect(registry.getServiceForPath('/part/test/notesx')).toBeNull();
+  });
+});
+
+describe('ServiceRouter', () => {
+  let upstream;
+  let gateway;
+  let userToken;
+  let adminToken;
+
+  beforeAll(async () => {
+    upstream = Fastify({ logger: false });
+    upstream.all('/api/notes*', async (request, reply) => {
+      reply
+        .header('connection', 'x-upstream-hop')
+        .header('x-upstream-hop', '1');
+      return {
+        url: request.url,
+        method: request.method,
+        body: request.body ?? null,
+        headers: request.headers,
+      };
+    });
+    const upstreamUrl = await upstream.listen({ port: 0, host: '127.0.0.1' });
+
+    const registry = new ServiceRegistry();
+    registry.registerService(buildServiceConfig(upstreamUrl));
+
+    gateway = Fastify({ logger: false });
+    await gateway.register(authPlugin, { jwtSecret: JWT_SECRET });
+    await new ServiceRouter(gateway, registry).registerAllServices();
+    await gateway.ready();
+
+    userToken = jwtService.createUserToken({
+      id: 'user-1',
+      email: 'user@example.com',
+      roles: ['user'],
+    }).token;
+    adminToken = jwtService.createUserToken({
+      id: 'admin-1',
+      email: 'admin@example.com',
+      roles: ['admin'],
+    }).token;
+  });
+
+  afterAll(async () => {
+    await gateway?.close();
+    await upstream?.close();
+  });
+
+  test('should proxy public routes and rewrite the base path', async () => {
+    const response = await gateway.inject({
+      method: 'GET',
+      url: '/part/test/notes?page=2',
+      headers: { 'x-user-id': 'spoofed' },
+    });
+
+    expect(response.statusCode).toBe(200);
+    const body = response.json();
+    expect(body.url).toBe('/api/notes?page=2');
+    expect(body.headers['x-gateway-forwarded']).toBe('true');
+    expect(body.headers['x-service-name']).toBe('notes-api');
+    expect(body.headers['x-user-id']).toBeUndefined();
+  });
+
+  test('should strip hop-by-hop headers in both directions', async () => {
+    const response = await gateway.inject({
+      method: 'GET',
+      url: '/part/test/notes',
+      headers: {
+        connection: 'x-debug-hop',
+        'x-debug-hop': '1',
+        'proxy-authorization': 'Basic abc',
+        'x-client-header': 'kept',
+      },
+    });
+
+    const { headers } = response.json();
+    expect(headers['x-debug-hop']).toBeUndefined();
+    expect(headers['proxy-authorization']).toBeUndefined();
+    expect(headers['x-client-header']).toBe('kept');
+    expect(headers['x-forwarded-for']).toBe('127.0.0.1');
+    expect(response.headers['x-upstream-hop']).toBeUndefined();
+  });
+
+  test('should attach user context on public routes when a token is sent', async () => {
+    const response = await gateway.inject({
+      method: 'GET',
+      url: '/part/test/notes/abc',
+      headers: { authorization: `Bearer ${userToken}` },
+    });
+
+    const body = response.json();
+    expect(body.url).toBe('/api/notes/abc');
+    expect(body.headers['x-user-id']).toBe('user-1');
+    expect(body.headers.authorization).toBeUndefined();
+  });
+
+  test('should require authentication where the method config asks for it', async () => {
+    const anonymous = await gateway.inject({
+      method: 'POST',
+      url: '/part/test/notes',
+      payload: { text: 'hello' },
+    });
+    expect(anonymous.statusCode).toBe(401);
+
+    const authenticated = await gateway.inject({
+      method: 'POST',
+      url: '/part/test/notes',
+      headers: { authorization: `Bearer ${userToken}` },
+      payload: { text: 'hello' },
+    });
+    expect(authenticated.statusCode).toBe(200);
+    expect(authenticated.json().body).toEqual({ text: 'hello' });
+  });
+
+  test('should enforce required permissions and forward them', async () => {
+    const withoutPermission = await gateway.inject({
+      method: 'PATCH',
+      url: '/part/test/notes/abc',
+      headers: { authorization: `Bearer ${userToken}` },
+      payload: { text: 'edited' },
+    });
+    expect(withoutPermission.statusCode).toBe(403);
+
+    const editorToken = jwtService.createUserToken({
+      id: 'editor-1',
+      email: 'editor@example.com',
+      roles: ['user'],
+      permissions: ['write:*'],
+    }).token;
+    const withPermission = await gateway.inject({
+      method: 'PATCH',
+      url: '/part/test/notes/abc',
+      headers: { authorization: `Bearer ${editorToken}` },
+      payload: { text: 'edited' },
+    });
+    expect(withPermission.statusCode).toBe(200);
+    expect(
+      JSON.parse(withPermission.json().headers['x-user-permissions'])
+    ).toEqual(['write:*']);
+  });
+
+  test('should enforce required roles', async () => {
+    const asUser = await gateway.inject({
+      method: 'DELETE',
+      url: '/part/test/notes/abc',
+      headers: { authorization: `Bearer ${userToken}` },
+    });
+    expect(asUser.statusCode).toBe(403);
+
+    const asAdmin = await gateway.inject({
+      method: 'DELETE',
+      url: '/part/test/notes/abc',
+      headers: { authorization: `Bearer ${adminToken}` },
+    });
+    expect(asAdmin.statusCode).toBe(200);
+  });
+});
+
+describe('ServiceRouter circuit breaking', () => {
+  let gateway;
+
+  beforeAll(async () => {
+    // Nothing listens on port 9 (discard), so every proxy attempt fails
+    const registry = new ServiceRegistry();
+    registry.registerService({
+      ...buildServiceConfig('http://127.0.0.1:9'),
+      authentication: { requireAuth: false, requireRoles: [] },
+      circuitBreaker: { failureThreshold: 1, resetTimeout: 30000 },
+    });
+
+    gateway = Fastify({ logger: false });
+    await gateway.register(authPlugin, { jwtSecret: JWT_SECRET });
+    await new ServiceRouter(gateway, registry).registerAllServices();
+    await gateway.ready();
+  });
+
+  afterAll(async () => {
+    await gateway?.close();
+  });
+
+  test('should fail fast with 503 and Retry-After while the circuit is open', async () => {
+    const first = await gateway.inject({
+      method: 'GET',
+      url: '/part/test/notes',
+    });
+    expect(first.statusCode).toBe(502);
+    expect(first.json().code).toBe('UPSTREAM_UNAVAILABLE');
+
+    const second = await gateway.inject({
+      method: 'GET',
+      url: '/part/test/notes',
+    });
+    expect(second.statusCode).toBe(503);
+    expect(second.headers['retry-after']).toBe('30');
+    expect(second.json().code).toBe('CIRCUIT_OPEN');
+  });
+});
+
+describe('ServiceRouter upstream failures', () => {
+  let upstream;
+  let gateway;
+  let attempts;
+
+  beforeAll(async () => {
+    upstream = Fastify({ logger: false });
+    upstream.get('/api/notes/slow', async () => {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      return { slow: true };
+    });
+    upstream.all('/api/notes/flaky', async (request, reply) => {
+      attempts += 1;
+      if (attempts < 3) {
+        return reply.status(503).send({ attempt: attempts });
+      }
+      return { attempt: attempts, body: request.body ?? null };
+    });
+    const upstreamUrl = await upstream.listen({ port: 0, host: '127.0.0.1' });
+
+    const registry = new ServiceRegistry();
+    registry.registerService({
+      ...buildServiceConfig(upstreamUrl),
+      authentication: { requireAuth: false, requireRoles: [] },
+      routes: [],
+      timeout: 100,
+      retry: { retries: 2, delay: 1 },
+      circuitBreaker: { failureThreshold: 10 },
+    });
+
+    gateway = Fastify({ logger: false });
+    await gateway.register(authPlugin, { jwtSecret: JWT_SECRET });
+    await new ServiceRouter(gateway, registry).registerAllServices();
+    await gateway.ready();
+  });
+
+  beforeEach(() => {
+    attempts = 0;
+  });
+
+  afterAll(async () => {
+    await gateway?.close();
+    await upstream?.close();
+  });
+
+  test('should answer 504 when the service exceeds its timeout', async () => {
+    const response = await gateway.inject({
+      method: 'GET',
+      url: '/part/test/notes/slow',
+    });
+
+    expect(response.statusCode).toBe(504);
+    expect(response.json().code).toBe('UPSTREAM_TIMEOUT');
+  });
+
+  test('should retry idempotent methods and replay their body', async () => {
+    const response = await gateway.inject({
+      method: 'PUT',
+      url: '/part/test/notes/flaky',
+      payload: { text: 'edited' },
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json()).toEqual({ attempt: 3, body: { text: 'edited' } });
+  });
+
+  test('should not retry non-idempotent methods', async () => {
+    const response = await gateway.inject({
+      method: 'POST',
+      url: '/part/test/notes/flaky',
+      payload: { text: 'new' },
+    });
+
+    expect(response.statusCode).toBe(503);
+    expect(attempts).toBe(1);
+  });
+});
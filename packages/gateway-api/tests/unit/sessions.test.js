@@ -0,0 +1,314 @@
+/**
+ * Session Management Unit Tests
+ * Tests device tracking per refresh token family and the user/admin
+ * session routes
+ */
+
+import {
+  jest,
+  test,
+  beforeAll,
+  beforeEach,
+  afterAll,
+  describe,
+  expect,
+} from '@jest/globals';
+import Fastify from 'fastify';
+import { authPlugin, jwtService } from '@shared/core/auth';
+import { TokenService } from '../../database/tokenService.js';
+import { createPrismaMock } from '../mocks/prismaClientMock.js';
+import { adminSessionRoutes, sessionRoutes } from '../../src/routes/index.js';
+
+const user = {
+  id: 'user-1',
+  email: 'user@example.com',
+  isActive: true,
+  roles: ['user'],
+  permissions: ['read:comments'],
+};
+
+const inOneDay = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+const buildSession = (overrides = {}) => ({
+  id: 'family-1',
+  userId: 'user-1',
+  userAgent: 'Mozilla/5.0',
+  ipAddress: '10.0.0.1',
+  createdAt: new Date('2025-10-01T00:00:00Z'),
+  lastUsedAt: new Date('2025-10-02T00:00:00Z'),
+  expiresAt: inOneDay(),
+  revokedAt: null,
+  ...overrides,
+});
+
+describe('TokenService sessions', () => {
+  let prisma;
+  let service;
+
+  beforeEach(() => {
+    prisma = createPrismaMock({
+      user: { findUnique: jest.fn().mockResolvedValue({ id: 'user-1' }) },
+      refreshToken: { updateMany: jest.fn().mockResolvedValue({ count: 1 }) },
+      session: { updateMany: jest.fn().mockResolvedValue({ count: 1 }) },
+    });
+    service = new TokenService(prisma, {
+      getUserWithRoles: jest.fn().mockResolvedValue(user),
+    });
+  });
+
+  test('should record the device when a session starts', async () => {
+    await service.createSession(user, {
+      ipAddress: '10.0.0.1',
+      userAgent: 'Mozilla/5.0',
+      requestId: 'req-1',
+    });
+
+    const { familyId } = prisma.refreshToken.create.mock.calls[0][0].data;
+    const { where, create } = prisma.session.upsert.mock.calls[0][0];
+    expect(where).toEqual({ id: familyId });
+    expect(create).toMatchObject({
+      id: familyId,
+      userId: 'user-1',
+      ipAddress: '10.0.0.1',
+      userAgent: 'Mozilla/5.0',
+      lastUsedAt: expect.any(Date),
+    });
+    expect(create).not.toHaveProperty('requestId');
+  });
+
+  test('should update last use on refresh without erasing the device', async () => {
+    prisma.refreshToken.findUnique.mockResolvedValue({
+      id: 'rt-1',
+      token: 'refresh-1',
+      userId: 'user-1',
+      familyId: 'family-1',
+      expiresAt: inOneDay(),
+      isRevoked: false,
+    });
+
+    await service.rotateRefreshToken('refresh-1', { ipAddress: '10.0.0.2' });
+
+    const { where, update } = prisma.session.upsert.mock.calls[0][0];
+    expect(where).toEqual({ id: 'family-1' });
+    expect(update).toEqual({
+      ipAddress: '10.0.0.2',
+      lastUsedAt: expect.any(Date),
+      expiresAt: expect.any(Date),
+    });
+  });
+
+  test('should flag the session the request was made from', async () => {
+    prisma.session.findMany.mockResolvedValue([
+      buildSession({ id: 'family-2' }),
+      buildSession(),
+    ]);
+    prisma.refreshToken.findFirst.mockResolvedValue({ familyId: 'family-1' });
+
+    const sessions = await service.listSessions('user-1', 'jti-1');
+
+    expect(prisma.session.findMany).toHaveBeenCalledWith({
+      where: {
+        userId: 'user-1',
+        revokedAt: null,
+        expiresAt: { gt: expect.any(Date) },
+      },
+      orderBy: { lastUsedAt: 'desc' },
+    });
+    expect(sessions.map(({ id, current }) => [id, current])).toEqual([
+      ['family-2', false],
+      ['family-1', true],
+    ]);
+    expect(sessions[0]).not.toHaveProperty('userId');
+  });
+
+  test('should reject listing sessions of an unknown user', async () => {
+    prisma.user.findUnique.mockResolvedValue(null);
+
+    await expect(service.listSessions('ghost')).rejects.toMatchObject({
+      statusCode: 404,
+    });
+  });
+
+  test('should revoke a session and deny its access tokens', async () => {
+    prisma.session.findFirst.mockResolvedValue(buildSession());
+    prisma.refreshToken.findMany.mockResolvedValue([
+      {
+        userId: 'user-1',
+        familyId: 'family-1',
+        accessJti: 'jti-1',
+        expiresAt: inOneDay(),
+      },
+    ]);
+
+    await service.revokeSession('user-1', 'family-1');
+
+    expect(prisma.session.findFirst).toHaveBeenCalledWith({
+      where: { id: 'family-1', userId: 'user-1', revokedAt: null },
+    });
+    expect(prisma.refreshToken.updateMany).toHaveBeenCalledWith({
+      where: { familyId: 'family-1', isRevoked: false },
+      data: { isRevoked: true, revokedAt: expect.any(Date) },
+    });
+    expect(prisma.session.updateMany).toHaveBeenCalledWith({
+      where: { id: 'family-1', revokedAt: null },
+      data: { revokedAt: expect.any(Date) },
+    });
+    expect(prisma.revokedToken.upsert.mock.calls[0][0].where).toEqual({
+      jti: 'jti-1',
+    });
+  });
+
+  test("should not revoke another user's session", async () => {
+    prisma.session.findFirst.mockResolvedValue(null);
+
+    await expect(
+      service.revokeSession('user-1', 'family-9')
+    ).rejects.toMatchObject({ statusCode: 404 });
+    expect(prisma.refreshToken.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('should mark every session revoked on logout-all', async () => {
+    await service.revokeAllSessions('user-1');
+
+    expect(prisma.session.updateMany).toHaveBeenCalledWith({
+      where: { userId: 'user-1', revokedAt: null },
+      data: { revokedAt: expect.any(Date) },
+    });
+  });
+});
+
+describe('Session routes', () => {
+  const JWT_SECRET = 'session-routes-test-secret';
+  let app;
+  let tokenService;
+  let auditLogService;
+  let userToken;
+  let adminToken;
+
+  beforeAll(async () => {
+    tokenService = {
+      listSessions: jest.fn(async () => [
+        {
+          ...buildSession(),
+          current: true,
+        },
+      ]),
+      revokeSession: jest.fn(),
+      revokeAllSessions: jest.fn(async () => 2),
+    };
+    auditLogService = { record: jest.fn() };
+
+    app = Fastify({ logger: false });
+    await app.register(authPlugin, { jwtSecret: JWT_SECRET });
+    await app.register(sessionRoutes, { tokenService, auditLogService });
+    await app.register(adminSessionRoutes, { tokenService, auditLogService });
+    await app.ready();
+
+    userToken = jwtService.createUserToken(user).token;
+    adminToken = jwtService.createUserToken({
+      id: 'admin-1',
+      email: 'admin@example.com',
+      roles: ['admin'],
+    }).token;
+  });
+
+  afterAll(async () => {
+    await app?.close();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const request = (token, method, url) =>
+    app.inject({
+      method,
+      url,
+      headers: { authorization: `Bearer ${token}` },
+    });
+
+  test("should list the caller's sessions", async () => {
+    const response = await request(userToken, 'GET', '/auth/sessions');
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json().data[0]).toMatchObject({
+      id: 'family-1',
+      userAgent: 'Mozilla/5.0',
+      ipAddress: '10.0.0.1',
+      current: true,
+    });
+    expect(tokenService.listSessions).toHaveBeenCalledWith(
+      'user-1',
+      jwtService.decodeToken(userToken).jti
+    );
+  });
+
+  test("should revoke one of the caller's sessions and audit it", async () => {
+    const response = await request(
+      userToken,
+      'DELETE',
+      '/auth/sessions/family-1'
+    );
+
+    expect(response.statusCode).toBe(200);
+    expect(tokenService.revokeSession).toHaveBeenCalledWith(
+      'user-1',
+      'family-1'
+    );
+    expect(auditLogService.record).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({
+        userId: 'user-1',
+        action: 'session_revoke',
+        metadata: { sessionId: 'family-1' },
+      })
+    );
+  });
+
+  test('should keep the admin routes to admins', async () => {
+    const response = await request(
+      userToken,
+      'GET',
+      '/admin/users/user-2/sessions'
+    );
+
+    expect(response.statusCode).toBe(403);
+    expect(tokenService.listSessions).not.toHaveBeenCalled();
+  });
+
+  test("should let admins list and revoke a user's sessions", async () => {
+    const list = await request(
+      adminToken,
+      'GET',
+      '/admin/users/user-2/sessions'
+    );
+    expect(list.statusCode).toBe(200);
+    expect(tokenService.listSessions).toHaveBeenCalledWith('user-2');
+
+    const one = await request(
+      adminToken,
+      'DELETE',
+      '/admin/users/user-2/sessions/family-1'
+    );
+    expect(one.statusCode).toBe(200);
+    expect(tokenService.revokeSession).toHaveBeenCalledWith(
+      'user-2',
+      'family-1'
+    );
+
+    const all = await request(
+      adminToken,
+      'DELETE',
+      '/admin/users/user-2/sessions'
+    );
+    expect(all.json().data).toEqual({ sessionsRevoked: 2 });
+    expect(auditLogService.record).toHaveBeenLastCalledWith(
+      expect.anything(),
+      expect.objectContaining({
+        userId: 'admin-1',
+        action: 'session_revoke_all',
+        resource: 'user:user-2',
+      })
+    );
+  });
+});
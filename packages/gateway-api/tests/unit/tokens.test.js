@@ -0,0 +1,357 @@
+/**
+ * Token Service Unit Tests
+ * Tests refresh-token rotation, reuse detection, logout and the jti denylist
+ */
+
+import {
+  jest,
+  test,
+  beforeAll,
+  beforeEach,
+  afterAll,
+  describe,
+  expect,
+} from '@jest/globals';
+import Fastify from 'fastify';
+import { authPlugin, jwtService } from '@shared/core/auth';
+import { TokenService } from '../../database/tokenService.js';
+import { createPrismaMock } from '../mocks/prismaClientMock.js';
+
+const user = {
+  id: 'user-1',
+  email: 'user@example.com',
+  isActive: true,
+  roles: ['user'],
+  permissions: ['read:comments'],
+};
+
+const inOneDay = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+const buildRefreshToken = (overrides = {}) => ({
+  id: 'rt-1',
+  token: 'refresh-1',
+  userId: 'user-1',
+  familyId: 'family-1',
+  accessJti: 'jti-1',
+  expiresAt: inOneDay(),
+  isRevoked: false,
+  ...overrides,
+});
+
+describe('TokenService', () => {
+  let prisma;
+  let userService;
+  let service;
+
+  beforeEach(() => {
+    prisma = createPrismaMock({
+      refreshToken: { updateMany: jest.fn().mockResolvedValue({ count: 1 }) },
+      session: { updateMany: jest.fn().mockResolvedValue({ count: 1 }) },
+    });
+    userService = { getUserWithRoles: jest.fn().mockResolvedValue(user) };
+    service = new TokenService(prisma, userService);
+  });
+
+  test('should store the refresh token with the access token jti', async () => {
+    const tokens = await service.issueTokens(user, 'family-1');
+
+    const { data } = prisma.refreshToken.create.mock.calls[0][0];
+    expect(data).toMatchObject({
+      token: tokens.refreshToken,
+      userId: 'user-1',
+      familyId: 'family-1',
+      accessJti: jwtService.decodeToken(tokens.token).jti,
+    });
+    expect(data.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('should rotate a refresh token within its family', async () => {
+    prisma.refreshToken.findUnique.mockResolvedValue(buildRefreshToken());
+
+    const { tokens } = await service.rotateRefreshToken('refresh-1');
+
+    expect(prisma.refreshToken.updateMany).toHaveBeenCalledWith({
+      where: { id: 'rt-1', isRevoked: false },
+      data: { isRevoked: true, revokedAt: expect.any(Date) },
+    });
+    expect(prisma.refreshToken.create.mock.calls[0][0].data).toMatchObject({
+      familyId: 'family-1',
+      token: tokens.refreshToken,
+    });
+    expect(tokens.refreshToken).not.toBe('refresh-1');
+  });
+
+  test('should revoke the family and audit when a token is replayed', async () => {
+    prisma.refreshToken.findUnique.mockResolvedValue(
+      buildRefreshToken({ isRevoked: true })
+    );
+    prisma.refreshToken.findMany.mockResolvedValue([
+      buildRefreshToken({ isRevoked: true }),
+      buildRefreshToken({ id: 'rt-2', token: 'refresh-2', accessJti: 'jti-2' }),
+    ]);
+
+    await expect(
+      service.rotateRefreshToken('refresh-1', {
+        ipAddress: '10.0.0.1',
+        requestId: 'req-1',
+      })
+    ).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(prisma.refreshToken.updateMany).toHaveBeenCalledWith({
+      where: { familyId: 'family-1', isRevoked: false },
+      data: { isRevoked: true, revokedAt: expect.any(Date) },
+    });
+    expect(
+      prisma.revokedToken.upsert.mock.calls.map(([args]) => args.where.jti)
+    ).toEqual(['jti-1', 'jti-2']);
+    expect(prisma.auditLog.create.mock.calls[0][0].data).toMatchObject({
+      userId: 'user-1',
+      action: 'refresh_token_reuse',
+      ipAddress: '10.0.0.1',
+      requestId: 'req-1',
+    });
+    expect(prisma.refreshToken.create).not.toHaveBeenCalled();
+  });
+
+  test('should treat losing a concurrent rotation as reuse', async () => {
+    prisma.refreshToken.findUnique.mockResolvedValue(buildRefreshToken());
+    prisma.refreshToken.updateMany.mockResolvedValueOnce({ count: 0 });
+
+    await expect(service.rotateRefreshToken('refresh-1')).rejects.toMatchObject(
+      { statusCode: 401 }
+    );
+    expect(prisma.auditLog.create).toHaveBeenCalled();
+  });
+
+  test('should reject unknown and expired refresh tokens', async () => {
+    prisma.refreshToken.findUnique.mockResolvedValueOnce(null);
+    await expect(service.rotateRefreshToken('nope')).rejects.toMatchObject({
+      statusCode: 401,
+    });
+
+    prisma.refreshToken.findUnique.mockResolvedValueOnce(
+      buildRefreshToken({ expiresAt: new Date(Date.now() - 1000) })
+    );
+    await expect(service.rotateRefreshToken('refresh-1')).rejects.toMatchObject(
+      { statusCode: 401 }
+    );
+    expect(prisma.auditLog.create).not.toHaveBeenCalled();
+  });
+
+  test('should deny the access token and its session on logout', async () => {
+    prisma.refreshToken.findFirst.mockResolvedValue(buildRefreshToken());
+    const exp = Math.floor(Date.now() / 1000) + 3600;
+
+    await service.logout({ id: 'user-1', jti: 'jti-1', exp });
+
+    expect(prisma.refreshToken.findFirst).toHaveBeenCalledWith({
+      where: { userId: 'user-1', OR: [{ accessJti: 'jti-1' }] },
+    });
+    expect(prisma.refreshToken.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: { familyId: 'family-1', isRevoked: false },
+      })
+    );
+    expect(prisma.revokedToken.upsert).toHaveBeenLastCalledWith({
+      where: { jti: 'jti-1' },
+      create: {
+        jti: 'jti-1',
+        userId: 'user-1',
+        expiresAt: new Date(exp * 1000),
+      },
+      update: {},
+    });
+  });
+
+  test('should revoke every session on logout-all', async () => {
+    prisma.refreshToken.findMany.mockResolvedValue([
+      buildRefreshToken(),
+      buildRefreshToken({
+        id: 'rt-2',
+        familyId: 'family-2',
+        accessJti: 'jti-2',
+      }),
+      buildRefreshToken({ id: 'rt-3', accessJti: 'jti-3', isRevoked: true }),
+    ]);
+
+    const sessions = await service.logoutAll({ id: 'user-1', jti: 'jti-2' });
+
+    expect(sessions).toBe(2);
+    expect(prisma.refreshToken.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { userId: 'user-1', isRevoked: false } })
+    );
+    expect(
+      prisma.revokedToken.upsert.mock.calls.map(([args]) => args.where.jti)
+    ).toEqual(['jti-1', 'jti-2', 'jti-3']);
+  });
+
+  test('should deny the refresh tokens of revoked sessions', async () => {
+    const { refreshToken } = jwtService.createUserToken(user);
+    prisma.refreshToken.findMany.mockResolvedValue([
+      buildRefreshToken({ token: refreshToken }),
+    ]);
+
+    await service.logoutAll({ id: 'user-1' });
+
+    expect(
+      prisma.revokedToken.upsert.mock.calls.map(([args]) => args.where.jti)
+    ).toEqual(['jti-1', jwtService.decodeToken(refreshToken).jti]);
+  });
+
+  test('should keep the current session when asked to', async () => {
+    prisma.refreshToken.findMany.mockResolvedValue([
+      buildRefreshToken(),
+      buildRefreshToken({
+        id: 'rt-2',
+        familyId: 'family-2',
+        accessJti: 'jti-2',
+      }),
+    ]);
+    const exp = Math.floor(Date.now() / 1000) + 3600;
+
+    const sessions = await service.logoutAll(
+      { id: 'user-1', jti: 'jti-1', exp },
+      { keepCurrent: true }
+    );
+
+    expect(sessions).toBe(1);
+    expect(prisma.refreshToken.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: {
+          userId: 'user-1',
+          isRevoked: false,
+          familyId: { not: 'family-1' },
+        },
+      })
+    );
+    expect(prisma.session.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: { userId: 'user-1', revokedAt: null, id: { not: 'family-1' } },
+      })
+    );
+    expect(
+      prisma.revokedToken.upsert.mock.calls.map(([args]) => args.where.jti)
+    ).toEqual(['jti-2']);
+  });
+
+  test('should record impersonation tokens until they expire', async () => {
+    const token = jwtService.createImpersonationToken(
+      user,
+      { id: 'admin-1', email: 'admin@example.com' },
+      { expiresIn: 60 }
+    );
+    const { jti, exp } = jwtService.decodeToken(token);
+
+    await service.recordImpersonation(token, 'admin-1');
+
+    expect(prisma.impersonationToken.create).toHaveBeenCalledWith({
+      data: {
+        jti,
+        userId: 'user-1',
+        actorId: 'admin-1',
+        expiresAt: new Date(exp * 1000),
+      },
+    });
+  });
+
+  test('should deny impersonation tokens on logout-all', async () => {
+    prisma.impersonationToken.findMany.mockResolvedValue([
+      { jti: 'imp-1', userId: 'user-1', expiresAt: inOneDay() },
+    ]);
+
+    await service.logoutAll({ id: 'user-1' });
+
+    expect(prisma.impersonationToken.findMany).toHaveBeenCalledWith({
+      where: { userId: 'user-1', expiresAt: { gt: expect.any(Date) } },
+    });
+    expect(prisma.revokedToken.upsert).toHaveBeenCalledWith({
+      where: { jti: 'imp-1' },
+      create: { jti: 'imp-1', userId: 'user-1', expiresAt: expect.any(Date) },
+      update: {},
+    });
+
+    await service.logoutAll(
+      { id: 'user-1', jti: 'imp-1' },
+      { keepCurrent: true }
+    );
+    expect(prisma.impersonationToken.findMany).toHaveBeenLastCalledWith({
+      where: {
+        userId: 'user-1',
+        expiresAt: { gt: expect.any(Date) },
+        jti: { not: 'imp-1' },
+      },
+    });
+  });
+
+  test('should look up denied tokens by jti', async () => {
+    prisma.revokedToken.findUnique.mockResolvedValue({ jti: 'jti-1' });
+
+    await expect(service.isAccessTokenRevoked({ jti: 'jti-1' })).resolves.toBe(
+      true
+    );
+    await expect(service.isAccessTokenRevoked({})).resolves.toBe(false);
+  });
+});
+
+describe('authPlugin token revocation', () => {
+  const JWT_SECRET = 'token-revocation-test-secret';
+  const revoked = new Set();
+  let app;
+
+  beforeAll(async () => {
+    app = Fastify({ logger: false });
+    await app.register(authPlugin, {
+      jwtSecret: JWT_SECRET,
+      isTokenRevoked: async ({ jti }) => revoked.has(jti),
+    });
+    app.get('/me', { preHandler: app.authenticate }, async request => ({
+      id: request.user.id,
+    }));
+    app.get(
+      '/maybe',
+      { preHandler: app.optionalAuthenticate },
+      async request => ({ user: request.user?.id ?? null })
+    );
+    await app.ready();
+  });
+
+  afterAll(async () => {
+    await app?.close();
+  });
+
+  test('should reject access tokens on the denylist', async () => {
+    const { token } = jwtService.createUserToken(user);
+    const headers = { authorization: `Bearer ${token}` };
+
+    const before = await app.inject({ method: 'GET', url: '/me', headers });
+    expect(before.statusCode).toBe(200);
+
+    revoked.add(jwtService.decodeToken(token).jti);
+
+    const after = await app.inject({ method: 'GET', url: '/me', headers });
+    expect(after.statusCode).toBe(401);
+    expect(after.json().message).toBe('Token has been revoked');
+
+    const optional = await app.inject({
+      method: 'GET',
+      url: '/maybe',
+      headers,
+    });
+    expect(optional.json()).toEqual({ user: null });
+  });
+
+  test('should not accept refresh tokens as bearer tokens', async () => {
+    const { refreshToken } = jwtService.createUserToken(user);
+    const legacy = jwtService.generateToken({ id: 'user-1' });
+
+    expect(jwtService.decodeToken(refreshToken).typ).toBe('refresh');
+    for (const token of [refreshToken, legacy]) {
+      const response = await app.inject({
+        method: 'GET',
+        url: '/me',
+        headers: { authorization: `Bearer ${token}` },
+      });
+      expect(response.statusCode).toBe(401);
+    }
+  });
+});
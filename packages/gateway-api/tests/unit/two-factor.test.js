@@ -0,0 +1,385 @@
+/**
+ * Two-Factor Authentication Unit Tests
+ * Tests TOTP codes, enrollment, recovery codes, login challenges, the
+ * required-role policy and the 2FA routes
+ */
+
+import {
+  jest,
+  test,
+  beforeAll,
+  beforeEach,
+  afterEach,
+  afterAll,
+  describe,
+  expect,
+} from '@jest/globals';
+import Fastify from 'fastify';
+import { authPlugin, jwtService } from '@shared/core/auth';
+import {
+  TwoFactorService,
+  applyTwoFactorPolicy,
+} from '../../database/twoFactorService.js';
+import {
+  base32Decode,
+  base32Encode,
+  buildOtpauthUri,
+  generateTotp,
+  getTimeStep,
+  verifyTotp,
+} from '../../src/utils/totp.js';
+import { twoFactorRoutes } from '../../src/routes/index.js';
+import { createPrismaMock } from '../mocks/prismaClientMock.js';
+
+const options = {
+  issuer: 'Test Gateway',
+  requiredRoles: ['admin'],
+  challengeTtlMs: 5 * 60 * 1000,
+  recoveryCodeCount: 3,
+  encryptionKey: 'two-factor-test-key',
+};
+
+// RFC 6238 SHA-1 test secret ("12345678901234567890")
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP utilities', () => {
+  test('should round-trip base32', () => {
+    const bytes = Buffer.from('12345678901234567890');
+
+    expect(base32Encode(bytes)).toBe(RFC_SECRET);
+    expect(base32Decode(RFC_SECRET.toLowerCase())).toEqual(bytes);
+  });
+
+  test('should match the RFC 6238 test vectors', () => {
+    expect(generateTotp(RFC_SECRET, getTimeStep(59 * 1000))).toBe('287082');
+    expect(generateTotp(RFC_SECRET, getTimeStep(1111111109 * 1000))).toBe(
+      '081804'
+    );
+  });
+
+  test('should accept codes from adjacent steps only', () => {
+    const now = 1111111109 * 1000;
+    const step = getTimeStep(now);
+
+    expect(
+      verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), now)
+    ).toBe(step - 1);
+    expect(
+      verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 2), now)
+    ).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '12345', now)).toBeNull();
+  });
+
+  test('should build otpauth URIs', () => {
+    const uri = buildOtpauthUri({
+      secret: RFC_SECRET,
+      accountName: 'user@example.com',
+      issuer: 'Test Gateway',
+    });
+
+    expect(uri).toMatch(
+      /^otpauth:\/\/totp\/Test%20Gateway:user%40example\.com\?/
+    );
+    expect(new URL(uri).searchParams.get('secret')).toBe(RFC_SECRET);
+  });
+});
+
+// Minimal in-memory stand-in for the delegates the service uses
+const mockPrisma = () => {
+  const user = {
+    id: 'user-1',
+    email: 'user@example.com',
+    isActive: true,
+    twoFactorEnabled: false,
+    twoFactorSecret: null,
+    twoFactorLastStep: null,
+    roles: [{ role: { name: 'user', isActive: true } }],
+  };
+  const codes = [];
+  const tokens = [];
+
+  return createPrismaMock({
+    userRow: user,
+    user: {
+      findUniqueOrThrow: jest.fn(async () => ({ ...user })),
+      update: jest.fn(async ({ data }) => Object.assign(user, data)),
+      updateMany: jest.fn(async ({ data, where }) => {
+        const last = user.twoFactorLastStep;
+        const step = where.OR[1].twoFactorLastStep.lt;
+        if (last !== null && last >= step) return { count: 0 };
+        Object.assign(user, data);
+        return { count: 1 };
+      }),
+    },
+    recoveryCode: {
+      codes,
+      count: jest.fn(async () => codes.filter(code => !code.usedAt).length),
+      createMany: jest.fn(async ({ data }) => {
+        codes.push(...data.map(row => ({ ...row, usedAt: null })));
+      }),
+      deleteMany: jest.fn(async () => {
+        codes.length = 0;
+      }),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const row = codes.find(
+          code => code.codeHash === where.codeHash && !code.usedAt
+        );
+        if (!row) return { count: 0 };
+        Object.assign(row, data);
+        return { count: 1 };
+      }),
+    },
+    verificationToken: {
+      tokens,
+      create: jest.fn(async ({ data }) => {
+        tokens.push({ ...data, usedAt: null });
+      }),
+      findUnique: jest.fn(async ({ where }) => {
+        const row = tokens.find(token => token.tokenHash === where.tokenHash);
+        return row ? { ...row, user } : null;
+      }),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const row = tokens.find(
+          token => token.tokenHash === where.tokenHash && !token.usedAt
+        );
+        if (!row) return { count: 0 };
+        Object.assign(row, data);
+        return { count: 1 };
+      }),
+    },
+  });
+};
+
+describe('TwoFactorService', () => {
+  let prisma;
+  let service;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+    prisma = mockPrisma();
+    service = new TwoFactorService(prisma, options);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const enroll = async () => {
+    const { secret } = await service.beginEnrollment({ id: 'user-1' });
+    const recoveryCodes = await service.confirmEnrollment(
+      'user-1',
+      generateTotp(secret)
+    );
+    return { secret, recoveryCodes };
+  };
+
+  test('should store the secret encrypted until confirmed', async () => {
+    const { secret, otpauthUri } = await service.beginEnrollment({
+      id: 'user-1',
+    });
+
+    expect(otpauthUri).toContain(`secret=${secret}`);
+    expect(prisma.userRow.twoFactorSecret).not.toContain(secret);
+    expect(service.decryptSecret(prisma.userRow.twoFactorSecret)).toBe(secret);
+    expect(prisma.userRow.twoFactorEnabled).toBe(false);
+  });
+
+  test('should enable 2FA with a valid code and return recovery codes', async () => {
+    const { recoveryCodes } = await enroll();
+
+    expect(prisma.userRow.twoFactorEnabled).toBe(true);
+    expect(recoveryCodes).toHaveLength(3);
+    expect(recoveryCodes[0]).toMatch(/^[A-Z2-7]{4}-[A-Z2-7]{4}$/);
+    expect(prisma.recoveryCode.codes[0].codeHash).toMatch(/^[0-9a-f]{64}$/);
+
+    await expect(
+      service.beginEnrollment({ id: 'user-1' })
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('should reject a wrong confirmation code', async () => {
+    await service.beginEnrollment({ id: 'user-1' });
+
+    await expect(
+      service.confirmEnrollment('user-1', '000000')
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(prisma.userRow.twoFactorEnabled).toBe(false);
+  });
+
+  test('should not accept the same TOTP code twice', async () => {
+    const { secret } = await enroll();
+    jest.advanceTimersByTime(30 * 1000);
+    const code = generateTotp(secret);
+
+    await expect(service.verifyCode(prisma.userRow, code)).resolves.toBe(
+      'totp'
+    );
+    await expect(service.verifyCode(prisma.userRow, code)).resolves.toBeNull();
+  });
+
+  test('should accept each recovery code once, in any format', async () => {
+    const { recoveryCodes } = await enroll();
+    const typed = recoveryCodes[0].toLowerCase().replace('-', ' ');
+
+    await expect(service.verifyCode(prisma.userRow, typed)).resolves.toBe(
+      'recovery_code'
+    );
+    await expect(
+      service.verifyCode(prisma.userRow, recoveryCodes[0])
+    ).resolves.toBeNull();
+    await expect(service.getStatus('user-1')).resolves.toEqual({
+      enabled: true,
+      required: false,
+      recoveryCodesRemaining: 2,
+    });
+  });
+
+  test('should not let roles that require 2FA disable it', async () => {
+    const { recoveryCodes } = await enroll();
+    prisma.userRow.roles.push({ role: { name: 'admin', isActive: true } });
+
+    await expect(
+      service.disable('user-1', recoveryCodes[0])
+    ).rejects.toMatchObject({ statusCode: 403 });
+    expect(prisma.userRow.twoFactorEnabled).toBe(true);
+  });
+
+  test('should keep a challenge until it is consumed', async () => {
+    const { challengeToken } = await service.createChallenge({ id: 'user-1' });
+
+    await expect(
+      service.resolveChallenge(challengeToken)
+    ).resolves.toMatchObject({ id: 'user-1' });
+    await service.consumeChallenge(challengeToken);
+
+    await expect(
+      service.resolveChallenge(challengeToken)
+    ).rejects.toMatchObject({ statusCode: 401 });
+    await expect(
+      service.consumeChallenge(challengeToken)
+    ).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('should reject expired challenges', async () => {
+    const { challengeToken } = await service.createChallenge({ id: 'user-1' });
+    jest.advanceTimersByTime(options.challengeTtlMs + 1);
+
+    await expect(
+      service.resolveChallenge(challengeToken)
+    ).rejects.toMatchObject({ statusCode: 401 });
+  });
+});
+
+describe('applyTwoFactorPolicy', () => {
+  const admin = {
+    id: 'admin-1',
+    roles: ['admin', 'user'],
+    permissions: ['*'],
+    twoFactorEnabled: false,
+  };
+
+  test('should restrict users whose role requires 2FA until they enroll', () => {
+    expect(applyTwoFactorPolicy(admin, options)).toEqual({
+      ...admin,
+      roles: ['user'],
+      permissions: [],
+    });
+    expect(
+      applyTwoFactorPolicy({ ...admin, twoFactorEnabled: true }, options)
+    ).toEqual({ ...admin, twoFactorEnabled: true });
+  });
+
+  test('should leave other users alone', () => {
+    const user = { ...admin, roles: ['user'], permissions: ['read:comments'] };
+    expect(applyTwoFactorPolicy(user, options)).toBe(user);
+  });
+});
+
+describe('Two-factor routes', () => {
+  const JWT_SECRET = 'two-factor-routes-test-secret';
+  let app;
+  let twoFactorService;
+  let auditLogService;
+  let token;
+
+  beforeAll(async () => {
+    twoFactorService = {
+      getStatus: jest.fn(async () => ({
+        enabled: false,
+        required: true,
+        recoveryCodesRemaining: 0,
+      })),
+      beginEnrollment: jest.fn(async () => ({
+        secret: RFC_SECRET,
+        otpauthUri: 'otpauth://totp/x',
+      })),
+      confirmEnrollment: jest.fn(async () => ['AAAA-BBBB']),
+      disable: jest.fn(),
+      regenerateRecoveryCodes: jest.fn(async () => ['CCCC-DDDD']),
+    };
+    auditLogService = { record: jest.fn() };
+
+    app = Fastify({ logger: false });
+    await app.register(authPlugin, { jwtSecret: JWT_SECRET });
+    await app.register(twoFactorRoutes, { twoFactorService, auditLogService });
+    await app.ready();
+
+    token = jwtService.createUserToken({
+      id: 'user-1',
+      email: 'user@example.com',
+      roles: ['user'],
+    }).token;
+  });
+
+  afterAll(async () => {
+    await app?.close();
+  });
+
+  const request = (method, url, payload) =>
+    app.inject({
+      method,
+      url,
+      payload,
+      headers: { authorization: `Bearer ${token}` },
+    });
+
+  test('should require authentication', async () => {
+    const response = await app.inject({ method: 'GET', url: '/auth/2fa' });
+    expect(response.statusCode).toBe(401);
+  });
+
+  test('should report the 2FA status', async () => {
+    const response = await request('GET', '/auth/2fa');
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json().data).toEqual({
+      enabled: false,
+      required: true,
+      recoveryCodesRemaining: 0,
+    });
+  });
+
+  test('should confirm enrollment and audit it', async () => {
+    const response = await request('POST', '/auth/2fa/confirm', {
+      code: '123456',
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json().data).toEqual({ recoveryCodes: ['AAAA-BBBB'] });
+    expect(twoFactorService.confirmEnrollment).toHaveBeenCalledWith(
+      'user-1',
+      '123456'
+    );
+    expect(auditLogService.record).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ action: 'two_factor_enable' })
+    );
+  });
+
+  test('should require a code to disable 2FA', async () => {
+    const response = await request('POST', '/auth/2fa/disable', {});
+
+    expect(response.statusCode).toBe(400);
+    expect(twoFactorService.disable).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,389 @@
+/**
+ * User Lifecycle Unit Tests
+ * Tests deactivation, reactivation, deletion and impersonation, and the
+ * admin routes for them
+ */
+
+import {
+  jest,
+  test,
+  beforeAll,
+  beforeEach,
+  afterAll,
+  describe,
+  expect,
+} from '@jest/globals';
+import Fastify from 'fastify';
+import { authPlugin, jwtService } from '@shared/core/auth';
+import { UserLifecycleService } from '../../database/userLifecycleService.js';
+import { TokenService } from '../../database/tokenService.js';
+import { AuditLogService } from '../../database/auditLogService.js';
+import { adminUserRoutes } from '../../src/routes/index.js';
+import { createPrismaMock } from '../mocks/prismaClientMock.js';
+
+const admin = { id: 'admin-1', email: 'admin@example.com', roles: ['admin'] };
+
+const role = (name, permissions = []) => ({
+  role: {
+    name,
+    isActive: true,
+    permissions: permissions.map(permission => ({
+      permission: { name: permission },
+    })),
+  },
+});
+
+const buildUser = (overrides = {}) => ({
+  id: 'user-1',
+  email: 'user@example.com',
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  phoneNumber: '+4915112345678',
+  isActive: true,
+  isVerified: true,
+  twoFactorEnabled: false,
+  deletedAt: null,
+  roles: [role('user', ['read:comments'])],
+  permissions: [],
+  ...overrides,
+});
+
+const mockPrisma = () =>
+  createPrismaMock({
+    user: {
+      findUnique: jest.fn().mockResolvedValue(buildUser()),
+      update: jest.fn(async ({ where, data }) => ({
+        ...buildUser({ id: where.id }),
+        ...data,
+      })),
+    },
+    apiKey: { updateMany: jest.fn().mockResolvedValue({ count: 1 }) },
+  });
+
+const createTokenServiceMock = () => ({
+  logoutAll: jest.fn().mockResolvedValue(2),
+  applyPolicies: jest.fn(user => user),
+  recordImpersonation: jest.fn(),
+});
+
+describe('UserLifecycleService', () => {
+  let prisma;
+  let tokenService;
+  let service;
+
+  beforeEach(() => {
+    prisma = mockPrisma();
+    tokenService = createTokenServiceMock();
+    service = new UserLifecycleService(prisma, tokenService, {
+      ttlMs: 15 * 60 * 1000,
+    });
+  });
+
+  test('should deactivate a user and end their sessions', async () => {
+    const result = await service.deactivateUser('user-1', admin);
+
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { id: 'user-1' },
+      data: { isActive: false },
+    });
+    expect(tokenService.logoutAll).toHaveBeenCalledWith({ id: 'user-1' });
+    expect(result).toEqual({
+      user: expect.objectContaining({ id: 'user-1', isActive: false }),
+      sessionsRevoked: 2,
+    });
+  });
+
+  test('should not let admins deactivate, delete or impersonate themselves', async () => {
+    for (const action of ['deactivateUser', 'deleteUser', 'impersonate']) {
+      await expect(service[action]('admin-1', admin)).rejects.toMatchObject({
+        statusCode: 403,
+      });
+    }
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+
+  test('should reactivate a user', async () => {
+    prisma.user.findUnique.mockResolvedValue(buildUser({ isActive: false }));
+
+    const user = await service.reactivateUser('user-1');
+
+    expect(user.isActive).toBe(true);
+  });
+
+  test('should answer 404 for missing and deleted users', async () => {
+    prisma.user.findUnique.mockResolvedValueOnce(null);
+    await expect(service.reactivateUser('nope')).rejects.toMatchObject({
+      statusCode: 404,
+    });
+
+    prisma.user.findUnique.mockResolvedValueOnce(
+      buildUser({ deletedAt: new Date() })
+    );
+    await expect(service.reactivateUser('user-1')).rejects.toMatchObject({
+      statusCode: 404,
+    });
+  });
+
+  test('should anonymise a deleted user and revoke their credentials', async () => {
+    const user = await service.deleteUser('user-1', admin);
+
+    const { data } = prisma.user.update.mock.calls[0][0];
+    expect(data).toMatchObject({
+      email: 'deleted-user-1@deleted.invalid',
+      password: '',
+      firstName: null,
+      lastName: null,
+      phoneNumber: null,
+      isActive: false,
+      twoFactorSecret: null,
+      deletedAt: expect.any(Date),
+    });
+    expect(prisma.apiKey.updateMany).toHaveBeenCalledWith({
+      where: { userId: 'user-1', revokedAt: null },
+      data: { revokedAt: expect.any(Date) },
+    });
+    expect(prisma.recoveryCode.deleteMany).toHaveBeenCalled();
+    expect(prisma.verificationToken.deleteMany).toHaveBeenCalled();
+    expect(tokenService.logoutAll).toHaveBeenCalledWith({ id: 'user-1' });
+    expect(user.email).toBe('deleted-user-1@deleted.invalid');
+  });
+
+  test("should issue a token with the user's claims and an act claim", async () => {
+    const result = await service.impersonate('user-1', admin);
+
+    expect(result).toMatchObject({
+      tokenType: 'Bearer',
+      expiresIn: 900,
+      user: { id: 'user-1', roles: ['user'], permissions: ['read:comments'] },
+    });
+    expect(result).not.toHaveProperty('refreshToken');
+
+    const decoded = jwtService.decodeToken(result.token);
+    expect(decoded).toMatchObject({
+      id: 'user-1',
+      roles: ['user'],
+      permissions: ['read:comments'],
+      act: { sub: 'admin-1', email: 'admin@example.com' },
+    });
+    expect(decoded.exp - decoded.iat).toBe(900);
+    expect(decoded.jti).toBeDefined();
+    expect(tokenService.recordImpersonation).toHaveBeenCalledWith(
+      result.token,
+      'admin-1'
+    );
+  });
+
+  test('should revoke outstanding impersonation tokens on deactivation and deletion', async () => {
+    const impersonations = [];
+    const revoked = new Map();
+    prisma.impersonationToken.create.mockImplementation(async ({ data }) =>
+      impersonations.push(data)
+    );
+    prisma.impersonationToken.findMany.mockImplementation(async ({ where }) =>
+      impersonations.filter(
+        row => row.userId === where.userId && row.expiresAt > where.expiresAt.gt
+      )
+    );
+    prisma.revokedToken.upsert.mockImplementation(async ({ create }) =>
+      revoked.set(create.jti, create)
+    );
+    prisma.revokedToken.findUnique.mockImplementation(
+      async ({ where }) => revoked.get(where.jti) ?? null
+    );
+    service = new UserLifecycleService(prisma, new TokenService(prisma), {
+      ttlMs: 15 * 60 * 1000,
+    });
+
+    for (const action of ['deactivateUser', 'deleteUser']) {
+      const { token } = await service.impersonate('user-1', admin);
+      const decoded = jwtService.decodeToken(token);
+      await expect(
+        service.tokenService.isAccessTokenRevoked(decoded)
+      ).resolves.toBe(false);
+
+      await service[action]('user-1', admin);
+
+      await expect(
+        service.tokenService.isAccessTokenRevoked(decoded)
+      ).resolves.toBe(true);
+    }
+  });
+
+  test('should not impersonate admins or deactivated users', async () => {
+    prisma.user.findUnique.mockResolvedValueOnce(
+      buildUser({ roles: [role('admin')] })
+    );
+    await expect(service.impersonate('user-2', admin)).rejects.toMatchObject({
+      statusCode: 403,
+    });
+
+    prisma.user.findUnique.mockResolvedValueOnce(
+      buildUser({ isActive: false })
+    );
+    await expect(service.impersonate('user-1', admin)).rejects.toMatchObject({
+      statusCode: 409,
+    });
+  });
+});
+
+describe('Admin user routes', () => {
+  const JWT_SECRET = 'user-lifecycle-routes-secret';
+  let app;
+  let prisma;
+  let adminToken;
+
+  beforeAll(async () => {
+    prisma = mockPrisma();
+    const auditLogService = new AuditLogService(prisma);
+
+    app = Fastify({ logger: false });
+    await app.register(authPlugin, { jwtSecret: JWT_SECRET });
+    await app.register(adminUserRoutes, {
+      userLifecycleService: new UserLifecycleService(
+        prisma,
+        createTokenServiceMock(),
+        { ttlMs: 60 * 1000 }
+      ),
+      auditLogService,
+    });
+    // Stand-in for a credential route
+    app.post(
+      '/auth/change-password',
+      { preHandler: [app.authenticate, app.rejectImpersonation] },
+      async request => {
+        await auditLogService.record(request, {
+          userId: request.user.id,
+          action: 'password_change',
+        });
+        return { ok: true };
+      }
+    );
+    app.get('/whoami', { preHandler: app.authenticate }, async request => {
+      await auditLogService.record(request, {
+        userId: request.user.id,
+        action: 'whoami',
+        metadata: { page: 'profile' },
+      });
+      return request.user;
+    });
+    await app.ready();
+
+    adminToken = jwtService.createUserToken(admin).token;
+  });
+
+  beforeEach(() => {
+    prisma.user.findUnique.mockResolvedValue(buildUser());
+    prisma.auditLog.create.mockClear();
+  });
+
+  afterAll(async () => {
+    await app?.close();
+  });
+
+  test('should deactivate a user and audit it', async () => {
+    const response = await app.inject({
+      method: 'POST',
+      url: '/admin/users/user-1/deactivate',
+      headers: { authorization: `Bearer ${adminToken}` },
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json().data).toMatchObject({
+      user: { id: 'user-1', isActive: false },
+      sessionsRevoked: 2,
+    });
+    expect(prisma.auditLog.create.mock.calls[0][0].data).toMatchObject({
+      userId: 'admin-1',
+      action: 'user_deactivate',
+      resource: 'user:user-1',
+    });
+  });
+
+  test('should reject non-admins', async () => {
+    const { token } = jwtService.createUserToken(
+      buildUser({ roles: ['user'] })
+    );
+
+    const response = await app.inject({
+      method: 'DELETE',
+      url: '/admin/users/user-2',
+      headers: { authorization: `Bearer ${token}` },
+    });
+
+    expect(response.statusCode).toBe(403);
+  });
+
+  test('should require a reason to impersonate', async () => {
+    const response = await app.inject({
+      method: 'POST',
+      url: '/admin/users/user-1/impersonate',
+      headers: { authorization: `Bearer ${adminToken}` },
+      payload: {},
+    });
+
+    expect(response.statusCode).toBe(400);
+  });
+
+  test('should audit impersonation and everything done with the token', async () => {
+    const response = await app.inject({
+      method: 'POST',
+      url: '/admin/users/user-1/impersonate',
+      headers: { authorization: `Bearer ${adminToken}` },
+      payload: { reason: 'Ticket 42' },
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(prisma.auditLog.create.mock.calls[0][0].data).toMatchObject({
+      userId: 'admin-1',
+      action: 'user_impersonate',
+      resource: 'user:user-1',
+    });
+    expect(
+      JSON.parse(prisma.auditLog.create.mock.calls[0][0].data.metadata)
+    ).toEqual({ reason: 'Ticket 42', expiresIn: 60 });
+
+    const { token } = response.json().data;
+    const whoami = await app.inject({
+      method: 'GET',
+      url: '/whoami',
+      headers: { authorization: `Bearer ${token}` },
+    });
+
+    expect(whoami.json()).toMatchObject({
+      id: 'user-1',
+      act: { sub: 'admin-1' },
+    });
+    const { data } = prisma.auditLog.create.mock.calls[1][0];
+    expect(data.userId).toBe('user-1');
+    expect(JSON.parse(data.metadata)).toEqual({
+      page: 'profile',
+      impersonatedBy: 'admin-1',
+    });
+  });
+
+  test('should not let an impersonation token change credentials', async () => {
+    const impersonation = await app.inject({
+      method: 'POST',
+      url: '/admin/users/user-1/impersonate',
+      headers: { authorization: `Bearer ${adminToken}` },
+      payload: { reason: 'Ticket 42' },
+    });
+
+    const response = await app.inject({
+      method: 'POST',
+      url: '/auth/change-password',
+      headers: {
+        authorization: `Bearer ${impersonation.json().data.token}`,
+      },
+    });
+
+    expect(response.statusCode).toBe(403);
+
+    const own = await app.inject({
+      method: 'POST',
+      url: '/auth/change-password',
+      headers: { authorization: `Bearer ${adminToken}` },
+    });
+    expect(own.statusCode).toBe(200);
+  });
+});
@@ -4,7 +4,12 @@
  */
 
 import { jwtService } from './jwt.service.js';
-import { HTTP_STATUS, API_MESSAGES } from '../constants/index.js';
+import { createJwksKeyProvider } from './jwks.js';
+import { HTTP_STATUS, API_MESSAGES, ENV_VARS, AUTH_CONSTANTS } from '../constants/index.js';
+import { hasAnyPermission } from './permissions.js';
+
+const { AUTH_METHODS } = AUTH_CONSTANTS;
+const API_KEY_HEADER = AUTH_CONSTANTS.HEADER_NAMES.API_KEY.toLowerCase();
 
 /**
  * Fastify Authentication Plugin
@@ -16,6 +21,16 @@ export default async function authPlugin(fastify, options = {}) {
     jwtSecret,
     skipRoutes = [],
     errorHandler = null,
+    // async (user) => boolean; lets the host reject revoked tokens by jti
+    isTokenRevoked = null,
+    // Keystore the host signs tokens with (the gateway)
+    keyStore = null,
+    // Where services fetch the gateway's public keys instead of sharing a secret
+    jwksUrl = process.env[ENV_VARS.JWT_JWKS_URL],
+    jwksOptions = {},
+    // async (key, request) => user context or null; lets the host accept API
+    // keys on routes whose authMethods include 'apiKey'
+    verifyApiKey = null,
   } = options;
 
   // Initialize JWT service with custom secret if provided
@@ -23,6 +38,12 @@ export default async function authPlugin(fastify, options = {}) {
   if (jwtSecret) {
     jwt.secret = jwtSecret;
   }
+  if (keyStore) {
+    jwt.useKeyStore(keyStore);
+  }
+  if (jwksUrl) {
+    jwt.useKeyProvider(createJwksKeyProvider(jwksUrl, jwksOptions));
+  }
 
   /**
    * Authentication decorator function
@@ -72,7 +93,7 @@ export default async function authPlugin(fastify, options = {}) {
       }
 
       // Verify and decode the token
-      const user = jwt.validateTokenAndGetUser(token);
+      const user = await jwt.verifyAndGetUser(token);
       
       if (!user) {
         const error = {
@@ -90,6 +111,22 @@ export default async function authPlugin(fastify, options = {}) {
         return reply.status(HTTP_STATUS.UNAUTHORIZED).send(error);
       }
 
+      if (isTokenRevoked && await isTokenRevoked(user)) {
+        const error = {
+          success: false,
+          error: 'Unauthorized',
+          message: 'Token has been revoked',
+          statusCode: HTTP_STATUS.UNAUTHORIZED,
+          timestamp: new Date().toISOString()
+        };
+
+        if (errorHandler) {
+          return errorHandler(error, request, reply);
+        }
+
+        return reply.status(HTTP_STATUS.UNAUTHORIZED).send(error);
+      }
+
       // Add user info to request object
       request.user = user;
       
@@ -137,14 +174,43 @@ export default async function authPlugin(fastify, options = {}) {
         return;
       }
 
-      const user = jwt.validateTokenAndGetUser(token);
-      request.user = user;
+      const user = await jwt.verifyAndGetUser(token);
+      request.user = user && isTokenRevoked && await isTokenRevoked(user)
+        ? null
+        : user;
       
     } catch (error) {
       request.user = null;
     }
   });
 
+  /**
+   * API key authentication decorator. Reads the X-API-Key header and asks the
+   * host's verifyApiKey for the user context the key acts as.
+   */
+  fastify.decorate('authenticateApiKey', async function(request, reply) {
+    const apiKey = request.headers[API_KEY_HEADER];
+    const user = apiKey && verifyApiKey ? await verifyApiKey(apiKey, request) : null;
+
+    if (!user) {
+      const error = {
+        success: false,
+        error: 'Unauthorized',
+        message: apiKey ? 'Invalid or expired API key' : 'X-API-Key header is required',
+        statusCode: HTTP_STATUS.UNAUTHORIZED,
+        timestamp: new Date().toISOString()
+      };
+
+      if (errorHandler) {
+        return errorHandler(error, request, reply);
+      }
+
+      return reply.status(HTTP_STATUS.UNAUTHORIZED).send(error);
+    }
+
+    request.user = user;
+  });
+
   /**
    * Role-based authorization decorator
    */
@@ -182,12 +248,55 @@ export default async function authPlugin(fastify, options = {}) {
   });
 
   /**
-   * Check if user is admin
+   * Check if user is admin. Authenticates the caller first, so it can be
+   * used on its own as a route or plugin-wide preHandler.
    */
   fastify.decorate('requireAdmin', async function(request, reply) {
     await fastify.requireRole(['admin'])(request, reply);
   });
 
+  /**
+   * Permission-based authorization decorator. Passes when the user holds any
+   * of the given permissions (role-derived or direct, as embedded in the JWT).
+   */
+  fastify.decorate('requirePermission', function(...permissions) {
+    const requiredPermissions = permissions.flat();
+
+    return async function(request, reply) {
+      await fastify.authenticate(request, reply);
+
+      if (!request.user) {
+        return reply;
+      }
+
+      if (!hasAnyPermission(request.user.permissions, requiredPermissions)) {
+        return reply.status(HTTP_STATUS.FORBIDDEN).send({
+          success: false,
+          error: 'Forbidden',
+          message: `Access denied. Required permissions: ${requiredPermissions.join(', ')}`,
+          statusCode: HTTP_STATUS.FORBIDDEN,
+          timestamp: new Date().toISOString()
+        });
+      }
+    };
+  });
+
+  /**
+   * Reject impersonation tokens (with an `act` claim) on routes that change
+   * the user's credentials. Runs after `authenticate`.
+   */
+  fastify.decorate('rejectImpersonation', async function(request, reply) {
+    if (request.user?.act) {
+      return reply.status(HTTP_STATUS.FORBIDDEN).send({
+        success: false,
+        error: 'Forbidden',
+        message: 'Not allowed while impersonating a user',
+        statusCode: HTTP_STATUS.FORBIDDEN,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
   /**
    * Check if user is owner or admin
    */
@@ -229,7 +338,9 @@ export default async function authPlugin(fastify, options = {}) {
   });
 
   /**
-   * Generate authentication preHandler
+   * Generate authentication preHandler. `methods` lists the credentials the
+   * route accepts; a request sending an API key is authenticated with it when
+   * the route allows API keys, otherwise with its bearer token.
    */
   fastify.decorate('createAuthPreHandler', function(options = {}) {
     const { 
@@ -237,11 +348,22 @@ export default async function authPlugin(fastify, options = {}) {
       roles = [], 
       permissions = [],
       ownerCheck = null,
+      methods = [AUTH_METHODS.JWT],
     } = options;
 
+    const acceptsApiKey = methods.includes(AUTH_METHODS.API_KEY);
+    const acceptsJwt = methods.includes(AUTH_METHODS.JWT);
+
     return async function(request, reply) {
+      const useApiKey =
+        acceptsApiKey && (request.headers[API_KEY_HEADER] !== undefined || !acceptsJwt);
+
       if (requireAuth) {
-        await fastify.authenticate(request, reply);
+        await (useApiKey ? fastify.authenticateApiKey : fastify.authenticate)(request, reply);
+      } else if (useApiKey) {
+        const apiKey = request.headers[API_KEY_HEADER];
+        request.user = apiKey && verifyApiKey ? await verifyApiKey(apiKey, request) : null;
+        return;
       } else {
         await fastify.optionalAuthenticate(request, reply);
         return;
@@ -268,21 +390,14 @@ export default async function authPlugin(fastify, options = {}) {
       }
 
       // Permission check
-      if (permissions.length > 0) {
-        const userPermissions = request.user.permissions || [];
-        const hasRequiredPermission = permissions.some(permission => 
-          userPermissions.includes(permission) || userPermissions.includes('*')
-        );
-        
-        if (!hasRequiredPermission) {
-          return reply.status(HTTP_STATUS.FORBIDDEN).send({
-            success: false,
-            error: 'Forbidden',
-            message: `Access denied. Required permissions: ${permissions.join(', ')}`,
-            statusCode: HTTP_STATUS.FORBIDDEN,
-            timestamp: new Date().toISOString()
-          });
-        }
+      if (!hasAnyPermission(request.user.permissions, permissions)) {
+        return reply.status(HTTP_STATUS.FORBIDDEN).send({
+          success: false,
+          error: 'Forbidden',
+          message: `Access denied. Required permissions: ${permissions.join(', ')}`,
+          statusCode: HTTP_STATUS.FORBIDDEN,
+          timestamp: new Date().toISOString()
+        });
       }
 
       // Owner check
@@ -315,4 +430,8 @@ export default async function authPlugin(fastify, options = {}) {
     decode: jwt.decodeToken.bind(jwt),
     createUserToken: jwt.createUserToken.bind(jwt),
   });
-}
\ No newline at end of file
+}
+
+// Expose the decorators to the registering scope instead of encapsulating
+// them (same effect as wrapping with fastify-plugin)
+authPlugin[Symbol.for('skip-override')] = true;
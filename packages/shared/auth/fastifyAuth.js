@@ -4,19 +4,85 @@
  */
 
 import { createAppLogger } from '../utils/index.js';
+import { hasAnyPermission } from './permissions.js';
+import {
+  GATEWAY_SIGNATURE_MODES,
+  NonceCache,
+  getGatewaySignatureConfig,
+  verifyGatewaySignature,
+} from './gatewaySignature.js';
 
 const logger = createAppLogger('FastifyAuth');
 
+const nonceCache = new NonceCache();
+
+/**
+ * Check the gateway's signature over the identity headers, once per request
+ * (a second check would see its own nonce as a replay)
+ * @param {Object} request - Fastify request object
+ * @returns {{ status: 'valid'|'unsigned'|'invalid', reason?: string }}
+ */
+export const verifyGatewayRequest = (request) => {
+  if (!request.gatewaySignature) {
+    const { secret, toleranceMs } = getGatewaySignatureConfig();
+    request.gatewaySignature = verifyGatewaySignature(request.headers, {
+      method: request.method,
+      path: request.url,
+      secret,
+      toleranceMs,
+      nonceCache,
+    });
+  }
+  return request.gatewaySignature;
+};
+
+/**
+ * Reject requests with a bad signature, and unsigned ones in strict mode
+ * @returns {Object|undefined} The reply when the request was rejected
+ */
+const enforceGatewaySignature = (request, reply) => {
+  const result = verifyGatewayRequest(request);
+  const { mode } = getGatewaySignatureConfig();
+
+  if (
+    result.status === 'valid' ||
+    (result.status === 'unsigned' && mode !== GATEWAY_SIGNATURE_MODES.STRICT)
+  ) {
+    return undefined;
+  }
+
+  logger.warn('Rejected request without a valid gateway signature', {
+    status: result.status,
+    reason: result.reason,
+    path: request.url,
+    method: request.method,
+    ip: request.ip
+  });
+
+  return reply.status(401).send({
+    success: false,
+    error: 'Request is not signed by the API gateway',
+    code: result.status === 'unsigned' ? 'GATEWAY_SIGNATURE_REQUIRED' : 'GATEWAY_SIGNATURE_INVALID',
+    timestamp: new Date().toISOString()
+  });
+};
+
 /**
  * Fastify hook to extract user context from gateway headers
- * Gateway forwards user info via headers: x-user-id, x-user-email, x-user-roles
+ * Gateway forwards user info via headers: x-user-id, x-user-email, x-user-roles,
+ * x-user-permissions. They are only trusted when the gateway signature checks
+ * out (or, outside strict mode, when the request is unsigned).
  */
 export const extractUserContext = async (request, reply) => {
+  const rejected = enforceGatewaySignature(request, reply);
+  if (rejected) return rejected;
+
   try {
     // Extract user info from headers forwarded by gateway
     const userId = request.headers['x-user-id'];
     const userEmail = request.headers['x-user-email'];
     const userRoles = request.headers['x-user-roles'];
+    const userPermissions = request.headers['x-user-permissions'];
     const requestId = request.headers['x-request-id'];
     const isGatewayForwarded = request.headers['x-gateway-forwarded'];
 
@@ -29,7 +95,8 @@ export const extractUserContext = async (request, reply) => {
       request.user = {
         id: userId,
         email: userEmail,
-        roles: userRoles ? JSON.parse(userRoles) : []
+        roles: userRoles ? JSON.parse(userRoles) : [],
+        permissions: userPermissions ? JSON.parse(userPermissions) : []
       };
       
       logger.debug('User context extracted from gateway', {
@@ -139,6 +206,43 @@ export const requireRoles = (allowedRoles = []) => {
   };
 };
 
+/**
+ * Fastify hook factory to require specific permissions
+ * @param {string[]} requiredPermissions - Permissions that grant access (any of them)
+ */
+export const requirePermissions = (requiredPermissions = []) => {
+  return async (request, reply) => {
+    if (!request.user || !request.user.id) {
+      return reply.status(401).send({
+        success: false,
+        error: 'Authentication required',
+        code: 'AUTH_REQUIRED',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const userPermissions = request.user.permissions || [];
+
+    if (!hasAnyPermission(userPermissions, requiredPermissions)) {
+      logger.warn('Missing required permission', {
+        userId: request.user.id,
+        requiredPermissions,
+        path: request.url,
+        method: request.method,
+        requestId: request.requestId
+      });
+
+      return reply.status(403).send({
+        success: false,
+        error: 'Insufficient permissions',
+        code: 'INSUFFICIENT_PERMISSIONS',
+        required: requiredPermissions,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+};
+
 /**
  * Fastify hook for optional authentication
  * Sets user context if available, but doesn't require it
@@ -171,6 +275,19 @@ export const hasRole = (request, role) => {
   return userRoles.includes(role) || userRoles.includes('admin');
 };
 
+/**
+ * Check if user has a specific permission
+ * @param {Object} request - Fastify request object
+ * @param {string} permission - Permission to check
+ * @returns {boolean} True if a held permission covers it
+ */
+export const hasPermission = (request, permission) => {
+  const user = getUserContext(request);
+  if (!user) return false;
+
+  return hasAnyPermission(user.permissions, [permission]);
+};
+
 /**
  * Check if user is admin
  * @param {Object} request - Fastify request object
@@ -198,6 +315,9 @@ export const isOwnerOrAdmin = (request, resourceUserId) => {
  * Ensures requests come through the gateway
  */
 export const requireGateway = async (request, reply) => {
+  const rejected = enforceGatewaySignature(request, reply);
+  if (rejected || request.gatewaySignature.status === 'valid') return rejected;
+
   const isGatewayForwarded = request.headers['x-gateway-forwarded'] === 'true';
   
   if (!isGatewayForwarded && process.env.NODE_ENV !== 'test') {
@@ -0,0 +1,175 @@
+/**
+ * Gateway Identity Signatures
+ * The gateway signs the identity headers it forwards (HMAC-SHA256 over the
+ * headers, method, path, a timestamp and a nonce) so services can tell them
+ * apart from headers sent by someone who reached the service directly
+ */
+
+import { createHmac, randomUUID, timingSafeEqual } from 'node:crypto';
+import { ENV_VARS } from '../constants/index.js';
+
+export const GATEWAY_SIGNATURE_HEADERS = {
+  SIGNATURE: 'x-gateway-signature',
+  TIMESTAMP: 'x-gateway-timestamp',
+  NONCE: 'x-gateway-nonce',
+};
+
+// Headers covered by the signature, in signing order
+export const SIGNED_IDENTITY_HEADERS = [
+  'x-user-id',
+  'x-user-email',
+  'x-user-roles',
+  'x-user-permissions',
+  'x-request-id',
+  'x-gateway-forwarded',
+];
+
+export const GATEWAY_SIGNATURE_MODES = {
+  // Reject bad signatures, accept unsigned requests (while rolling out)
+  PERMISSIVE: 'permissive',
+  // Reject anything not signed by the gateway
+  STRICT: 'strict',
+};
+
+export const GATEWAY_SIGNATURE_DEFAULTS = {
+  VERSION: 'v1',
+  TOLERANCE_MS: 60 * 1000, // Allowed clock difference between gateway and service
+};
+
+/**
+ * Signature settings of the current process, read from the environment
+ * @returns {{ secret: string|null, mode: string, toleranceMs: number }}
+ */
+export const getGatewaySignatureConfig = () => ({
+  secret: process.env[ENV_VARS.GATEWAY_SIGNING_SECRET] || null,
+  mode:
+    process.env[ENV_VARS.GATEWAY_SIGNATURE_MODE] === GATEWAY_SIGNATURE_MODES.STRICT
+      ? GATEWAY_SIGNATURE_MODES.STRICT
+      : GATEWAY_SIGNATURE_MODES.PERMISSIVE,
+  toleranceMs:
+    parseInt(process.env[ENV_VARS.GATEWAY_SIGNATURE_TOLERANCE_MS]) ||
+    GATEWAY_SIGNATURE_DEFAULTS.TOLERANCE_MS,
+});
+
+const computeSignature = (secret, { headers, method, path, timestamp, nonce }) => {
+  const canonical = [
+    GATEWAY_SIGNATURE_DEFAULTS.VERSION,
+    timestamp,
+    nonce,
+    method.toUpperCase(),
+    path,
+    ...SIGNED_IDENTITY_HEADERS.map((header) => headers[header] ?? ''),
+  ].join('\n');
+
+  return `${GATEWAY_SIGNATURE_DEFAULTS.VERSION}=${createHmac('sha256', secret)
+    .update(canonical)
+    .digest('hex')}`;
+};
+
+/**
+ * Signature headers for a request the gateway forwards. Sign every attempt
+ * separately: services reject a nonce they have already seen.
+ * @param {Object} headers - Upstream headers, including the identity headers
+ * @param {Object} options
+ * @param {string} options.method
+ * @param {string} options.path - Upstream path with query string
+ * @param {string} options.secret
+ * @param {number} [options.now]
+ * @returns {Object} Headers to add
+ */
+export const signGatewayRequest = (headers, { method, path, secret, now = Date.now() }) => {
+  const timestamp = String(now);
+  const nonce = randomUUID();
+
+  return {
+    [GATEWAY_SIGNATURE_HEADERS.TIMESTAMP]: timestamp,
+    [GATEWAY_SIGNATURE_HEADERS.NONCE]: nonce,
+    [GATEWAY_SIGNATURE_HEADERS.SIGNATURE]: computeSignature(secret, {
+      headers,
+      method,
+      path,
+      timestamp,
+      nonce,
+    }),
+  };
+};
+
+/**
+ * Nonces seen within the replay window
+ */
+export class NonceCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Remember a nonce until it expires
+   * @param {string} nonce
+   * @param {number} expiresAt - Epoch milliseconds
+   * @param {number} [now]
+   * @returns {boolean} False when the nonce was already used
+   */
+  add(nonce, expiresAt, now = Date.now()) {
+    // Entries are added with a fixed TTL, so insertion order is expiry order
+    for (const [seen, expiry] of this.entries) {
+      if (expiry > now) break;
+      this.entries.delete(seen);
+    }
+
+    if (this.entries.has(nonce)) return false;
+    this.entries.set(nonce, expiresAt);
+    return true;
+  }
+}
+
+/**
+ * Check the gateway signature of an incoming request
+ * @param {Object} headers - Incoming (lowercased) headers
+ * @param {Object} options
+ * @param {string} options.method
+ * @param {string} options.path - Request path with query string
+ * @param {string|null} options.secret
+ * @param {number} [options.toleranceMs]
+ * @param {NonceCache} options.nonceCache
+ * @param {number} [options.now]
+ * @returns {{ status: 'valid'|'unsigned'|'invalid', reason?: string }}
+ */
+export const verifyGatewaySignature = (
+  headers,
+  {
+    method,
+    path,
+    secret,
+    toleranceMs = GATEWAY_SIGNATURE_DEFAULTS.TOLERANCE_MS,
+    nonceCache,
+    now = Date.now(),
+  }
+) => {
+  const signature = headers[GATEWAY_SIGNATURE_HEADERS.SIGNATURE];
+  const timestamp = headers[GATEWAY_SIGNATURE_HEADERS.TIMESTAMP];
+  const nonce = headers[GATEWAY_SIGNATURE_HEADERS.NONCE];
+
+  if (!signature) return { status: 'unsigned' };
+  // Without the secret the signature can't be checked; strict mode rejects this
+  if (!secret) return { status: 'unsigned', reason: 'not_configured' };
+
+  if (!timestamp || !nonce) return { status: 'invalid', reason: 'malformed' };
+  if (!(Math.abs(now - Number(timestamp)) <= toleranceMs)) {
+    return { status: 'invalid', reason: 'expired' };
+  }
+
+  const expected = Buffer.from(
+    computeSignature(secret, { headers, method, path, timestamp, nonce })
+  );
+  const actual = Buffer.from(String(signature));
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return { status: 'invalid', reason: 'bad_signature' };
+  }
+
+  // Checked last so forged requests can't fill the cache
+  if (!nonceCache.add(nonce, Number(timestamp) + toleranceMs, now)) {
+    return { status: 'invalid', reason: 'replayed' };
+  }
+
+  return { status: 'valid' };
+};
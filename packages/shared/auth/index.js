@@ -10,12 +10,39 @@ export {
   createJWTService
 } from './jwt.service.js';
 
+export {
+  KeyStore,
+  createKeyStore,
+  generateSigningKey,
+  jwkThumbprint,
+  SIGNING_ALGORITHMS
+} from './keystore.js';
+
+export { createJwksKeyProvider, JWKS_DEFAULTS } from './jwks.js';
+
+export {
+  createServiceTokenProvider,
+  SERVICE_TOKEN_DEFAULTS
+} from './serviceTokens.js';
+
+export {
+  signGatewayRequest,
+  verifyGatewaySignature,
+  getGatewaySignatureConfig,
+  NonceCache,
+  GATEWAY_SIGNATURE_HEADERS,
+  GATEWAY_SIGNATURE_MODES,
+  SIGNED_IDENTITY_HEADERS
+} from './gatewaySignature.js';
+
 export {
   PasswordService,
   passwordService,
   createPasswordService
 } from './password.service.js';
 
+export { permissionMatches, hasAnyPermission } from './permissions.js';
+
 // Centralized Fastify plugin
 export { default as authPlugin } from './fastify-auth.plugin.js';
 
@@ -31,6 +58,7 @@ export {
   extractUserContext,
   requireAuth,
   requireRoles,
+  requirePermissions,
   getUserContext,
   hasRole,
   isAdmin,
@@ -42,10 +70,13 @@ export {
   extractUserContext as fastifyExtractUserContext,
   requireAuth as fastifyRequireAuth,
   requireRoles as fastifyRequireRoles,
+  requirePermissions as fastifyRequirePermissions,
   optionalAuth as fastifyOptionalAuth,
   requireGateway,
+  verifyGatewayRequest,
   getUserContext as fastifyGetUserContext,
   hasRole as fastifyHasRole,
+  hasPermission as fastifyHasPermission,
   isAdmin as fastifyIsAdmin,
   isOwnerOrAdmin as fastifyIsOwnerOrAdmin
 } from './fastifyAuth.js';
@@ -0,0 +1,79 @@
+/**
+ * JWKS Key Provider
+ * Resolves token signing keys from the gateway's `/.well-known/jwks.json`, so
+ * services can verify tokens without holding a shared secret
+ */
+
+import { createPublicKey } from 'node:crypto';
+
+export const JWKS_DEFAULTS = {
+  CACHE_TTL_MS: 10 * 60 * 1000, // Refetch the key set every 10 minutes
+  // An unknown kid (e.g. right after a rotation) triggers a refetch, at most
+  // this often, so forged kids can't make us hammer the gateway
+  MIN_REFETCH_INTERVAL_MS: 30 * 1000,
+  TIMEOUT_MS: 5000,
+};
+
+/**
+ * Create a key provider backed by a JWKS URL
+ * @param {string} url - JWKS endpoint, e.g. http://gateway:3000/.well-known/jwks.json
+ * @param {Object} [options]
+ * @param {number} [options.cacheTtlMs]
+ * @param {number} [options.minRefetchIntervalMs]
+ * @param {number} [options.timeoutMs]
+ * @param {typeof fetch} [options.fetch]
+ * @returns {(kid: string) => Promise<{ alg: string, key: import('node:crypto').KeyObject }|null>}
+ */
+export const createJwksKeyProvider = (url, options = {}) => {
+  const {
+    cacheTtlMs = JWKS_DEFAULTS.CACHE_TTL_MS,
+    minRefetchIntervalMs = JWKS_DEFAULTS.MIN_REFETCH_INTERVAL_MS,
+    timeoutMs = JWKS_DEFAULTS.TIMEOUT_MS,
+    fetch = globalThis.fetch,
+  } = options;
+
+  let keys = new Map();
+  let fetchedAt = 0;
+  let attemptedAt = 0;
+  let pending = null;
+
+  const refresh = async () => {
+    attemptedAt = Date.now();
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) {
+      throw new Error(`JWKS request failed with status ${response.status}`);
+    }
+
+    const jwks = await response.json();
+    keys = new Map(
+      (jwks.keys || [])
+        .filter((jwk) => jwk.kid && (!jwk.use || jwk.use === 'sig'))
+        .map((jwk) => [jwk.kid, { alg: jwk.alg, key: createPublicKey({ key: jwk, format: 'jwk' }) }])
+    );
+    fetchedAt = Date.now();
+  };
+
+  // Concurrent requests share one fetch; a failed refetch keeps the cached keys
+  const load = async () => {
+    pending ??= refresh().finally(() => {
+      pending = null;
+    });
+
+    try {
+      await pending;
+    } catch (error) {
+      if (fetchedAt === 0) throw error;
+    }
+  };
+
+  return async (kid) => {
+    const now = Date.now();
+    const stale = now - fetchedAt >= cacheTtlMs || !keys.has(kid);
+
+    if (stale && now - attemptedAt >= minRefetchIntervalMs) {
+      await load();
+    }
+
+    return keys.get(kid) || null;
+  };
+};
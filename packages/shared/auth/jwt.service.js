@@ -1,8 +1,11 @@
 /**
  * Centralized JWT Service
- * Provides JWT token generation, verification, and validation functionality
+ * Provides JWT token generation, verification, and validation functionality.
+ * Tokens are signed with a shared HMAC secret (HS256) by default, or with the
+ * current key of a keystore (RS256/ES256, `kid` header) when one is set.
  */
 
+import { randomUUID } from 'node:crypto';
 import jwt from 'jsonwebtoken';
 import { ENV_VARS, AUTH_CONSTANTS } from '../constants/index.js';
 
@@ -10,13 +13,49 @@ import { ENV_VARS, AUTH_CONSTANTS } from '../constants/index.js';
  * JWT Service class for token management
  */
 export class JWTService {
-  constructor(secret = null) {
+  /**
+   * @param {string} [secret] - HMAC secret
+   * @param {Object} [options]
+   * @param {import('./keystore.js').KeyStore} [options.keyStore] - Signs tokens and verifies them locally
+   * @param {Function} [options.keyProvider] - async kid => { alg, key }, e.g. from `createJwksKeyProvider`
+   * @param {boolean} [options.allowSharedSecret] - Keep accepting HS256 tokens while
+   *   asymmetric keys are in use (for migrating)
+   */
+  constructor(secret = null, options = {}) {
     this.secret = secret || process.env[ENV_VARS.JWT_SECRET] || AUTH_CONSTANTS.JWT_DEFAULTS.ISSUER;
     this.defaultOptions = {
       issuer: AUTH_CONSTANTS.JWT_DEFAULTS.ISSUER,
       audience: AUTH_CONSTANTS.JWT_DEFAULTS.AUDIENCE,
       expiresIn: AUTH_CONSTANTS.JWT_DEFAULTS.EXPIRES_IN,
     };
+    this.keyStore = options.keyStore || null;
+    this.keyProvider = options.keyProvider || null;
+    this.allowSharedSecret =
+      options.allowSharedSecret ?? process.env[ENV_VARS.JWT_ALLOW_HS256] === 'true';
+  }
+
+  /**
+   * Sign with the keystore's current key and verify against its keys
+   * @param {import('./keystore.js').KeyStore} keyStore
+   */
+  useKeyStore(keyStore) {
+    this.keyStore = keyStore;
+  }
+
+  /**
+   * Verify tokens with keys resolved by `kid` (see `verifyTokenAsync`)
+   * @param {Function} keyProvider - async kid => { alg, key } or null
+   */
+  useKeyProvider(keyProvider) {
+    this.keyProvider = keyProvider;
+  }
+
+  /**
+   * HS256 tokens are accepted until asymmetric keys are configured, and
+   * after that only when explicitly allowed
+   */
+  acceptsSharedSecret() {
+    return this.allowSharedSecret || (!this.keyStore && !this.keyProvider);
   }
 
   /**
@@ -31,6 +70,11 @@ export class JWTService {
       ...options,
     };
 
+    if (this.keyStore) {
+      const { kid, alg, key } = this.keyStore.getSigningKey();
+      return jwt.sign(payload, key, { ...tokenOptions, algorithm: alg, keyid: kid });
+    }
+
     return jwt.sign(payload, this.secret, tokenOptions);
   }
 
@@ -42,13 +86,61 @@ export class JWTService {
    * @throws {Error} If token is invalid
    */
   verifyToken(token, options = {}) {
+    const { kid } = this.decodeHeader(token);
+    const signingKey = kid ? this.keyStore?.getVerificationKey(kid) : null;
+
+    return this.verifyWithKey(token, kid, signingKey, options);
+  }
+
+  /**
+   * Verify JWT token, fetching its signing key from the key provider (JWKS)
+   * when the keystore doesn't have it
+   * @param {string} token - JWT token to verify
+   * @param {Object} options - Verification options (optional)
+   * @returns {Promise<Object>} Decoded payload
+   * @throws {Error} If token is invalid
+   */
+  async verifyTokenAsync(token, options = {}) {
+    const { kid } = this.decodeHeader(token);
+    const signingKey = kid
+      ? this.keyStore?.getVerificationKey(kid) || (await this.keyProvider?.(kid)) || null
+      : null;
+
+    return this.verifyWithKey(token, kid, signingKey, options);
+  }
+
+  /**
+   * Tokens with a `kid` must verify against that key and its algorithm;
+   * tokens without one against the shared secret, and only with HS256, so a
+   * public key can never be used as an HMAC secret
+   */
+  verifyWithKey(token, kid, signingKey, options) {
     const verifyOptions = {
       issuer: AUTH_CONSTANTS.JWT_DEFAULTS.ISSUER,
       audience: AUTH_CONSTANTS.JWT_DEFAULTS.AUDIENCE,
       ...options,
     };
 
-    return jwt.verify(token, this.secret, verifyOptions);
+    if (kid) {
+      if (!signingKey) {
+        throw new jwt.JsonWebTokenError('Unknown signing key');
+      }
+      return jwt.verify(token, signingKey.key, { ...verifyOptions, algorithms: [signingKey.alg] });
+    }
+
+    if (!this.acceptsSharedSecret()) {
+      throw new jwt.JsonWebTokenError('Token is not signed with a published key');
+    }
+    return jwt.verify(token, this.secret, { ...verifyOptions, algorithms: ['HS256'] });
+  }
+
+  /**
+   * JOSE header of a token, or an empty object when it can't be decoded
+   * @param {string} token
+   * @returns {Object}
+   */
+  decodeHeader(token) {
+    return jwt.decode(token, { complete: true })?.header || {};
   }
 
   /**
@@ -91,37 +183,83 @@ export class JWTService {
   }
 
   /**
-   * Generate refresh token
+   * Generate refresh token. It is signed like an access token, so a `typ`
+   * claim marks it as only good for the refresh endpoint.
    * @param {Object} payload - Token payload
    * @returns {string} Refresh token
    */
   generateRefreshToken(payload) {
-    return this.generateToken(payload, {
-      expiresIn: AUTH_CONSTANTS.JWT_DEFAULTS.REFRESH_EXPIRES_IN,
-    });
+    return this.generateToken(
+      { ...payload, typ: AUTH_CONSTANTS.TOKEN_TYPES.REFRESH },
+      {
+        expiresIn: AUTH_CONSTANTS.JWT_DEFAULTS.REFRESH_EXPIRES_IN,
+        jwtid: randomUUID(),
+      }
+    );
+  }
+
+  /**
+   * Check if a decoded token is a refresh token. Those issued before the
+   * `typ` claim are told apart by carrying no roles.
+   * @param {Object} decoded - Decoded token payload
+   * @returns {boolean} True if refresh token
+   */
+  isRefreshToken(decoded) {
+    return (
+      decoded.typ === AUTH_CONSTANTS.TOKEN_TYPES.REFRESH ||
+      !Array.isArray(decoded.roles)
+    );
   }
 
   /**
    * Validate token and return user context
    * @param {string} token - JWT token
-   * @returns {Object} User context or null
+   * @returns {Object} User context, or null if invalid or a refresh token
    */
   validateTokenAndGetUser(token) {
     try {
-      const decoded = this.verifyToken(token);
-      return {
-        id: decoded.id,
-        email: decoded.email,
-        firstName: decoded.firstName,
-        lastName: decoded.lastName,
-        roles: decoded.roles || [],
-        permissions: decoded.permissions || [],
-      };
+      return this.toAccessUserContext(this.verifyToken(token));
     } catch (error) {
       return null;
     }
   }
 
+  /**
+   * Validate token and return user context, resolving keys from the key
+   * provider if needed. Services verifying through JWKS must use this.
+   * @param {string} token - JWT token
+   * @returns {Promise<Object|null>} User context, or null if invalid or a
+   *   refresh token
+   */
+  async verifyAndGetUser(token) {
+    try {
+      return this.toAccessUserContext(await this.verifyTokenAsync(token));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  toAccessUserContext(decoded) {
+    return this.isRefreshToken(decoded) ? null : this.toUserContext(decoded);
+  }
+
+  toUserContext(decoded) {
+    return {
+      id: decoded.id,
+      email: decoded.email,
+      firstName: decoded.firstName,
+      lastName: decoded.lastName,
+      roles: decoded.roles || [],
+      permissions: decoded.permissions || [],
+      jti: decoded.jti,
+      exp: decoded.exp,
+      // Set on tokens issued to OAuth clients instead of users
+      ...(decoded.clientId && { clientId: decoded.clientId }),
+      // Set on impersonation tokens: the admin acting as the user
+      ...(decoded.act && { act: decoded.act }),
+    };
+  }
+
   /**
    * Create token for user
    * @param {Object} user - User object
@@ -138,7 +276,8 @@ export class JWTService {
       permissions: user.permissions || [],
     };
 
-    const token = this.generateToken(payload, options);
+    // A unique jti lets the token be revoked before it expires
+    const token = this.generateToken(payload, { jwtid: randomUUID(), ...options });
     const refreshToken = this.generateRefreshToken({ id: user.id, email: user.email });
 
     return {
@@ -148,10 +287,57 @@ export class JWTService {
       tokenType: 'Bearer',
     };
   }
+
+  /**
+   * Create an access token for an OAuth client (client_credentials grant).
+   * The client is the subject; its scopes become the token's permissions.
+   * @param {Object} client
+   * @param {string} client.clientId
+   * @param {string[]} client.scopes - Granted scopes (permission names)
+   * @param {Object} options - Token options
+   * @returns {string} Access token
+   */
+  createClientToken({ clientId, scopes = [] }, options = {}) {
+    const payload = {
+      id: clientId,
+      clientId,
+      roles: [],
+      permissions: scopes,
+    };
+
+    return this.generateToken(payload, {
+      jwtid: randomUUID(),
+      subject: clientId,
+      ...options,
+    });
+  }
+
+  /**
+   * Create an access token that lets an admin act as a user. It carries the
+   * user's claims plus an `act` claim (RFC 8693) naming the admin, and comes
+   * without a refresh token.
+   * @param {Object} user - User object, as for `createUserToken`
+   * @param {Object} actor - The impersonating admin (`id`, `email`)
+   * @param {Object} options - Token options
+   * @returns {string} Access token
+   */
+  createImpersonationToken(user, actor, options = {}) {
+    const payload = {
+      id: user.id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      roles: user.roles || [],
+      permissions: user.permissions || [],
+      act: { sub: actor.id, email: actor.email },
+    };
+
+    return this.generateToken(payload, { jwtid: randomUUID(), ...options });
+  }
 }
 
 // Export singleton instance
 export const jwtService = new JWTService();
 
 // Export factory function for custom instances
-export const createJWTService = (secret) => new JWTService(secret);
\ No newline at end of file
+export const createJWTService = (secret, options) => new JWTService(secret, options);
\ No newline at end of file
@@ -0,0 +1,235 @@
+/**
+ * JWT Signing Keystore
+ * RS256/ES256 key pairs kept in a local file. The newest key signs; keys that
+ * were rotated out keep verifying for a grace period so tokens they signed
+ * stay valid until they expire.
+ */
+
+import { createHash, createPrivateKey, createPublicKey, generateKeyPairSync } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { createAppLogger } from '../utils/index.js';
+
+const logger = createAppLogger('KeyStore');
+
+export const SIGNING_ALGORITHMS = {
+  RS256: { type: 'rsa', options: { modulusLength: 2048 } },
+  ES256: { type: 'ec', options: { namedCurve: 'P-256' } },
+};
+
+const KEYS_FILE = 'jwt-keys.json';
+
+/**
+ * RFC 7638 thumbprint of a public JWK, used as its `kid`
+ * @param {Object} jwk
+ * @returns {string}
+ */
+export const jwkThumbprint = (jwk) => {
+  const members =
+    jwk.kty === 'EC'
+      ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }
+      : { e: jwk.e, kty: jwk.kty, n: jwk.n };
+
+  return createHash('sha256')
+    .update(JSON.stringify(members))
+    .digest('base64url');
+};
+
+/**
+ * Generate a key record for the keystore
+ * @param {'RS256'|'ES256'} alg
+ * @returns {{ kid: string, alg: string, privateKey: string, publicJwk: Object, createdAt: string, retiredAt: null }}
+ */
+export const generateSigningKey = (alg) => {
+  const spec = SIGNING_ALGORITHMS[alg];
+  if (!spec) {
+    throw new Error(`Unsupported JWT signing algorithm "${alg}"`);
+  }
+
+  const { privateKey, publicKey } = generateKeyPairSync(spec.type, spec.options);
+  const publicJwk = publicKey.export({ format: 'jwk' });
+
+  return {
+    kid: jwkThumbprint(publicJwk),
+    alg,
+    privateKey: privateKey.export({ format: 'pem', type: 'pkcs8' }),
+    publicJwk,
+    createdAt: new Date().toISOString(),
+    retiredAt: null,
+  };
+};
+
+export class KeyStore {
+  /**
+   * @param {Object} options
+   * @param {'RS256'|'ES256'} options.algorithm - Algorithm for new keys
+   * @param {string} [options.dir] - Where keys are persisted; in memory if omitted
+   * @param {number} options.rotationIntervalMs - Age at which the signing key is replaced
+   * @param {number} options.gracePeriodMs - How long a replaced key keeps verifying;
+   *   at least the longest token lifetime
+   */
+  constructor({ algorithm, dir = null, rotationIntervalMs, gracePeriodMs }) {
+    this.algorithm = algorithm;
+    this.dir = dir;
+    this.rotationIntervalMs = rotationIntervalMs;
+    this.gracePeriodMs = gracePeriodMs;
+    this.keys = [];
+    this.privateKeys = new Map();
+    this.publicKeys = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Load the keystore and make sure it has a current signing key
+   * @param {Object} options - See the constructor
+   * @returns {Promise<KeyStore>}
+   */
+  static async open(options) {
+    const store = new KeyStore(options);
+    await store.load();
+    await store.rotateIfDue();
+    return store;
+  }
+
+  async load() {
+    if (!this.dir) return;
+
+    try {
+      const { keys } = JSON.parse(await readFile(join(this.dir, KEYS_FILE), 'utf8'));
+      this.keys = keys;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.keys = [];
+    }
+  }
+
+  async save() {
+    if (!this.dir) return;
+
+    // Write then rename so a crash never leaves a truncated keystore
+    await mkdir(this.dir, { recursive: true });
+    const file = join(this.dir, KEYS_FILE);
+    await writeFile(`${file}.tmp`, JSON.stringify({ keys: this.keys }, null, 2), {
+      mode: 0o600,
+    });
+    await rename(`${file}.tmp`, file);
+  }
+
+  /**
+   * Key new tokens are signed with
+   * @returns {{ kid: string, alg: string, key: import('node:crypto').KeyObject }}
+   * @throws {Error} When the keystore has no signing key
+   */
+  getSigningKey() {
+    const current = this.keys.find((key) => !key.retiredAt);
+    if (!current) {
+      throw new Error('Keystore has no signing key');
+    }
+
+    return { kid: current.kid, alg: current.alg, key: this.getPrivateKey(current) };
+  }
+
+  /**
+   * Public key for a `kid`, if it is still allowed to verify
+   * @param {string} kid
+   * @returns {{ alg: string, key: import('node:crypto').KeyObject }|null}
+   */
+  getVerificationKey(kid) {
+    const record = this.getVerificationKeys().find((key) => key.kid === kid);
+    return record ? { alg: record.alg, key: this.getPublicKey(record) } : null;
+  }
+
+  /**
+   * Signing key plus retired keys still within their grace period
+   */
+  getVerificationKeys(now = Date.now()) {
+    return this.keys.filter(
+      (key) => !key.retiredAt || Date.parse(key.retiredAt) + this.gracePeriodMs > now
+    );
+  }
+
+  /**
+   * JSON Web Key Set with every key that can verify tokens
+   * @returns {{ keys: Object[] }}
+   */
+  getJwks() {
+    return {
+      keys: this.getVerificationKeys().map((key) => ({
+        ...key.publicJwk,
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig',
+      })),
+    };
+  }
+
+  /**
+   * Start signing with a new key. The previous key is retired and verifies
+   * for `gracePeriodMs` more; keys past their grace period are dropped.
+   * @returns {Promise<string>} kid of the new key
+   */
+  async rotate() {
+    const now = new Date();
+    const next = generateSigningKey(this.algorithm);
+
+    this.keys = [
+      next,
+      ...this.keys.map((key) => (key.retiredAt ? key : { ...key, retiredAt: now.toISOString() })),
+    ];
+    this.keys = this.getVerificationKeys(now.getTime());
+    await this.save();
+
+    return next.kid;
+  }
+
+  /**
+   * Rotate when there is no signing key, it is older than
+   * `rotationIntervalMs`, or it uses a different algorithm than configured
+   * @returns {Promise<string|null>} kid of the new key, if rotated
+   */
+  async rotateIfDue(now = Date.now()) {
+    const current = this.keys.find((key) => !key.retiredAt);
+    const due =
+      !current ||
+      current.alg !== this.algorithm ||
+      Date.parse(current.createdAt) + this.rotationIntervalMs <= now;
+
+    return due ? this.rotate() : null;
+  }
+
+  /**
+   * Check for due rotations periodically
+   * @param {number} [checkIntervalMs] - Defaults to hourly
+   */
+  scheduleRotation(checkIntervalMs = 60 * 60 * 1000) {
+    this.stopRotation();
+    this.timer = setInterval(() => {
+      this.rotateIfDue().catch((error) => {
+        logger.error('JWT key rotation failed', { algorithm: this.algorithm, dir: this.dir }, error);
+      });
+    }, checkIntervalMs);
+    // Don't keep the process alive just for rotation
+    this.timer.unref();
+  }
+
+  stopRotation() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  getPrivateKey(record) {
+    if (!this.privateKeys.has(record.kid)) {
+      this.privateKeys.set(record.kid, createPrivateKey(record.privateKey));
+    }
+    return this.privateKeys.get(record.kid);
+  }
+
+  getPublicKey(record) {
+    if (!this.publicKeys.has(record.kid)) {
+      this.publicKeys.set(record.kid, createPublicKey({ key: record.publicJwk, format: 'jwk' }));
+    }
+    return this.publicKeys.get(record.kid);
+  }
+}
+
+export const createKeyStore = (options) => KeyStore.open(options);
@@ -0,0 +1,43 @@
+/**
+ * Permission Matching
+ * Shared by the gateway auth plugin and the service-side user context hooks
+ */
+
+import { PERMISSIONS } from '../constants/index.js';
+
+/**
+ * Whether a granted permission covers a required one. `*` grants
+ * everything, and a `*` segment matches any value (`read:*` covers
+ * `read:comments`).
+ * @param {string} granted - Permission the user holds
+ * @param {string} required - Permission the endpoint needs
+ * @returns {boolean}
+ */
+export const permissionMatches = (granted, required) => {
+  if (granted === PERMISSIONS.ADMIN_ALL || granted === required) return true;
+
+  const grantedSegments = granted.split(':');
+  const requiredSegments = required.split(':');
+
+  return (
+    grantedSegments.length === requiredSegments.length &&
+    grantedSegments.every(
+      (segment, index) => segment === '*' || segment === requiredSegments[index]
+    )
+  );
+};
+
+/**
+ * Whether the user holds at least one of the required permissions
+ * @param {string[]} userPermissions - Effective permissions of the user
+ * @param {string[]} requiredPermissions - Accepted permissions; empty allows all
+ * @returns {boolean}
+ */
+export const hasAnyPermission = (
+  userPermissions = [],
+  requiredPermissions = []
+) =>
+  requiredPermissions.length === 0 ||
+  requiredPermissions.some(required =>
+    userPermissions.some(granted => permissionMatches(granted, required))
+  );
@@ -0,0 +1,96 @@
+/**
+ * Service Token Provider
+ * Fetches access tokens for the calling service from the gateway's
+ * `/oauth/token` endpoint (client_credentials grant) and caches them until
+ * shortly before they expire
+ */
+
+import { CONTENT_TYPES, ENV_VARS } from '../constants/index.js';
+
+export const SERVICE_TOKEN_DEFAULTS = {
+  // Fetch a new token this long before the cached one expires
+  REFRESH_SKEW_MS: 60 * 1000,
+  TIMEOUT_MS: 5000,
+};
+
+/**
+ * Create a token provider for a registered OAuth client
+ * @param {Object} [options] - Default to the OAUTH_* environment variables
+ * @param {string} [options.tokenUrl] - e.g. http://gateway:3000/oauth/token
+ * @param {string} [options.clientId]
+ * @param {string} [options.clientSecret]
+ * @param {string} [options.scope] - Space-separated; all of the client's scopes if omitted
+ * @param {number} [options.refreshSkewMs]
+ * @param {number} [options.timeoutMs]
+ * @param {typeof fetch} [options.fetch]
+ * @returns {{ getToken: () => Promise<string>, getAuthorizationHeader: () => Promise<string>, clear: () => void }}
+ */
+export const createServiceTokenProvider = (options = {}) => {
+  const {
+    tokenUrl = process.env[ENV_VARS.OAUTH_TOKEN_URL],
+    clientId = process.env[ENV_VARS.OAUTH_CLIENT_ID],
+    clientSecret = process.env[ENV_VARS.OAUTH_CLIENT_SECRET],
+    scope = process.env[ENV_VARS.OAUTH_SCOPE],
+    refreshSkewMs = SERVICE_TOKEN_DEFAULTS.REFRESH_SKEW_MS,
+    timeoutMs = SERVICE_TOKEN_DEFAULTS.TIMEOUT_MS,
+    fetch = globalThis.fetch,
+  } = options;
+
+  if (!tokenUrl || !clientId || !clientSecret) {
+    throw new Error('Service token provider requires tokenUrl, clientId and clientSecret');
+  }
+
+  let cached = null;
+  let pending = null;
+
+  const requestToken = async () => {
+    const body = new URLSearchParams({ grant_type: 'client_credentials' });
+    if (scope) body.set('scope', scope);
+
+    const response = await fetch(tokenUrl, {
+      method: 'POST',
+      headers: {
+        authorization: `Basic ${Buffer.from(
+          `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`
+        ).toString('base64')}`,
+        'content-type': CONTENT_TYPES.FORM_DATA,
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(
+        `Service token request failed with status ${response.status}${data.error ? ` (${data.error})` : ''}`
+      );
+    }
+
+    cached = {
+      token: data.access_token,
+      expiresAt: Date.now() + data.expires_in * 1000,
+    };
+    return cached.token;
+  };
+
+  // Concurrent callers share one request
+  const getToken = async () => {
+    if (cached && cached.expiresAt - refreshSkewMs > Date.now()) {
+      return cached.token;
+    }
+
+    pending ??= requestToken().finally(() => {
+      pending = null;
+    });
+    return pending;
+  };
+
+  return {
+    getToken,
+    getAuthorizationHeader: async () => `Bearer ${await getToken()}`,
+    // Drop the cached token, e.g. after a call was rejected with 401
+    clear: () => {
+      cached = null;
+    },
+  };
+};
@@ -4,19 +4,71 @@
  */
 
 import { createAppLogger } from '../utils/index.js';
+import { hasAnyPermission } from './permissions.js';
+import {
+  GATEWAY_SIGNATURE_MODES,
+  NonceCache,
+  getGatewaySignatureConfig,
+  verifyGatewaySignature,
+} from './gatewaySignature.js';
 
 const logger = createAppLogger('UserContext');
 
+const nonceCache = new NonceCache();
+
+/**
+ * Reject requests with a bad gateway signature, and unsigned ones in strict
+ * mode. Express counterpart of the check in fastifyAuth.js.
+ * @returns {boolean} True when the request was rejected
+ */
+const enforceGatewaySignature = (req, res) => {
+  const { secret, mode, toleranceMs } = getGatewaySignatureConfig();
+  const result = verifyGatewaySignature(req.headers, {
+    method: req.method,
+    path: req.originalUrl,
+    secret,
+    toleranceMs,
+    nonceCache,
+  });
+
+  if (
+    result.status === 'valid' ||
+    (result.status === 'unsigned' && mode !== GATEWAY_SIGNATURE_MODES.STRICT)
+  ) {
+    return false;
+  }
+
+  logger.warn('Rejected request without a valid gateway signature', {
+    status: result.status,
+    reason: result.reason,
+    path: req.path,
+    method: req.method,
+    ip: req.ip
+  });
+
+  res.status(401).json({
+    status: 'error',
+    message: 'Request is not signed by the API gateway',
+    code: result.status === 'unsigned' ? 'GATEWAY_SIGNATURE_REQUIRED' : 'GATEWAY_SIGNATURE_INVALID'
+  });
+  return true;
+};
+
 /**
  * Middleware to extract user context from gateway headers
- * Gateway forwards user info via headers: X-User-ID, X-User-Email, X-User-Roles
+ * Gateway forwards user info via headers: X-User-ID, X-User-Email, X-User-Roles,
+ * X-User-Permissions. They are only trusted when the gateway signature checks
+ * out (or, outside strict mode, when the request is unsigned).
  */
 export const extractUserContext = (req, res, next) => {
+  if (enforceGatewaySignature(req, res)) return;
+
   try {
     // Extract user info from headers forwarded by gateway
     const userId = req.headers['x-user-id'];
     const userEmail = req.headers['x-user-email'];
     const userRoles = req.headers['x-user-roles'];
+    const userPermissions = req.headers['x-user-permissions'];
     const requestId = req.headers['x-request-id'];
     const serviceName = req.headers['x-service-name'];
 
@@ -29,7 +81,8 @@ export const extractUserContext = (req, res, next) => {
       req.user = {
         id: userId,
         email: userEmail,
-        roles: userRoles ? JSON.parse(userRoles) : []
+        roles: userRoles ? JSON.parse(userRoles) : [],
+        permissions: userPermissions ? JSON.parse(userPermissions) : []
       };
       
       logger.debug('User context extracted', {
@@ -139,6 +192,41 @@ export const requireRoles = (allowedRoles = []) => {
   };
 };
 
+/**
+ * Middleware factory to require specific permissions
+ * @param {string[]} requiredPermissions - Permissions that grant access (any of them)
+ */
+export const requirePermissions = (requiredPermissions = []) => {
+  return (req, res, next) => {
+    if (!req.user || !req.user.id) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+
+    if (!hasAnyPermission(req.user.permissions || [], requiredPermissions)) {
+      logger.warn('Missing required permission', {
+        userId: req.user.id,
+        requiredPermissions,
+        path: req.path,
+        method: req.method,
+        requestId: req.requestId
+      });
+
+      return res.status(403).json({
+        status: 'error',
+        message: 'Insufficient permissions',
+        code: 'INSUFFICIENT_PERMISSIONS',
+        required: requiredPermissions
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Middleware for optional authentication
  * Sets user context if available, but doesn't require it
@@ -13,10 +13,13 @@ export const HTTP_STATUS = {
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  PAYLOAD_TOO_LARGE: 413,
   UNPROCESSABLE_ENTITY: 422,
   TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
+  BAD_GATEWAY: 502,
   SERVICE_UNAVAILABLE: 503,
+  GATEWAY_TIMEOUT: 504,
 };
 
 // Common Validation Rules
@@ -107,6 +110,15 @@ export const ENV_VARS = {
   LOG_LEVEL: 'LOG_LEVEL',
   DATABASE_URL: 'DATABASE_URL',
   JWT_SECRET: 'JWT_SECRET',
+  JWT_JWKS_URL: 'JWT_JWKS_URL',
+  JWT_ALLOW_HS256: 'JWT_ALLOW_HS256',
+  GATEWAY_SIGNING_SECRET: 'GATEWAY_SIGNING_SECRET',
+  GATEWAY_SIGNATURE_MODE: 'GATEWAY_SIGNATURE_MODE',
+  GATEWAY_SIGNATURE_TOLERANCE_MS: 'GATEWAY_SIGNATURE_TOLERANCE_MS',
+  OAUTH_TOKEN_URL: 'OAUTH_TOKEN_URL',
+  OAUTH_CLIENT_ID: 'OAUTH_CLIENT_ID',
+  OAUTH_CLIENT_SECRET: 'OAUTH_CLIENT_SECRET',
+  OAUTH_SCOPE: 'OAUTH_SCOPE',
   API_KEY: 'API_KEY',
 };
 
@@ -168,6 +180,7 @@ export const PERMISSIONS = {
   WRITE_COMMENTS: 'write:comments',
   UPDATE_COMMENTS: 'update:comments',
   DELETE_COMMENTS: 'delete:comments',
+  MODERATE_COMMENTS: 'moderate:comments',
 
   READ_USERS: 'read:users',
   WRITE_USERS: 'write:users',
@@ -183,6 +196,12 @@ export const PERMISSIONS = {
   READ_PROJECTS: 'read:projects',
   WRITE_PROJECTS: 'write:projects',
 
+  READ_CANDIDATES: 'read:candidates',
+  WRITE_CANDIDATES: 'write:candidates',
+
+  READ_INTERVIEWS: 'read:interviews',
+  WRITE_INTERVIEWS: 'write:interviews',
+
   // Admin permissions
   ADMIN_ALL: '*',
   MANAGE_USERS: 'manage:users',
@@ -204,6 +223,11 @@ export const AUTH_CONSTANTS = {
     USER_EMAIL: 'X-User-Email',
     USER_ROLES: 'X-User-Roles',
   },
+  // Credentials a route can accept, declared as `authMethods` in service.config.js
+  AUTH_METHODS: {
+    JWT: 'jwt',
+    API_KEY: 'apiKey',
+  },
   JWT_DEFAULTS: {
     EXPIRES_IN: '7d',
     REFRESH_EXPIRES_IN: '30d',
@@ -1,4 +1,4 @@
-import { USER_ROLES, PERMISSIONS, HTTP_STATUS } from '@shared/core/constants';
+import { USER_ROLES, PERMISSIONS, HTTP_STATUS } from './packages/shared/constants/index.js';
 
 /**
  * Root Services Configuration
@@ -20,6 +20,16 @@ export default {
       windowMs: 900000, // 15 minutes
       maxRequests: 100,
     },
+    circuitBreaker: {
+      failureThreshold: 5, // consecutive failures before failing fast
+      resetTimeout: 30000, // 30 seconds open before a trial request
+      halfOpenMaxRequests: 1,
+      successThreshold: 1,
+    },
+    retry: {
+      retries: 2, // extra attempts for idempotent methods
+      delay: 100, // base backoff in ms, doubled per attempt
+    },
   },
 
   // Service configurations